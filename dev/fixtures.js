@@ -0,0 +1,189 @@
+/**
+ * Offline fixture mode — a Vite dev-server plugin that stands in for
+ * Bugzilla, Treeherder and STMO.
+ *
+ * Set VITE_FIXTURES before starting the dev server:
+ *   replay — serve recorded responses from fixtures/, never touch the network
+ *   record — forward requests to the live services and save each successful
+ *            response into fixtures/ for later replay
+ *
+ * In either mode the services call same-origin paths (/rest, /treeherder,
+ * /stmo) so requests reach this plugin instead of the live hosts.
+ */
+
+import { createHash } from 'node:crypto'
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+
+export const FIXTURE_MODES = ['replay', 'record']
+
+// Query parameters that identify the caller rather than the data
+const IGNORED_PARAMS = new Set(['api_key'])
+
+// Request headers that describe this hop, or that fetch sets itself, rather than the request
+const UNFORWARDED_HEADERS = new Set([
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer',
+  'transfer-encoding', 'upgrade', 'host', 'content-length', 'accept-encoding', 'expect',
+])
+
+export const FIXTURE_ROUTES = [
+  {
+    prefix: '/rest/',
+    target: 'https://bugzilla.mozilla.org',
+    rewrite: (path) => path,
+    // Unrecorded bug searches come back empty rather than failing
+    fallback: (pathname) => pathname === '/rest/bug' ? { bugs: [], total_matches: 0 } : null,
+  },
+  {
+    prefix: '/treeherder/',
+    target: 'https://treeherder.mozilla.org',
+    rewrite: (path) => path.replace(/^\/treeherder/, ''),
+    fallback: (pathname) => {
+      if (pathname.endsWith('/performance/signatures/')) return {}
+      if (pathname.endsWith('/performance/summary/')) return []
+      return null
+    },
+  },
+  {
+    prefix: '/stmo/',
+    target: 'https://sql.telemetry.mozilla.org',
+    rewrite: (path) => path.replace(/^\/stmo/, ''),
+    // Query results are fetched with POST
+    recordMethods: ['GET', 'POST'],
+    // Only finished query results are worth replaying — not pending jobs
+    shouldRecord: (data) => !!data?.query_result,
+    fallback: (pathname) => /\/api\/queries\/\d+\/results$/.test(pathname)
+      ? { query_result: { data: { rows: [], columns: [] } } }
+      : null,
+  },
+]
+
+/**
+ * The request URL with ignored parameters dropped and the rest sorted, so
+ * the same query always maps to the same fixture.
+ */
+export function normalizeRequestUrl(url) {
+  const parsed = new URL(url, 'http://localhost')
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !IGNORED_PARAMS.has(name))
+    .sort(([a, av], [b, bv]) => a.localeCompare(b) || av.localeCompare(bv))
+  const query = new URLSearchParams(params).toString()
+  return parsed.pathname + (query ? `?${query}` : '')
+}
+
+/**
+ * Fixture file name for a request: a readable slug of the path plus a hash
+ * of the method, normalized URL and body.
+ * @returns {string} e.g. "rest-bug-3f2a9c01d4e5.json"
+ */
+export function fixtureName(method, url, body = '') {
+  const normalized = normalizeRequestUrl(url)
+  const hash = createHash('sha1').update(`${method.toUpperCase()} ${normalized}\n${body}`).digest('hex').slice(0, 12)
+  const slug = normalized.split('?')[0].replace(/\d+/g, 'n').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').slice(0, 60)
+  return `${slug}-${hash}.json`
+}
+
+/**
+ * Headers to send upstream for a request to the dev server: all of them
+ * (API keys, Authorization from dev/stmoKeys.js, Content-Type, …) except the
+ * hop-by-hop ones, including any the Connection header names, and HTTP/2
+ * pseudo-headers.
+ * @param {Object} headers - Node's lowercased incoming headers
+ * @returns {Object}
+ */
+export function upstreamHeaders(headers) {
+  const connectionHeaders = String(headers.connection || '').split(',').map(name => name.trim().toLowerCase())
+  return Object.fromEntries(Object.entries(headers).filter(([name, value]) =>
+    value !== undefined && !name.startsWith(':') && !UNFORWARDED_HEADERS.has(name) && !connectionHeaders.includes(name)))
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => resolve(body))
+    req.on('error', reject)
+  })
+}
+
+function sendJson(res, status, data) {
+  res.statusCode = status
+  res.setHeader('Content-Type', 'application/json')
+  res.end(JSON.stringify(data))
+}
+
+function replay(route, req, res, file, pathname) {
+  if (existsSync(file)) {
+    const fixture = JSON.parse(readFileSync(file, 'utf8'))
+    return sendJson(res, fixture.status, fixture.body)
+  }
+  const fallback = route.fallback?.(pathname)
+  if (fallback) return sendJson(res, 200, fallback)
+  sendJson(res, 404, { error: true, message: `No fixture recorded for ${req.method} ${normalizeRequestUrl(req.url)}` })
+}
+
+async function record(route, req, res, file, body, logger) {
+  // Credentials travel in headers, which are never written to the fixture
+  const upstream = await fetch(route.target + route.rewrite(req.url), {
+    method: req.method,
+    headers: upstreamHeaders(req.headers),
+    body: body || undefined,
+  })
+  const text = await upstream.text()
+  res.statusCode = upstream.status
+  res.setHeader('Content-Type', upstream.headers.get('content-type') || 'application/json')
+  res.end(text)
+
+  // Writes (e.g. bug updates) go through but are never replayed
+  if (!upstream.ok || !(route.recordMethods || ['GET']).includes(req.method)) return
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    return
+  }
+  if (route.shouldRecord && !route.shouldRecord(data)) return
+  writeFileSync(file, JSON.stringify({
+    request: { method: req.method, url: normalizeRequestUrl(req.url), body: body || undefined },
+    recordedAt: new Date().toISOString(),
+    status: upstream.status,
+    body: data,
+  }, null, 2))
+  logger.info(`[fixtures] recorded ${req.method} ${normalizeRequestUrl(req.url)}`, { timestamp: true })
+}
+
+/**
+ * Vite plugin serving (or recording) fixtures for the routes above.
+ * @param {Object} options
+ * @param {'replay'|'record'} options.mode
+ * @param {string} options.dir - Directory holding the fixture files
+ */
+export function fixturesPlugin({ mode, dir }) {
+  return {
+    name: 'perf-dashboard-fixtures',
+    apply: 'serve',
+    configureServer(server) {
+      if (mode === 'record') mkdirSync(dir, { recursive: true })
+      server.config.logger.info(`[fixtures] ${mode} mode — fixtures in ${dir}`)
+
+      // Registered before Vite's own middlewares, so this runs ahead of server.proxy
+      server.middlewares.use(async (req, res, next) => {
+        const route = FIXTURE_ROUTES.find(r => req.url.startsWith(r.prefix))
+        if (!route) return next()
+        try {
+          const body = await readBody(req)
+          const file = join(dir, fixtureName(req.method, req.url, body))
+          const pathname = new URL(req.url, 'http://localhost').pathname
+          if (mode === 'record') {
+            await record(route, req, res, file, body, server.config.logger)
+          } else {
+            replay(route, req, res, file, pathname)
+          }
+        } catch (err) {
+          server.config.logger.error(`[fixtures] ${req.method} ${req.url}: ${err.message}`)
+          if (!res.headersSent) sendJson(res, 502, { error: true, message: err.message })
+        }
+      })
+    },
+  }
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest'
+import { normalizeRequestUrl, fixtureName, upstreamHeaders, FIXTURE_ROUTES } from './fixtures'
+
+// ---------------------------------------------------------------------------
+// normalizeRequestUrl
+// ---------------------------------------------------------------------------
+describe('normalizeRequestUrl', () => {
+  it('sorts query parameters and drops api_key', () => {
+    expect(normalizeRequestUrl('/rest/bug?product=Core&api_key=secret&limit=50&bug_status=NEW&bug_status=ASSIGNED'))
+      .toBe('/rest/bug?bug_status=ASSIGNED&bug_status=NEW&limit=50&product=Core')
+  })
+
+  it('keeps paths without a query as-is', () => {
+    expect(normalizeRequestUrl('/treeherder/api/performance/summary/')).toBe('/treeherder/api/performance/summary/')
+  })
+})
+
+// ---------------------------------------------------------------------------
+// fixtureName
+// ---------------------------------------------------------------------------
+describe('fixtureName', () => {
+  it('maps equivalent requests to the same file', () => {
+    expect(fixtureName('GET', '/rest/bug?a=1&b=2&api_key=x')).toBe(fixtureName('get', '/rest/bug?b=2&a=1'))
+  })
+
+  it('tells requests apart by query, method and body', () => {
+    const base = fixtureName('POST', '/stmo/api/queries/114368/results', '{"max_age":0}')
+    expect(fixtureName('POST', '/stmo/api/queries/114368/results', '{"max_age":86400}')).not.toBe(base)
+    expect(fixtureName('GET', '/stmo/api/queries/114368/results', '{"max_age":0}')).not.toBe(base)
+    expect(fixtureName('POST', '/stmo/api/queries/96742/results', '{"max_age":0}')).not.toBe(base)
+  })
+
+  it('starts with a readable slug of the path', () => {
+    expect(fixtureName('GET', '/rest/bug/123/attachment?ids=4')).toMatch(/^rest-bug-n-attachment-[0-9a-f]{12}\.json$/)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// upstreamHeaders
+// ---------------------------------------------------------------------------
+describe('upstreamHeaders', () => {
+  it('forwards credentials and content headers', () => {
+    expect(upstreamHeaders({
+      'content-type': 'application/json',
+      'x-bugzilla-api-key': 'secret',
+      authorization: 'Key stmo',
+      accept: 'application/json',
+    })).toEqual({
+      'content-type': 'application/json',
+      'x-bugzilla-api-key': 'secret',
+      authorization: 'Key stmo',
+      accept: 'application/json',
+    })
+  })
+
+  it('drops hop-by-hop headers and the ones fetch sets itself', () => {
+    expect(upstreamHeaders({
+      ':authority': 'localhost:3000',
+      host: 'localhost:3000',
+      connection: 'keep-alive, x-trace',
+      'x-trace': '1',
+      'keep-alive': 'timeout=5',
+      'transfer-encoding': 'chunked',
+      'content-length': '12',
+      'accept-encoding': 'gzip',
+      'x-bugzilla-api-key': 'secret',
+    })).toEqual({ 'x-bugzilla-api-key': 'secret' })
+  })
+})
+
+// ---------------------------------------------------------------------------
+// Routes
+// ---------------------------------------------------------------------------
+describe('FIXTURE_ROUTES', () => {
+  const route = (url) => FIXTURE_ROUTES.find(r => url.startsWith(r.prefix))
+
+  it('rewrites requests onto the live hosts', () => {
+    const th = route('/treeherder/api/performance/summary/?signature=1')
+    expect(th.target + th.rewrite('/treeherder/api/performance/summary/?signature=1'))
+      .toBe('https://treeherder.mozilla.org/api/performance/summary/?signature=1')
+    const stmo = route('/stmo/api/queries/1/results')
+    expect(stmo.target + stmo.rewrite('/stmo/api/queries/1/results')).toBe('https://sql.telemetry.mozilla.org/api/queries/1/results')
+  })
+
+  it('falls back to empty results for unrecorded searches only', () => {
+    expect(route('/rest/bug').fallback('/rest/bug')).toEqual({ bugs: [], total_matches: 0 })
+    expect(route('/rest/bug/1/comment').fallback('/rest/bug/1/comment')).toBeNull()
+    expect(route('/stmo/').fallback('/stmo/api/queries/96742/results').query_result.data.rows).toEqual([])
+  })
+
+  it('records finished STMO query results but not pending jobs', () => {
+    const stmo = route('/stmo/')
+    expect(stmo.shouldRecord({ job: { id: 'x', status: 1 } })).toBe(false)
+    expect(stmo.shouldRecord({ query_result: { data: { rows: [] } } })).toBe(true)
+  })
+})
@@ -0,0 +1,99 @@
+/**
+ * STMO (Redash) API keys for the dev server.
+ *
+ * Keys never reach the browser: the app calls /stmo without credentials and
+ * this plugin adds an `Authorization: Key …` header before Vite's /stmo proxy
+ * forwards the request. Keys come from, in order of precedence:
+ *
+ *   STMO_API_KEY_<queryId>  — a query API key, environment or .env.local
+ *   STMO_API_KEY            — a user API key, used for any query without its own
+ *   stmo-keys.json          — untracked file: { "<queryId>": "…", "default": "…" }
+ *
+ * Requests for which no key is configured are answered here with a 401 that
+ * the app turns into an explanation (see services/redashClient.js).
+ */
+
+import { existsSync, readFileSync } from 'node:fs'
+
+export const STMO_KEYS_FILE = 'stmo-keys.json'
+// Sent by the app on job polls, whose path does not name the query
+export const QUERY_ID_HEADER = 'x-stmo-query-id'
+
+const ENV_KEY_PATTERN = /^STMO_API_KEY(?:_(\d+))?$/
+
+/**
+ * Collect the configured keys.
+ * @param {Object} env - Variables starting with STMO_ (e.g. from Vite's loadEnv)
+ * @param {string} file - Path of the optional JSON key file
+ * @returns {Object<string, string>} Keys by query ID, plus "default"
+ */
+export function loadStmoKeys(env = {}, file = STMO_KEYS_FILE) {
+  const keys = {}
+  if (existsSync(file)) {
+    const parsed = JSON.parse(readFileSync(file, 'utf8'))
+    Object.entries(parsed).forEach(([id, key]) => { if (key) keys[id] = String(key) })
+  }
+  Object.entries(env).forEach(([name, key]) => {
+    const match = name.match(ENV_KEY_PATTERN)
+    if (match && key) keys[match[1] || 'default'] = key
+  })
+  return keys
+}
+
+/**
+ * The query a /stmo request belongs to: the ID in a query path, else the
+ * query ID header.
+ * @returns {string|null}
+ */
+export function requestQueryId(url, headers = {}) {
+  const match = url.match(/\/api\/queries\/(\d+)(?:\/|$|\?)/)
+  return match?.[1] || headers[QUERY_ID_HEADER] || null
+}
+
+/**
+ * The key to send for a query: its own key, else the default one.
+ * @returns {string|null}
+ */
+export function resolveStmoKey(keys, queryId) {
+  return (queryId && keys[queryId]) || keys.default || null
+}
+
+function missingKeyMessage(queryId) {
+  const name = queryId ? `STMO_API_KEY_${queryId}` : 'STMO_API_KEY'
+  return `No STMO API key is configured${queryId ? ` for query #${queryId}` : ''}. ` +
+    `Set ${name} (or STMO_API_KEY) in .env.local or add it to ${STMO_KEYS_FILE}, then restart the dev server.`
+}
+
+/**
+ * Vite plugin adding the STMO API key to /stmo requests on their way to the
+ * proxy.
+ * @param {Object<string, string>} keys - From loadStmoKeys
+ */
+export function stmoKeysPlugin(keys) {
+  return {
+    name: 'perf-dashboard-stmo-keys',
+    apply: 'serve',
+    configureServer(server) {
+      const configured = Object.keys(keys)
+      server.config.logger.info(configured.length > 0
+        ? `[stmo] API keys configured for: ${configured.join(', ')}`
+        : `[stmo] no API keys configured — STMO views will show an error (see ${STMO_KEYS_FILE} in the README)`)
+
+      // Registered before Vite's own middlewares, so this runs ahead of server.proxy
+      server.middlewares.use((req, res, next) => {
+        if (!req.url.startsWith('/stmo/')) return next()
+        const queryId = requestQueryId(req.url, req.headers)
+        const key = resolveStmoKey(keys, queryId)
+        if (!key) {
+          res.statusCode = 401
+          res.setHeader('Content-Type', 'application/json')
+          res.end(JSON.stringify({ message: missingKeyMessage(queryId), stmo_key_missing: true }))
+          return
+        }
+        req.headers.authorization = `Key ${key}`
+        delete req.headers[QUERY_ID_HEADER]
+        next()
+      })
+    },
+  }
+}
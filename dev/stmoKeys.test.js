@@ -0,0 +1,96 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { loadStmoKeys, requestQueryId, resolveStmoKey, stmoKeysPlugin } from './stmoKeys'
+
+// ---------------------------------------------------------------------------
+// loadStmoKeys
+// ---------------------------------------------------------------------------
+describe('loadStmoKeys', () => {
+  let dir
+  afterEach(() => dir && rmSync(dir, { recursive: true, force: true }))
+
+  const keyFile = (contents) => {
+    dir = mkdtempSync(join(tmpdir(), 'stmo-keys-'))
+    const file = join(dir, 'stmo-keys.json')
+    writeFileSync(file, JSON.stringify(contents))
+    return file
+  }
+
+  it('reads per-query and default keys from the environment', () => {
+    const keys = loadStmoKeys({ STMO_API_KEY: 'user', STMO_API_KEY_114368: 'q1', STMO_OTHER: 'x' }, '/nonexistent.json')
+    expect(keys).toEqual({ default: 'user', 114368: 'q1' })
+  })
+
+  it('reads the key file and lets the environment override it', () => {
+    const file = keyFile({ 96742: 'from-file', 114368: 'from-file', default: '' })
+    expect(loadStmoKeys({ STMO_API_KEY_114368: 'from-env' }, file)).toEqual({ 96742: 'from-file', 114368: 'from-env' })
+  })
+})
+
+// ---------------------------------------------------------------------------
+// requestQueryId / resolveStmoKey
+// ---------------------------------------------------------------------------
+describe('requestQueryId', () => {
+  it('takes the query ID from query paths', () => {
+    expect(requestQueryId('/stmo/api/queries/114368/results')).toBe('114368')
+    expect(requestQueryId('/stmo/api/queries/96742/results/5.json', { 'x-stmo-query-id': '1' })).toBe('96742')
+  })
+
+  it('falls back to the query ID header for job polls', () => {
+    expect(requestQueryId('/stmo/api/jobs/abc', { 'x-stmo-query-id': '96742' })).toBe('96742')
+    expect(requestQueryId('/stmo/api/jobs/abc')).toBeNull()
+  })
+})
+
+describe('resolveStmoKey', () => {
+  it('prefers the query key, then the default key', () => {
+    const keys = { 114368: 'q1', default: 'user' }
+    expect(resolveStmoKey(keys, '114368')).toBe('q1')
+    expect(resolveStmoKey(keys, '96742')).toBe('user')
+    expect(resolveStmoKey({ 114368: 'q1' }, '96742')).toBeNull()
+  })
+})
+
+// ---------------------------------------------------------------------------
+// stmoKeysPlugin
+// ---------------------------------------------------------------------------
+describe('stmoKeysPlugin', () => {
+  // Run the plugin's middleware against a fake request
+  function handle(keys, url, headers = {}) {
+    let middleware
+    const server = {
+      config: { logger: { info: () => {} } },
+      middlewares: { use: fn => { middleware = fn } },
+    }
+    stmoKeysPlugin(keys).configureServer(server)
+    const req = { url, headers: { ...headers } }
+    const res = { headers: {}, setHeader(name, value) { this.headers[name] = value }, end(body) { this.body = body } }
+    let passed = false
+    middleware(req, res, () => { passed = true })
+    return { req, res, passed }
+  }
+
+  it('adds the key as an Authorization header and passes the request on', () => {
+    const { req, passed } = handle({ 114368: 'q1' }, '/stmo/api/jobs/abc', { 'x-stmo-query-id': '114368' })
+    expect(passed).toBe(true)
+    expect(req.headers.authorization).toBe('Key q1')
+    expect(req.headers['x-stmo-query-id']).toBeUndefined()
+  })
+
+  it('answers 401 with an explanation when no key is configured', () => {
+    const { res, passed } = handle({}, '/stmo/api/queries/96742/results')
+    expect(passed).toBe(false)
+    expect(res.statusCode).toBe(401)
+    const body = JSON.parse(res.body)
+    expect(body.stmo_key_missing).toBe(true)
+    expect(body.message).toContain('STMO_API_KEY_96742')
+  })
+
+  it('ignores other paths', () => {
+    const { req, passed } = handle({ default: 'user' }, '/rest/bug')
+    expect(passed).toBe(true)
+    expect(req.headers.authorization).toBeUndefined()
+  })
+})
@@ -0,0 +1,351 @@
+import { useState, useEffect } from 'react'
+import { Line } from 'react-chartjs-2'
+import { fetchBenchmarkRows, fetchBenchmarkHistory, clearBenchmarkCache, getTodayDate } from '../services/redashService'
+import { isAbortError } from '../services/httpClient'
+import { compareSnapshots, isBlendedRow, snapshotDates, blendedSeries, needsBaselineSnapshot, againstBaseline } from '../utils/applinkSnapshots'
+import { useCacheFreshness } from '../utils/cacheFreshness'
+import { useBaseline } from '../utils/baseline'
+import RequestError from './RequestError'
+import StaleDataNote from './StaleDataNote'
+import StmoLoading from './StmoLoading'
+import './ApplinkBenchmarks.css'
+
+const HISTORY_OPTIONS = {
+  week: { label: 'Weekly, last 8 weeks', count: 8 },
+  month: { label: 'Monthly, last 6 months', count: 6 },
+}
+
+function formatMs(value) {
+  return value != null ? value.toFixed(0) : '—'
+}
+
+function formatPct(value) {
+  return value != null ? (value > 0 ? '+' : '') + value.toFixed(2) + '%' : '—'
+}
+
+// Lower startup time is better, so negative deltas are good
+function deltaClass(value) {
+  if (value == null) return ''
+  return value < 0 ? 'delta-negative' : value > 0 ? 'delta-positive' : ''
+}
+
+const historyChartOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  plugins: {
+    legend: { position: 'bottom' },
+    tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${formatPct(ctx.parsed.y)}` } },
+  },
+  scales: {
+    y: { ticks: { callback: (value) => `${value}%` } },
+  },
+}
+
+// Android Applink startup benchmarks (STMO query #114368) for a chosen
+// Snapshot Date, optionally side by side with a second date, plus a series
+// of past snapshots showing how the blended delta evolved. Start values and
+// deltas are measured from the dashboard baseline.
+function ApplinkBenchmarks() {
+  const today = getTodayDate()
+  const baseline = useBaseline()
+  const [snapshotDate, setSnapshotDate] = useState(today)
+  const [compareDate, setCompareDate] = useState('')
+  const [rows, setRows] = useState([])
+  const [compareRows, setCompareRows] = useState([])
+  // The snapshot taken on the baseline date; null when the query's Jan 1 start already matches it
+  const [baselineRows, setBaselineRows] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [jobState, setJobState] = useState(null)
+  const [refreshTick, setRefreshTick] = useState(0)
+
+  const [historyStep, setHistoryStep] = useState('week')
+  const [historyRequested, setHistoryRequested] = useState(false)
+  const [history, setHistory] = useState([])
+  const [historyBaselineRows, setHistoryBaselineRows] = useState(null)
+  const [historyLoading, setHistoryLoading] = useState(false)
+  const [historyProgress, setHistoryProgress] = useState(null)
+
+  const comparing = compareDate !== '' && compareDate !== snapshotDate
+
+  useEffect(() => {
+    const controller = new AbortController()
+    const { signal } = controller
+    setLoading(true)
+    setError(null)
+    setJobState(null)
+
+    Promise.all([
+      fetchBenchmarkRows(snapshotDate, {
+        onStatus: ({ state }) => { if (!signal.aborted) setJobState(state) },
+        signal,
+      }),
+      comparing ? fetchBenchmarkRows(compareDate, { signal }) : [],
+      needsBaselineSnapshot(snapshotDate, baseline.date) || (comparing && needsBaselineSnapshot(compareDate, baseline.date))
+        ? fetchBenchmarkRows(baseline.date, { signal })
+        : null,
+    ])
+      .then(([current, other, start]) => {
+        if (signal.aborted) return
+        setRows(current)
+        setCompareRows(other)
+        setBaselineRows(start)
+      })
+      .catch(err => {
+        if (signal.aborted || isAbortError(err)) return
+        setError(err)
+        console.error('Failed to fetch benchmark data:', err)
+      })
+      .finally(() => { if (!signal.aborted) setLoading(false) })
+
+    return () => controller.abort()
+  }, [snapshotDate, compareDate, baseline.date, refreshTick])
+
+  useEffect(() => {
+    if (!historyRequested) return
+    const controller = new AbortController()
+    const { signal } = controller
+    const { count } = HISTORY_OPTIONS[historyStep]
+    setHistoryLoading(true)
+    setHistoryProgress({ loaded: 0, total: count })
+
+    const dates = snapshotDates(snapshotDate, count, historyStep)
+
+    Promise.all([
+      fetchBenchmarkHistory(dates, {
+        onProgress: (progress) => { if (!signal.aborted) setHistoryProgress(progress) },
+        signal,
+      }),
+      dates.some(date => needsBaselineSnapshot(date, baseline.date)) ? fetchBenchmarkRows(baseline.date, { signal }) : null,
+    ])
+      .then(([snapshots, start]) => {
+        if (signal.aborted) return
+        setHistory(snapshots)
+        setHistoryBaselineRows(start)
+      })
+      .catch(err => { if (!isAbortError(err)) console.error('Failed to fetch benchmark history:', err) })
+      .finally(() => { if (!signal.aborted) setHistoryLoading(false) })
+
+    return () => controller.abort()
+  }, [historyRequested, historyStep, snapshotDate, baseline.date])
+
+  const handleRefresh = () => {
+    clearBenchmarkCache(snapshotDate)
+    if (comparing) clearBenchmarkCache(compareDate)
+    if (baselineRows) clearBenchmarkCache(baseline.date)
+    setRefreshTick(t => t + 1)
+  }
+
+  const freshness = useCacheFreshness([rows, compareRows, baselineRows], () => setRefreshTick(t => t + 1))
+
+  const shownRows = againstBaseline(rows, snapshotDate, baseline.date, baselineRows)
+  const shownCompareRows = againstBaseline(compareRows, compareDate, baseline.date, baselineRows)
+  const series = blendedSeries(history.map(snapshot => snapshot.rows
+    ? { ...snapshot, rows: againstBaseline(snapshot.rows, snapshot.snapshotDate, baseline.date, historyBaselineRows) }
+    : snapshot))
+  const failedSnapshots = history.filter(snapshot => snapshot.error)
+  const historyData = {
+    labels: series.map(point => point.snapshotDate),
+    datasets: [
+      {
+        label: `Blended Fx delta ${baseline.short}`,
+        data: series.map(point => point.deltaYtd),
+        borderColor: 'rgb(102, 126, 234)',
+        backgroundColor: 'rgba(102, 126, 234, 0.15)',
+        tension: 0.3,
+        pointRadius: 3,
+      },
+      {
+        label: 'Blended Fx vs Chrome',
+        data: series.map(point => point.vsChrome),
+        borderColor: 'rgb(251, 146, 60)',
+        backgroundColor: 'rgba(251, 146, 60, 0.15)',
+        tension: 0.3,
+        pointRadius: 3,
+      },
+    ],
+  }
+
+  return (
+    <div className="chart-card benchmark-card">
+      <div className="perf-impact-header">
+        <h3>Android Applink Startup — Platform Benchmarks</h3>
+        <div className="perf-impact-controls">
+          <div className="perf-impact-filter">
+            <label htmlFor="applink-date">Snapshot:</label>
+            <input
+              id="applink-date"
+              type="date"
+              value={snapshotDate}
+              max={today}
+              onChange={(e) => setSnapshotDate(e.target.value || today)}
+            />
+          </div>
+          <div className="perf-impact-filter">
+            <label htmlFor="applink-compare">Compare with:</label>
+            <input
+              id="applink-compare"
+              type="date"
+              value={compareDate}
+              max={today}
+              onChange={(e) => setCompareDate(e.target.value)}
+            />
+            {compareDate && (
+              <button className="applink-clear-date" onClick={() => setCompareDate('')} title="Stop comparing">✕</button>
+            )}
+            {compareDate !== baseline.date && baseline.date < snapshotDate && (
+              <button
+                className="applink-baseline-date"
+                onClick={() => setCompareDate(baseline.date)}
+                title={`Compare with the dashboard baseline, ${baseline.label}`}
+              >
+                Baseline
+              </button>
+            )}
+          </div>
+          <button className="refresh-button" onClick={handleRefresh} disabled={loading} title="Reload data from STMO">
+            ↻ Refresh
+          </button>
+        </div>
+      </div>
+      <p className="chart-subtitle">
+        Source: STMO query #114368 — values in milliseconds; Start values and deltas run from {baseline.label}
+      </p>
+      {!loading && !error && baselineRows?.length === 0 && (
+        <p className="chart-subtitle">STMO returned no rows for the baseline date {baseline.date}, so Start values and deltas are unavailable.</p>
+      )}
+      <StaleDataNote freshness={freshness} />
+
+      {loading && <StmoLoading jobState={jobState} what="benchmark data" />}
+
+      {error && !loading && (
+        <RequestError error={error} context="Error loading benchmarks" />
+      )}
+
+      {!loading && !error && rows.length > 0 && !comparing && (
+        <div className="benchmark-table-wrapper">
+          <table className="benchmark-table">
+            <thead>
+              <tr>
+                <th>Platform</th>
+                <th>Weight</th>
+                <th>Fx Start</th>
+                <th>Fx Current</th>
+                <th>Fx Delta {baseline.short}</th>
+                <th>Chrome Start</th>
+                <th>Chrome Current</th>
+                <th>Fx vs Chrome Start</th>
+                <th>Fx vs Chrome Current</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shownRows.map((row, i) => (
+                <tr key={i} className={isBlendedRow(row) ? 'benchmark-row-total' : ''}>
+                  <td className="benchmark-platform">{row.platform_label}</td>
+                  <td className="benchmark-num">{row.platform_weight != null ? row.platform_weight : '—'}</td>
+                  <td className="benchmark-num">{formatMs(row.start_value)}</td>
+                  <td className="benchmark-num">{formatMs(row.current_value)}</td>
+                  <td className={`benchmark-num ${deltaClass(row.delta_ytd)}`}>{formatPct(row.delta_ytd)}</td>
+                  <td className="benchmark-num">{formatMs(row.start_value_chrome)}</td>
+                  <td className="benchmark-num">{formatMs(row.current_value_chrome)}</td>
+                  <td className={`benchmark-num ${deltaClass(row.delta_ytd_chrome)}`}>{formatPct(row.delta_ytd_chrome)}</td>
+                  <td className={`benchmark-num ${deltaClass(row.delta_to_chrome_ytd)}`}>{formatPct(row.delta_to_chrome_ytd)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {!loading && !error && rows.length > 0 && comparing && (
+        <div className="benchmark-table-wrapper">
+          <table className="benchmark-table">
+            <thead>
+              <tr>
+                <th rowSpan={2}>Platform</th>
+                <th colSpan={3}>Fx Current</th>
+                <th colSpan={2}>Fx Delta {baseline.short}</th>
+                <th colSpan={2}>Fx vs Chrome</th>
+              </tr>
+              <tr>
+                <th>{compareDate}</th>
+                <th>{snapshotDate}</th>
+                <th>Change</th>
+                <th>{compareDate}</th>
+                <th>{snapshotDate}</th>
+                <th>{compareDate}</th>
+                <th>{snapshotDate}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {compareSnapshots(shownRows, shownCompareRows).map(row => (
+                <tr key={row.platform} className={row.isTotal ? 'benchmark-row-total' : ''}>
+                  <td className="benchmark-platform">{row.platform}</td>
+                  <td className="benchmark-num">{formatMs(row.compareCurrent)}</td>
+                  <td className="benchmark-num">{formatMs(row.current)}</td>
+                  <td className={`benchmark-num ${deltaClass(row.change)}`}>{formatPct(row.change)}</td>
+                  <td className={`benchmark-num ${deltaClass(row.compareDeltaYtd)}`}>{formatPct(row.compareDeltaYtd)}</td>
+                  <td className={`benchmark-num ${deltaClass(row.deltaYtd)}`}>{formatPct(row.deltaYtd)}</td>
+                  <td className={`benchmark-num ${deltaClass(row.compareVsChrome)}`}>{formatPct(row.compareVsChrome)}</td>
+                  <td className={`benchmark-num ${deltaClass(row.vsChrome)}`}>{formatPct(row.vsChrome)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {compareRows.length === 0 && (
+            <p className="chart-subtitle">STMO returned no rows for {compareDate}.</p>
+          )}
+        </div>
+      )}
+
+      {!loading && !error && rows.length === 0 && (
+        <div className="query-placeholder">
+          <p>No benchmark data for {snapshotDate}. Pick another snapshot date or click Refresh.</p>
+        </div>
+      )}
+
+      <div className="applink-history">
+        <div className="applink-history-header">
+          <h4>Blended delta over time</h4>
+          <div className="perf-impact-filter">
+            <select value={historyStep} onChange={(e) => setHistoryStep(e.target.value)} aria-label="History range">
+              {Object.entries(HISTORY_OPTIONS).map(([step, { label }]) => <option key={step} value={step}>{label}</option>)}
+            </select>
+            {!historyRequested && (
+              <button className="refresh-button" onClick={() => setHistoryRequested(true)} title="Query STMO for each past snapshot date">
+                Load history
+              </button>
+            )}
+          </div>
+        </div>
+
+        {!historyRequested && (
+          <p className="chart-subtitle">
+            Runs query #114368 once per snapshot date ending {snapshotDate}; uncached dates can take a while.
+          </p>
+        )}
+
+        {historyLoading && historyProgress && (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loaded {historyProgress.loaded} of {historyProgress.total} snapshots…</p>
+          </div>
+        )}
+
+        {!historyLoading && historyRequested && series.length > 0 && (
+          <div className="applink-history-chart">
+            <Line data={historyData} options={historyChartOptions} />
+          </div>
+        )}
+
+        {!historyLoading && failedSnapshots.length > 0 && (
+          <p className="chart-subtitle">
+            Could not load {failedSnapshots.map(snapshot => snapshot.snapshotDate).join(', ')}: {failedSnapshots[0].error.message}
+          </p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ApplinkBenchmarks
@@ -0,0 +1,199 @@
+import { useState, useEffect } from 'react'
+import { fetchBugsByPerformanceImpact, fetchComponentPriorityBugs, clearPerformanceImpactCache, clearComponentPriorityCache } from '../services/bugzillaService'
+import { isAbortError } from '../services/httpClient'
+import { useComponentGroups } from '../utils/componentGroups'
+import { IMPACT_LEVELS, mergeBugLists, summarizeWorkload } from '../utils/workload'
+import { useCacheFreshness } from '../utils/cacheFreshness'
+import BugTable from './BugTable'
+import RequestError from './RequestError'
+import StaleDataNote from './StaleDataNote'
+import './AssigneeWorkload.css'
+
+const SORTS = {
+  total: { label: 'Most bugs', compare: (a, b) => b.total - a.total },
+  high: { label: 'Most high impact', compare: (a, b) => b.impact.high - a.impact.high || b.total - a.total },
+  score: { label: 'Highest avg score', compare: (a, b) => b.avgScore - a.avgScore },
+  stale: { label: 'Most stale', compare: (a, b) => b.staleCount - a.staleCount || b.total - a.total },
+  oldest: { label: 'Oldest untouched', compare: (a, b) => (a.oldest?.last_change_time || '').localeCompare(b.oldest?.last_change_time || '') },
+}
+
+function daysSince(iso) {
+  return Math.floor((Date.now() - new Date(iso).getTime()) / (24 * 60 * 60 * 1000))
+}
+
+// Open perf-impact and component-priority bugs grouped by assignee, so
+// overloaded engineers and unowned hot spots stand out.
+function AssigneeWorkload({ onAddToPriority }) {
+  const groups = useComponentGroups()
+  const [bugs, setBugs] = useState([])
+  // Cached results behind bugs, kept to track their freshness
+  const [sources, setSources] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [refreshTick, setRefreshTick] = useState(0)
+  const [sortBy, setSortBy] = useState('total')
+  const [expanded, setExpanded] = useState(null)
+
+  useEffect(() => {
+    const controller = new AbortController()
+    const { signal } = controller
+    setLoading(true)
+    setError(null)
+
+    // Shares the perf-impact and component-priority caches with the other views
+    const perfImpact = Promise.all(IMPACT_LEVELS.map(level => fetchBugsByPerformanceImpact(level, {}, true, { signal })))
+    const componentPriorities = Promise.all(groups.map(g => fetchComponentPriorityBugs(g.key, true, { signal })))
+
+    Promise.all([perfImpact, componentPriorities])
+      .then(([impactResults, groupLists]) => {
+        if (signal.aborted) return
+        // The search does not return cf_performance_impact, but the level is known
+        const impactLists = impactResults.map(({ bugs }, i) => bugs.map(bug => ({ ...bug, cf_performance_impact: IMPACT_LEVELS[i] })))
+        setSources([...impactResults, ...groupLists])
+        setBugs(mergeBugLists(...impactLists, ...groupLists))
+      })
+      .catch(err => { if (!signal.aborted && !isAbortError(err)) setError(err) })
+      .finally(() => { if (!signal.aborted) setLoading(false) })
+
+    return () => controller.abort()
+  }, [groups, refreshTick])
+
+  const handleRefresh = () => {
+    clearPerformanceImpactCache()
+    clearComponentPriorityCache()
+    setRefreshTick(t => t + 1)
+  }
+
+  const freshness = useCacheFreshness(sources, () => setRefreshTick(t => t + 1))
+
+  const rows = summarizeWorkload(bugs)
+  // Unowned bugs stay pinned to the top whatever the sort
+  const sortedRows = [
+    ...rows.filter(r => r.unassigned),
+    ...rows.filter(r => !r.unassigned).sort(SORTS[sortBy].compare),
+  ]
+  const maxTotal = Math.max(1, ...rows.filter(r => !r.unassigned).map(r => r.total))
+  const assignedCount = rows.filter(r => !r.unassigned).length
+
+  return (
+    <div className="wl-container">
+      <div className="perf-impact-header">
+        <h2>Assignee Workload</h2>
+        <div className="perf-impact-controls">
+          <div className="perf-impact-filter">
+            <label htmlFor="wl-sort">Sort:</label>
+            <select id="wl-sort" value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+              {Object.entries(SORTS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </div>
+          <button className="refresh-button" onClick={handleRefresh} disabled={loading} title="Clear cache and refresh">
+            ↻ Refresh
+          </button>
+        </div>
+      </div>
+      <p className="section-description">
+        Open performance-impact and Perf Priorities bugs grouped by assignee. Click a row to list its bugs.
+      </p>
+
+      {loading && (
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <p>Loading bugs for {groups.length} component groups and every impact level…</p>
+        </div>
+      )}
+
+      {!loading && <RequestError error={error} context="Failed to load workload" />}
+      <StaleDataNote freshness={freshness} />
+
+      {!loading && !error && (
+        <>
+          <div className="wl-summary">
+            {bugs.length} bugs across {assignedCount} assignee{assignedCount !== 1 ? 's' : ''}
+            {rows.some(r => r.unassigned) && `, ${rows.find(r => r.unassigned).total} unassigned`}
+          </div>
+          <div className="wl-table-wrapper">
+            <table className="wl-table">
+              <thead>
+                <tr>
+                  <th>Assignee</th>
+                  <th>Bugs</th>
+                  <th>High</th>
+                  <th>Med</th>
+                  <th>Low</th>
+                  <th title="No or other cf_performance_impact">Other</th>
+                  <th title="Average priority score">Avg Score</th>
+                  <th title="Bugs with no activity in over 6 months">Stale</th>
+                  <th>Oldest Untouched</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sortedRows.map(row => (
+                  <WorkloadRow
+                    key={row.key}
+                    row={row}
+                    maxTotal={maxTotal}
+                    expanded={expanded === row.key}
+                    onToggle={() => setExpanded(expanded === row.key ? null : row.key)}
+                    onAddToPriority={onAddToPriority}
+                  />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+function WorkloadRow({ row, maxTotal, expanded, onToggle, onAddToPriority }) {
+  const oldestDays = row.oldest ? daysSince(row.oldest.last_change_time) : null
+  return (
+    <>
+      <tr className={`wl-row${row.unassigned ? ' wl-row--unassigned' : ''}${expanded ? ' wl-row--expanded' : ''}`} onClick={onToggle}>
+        <td className="wl-assignee">
+          <span className="wl-toggle">{expanded ? '▾' : '▸'}</span>
+          <span className="wl-name" title={row.email || undefined}>{row.name}</span>
+        </td>
+        <td className="wl-total">
+          <span className="wl-total-num">{row.total}</span>
+          {!row.unassigned && <span className="wl-bar" style={{ width: `${(row.total / maxTotal) * 100}%` }} />}
+        </td>
+        <td className={`wl-num${row.impact.high ? ' wl-num--high' : ''}`}>{row.impact.high || '—'}</td>
+        <td className="wl-num">{row.impact.medium || '—'}</td>
+        <td className="wl-num">{row.impact.low || '—'}</td>
+        <td className="wl-num">{row.impact.other || '—'}</td>
+        <td className="wl-num">{row.avgScore.toFixed(1)}</td>
+        <td className={`wl-num${row.staleCount ? ' wl-num--stale' : ''}`}>{row.staleCount || '—'}</td>
+        <td className="wl-oldest">
+          {row.oldest && (
+            <>
+              <a
+                href={`https://bugzilla.mozilla.org/show_bug.cgi?id=${row.oldest.id}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                title={row.oldest.summary}
+                onClick={(e) => e.stopPropagation()}
+              >
+                {row.oldest.id}
+              </a>
+              <span className="wl-age">{oldestDays}d</span>
+            </>
+          )}
+        </td>
+      </tr>
+      {expanded && (
+        <tr className="wl-detail-row">
+          <td colSpan={9}>
+            <BugTable
+              bugs={row.bugs}
+              onAddToPriority={onAddToPriority && (id => onAddToPriority(row.bugs.find(b => b.id === id) || { id }))}
+            />
+          </td>
+        </tr>
+      )}
+    </>
+  )
+}
+
+export default AssigneeWorkload
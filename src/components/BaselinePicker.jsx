@@ -0,0 +1,50 @@
+import { BASELINE_KINDS, shippedReleases, resolveBaseline, saveBaseline, useBaselineSetting } from '../utils/baseline'
+import './BaselinePicker.css'
+
+// Global baseline control for the benchmark tables and Overview tiles
+// (see utils/baseline.js). Changes apply everywhere immediately.
+function BaselinePicker() {
+  const setting = useBaselineSetting()
+  const baseline = resolveBaseline(setting)
+  const releases = shippedReleases()
+
+  const selectKind = (kind) => {
+    if (kind === 'release') saveBaseline({ kind, version: releases[0].version })
+    else if (kind === 'custom') saveBaseline({ kind, date: baseline.date })
+    else saveBaseline({ kind })
+  }
+
+  return (
+    <div className="baseline-picker">
+      <label htmlFor="baseline-kind">Baseline:</label>
+      <select id="baseline-kind" value={setting.kind} onChange={(e) => selectKind(e.target.value)}>
+        {Object.entries(BASELINE_KINDS).map(([kind, label]) => (
+          <option key={kind} value={kind}>{label}</option>
+        ))}
+      </select>
+      {setting.kind === 'release' && (
+        <select
+          aria-label="Firefox release"
+          value={setting.version}
+          onChange={(e) => saveBaseline({ kind: 'release', version: e.target.value })}
+        >
+          {releases.map(r => <option key={r.version} value={r.version}>Firefox {r.version} ({r.date})</option>)}
+        </select>
+      )}
+      {setting.kind === 'custom' && (
+        <input
+          type="date"
+          aria-label="Baseline date"
+          value={setting.date}
+          max={new Date().toISOString().split('T')[0]}
+          onChange={(e) => { if (e.target.value) saveBaseline({ kind: 'custom', date: e.target.value }) }}
+        />
+      )}
+      <span className="baseline-picker-resolved">
+        Start values use the data point nearest {baseline.label}
+      </span>
+    </div>
+  )
+}
+
+export default BaselinePicker
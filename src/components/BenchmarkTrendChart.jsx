@@ -0,0 +1,119 @@
+import { Line } from 'react-chartjs-2'
+import { sharedTimeRange, baselinePosition } from '../utils/benchmarkSummary'
+import './BenchmarkTrendChart.css'
+
+const FIREFOX_COLOR = 'rgb(255, 127, 80)'
+const COMPETITOR_COLOR = 'rgb(96, 165, 250)'
+const BASELINE_COLOR = 'rgb(148, 163, 184)'
+
+function formatDate(ms, withYear = false) {
+  return new Date(ms).toLocaleDateString('en-US', { month: 'short', day: 'numeric', ...(withYear && { year: 'numeric' }), timeZone: 'UTC' })
+}
+
+// Dashed vertical line at options.plugins.baselineMarker.value (epoch ms)
+const baselineMarker = {
+  id: 'baselineMarker',
+  afterDatasetsDraw(chart, args, { value, label }) {
+    if (value == null) return
+    const { ctx, chartArea, scales } = chart
+    const x = scales.x.getPixelForValue(value)
+    const onLeft = x < chartArea.left + chartArea.width / 2
+    ctx.save()
+    ctx.strokeStyle = BASELINE_COLOR
+    ctx.fillStyle = BASELINE_COLOR
+    ctx.setLineDash([4, 4])
+    ctx.beginPath()
+    ctx.moveTo(x, chartArea.top)
+    ctx.lineTo(x, chartArea.bottom)
+    ctx.stroke()
+    ctx.font = '11px sans-serif'
+    ctx.textAlign = onLeft ? 'left' : 'right'
+    ctx.fillText(label, x + (onLeft ? 4 : -4), chartArea.top + 10)
+    ctx.restore()
+  },
+}
+
+const CHART_PLUGINS = [baselineMarker]
+
+function seriesDataset(label, points, color) {
+  return {
+    label,
+    data: points.map(point => ({ x: point.date.getTime(), y: point.value })),
+    borderColor: color,
+    backgroundColor: color,
+    borderWidth: 1.5,
+    pointRadius: 0,
+    pointHoverRadius: 3,
+    tension: 0.2,
+  }
+}
+
+// One small Line chart per platform of Firefox vs its competitor, on a
+// shared time axis, with the dashboard baseline marked.
+function BenchmarkTrendChart({ platforms, baseline, compLabel }) {
+  const range = sharedTimeRange(platforms)
+  if (!range) return null
+  const marker = baselinePosition(range, baseline.date)
+  const markerLabel = marker.inRange ? 'Baseline' : `◂ Baseline ${formatDate(Date.parse(baseline.date), true)}`
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    interaction: { mode: 'nearest', axis: 'x', intersect: false },
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          title: (items) => formatDate(items[0].parsed.x, true),
+          label: (ctx) => `${ctx.dataset.label}: ${ctx.parsed.y.toFixed(2)}`,
+        },
+      },
+      baselineMarker: { value: marker.value, label: markerLabel },
+    },
+    scales: {
+      x: {
+        type: 'linear',
+        min: range.min,
+        max: range.max,
+        ticks: { maxTicksLimit: 5, callback: (value) => formatDate(value) },
+      },
+      y: { ticks: { maxTicksLimit: 5 } },
+    },
+  }
+
+  return (
+    <div className="benchmark-trend">
+      <div className="benchmark-trend-legend">
+        <span><i style={{ background: FIREFOX_COLOR }} />Firefox</span>
+        <span><i style={{ background: COMPETITOR_COLOR }} />{compLabel}</span>
+        <span><i className="benchmark-trend-dash" />Baseline, {baseline.label}</span>
+      </div>
+      <div className="benchmark-trend-grid">
+        {platforms.map(p => (
+          <div key={p.osKey} className="benchmark-trend-panel">
+            <h4>{p.label}</h4>
+            {p.fxPoints.length === 0 && p.competitorPoints.length === 0 ? (
+              <p className="chart-subtitle">No data</p>
+            ) : (
+              <div className="benchmark-trend-canvas">
+                <Line
+                  data={{ datasets: [seriesDataset('Firefox', p.fxPoints, FIREFOX_COLOR), seriesDataset(compLabel, p.competitorPoints, COMPETITOR_COLOR)] }}
+                  options={options}
+                  plugins={CHART_PLUGINS}
+                />
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      {!marker.inRange && (
+        <p className="chart-subtitle">
+          The baseline is before the {Math.round((range.max - range.min) / 86400000)} days shown; start values use the earliest points.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default BenchmarkTrendChart
@@ -0,0 +1,215 @@
+import { useState, useEffect } from 'react'
+import { fetchBugDetail, fetchBugComments, fetchBugsByIds } from '../services/bugzillaService'
+import { getNeedinfoRequests } from '../utils/bugAnalysis'
+import BugHistoryPanel from './BugHistoryPanel'
+import RequestError from './RequestError'
+import './BugDetailDrawer.css'
+
+const RECENT_COMMENT_COUNT = 5
+const MAX_LINKED_BUGS = 50
+
+function formatDateTime(iso) {
+  return new Date(iso).toLocaleString('en-US', {
+    year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+  })
+}
+
+function isClosedStatus(status) {
+  return status === 'RESOLVED' || status === 'VERIFIED' || status === 'CLOSED'
+}
+
+function bugUrl(id) {
+  return `https://bugzilla.mozilla.org/show_bug.cgi?id=${id}`
+}
+
+// Side drawer with a bug's description, recent comments, needinfo flags and
+// links, so investigations don't require leaving the dashboard.
+function BugDetailDrawer({ bug, onClose }) {
+  const [detail, setDetail] = useState(null)
+  const [comments, setComments] = useState([])
+  const [linkedBugs, setLinkedBugs] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [showHistory, setShowHistory] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    setError(null)
+    setDetail(null)
+    setComments([])
+    setLinkedBugs({})
+
+    async function loadDetail() {
+      try {
+        const [fetchedDetail, fetchedComments] = await Promise.all([
+          fetchBugDetail(bug.id),
+          fetchBugComments(bug.id),
+        ])
+        if (cancelled) return
+        setDetail(fetchedDetail)
+        setComments(fetchedComments)
+        setLoading(false)
+
+        // Linked bug summaries are a nice-to-have; failures leave plain IDs
+        const linkedIds = [...new Set([...(fetchedDetail?.depends_on || []), ...(fetchedDetail?.blocks || [])])]
+          .slice(0, MAX_LINKED_BUGS)
+        if (linkedIds.length === 0) return
+        const linked = await fetchBugsByIds(linkedIds).catch(() => [])
+        if (!cancelled) setLinkedBugs(Object.fromEntries(linked.map(b => [b.id, b])))
+      } catch (err) {
+        if (!cancelled) {
+          setError(err)
+          setLoading(false)
+        }
+      }
+    }
+
+    loadDetail()
+    return () => { cancelled = true }
+  }, [bug.id])
+
+  useEffect(() => {
+    if (showHistory) return
+    const handleKeyDown = (e) => e.key === 'Escape' && onClose()
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [onClose, showHistory])
+
+  const data = detail || bug
+  const description = comments.find(c => c.count === 0)
+  const recentComments = comments.filter(c => c.count !== 0).slice(-RECENT_COMMENT_COUNT).reverse()
+  const needinfos = detail ? getNeedinfoRequests(detail) : []
+  const assignee = data.assigned_to_detail?.real_name || data.assigned_to || ''
+  const isUnassigned = !data.assigned_to || data.assigned_to.includes('nobody@mozilla.org')
+
+  const renderLinkedList = (ids) => (
+    <ul className="bug-drawer-links">
+      {ids.map(id => {
+        const linked = linkedBugs[id]
+        return (
+          <li key={id} className={linked && isClosedStatus(linked.status) ? 'bug-drawer-link--closed' : ''}>
+            <a href={bugUrl(id)} target="_blank" rel="noopener noreferrer">{id}</a>
+            {linked && <span className="bug-drawer-link-status">{linked.status}</span>}
+            {linked && <span className="bug-drawer-link-summary">{linked.summary}</span>}
+          </li>
+        )
+      })}
+    </ul>
+  )
+
+  return (
+    <div className="bug-drawer-overlay" onClick={onClose}>
+      <aside className="bug-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="bug-drawer-header">
+          <div>
+            <a className="bug-drawer-id" href={bugUrl(bug.id)} target="_blank" rel="noopener noreferrer">Bug {bug.id} ↗</a>
+            <h3>{data.summary}</h3>
+          </div>
+          <button className="bug-drawer-close" onClick={onClose} title="Close">×</button>
+        </div>
+
+        <dl className="bug-drawer-fields">
+          <dt>Status</dt><dd>{data.status}{data.resolution ? ` ${data.resolution}` : ''}</dd>
+          <dt>Component</dt><dd>{data.product} :: {data.component}</dd>
+          <dt>Severity</dt><dd>{data.severity || '--'}</dd>
+          <dt>Priority</dt><dd>{data.priority || '--'}</dd>
+          <dt>Perf Impact</dt><dd>{data.cf_performance_impact || '---'}</dd>
+          <dt>Assignee</dt><dd className={isUnassigned ? 'bug-drawer-unassigned' : ''}>{isUnassigned ? 'Unassigned' : assignee}</dd>
+          {detail?.whiteboard && <><dt>Whiteboard</dt><dd>{detail.whiteboard}</dd></>}
+          {detail?.keywords?.length > 0 && <><dt>Keywords</dt><dd>{detail.keywords.join(', ')}</dd></>}
+        </dl>
+
+        <button className="meta-bug-link bug-drawer-history-btn" onClick={() => setShowHistory(true)}>
+          ⏱ Change history
+        </button>
+
+        {loading && (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading bug details…</p>
+          </div>
+        )}
+
+        {!loading && <RequestError error={error} context="Failed to load bug details" />}
+
+        {!loading && !error && detail && (
+          <>
+            {needinfos.length > 0 && (
+              <section className="bug-drawer-section">
+                <h4>Needinfo ({needinfos.length})</h4>
+                <ul className="bug-drawer-needinfos">
+                  {needinfos.map((ni, i) => (
+                    <li key={i}>
+                      <strong>{ni.requestee || 'anyone'}</strong>
+                      {ni.setter && <> requested by {ni.setter}</>}
+                      {ni.since && <> on {formatDateTime(ni.since)}</>}
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+
+            {description && (
+              <section className="bug-drawer-section">
+                <h4>Description</h4>
+                <div className="bug-drawer-comment">
+                  <div className="bug-drawer-comment-meta">{description.author} — {formatDateTime(description.creation_time)}</div>
+                  <pre className="bug-drawer-comment-text">{description.text || '(empty)'}</pre>
+                </div>
+              </section>
+            )}
+
+            {recentComments.length > 0 && (
+              <section className="bug-drawer-section">
+                <h4>Recent Comments ({recentComments.length} of {comments.length - (description ? 1 : 0)})</h4>
+                {recentComments.map(c => (
+                  <div key={c.id} className="bug-drawer-comment">
+                    <div className="bug-drawer-comment-meta">
+                      <a href={`${bugUrl(bug.id)}#c${c.count}`} target="_blank" rel="noopener noreferrer">#{c.count}</a>
+                      {' '}{c.author} — {formatDateTime(c.creation_time)}
+                    </div>
+                    <pre className="bug-drawer-comment-text">{c.text}</pre>
+                  </div>
+                ))}
+              </section>
+            )}
+
+            {detail.depends_on?.length > 0 && (
+              <section className="bug-drawer-section">
+                <h4>Depends on ({detail.depends_on.length})</h4>
+                {renderLinkedList(detail.depends_on)}
+              </section>
+            )}
+
+            {detail.blocks?.length > 0 && (
+              <section className="bug-drawer-section">
+                <h4>Blocks ({detail.blocks.length})</h4>
+                {renderLinkedList(detail.blocks)}
+              </section>
+            )}
+
+            {detail.see_also?.length > 0 && (
+              <section className="bug-drawer-section">
+                <h4>See Also ({detail.see_also.length})</h4>
+                <ul className="bug-drawer-links">
+                  {detail.see_also.map(link => (
+                    <li key={link}><a href={link} target="_blank" rel="noopener noreferrer">{link}</a></li>
+                  ))}
+                </ul>
+              </section>
+            )}
+          </>
+        )}
+      </aside>
+
+      {showHistory && (
+        <div onClick={(e) => e.stopPropagation()}>
+          <BugHistoryPanel bug={data} onClose={() => setShowHistory(false)} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BugDetailDrawer
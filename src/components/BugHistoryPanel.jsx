@@ -0,0 +1,134 @@
+import { useState, useEffect } from 'react'
+import { fetchBugHistory } from '../services/bugzillaService'
+import { HISTORY_FIELDS, getTriageTimeline, findLastChange } from '../utils/bugHistory'
+import RequestError from './RequestError'
+import './BugHistoryPanel.css'
+
+function formatDateTime(iso) {
+  return new Date(iso).toLocaleString('en-US', {
+    year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+  })
+}
+
+function displayValue(change, value) {
+  if (value == null) return change.field === 'assigned_to' ? 'Unassigned' : '—'
+  return value
+}
+
+// Side panel showing when severity, priority, perf impact, assignee and status
+// changed on a bug, and who changed them.
+function BugHistoryPanel({ bug, onClose }) {
+  const [history, setHistory] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [selectedFields, setSelectedFields] = useState(HISTORY_FIELDS.map(f => f.key))
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    setError(null)
+    fetchBugHistory(bug.id)
+      .then(data => { if (!cancelled) setHistory(data) })
+      .catch(err => { if (!cancelled) setError(err) })
+      .finally(() => { if (!cancelled) setLoading(false) })
+    return () => { cancelled = true }
+  }, [bug.id])
+
+  useEffect(() => {
+    const handleKeyDown = (e) => e.key === 'Escape' && onClose()
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const toggleField = (key) =>
+    setSelectedFields(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key])
+
+  const timeline = getTriageTimeline(history, selectedFields)
+  const fullTimeline = getTriageTimeline(history)
+  const lastPriority = findLastChange(fullTimeline, 'priority')
+  const lastOwnerLoss = findLastChange(fullTimeline, 'assigned_to', null)
+
+  return (
+    <div className="bug-history-overlay" onClick={onClose}>
+      <aside className="bug-history-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="bug-history-header">
+          <div>
+            <h3>Change History — Bug {bug.id}</h3>
+            {bug.summary && <p className="bug-history-summary">{bug.summary}</p>}
+          </div>
+          <button className="bug-history-close" onClick={onClose} title="Close">×</button>
+        </div>
+
+        <div className="bug-history-fields">
+          {HISTORY_FIELDS.map(f => (
+            <button
+              key={f.key}
+              className={`bug-history-field-pill${selectedFields.includes(f.key) ? ' active' : ''}`}
+              onClick={() => toggleField(f.key)}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+
+        {loading && (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading history…</p>
+          </div>
+        )}
+
+        {!loading && <RequestError error={error} context="Failed to load history" />}
+
+        {!loading && !error && (
+          <>
+            {(lastPriority || lastOwnerLoss) && (
+              <ul className="bug-history-highlights">
+                {lastPriority && (
+                  <li>Priority last set to <strong>{displayValue({ field: 'priority' }, lastPriority.added)}</strong> on {formatDateTime(lastPriority.when)} by {lastPriority.who}</li>
+                )}
+                {lastOwnerLoss && (
+                  <li>Lost its owner on {formatDateTime(lastOwnerLoss.when)} by {lastOwnerLoss.who}</li>
+                )}
+              </ul>
+            )}
+
+            {timeline.length === 0 ? (
+              <div className="query-placeholder"><p>No changes to the selected fields.</p></div>
+            ) : (
+              <ol className="bug-history-timeline">
+                {[...timeline].reverse().map((entry, i) => (
+                  <li key={`${entry.when}-${i}`} className="bug-history-entry">
+                    <div className="bug-history-meta">
+                      <span className="bug-history-when">{formatDateTime(entry.when)}</span>
+                      <span className="bug-history-who">{entry.who}</span>
+                    </div>
+                    {entry.changes.map((change, j) => (
+                      <div key={j} className="bug-history-change">
+                        <span className="bug-history-label">{change.label}</span>
+                        <span className="bug-history-removed">{displayValue(change, change.removed)}</span>
+                        <span className="bug-history-arrow">→</span>
+                        <span className="bug-history-added">{displayValue(change, change.added)}</span>
+                      </div>
+                    ))}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </>
+        )}
+
+        <a
+          className="meta-bug-link bug-history-link"
+          href={`https://bugzilla.mozilla.org/show_activity.cgi?id=${bug.id}`}
+          target="_blank"
+          rel="noopener noreferrer"
+        >
+          Full activity log on Bugzilla ↗
+        </a>
+      </aside>
+    </div>
+  )
+}
+
+export default BugHistoryPanel
@@ -1,10 +1,24 @@
 import { useState } from 'react'
+import BugHistoryPanel from './BugHistoryPanel'
+import BugDetailDrawer from './BugDetailDrawer'
+import BugTriageDialog from './BugTriageDialog'
+import PatchStatus from './PatchStatus'
+import { useBugTriage } from '../utils/triageActions'
+import { useBugAttachments } from '../utils/bugAttachments'
 import './BugTable.css'
 
-function BugTable({ bugs, bugTags, onAddTag, onRemoveTag, onRemoveBug, onAddToPriority }) {
+function BugTable({ bugs: sourceBugs, bugTags, onAddTag, onRemoveTag, onRemoveBug, onAddToPriority }) {
   const [currentPage, setCurrentPage] = useState(1)
   const [itemsPerPage, setItemsPerPage] = useState(25)
   const [tagInputs, setTagInputs] = useState({})
+  const [historyBug, setHistoryBug] = useState(null)
+  const [detailBug, setDetailBug] = useState(null)
+  const [triageBug, setTriageBug] = useState(null)
+  const { withTriage, submitTriage, triageError, clearTriageError } = useBugTriage()
+  // Apply pending triage edits optimistically
+  const bugs = sourceBugs && withTriage(sourceBugs)
+  // Attachments are only loaded for the page being shown
+  const withAttachments = useBugAttachments((bugs || []).slice((currentPage - 1) * itemsPerPage, currentPage * itemsPerPage))
 
   const handleTagInputChange = (bugId, value) => {
     const cleaned = value.replace(/[^a-zA-Z0-9]/g, '').slice(0, 15)
@@ -30,7 +44,7 @@ function BugTable({ bugs, bugTags, onAddTag, onRemoveTag, onRemoveBug, onAddToPr
   const totalPages = Math.ceil(bugs.length / itemsPerPage)
   const startIndex = (currentPage - 1) * itemsPerPage
   const endIndex = startIndex + itemsPerPage
-  const currentBugs = bugs.slice(startIndex, endIndex)
+  const currentBugs = withAttachments(bugs.slice(startIndex, endIndex))
 
   // Reset to page 1 if current page is out of bounds
   if (currentPage > totalPages && totalPages > 0) {
@@ -56,6 +70,12 @@ function BugTable({ bugs, bugTags, onAddTag, onRemoveTag, onRemoveBug, onAddToPr
     })
   }
 
+  // Open the detail drawer unless the click landed on a control inside the row
+  const handleRowClick = (e, bug) => {
+    if (e.target.closest('a, button, input, select')) return
+    setDetailBug(bug)
+  }
+
   const getSeverityClass = (severity) => {
     const severityMap = {
       'S1': 'severity-critical',
@@ -78,6 +98,12 @@ function BugTable({ bugs, bugTags, onAddTag, onRemoveTag, onRemoveBug, onAddToPr
 
   return (
     <div className="bug-table-container">
+      {triageError && (
+        <div className="triage-error">
+          <span>{triageError}</span>
+          <button onClick={clearTriageError} title="Dismiss">×</button>
+        </div>
+      )}
       <div className="table-controls">
         <div className="bug-count">
           Showing {startIndex + 1}-{Math.min(endIndex, bugs.length)} of {bugs.length} bug{bugs.length !== 1 ? 's' : ''}
@@ -108,13 +134,14 @@ function BugTable({ bugs, bugTags, onAddTag, onRemoveTag, onRemoveBug, onAddToPr
               <th>Status</th>
               <th>Component</th>
               <th>Assigned To</th>
+              <th>Patch</th>
               <th>Last Changed</th>
               {bugTags && <th>Tags</th>}
             </tr>
           </thead>
           <tbody>
             {currentBugs.map((bug) => (
-              <tr key={bug.id}>
+              <tr key={bug.id} className="bug-row-clickable" onClick={(e) => handleRowClick(e, bug)} title="Show bug details">
                 {onAddToPriority && (
                   <td className="bug-add-cell">
                     <button
@@ -141,6 +168,16 @@ function BugTable({ bugs, bugTags, onAddTag, onRemoveTag, onRemoveBug, onAddToPr
                   >
                     {bug.id}
                   </a>
+                  <button
+                    className="bug-history-btn"
+                    onClick={() => setHistoryBug(bug)}
+                    title="Show change history"
+                  >⏱</button>
+                  <button
+                    className="bug-triage-btn"
+                    onClick={() => setTriageBug(bug)}
+                    title="Triage in Bugzilla"
+                  >✎</button>
                 </td>
                 <td className="bug-summary">{bug.summary}</td>
                 <td className={`bug-severity ${getSeverityClass(bug.severity)}`}>
@@ -153,6 +190,7 @@ function BugTable({ bugs, bugTags, onAddTag, onRemoveTag, onRemoveBug, onAddToPr
                 <td className="bug-assignee">
                   {bug.assigned_to_detail?.real_name || bug.assigned_to || 'Unassigned'}
                 </td>
+                <td className="bug-patch"><PatchStatus bug={bug} /></td>
                 <td className="bug-date">{formatDate(bug.last_change_time)}</td>
                 {bugTags && (
                   <td className="bug-tags-cell">
@@ -226,6 +264,10 @@ function BugTable({ bugs, bugTags, onAddTag, onRemoveTag, onRemoveBug, onAddToPr
           </button>
         </div>
       )}
+
+      {detailBug && <BugDetailDrawer bug={detailBug} onClose={() => setDetailBug(null)} />}
+      {historyBug && <BugHistoryPanel bug={historyBug} onClose={() => setHistoryBug(null)} />}
+      {triageBug && <BugTriageDialog bug={triageBug} onSubmit={submitTriage} onClose={() => setTriageBug(null)} />}
     </div>
   )
 }
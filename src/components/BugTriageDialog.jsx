@@ -0,0 +1,138 @@
+import { useState, useEffect } from 'react'
+import { fetchBugDetail, hasApiKey } from '../services/bugzillaService'
+import {
+  PERF_PRIO_TAG, PERFORMANCE_IMPACT_VALUES, SEVERITY_VALUES, PRIORITY_VALUES,
+  getTriageForm, buildTriageUpdate,
+} from '../utils/triageActions'
+import RequestError from './RequestError'
+import './BugTriageDialog.css'
+
+// Modal for writing triage changes back to Bugzilla. The form is filled from
+// a fresh fetch of the bug so whiteboard edits never overwrite newer values;
+// changes are reviewed on a confirmation step before onSubmit is called.
+function BugTriageDialog({ bug, onSubmit, onClose }) {
+  const [current, setCurrent] = useState(null)
+  const [form, setForm] = useState(null)
+  const [error, setError] = useState(null)
+  const [confirming, setConfirming] = useState(false)
+  const canWrite = hasApiKey()
+
+  useEffect(() => {
+    let cancelled = false
+    fetchBugDetail(bug.id, false)
+      .then(detail => {
+        if (cancelled) return
+        const fresh = { ...bug, ...detail }
+        setCurrent(fresh)
+        setForm(getTriageForm(fresh))
+      })
+      .catch(err => { if (!cancelled) setError(err) })
+    return () => { cancelled = true }
+  }, [bug.id])
+
+  useEffect(() => {
+    const handleKeyDown = (e) => e.key === 'Escape' && onClose()
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const update = current && form ? buildTriageUpdate(current, form) : null
+  const hasChanges = update?.summary.length > 0
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }))
+
+  const handleConfirm = () => {
+    onSubmit(current, update)
+    onClose()
+  }
+
+  const renderSelect = (field, label, values) => (
+    <label className="triage-field">
+      {label}
+      <select value={form[field]} onChange={(e) => setField(field, e.target.value)}>
+        {values.map(v => <option key={v} value={v}>{v}</option>)}
+      </select>
+    </label>
+  )
+
+  return (
+    <div className="triage-overlay" onClick={onClose}>
+      <div className="triage-dialog" onClick={(e) => e.stopPropagation()} role="dialog" aria-label={`Triage bug ${bug.id}`}>
+        <div className="triage-header">
+          <div>
+            <span className="triage-bug-id">Triage bug {bug.id}</span>
+            <h3>{bug.summary}</h3>
+          </div>
+          <button className="bug-drawer-close" onClick={onClose} title="Close">×</button>
+        </div>
+
+        {!canWrite && (
+          <div className="error-message">
+            <p>
+              Editing bugs requires a Bugzilla API key. Set one from the browser console with{' '}
+              <code>localStorage.setItem('bugzilla_api_key', 'YOUR_KEY')</code> and reload.
+            </p>
+          </div>
+        )}
+
+        <RequestError error={error} context="Failed to load bug" />
+
+        {canWrite && !error && !form && (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading current values…</p>
+          </div>
+        )}
+
+        {canWrite && form && !confirming && (
+          <>
+            <div className="triage-grid">
+              {renderSelect('performanceImpact', 'Performance impact', PERFORMANCE_IMPACT_VALUES)}
+              {renderSelect('severity', 'Severity', SEVERITY_VALUES)}
+              {renderSelect('priority', 'Priority', PRIORITY_VALUES)}
+              <label className="triage-field triage-checkbox">
+                <input type="checkbox" checked={form.perfPrio} onChange={(e) => setField('perfPrio', e.target.checked)} />
+                <code>{PERF_PRIO_TAG}</code> whiteboard tag
+              </label>
+            </div>
+            <label className="triage-field">
+              Needinfo (Bugzilla email)
+              <input type="email" value={form.needinfo} onChange={(e) => setField('needinfo', e.target.value)} placeholder="someone@mozilla.com" />
+            </label>
+            <label className="triage-field">
+              Comment (optional)
+              <textarea rows={3} value={form.comment} onChange={(e) => setField('comment', e.target.value)} />
+            </label>
+            <div className="triage-actions">
+              <button className="cp-export-btn" onClick={onClose}>Cancel</button>
+              <button className="refresh-button" onClick={() => setConfirming(true)} disabled={!hasChanges}>Review changes</button>
+            </div>
+          </>
+        )}
+
+        {canWrite && form && confirming && (
+          <>
+            <p className="triage-confirm-note">These changes will be saved to Bugzilla immediately:</p>
+            <table className="triage-summary">
+              <tbody>
+                {update.summary.map(row => (
+                  <tr key={row.label}>
+                    <th>{row.label}</th>
+                    <td className="triage-from">{row.from}</td>
+                    <td className="triage-to">{row.to}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="triage-actions">
+              <button className="cp-export-btn" onClick={() => setConfirming(false)}>← Back</button>
+              <button className="refresh-button" onClick={handleConfirm}>Confirm &amp; save</button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default BugTriageDialog
@@ -0,0 +1,137 @@
+import { useState, useEffect } from 'react'
+import { getCacheEntries, getCacheConfig, clearCache, clearAllCache, resetCacheCounters } from '../utils/cache'
+import './CacheInspector.css'
+
+const REFRESH_MS = 1000
+
+function formatDuration(ms) {
+  const s = Math.round(ms / 1000)
+  if (s < 60) return `${s}s`
+  const m = Math.floor(s / 60)
+  if (m < 60) return `${m}m ${s % 60}s`
+  const h = Math.floor(m / 60)
+  return h < 48 ? `${h}h ${m % 60}m` : `${Math.floor(h / 24)}d`
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`
+}
+
+function entryStatus(entry) {
+  if (entry.stale) return entry.pending ? 'refreshing' : 'restored'
+  if (entry.ttlRemaining === 0) return 'expired'
+  return entry.pending ? 'refreshing' : 'fresh'
+}
+
+// Developer view of the response cache: every key with its age, remaining
+// TTL, size and hit / miss counts, plus eviction by key or prefix.
+function CacheInspector() {
+  const [entries, setEntries] = useState(getCacheEntries)
+  const [prefix, setPrefix] = useState('')
+  const { maxEntries, maxBytes, namespaceTtls } = getCacheConfig()
+
+  // Ages and TTLs change every second, so poll rather than subscribe
+  const reload = () => setEntries(getCacheEntries())
+  useEffect(() => {
+    const id = setInterval(reload, REFRESH_MS)
+    return () => clearInterval(id)
+  }, [])
+
+  const shown = prefix ? entries.filter(e => e.key.startsWith(prefix)) : entries
+  const totals = entries.reduce((acc, e) => ({ size: acc.size + e.size, hits: acc.hits + e.hits, misses: acc.misses + e.misses }), { size: 0, hits: 0, misses: 0 })
+  const hitRate = totals.hits + totals.misses > 0 ? Math.round(100 * totals.hits / (totals.hits + totals.misses)) : null
+
+  const evict = (key) => { clearCache(key); reload() }
+  const evictPrefix = () => { clearCache(prefix, { prefix: true }); reload() }
+  const evictAll = () => {
+    if (!window.confirm(`Evict all ${entries.length} cache entries?`)) return
+    clearAllCache()
+    reload()
+  }
+  const resetCounts = () => { resetCacheCounters(); reload() }
+
+  return (
+    <div className="ci-container">
+      <div className="perf-impact-header">
+        <h2>Cache Inspector</h2>
+        <div className="perf-impact-controls">
+          <button className="refresh-button" onClick={resetCounts} title="Reset hit / miss counts">Reset counts</button>
+          <button className="refresh-button" onClick={evictAll} disabled={entries.length === 0} title="Evict every entry">Evict all</button>
+        </div>
+      </div>
+      <p className="section-description">
+        Responses cached in memory and IndexedDB. "Restored" entries were loaded from a previous visit and are
+        refreshed on next use. Hits include calls that joined a request already in flight. Once the cache is full
+        the least recently used entries are evicted.
+      </p>
+
+      <div className="ci-summary">
+        <span><strong>{entries.length}</strong> / {maxEntries} entries</span>
+        <span><strong>{formatSize(totals.size)}</strong> / {formatSize(maxBytes)}</span>
+        <span><strong>{totals.hits}</strong> hits / <strong>{totals.misses}</strong> misses{hitRate !== null && ` (${hitRate}% hit rate)`}</span>
+        <span>
+          TTL: {Object.entries(namespaceTtls).map(([namespace, ttl]) => `${namespace} ${formatDuration(ttl)}`).join(', ')}
+        </span>
+      </div>
+
+      <div className="ci-prefix-row">
+        <input
+          className="bug-input"
+          type="text"
+          value={prefix}
+          onChange={(e) => setPrefix(e.target.value)}
+          placeholder="Filter by key prefix, e.g. perf-impact:"
+        />
+        <button className="ci-evict-btn" onClick={evictPrefix} disabled={!prefix || shown.length === 0}>
+          Evict {shown.length} matching
+        </button>
+      </div>
+
+      {shown.length === 0 ? (
+        <div className="query-placeholder">
+          <p>{entries.length === 0 ? 'The cache is empty.' : `No keys start with "${prefix}".`}</p>
+        </div>
+      ) : (
+        <div className="ci-table-wrapper">
+          <table className="ci-table">
+            <thead>
+              <tr>
+                <th>Key</th>
+                <th>Namespace</th>
+                <th>Status</th>
+                <th className="ci-num">Age</th>
+                <th className="ci-num">TTL left</th>
+                <th className="ci-num">Size</th>
+                <th className="ci-num">Hits</th>
+                <th className="ci-num">Misses</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map(entry => {
+                const status = entryStatus(entry)
+                return (
+                  <tr key={entry.key}>
+                    <td className="ci-key" title={entry.key}>{entry.key}</td>
+                    <td className="ci-namespace">{entry.namespace || '—'}</td>
+                    <td><span className={`ci-status ci-status--${status}`}>{status}</span></td>
+                    <td className="ci-num">{formatDuration(Date.now() - entry.cachedAt)}</td>
+                    <td className="ci-num">{entry.ttlRemaining > 0 ? formatDuration(entry.ttlRemaining) : '—'}</td>
+                    <td className="ci-num">{formatSize(entry.size)}</td>
+                    <td className="ci-num">{entry.hits}</td>
+                    <td className="ci-num">{entry.misses}</td>
+                    <td><button className="ci-evict-btn" onClick={() => evict(entry.key)} title="Evict this key">Evict</button></td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CacheInspector
@@ -0,0 +1,221 @@
+import { useState } from 'react'
+import {
+  useComponentGroups, saveComponentGroups, resetComponentGroups, validateComponentGroup,
+  slugifyGroupKey, describeQuery, IMPACT_LEVELS,
+} from '../utils/componentGroups'
+import { clearComponentPriorityCache } from '../services/bugzillaService'
+import './ComponentGroupSettings.css'
+
+const QUERY_TYPES = [
+  { value: 'component', label: 'Component substring' },
+  { value: 'product',   label: 'Whole product' },
+  { value: 'meta',      label: 'Meta bug' },
+]
+
+function queryType(query) {
+  if (query.metaBugId != null) return 'meta'
+  if (query.componentSubstring != null) return 'component'
+  return 'product'
+}
+
+function emptyGroup() {
+  return { key: '', label: '', queries: [{ componentSubstring: '' }], whiteboardTag: 'perf-prio]', impactLevels: ['high', 'medium'] }
+}
+
+// Settings panel for adding, editing, reordering and removing component groups
+function ComponentGroupSettings({ onClose }) {
+  const groups = useComponentGroups()
+  const [draft, setDraft] = useState(() => groups.map(g => ({ ...g, queries: g.queries.map(q => ({ ...q })) })))
+  const [selectedIndex, setSelectedIndex] = useState(0)
+  // Indexes of new groups whose key still follows the label
+  const [autoKeyIndexes, setAutoKeyIndexes] = useState([])
+  const [saveError, setSaveError] = useState(null)
+
+  const selected = draft[selectedIndex]
+  const errors = selected
+    ? validateComponentGroup(selected, draft.filter((_, i) => i !== selectedIndex))
+    : []
+  const invalidIndexes = draft
+    .map((g, i) => validateComponentGroup(g, draft.filter((_, j) => j !== i)).length > 0 ? i : null)
+    .filter(i => i !== null)
+
+  const updateSelected = (changes) => {
+    setSaveError(null)
+    setDraft(prev => prev.map((g, i) => i === selectedIndex ? { ...g, ...changes } : g))
+  }
+
+  const handleLabelChange = (label) => {
+    if (autoKeyIndexes.includes(selectedIndex)) updateSelected({ label, key: slugifyGroupKey(label) })
+    else updateSelected({ label })
+  }
+
+  const updateQuery = (qi, query) =>
+    updateSelected({ queries: selected.queries.map((q, i) => i === qi ? query : q) })
+
+  const handleQueryTypeChange = (qi, type) => {
+    const next = type === 'meta' ? { metaBugId: '' } : type === 'component' ? { componentSubstring: '' } : { product: '' }
+    updateQuery(qi, next)
+  }
+
+  const toggleImpact = (level) => {
+    const levels = selected.impactLevels.includes(level)
+      ? selected.impactLevels.filter(l => l !== level)
+      : [...selected.impactLevels, level]
+    updateSelected({ impactLevels: levels })
+  }
+
+  const handleAddGroup = () => {
+    setDraft(prev => [...prev, emptyGroup()])
+    setAutoKeyIndexes(prev => [...prev, draft.length])
+    setSelectedIndex(draft.length)
+  }
+
+  const handleRemoveGroup = () => {
+    if (!window.confirm(`Remove the "${selected.label || 'untitled'}" group?`)) return
+    setDraft(prev => prev.filter((_, i) => i !== selectedIndex))
+    setAutoKeyIndexes([])
+    setSelectedIndex(i => Math.max(0, i - 1))
+  }
+
+  const moveGroup = (delta) => {
+    const target = selectedIndex + delta
+    if (target < 0 || target >= draft.length) return
+    setDraft(prev => {
+      const next = [...prev]
+      ;[next[selectedIndex], next[target]] = [next[target], next[selectedIndex]]
+      return next
+    })
+    setAutoKeyIndexes([])
+    setSelectedIndex(target)
+  }
+
+  const handleSave = () => {
+    try {
+      // Drop cached results for the old definitions as well as the new ones
+      clearComponentPriorityCache()
+      saveComponentGroups(draft)
+      clearComponentPriorityCache()
+      onClose()
+    } catch (err) {
+      setSaveError(err.message)
+    }
+  }
+
+  const handleReset = () => {
+    if (!window.confirm('Restore the built-in component groups? Custom groups will be lost.')) return
+    clearComponentPriorityCache()
+    resetComponentGroups()
+    onClose()
+  }
+
+  return (
+    <div className="cgs-panel">
+      <div className="cgs-header">
+        <h3>Component Groups</h3>
+        <div className="cgs-header-actions">
+          <button className="cp-export-btn" onClick={handleReset}>Restore defaults</button>
+          <button className="cp-export-btn" onClick={onClose}>Cancel</button>
+          <button className="refresh-button" onClick={handleSave} disabled={invalidIndexes.length > 0 || draft.length === 0}>Save</button>
+        </div>
+      </div>
+
+      {saveError && <div className="error-message"><p>{saveError}</p></div>}
+
+      <div className="cgs-body">
+        <div className="cgs-list">
+          {draft.map((g, i) => (
+            <button
+              key={i}
+              className={`cgs-list-item${i === selectedIndex ? ' active' : ''}${invalidIndexes.includes(i) ? ' cgs-list-item--invalid' : ''}`}
+              onClick={() => setSelectedIndex(i)}
+            >
+              {g.label || <em>Untitled</em>}
+              <span className="cgs-list-key">{g.queries.map(describeQuery).join(', ')}</span>
+            </button>
+          ))}
+          <button className="cgs-add-btn" onClick={handleAddGroup}>+ Add group</button>
+        </div>
+
+        {selected && (
+          <div className="cgs-editor">
+            <div className="cgs-row">
+              <label>Label
+                <input type="text" value={selected.label} onChange={(e) => handleLabelChange(e.target.value)} />
+              </label>
+              <label>Key
+                <input
+                  type="text"
+                  value={selected.key}
+                  onChange={(e) => {
+                    setAutoKeyIndexes(prev => prev.filter(i => i !== selectedIndex))
+                    updateSelected({ key: e.target.value.toLowerCase() })
+                  }}
+                />
+              </label>
+            </div>
+
+            <div className="cgs-section">
+              <span className="cgs-section-label">Queries</span>
+              {selected.queries.map((q, qi) => (
+                <div key={qi} className="cgs-query-row">
+                  <select value={queryType(q)} onChange={(e) => handleQueryTypeChange(qi, e.target.value)}>
+                    {QUERY_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                  </select>
+                  {queryType(q) === 'component' && (
+                    <>
+                      <input type="text" placeholder="e.g. Graphics" value={q.componentSubstring} onChange={(e) => updateQuery(qi, { ...q, componentSubstring: e.target.value })} />
+                      <input type="text" placeholder="Product (optional)" value={q.product || ''} onChange={(e) => updateQuery(qi, { ...q, product: e.target.value })} />
+                    </>
+                  )}
+                  {queryType(q) === 'product' && (
+                    <input type="text" placeholder="e.g. Firefox for Android" value={q.product} onChange={(e) => updateQuery(qi, { product: e.target.value })} />
+                  )}
+                  {queryType(q) === 'meta' && (
+                    <input type="text" placeholder="Meta bug ID" value={q.metaBugId} onChange={(e) => updateQuery(qi, { metaBugId: e.target.value.replace(/\D/g, '') })} />
+                  )}
+                  <button
+                    className="bug-remove-btn"
+                    onClick={() => updateSelected({ queries: selected.queries.filter((_, i) => i !== qi) })}
+                    title="Remove query"
+                  >×</button>
+                </div>
+              ))}
+              <button className="cgs-add-btn" onClick={() => updateSelected({ queries: [...selected.queries, { componentSubstring: '' }] })}>+ Add query</button>
+            </div>
+
+            <div className="cgs-row">
+              <label>Whiteboard contains
+                <input type="text" value={selected.whiteboardTag} onChange={(e) => updateSelected({ whiteboardTag: e.target.value })} />
+              </label>
+              <div className="cgs-impacts">
+                <span className="cgs-section-label">Impact levels</span>
+                {IMPACT_LEVELS.map(level => (
+                  <label key={level} className="cgs-checkbox">
+                    <input type="checkbox" checked={selected.impactLevels.includes(level)} onChange={() => toggleImpact(level)} />
+                    {level}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <p className="cgs-hint">
+              Component and product queries match open bugs whose whiteboard contains the tag <strong>or</strong> whose
+              cf_performance_impact is one of the checked levels. Meta bug queries include every bug below the meta bug.
+            </p>
+
+            {errors.length > 0 && (
+              <ul className="cgs-errors">{errors.map(e => <li key={e}>{e}</li>)}</ul>
+            )}
+
+            <div className="cgs-editor-actions">
+              <button className="cp-export-btn" onClick={() => moveGroup(-1)} disabled={selectedIndex === 0}>↑ Move up</button>
+              <button className="cp-export-btn" onClick={() => moveGroup(1)} disabled={selectedIndex === draft.length - 1}>↓ Move down</button>
+              <button className="cp-export-btn cgs-remove-btn" onClick={handleRemoveGroup}>Remove group</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ComponentGroupSettings
@@ -1,21 +1,19 @@
 import { useState, useEffect } from 'react'
 import { fetchComponentPriorityBugs, clearComponentPriorityCache } from '../services/bugzillaService'
-import { AREA_DEFS, ALL_AREA_TAGS, getAreaTags, scoreBug, getBugFlags, flagText, SCORING_NOTE } from '../utils/bugAnalysis'
+import { AREA_DEFS, ALL_AREA_TAGS, FLAG_DEFS, getAreaTags, scoreBug, getBugFlags, flagText, getPatchStatus, patchStatusText, SCORING_NOTE } from '../utils/bugAnalysis'
+import { useComponentGroups, describeQuery } from '../utils/componentGroups'
+import { clusterBugs } from '../utils/bugClusters'
+import BugDetailDrawer from './BugDetailDrawer'
+import ComponentGroupSettings from './ComponentGroupSettings'
+import BugTriageDialog from './BugTriageDialog'
+import RequestError from './RequestError'
+import StaleDataNote from './StaleDataNote'
+import PatchStatus from './PatchStatus'
+import { useBugTriage } from '../utils/triageActions'
+import { useBugAttachments } from '../utils/bugAttachments'
+import { useCacheFreshness } from '../utils/cacheFreshness'
 import './ComponentPriorities.css'
 
-const COMPONENTS = [
-  { key: 'sp3',        label: 'SP3 Prio' },
-  { key: 'css',        label: 'CSS Parsing & Transitions' },
-  { key: 'dom',        label: 'DOM' },
-  { key: 'graphics',   label: 'Graphics' },
-  { key: 'javascript', label: 'JavaScript Engine' },
-  { key: 'layout',     label: 'Layout' },
-  { key: 'memory',     label: 'Memory Allocator' },
-  { key: 'necko',      label: 'Necko / Networking' },
-  { key: 'painting',   label: 'Web Painting' },
-  { key: 'storage',    label: 'Storage' },
-]
-
 // Per-component sub-label normalizers. Only components with an entry here get
 // the sub-component grouping UI.
 const SUB_LABEL_FNS = {
@@ -117,6 +115,7 @@ function flagChip(flag) {
     underappreciated: ['cp-flag--underappreciated', '⚠ Underappreciated', 'High perf signal but no org priority/severity set'],
     'needs-triage':   ['cp-flag--needs-triage',     'Needs Triage',       'No cf_performance_impact, severity, priority, or assignee'],
     stale:            ['cp-flag--stale',             'Stale',              'No activity in over 6 months'],
+    'patch-in-review': ['cp-flag--patch',           'Patch in Review',    'Has an open patch or review — being worked on even if unassigned'],
   }
   const [cls, label, title] = map[flag] || []
   if (!cls) return null
@@ -141,7 +140,8 @@ function downloadFile(content, filename, type) {
 // ── Component ─────────────────────────────────────────────────────────────────
 
 function ComponentPriorities({ initialKey, onAddToPriority } = {}) {
-  const [selectedKey, setSelectedKey] = useState(initialKey || 'sp3')
+  const groups = useComponentGroups()
+  const [selectedKey, setSelectedKey] = useState(initialKey || groups[0]?.key)
   const [bugs, setBugs] = useState([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
@@ -149,40 +149,67 @@ function ComponentPriorities({ initialKey, onAddToPriority } = {}) {
   const [showAll, setShowAll] = useState(false)
   const [selectedSubComp, setSelectedSubComp] = useState('All')
   const [selectedAreas, setSelectedAreas] = useState([])
-
-  // Fetch when component or refresh changes
+  const [groupSimilar, setGroupSimilar] = useState(false)
+  const [expandedClusters, setExpandedClusters] = useState([])
+  const [detailBug, setDetailBug] = useState(null)
+  const [triageBug, setTriageBug] = useState(null)
+  const { withTriage, submitTriage, triageError, clearTriageError } = useBugTriage()
+  const withAttachments = useBugAttachments(bugs)
+  const [showSettings, setShowSettings] = useState(false)
+
+  // Fall back to the first group if the selected one was removed in settings
+  const selectedGroup = groups.find(g => g.key === selectedKey) || groups[0]
+  const activeKey = selectedGroup?.key
+
+  // Fetch when component, its definition or refresh changes
   useEffect(() => {
-    let cancelled = false
+    if (!activeKey) return
+    const controller = new AbortController()
+    const { signal } = controller
     setLoading(true)
     setError(null)
     setBugs([])
     setShowAll(false)
     setSelectedSubComp('All')
     setSelectedAreas([])
+    setExpandedClusters([])
+
+    fetchComponentPriorityBugs(activeKey, true, { signal })
+      .then(data => { if (!signal.aborted) setBugs(data) })
+      .catch(err => { if (!signal.aborted) setError(err) })
+      .finally(() => { if (!signal.aborted) setLoading(false) })
 
-    fetchComponentPriorityBugs(selectedKey)
-      .then(data => { if (!cancelled) setBugs(data) })
-      .catch(err => { if (!cancelled) setError(err.message) })
-      .finally(() => { if (!cancelled) setLoading(false) })
+    return () => controller.abort()
+  }, [activeKey, selectedGroup, refreshTick])
 
-    return () => { cancelled = true }
-  }, [selectedKey, refreshTick])
+  // Picks up the background refresh of bugs restored from the last visit
+  const freshness = useCacheFreshness([bugs], () => fetchComponentPriorityBugs(activeKey).then(setBugs))
 
   const handleRefresh = () => {
-    clearComponentPriorityCache(selectedKey)
+    clearComponentPriorityCache(activeKey)
     setRefreshTick(t => t + 1)
   }
 
+  // Open the detail drawer unless the click landed on a link or button in the row
+  const handleRowClick = (e, bug) => {
+    if (e.target.closest('a, button')) return
+    setDetailBug(bug)
+  }
+
   const toggleArea = (area) =>
     setSelectedAreas(prev => prev.includes(area) ? prev.filter(a => a !== area) : [...prev, area])
 
-  // Score + annotate every bug once
-  const scoredBugs = bugs
-    .map(bug => ({ ...bug, score: scoreBug(bug), flags: getBugFlags(bug), areas: getAreaTags(bug) }))
+  const toggleCluster = (id) =>
+    setExpandedClusters(prev => prev.includes(id) ? prev.filter(c => c !== id) : [...prev, id])
+
+  // Score + annotate every bug once, with pending triage edits applied optimistically
+  // and patch status once attachments have loaded
+  const scoredBugs = withAttachments(withTriage(bugs))
+    .map(bug => ({ ...bug, score: scoreBug(bug), flags: getBugFlags(bug), areas: getAreaTags(bug), patch: getPatchStatus(bug) }))
     .sort((a, b) => b.score - a.score)
 
   // Sub-label function for the selected component (undefined if no grouping)
-  const subLabelFn = SUB_LABEL_FNS[selectedKey]
+  const subLabelFn = SUB_LABEL_FNS[activeKey]
 
   // Available sub-components (only for components that define a sub-label function)
   const subComponents = subLabelFn
@@ -203,10 +230,14 @@ function ComponentPriorities({ initialKey, onAddToPriority } = {}) {
     return true
   })
 
-  const displayBugs = showAll ? filteredBugs : filteredBugs.slice(0, 20)
+  // "Group similar" clusters every filtered bug; the top-20 cut applies to the
+  // bugs left outside clusters
+  const clustering = groupSimilar ? clusterBugs(filteredBugs) : null
+  const listedBugs = clustering ? clustering.unclustered : filteredBugs
+  const displayBugs = showAll ? listedBugs : listedBugs.slice(0, 20)
 
   // For components with sub-labels, "All" view groups by sub-component
-  const isGrouped = !!subLabelFn && selectedSubComp === 'All'
+  const isGrouped = !clustering && !!subLabelFn && selectedSubComp === 'All'
   const groupedBugs = isGrouped
     ? displayBugs.reduce((acc, bug) => {
         const sub = subLabelFn(bug.component)
@@ -216,8 +247,8 @@ function ComponentPriorities({ initialKey, onAddToPriority } = {}) {
       }, {})
     : null
 
-  const selectedLabel = COMPONENTS.find(c => c.key === selectedKey)?.label
-  const observations = OBSERVATIONS[selectedKey]
+  const selectedLabel = selectedGroup?.label
+  const observations = OBSERVATIONS[activeKey]
 
   // ── Export helpers ──────────────────────────────────────────────────────────
 
@@ -233,24 +264,29 @@ function ComponentPriorities({ initialKey, onAddToPriority } = {}) {
     (bug.last_change_time || '').split('T')[0],
     bug.assigned_to_detail?.real_name || bug.assigned_to || '',
     bug.score,
+    bug.patch ? patchStatusText(bug.patch) : '',
     bug.flags.map(flagText).join('; '),
     bug.areas.join('; '),
     `https://bugzilla.mozilla.org/show_bug.cgi?id=${bug.id}`,
   ]
 
   const handleExportCSV = () => {
-    const headers = ['Bug ID','Summary','Product','Component','Severity','Priority','Perf Impact','Comments','Last Active','Assigned To','Score','Flags','Areas','URL']
+    const headers = ['Bug ID','Summary','Product','Component','Severity','Priority','Perf Impact','Comments','Last Active','Assigned To','Score','Patch','Flags','Areas','URL']
     const rows = filteredBugs.map(bugToRow)
     const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n')
-    downloadFile(csv, `perf-priorities-${selectedKey}-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv')
+    downloadFile(csv, `perf-priorities-${activeKey}-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv')
   }
 
   const handleExportReport = () => {
     const date = new Date().toISOString().split('T')[0]
-    let md = `# Performance Priority Report — ${selectedLabel}\n**Generated:** ${date}\n\n---\n\n`
-    md += `## Key Observations\n\n`
-    observations.items.forEach((obs, i) => { md += `${i + 1}. ${obs}\n\n` })
-    md += `---\n\n## Top Bugs by Composite Score\n\n_${SCORING_NOTE}_\n\n`
+    let md = `# Performance Priority Report — ${selectedLabel}\n**Generated:** ${date}\n\n`
+    md += `**Query:** ${selectedGroup.queries.map(describeQuery).join('; ')}\n\n---\n\n`
+    if (observations) {
+      md += `## Key Observations\n\n`
+      observations.items.forEach((obs, i) => { md += `${i + 1}. ${obs}\n\n` })
+      md += `---\n\n`
+    }
+    md += `## Top Bugs by Composite Score\n\n_${SCORING_NOTE}_\n\n`
 
     const renderTable = (bugsToRender) => {
       md += `| Bug | Summary | Sev | Pri | Impact | Comments | Last Active | Score | Areas | Flags |\n`
@@ -273,13 +309,12 @@ function ComponentPriorities({ initialKey, onAddToPriority } = {}) {
 
     md += `---\n\n## Scoring Methodology\n\n${SCORING_NOTE}\n\n`
     md += `**Flag definitions:**\n`
-    md += `- ⚠ **Underappreciated** — cf_performance_impact is high/medium but severity and priority are both unset.\n`
-    md += `- **Needs Triage** — No cf_performance_impact, severity, priority, or assignee.\n`
-    md += `- **Stale** — No activity in over 6 months.\n\n`
+    FLAG_DEFS.forEach(d => { md += `- **${d.label}** — ${d.title}.\n` })
+    md += `\n`
     md += `**Area tag definitions:**\n`
     AREA_DEFS.forEach(d => { md += `- **${d.label}** — ${d.title}\n` })
 
-    downloadFile(md, `perf-priorities-${selectedKey}-${date}.md`, 'text/markdown')
+    downloadFile(md, `perf-priorities-${activeKey}-${date}.md`, 'text/markdown')
   }
 
   // ── Bug row renderer ────────────────────────────────────────────────────────
@@ -288,10 +323,15 @@ function ComponentPriorities({ initialKey, onAddToPriority } = {}) {
     const assignee = bug.assigned_to_detail?.real_name || bug.assigned_to || ''
     const isUnassigned = !bug.assigned_to || bug.assigned_to.includes('nobody@mozilla.org')
     return (
-      <tr key={bug.id} className={bug.flags.includes('needs-triage') ? 'cp-row--triage' : ''}>
+      <tr
+        key={bug.id}
+        className={`bug-row-clickable${bug.flags.includes('needs-triage') ? ' cp-row--triage' : ''}`}
+        onClick={(e) => handleRowClick(e, bug)}
+      >
         <td className="cp-score-cell"><span className="cp-score-badge">{bug.score}</span></td>
         <td className="cp-id-cell">
           <a href={`https://bugzilla.mozilla.org/show_bug.cgi?id=${bug.id}`} target="_blank" rel="noopener noreferrer">{bug.id}</a>
+          <button className="bug-triage-btn" onClick={() => setTriageBug(bug)} title="Triage in Bugzilla">✎</button>
         </td>
         <td className="cp-summary-cell">{bug.summary}</td>
         {!isGrouped && <td className="cp-component-cell">{bug.component}</td>}
@@ -312,6 +352,7 @@ function ComponentPriorities({ initialKey, onAddToPriority } = {}) {
             </span>
           ))}
         </td>
+        <td className="cp-patch-cell"><PatchStatus bug={bug} /></td>
         <td className="cp-flags-cell">{bug.flags.map(f => flagChip(f))}</td>
         {onAddToPriority && (
           <td className="cp-add-cell">
@@ -336,6 +377,7 @@ function ComponentPriorities({ initialKey, onAddToPriority } = {}) {
         <th>Last Active</th>
         <th>Assigned To</th>
         <th>Areas</th>
+        <th>Patch</th>
         <th>Flags</th>
         {onAddToPriority && <th></th>}
       </tr>
@@ -359,15 +401,18 @@ function ComponentPriorities({ initialKey, onAddToPriority } = {}) {
           <div className="cp-export-group">
             <button className="cp-export-btn" onClick={handleExportCSV} disabled={loading || bugs.length === 0} title="Download bug table as CSV">↓ CSV</button>
             <button className="cp-export-btn cp-export-btn--report" onClick={handleExportReport} disabled={loading || bugs.length === 0} title="Download analysis report with key observations">↓ Report</button>
+            <button className="cp-export-btn" onClick={() => setShowSettings(s => !s)} title="Add, edit or remove component groups">⚙ Groups</button>
           </div>
         </div>
 
+        {showSettings && <ComponentGroupSettings onClose={() => setShowSettings(false)} />}
+
         <div className="cp-controls">
           <div className="cp-selector">
             <label>Component:</label>
             <div className="cp-tab-row">
-              {COMPONENTS.map(c => (
-                <button key={c.key} className={`cp-tab-btn${selectedKey === c.key ? ' active' : ''}`} onClick={() => setSelectedKey(c.key)}>
+              {groups.map(c => (
+                <button key={c.key} className={`cp-tab-btn${activeKey === c.key ? ' active' : ''}`} onClick={() => setSelectedKey(c.key)} title={c.queries.map(describeQuery).join(', ')}>
                   {c.label}
                 </button>
               ))}
@@ -396,6 +441,13 @@ function ComponentPriorities({ initialKey, onAddToPriority } = {}) {
         )}
       </div>
 
+      {triageError && (
+        <div className="triage-error">
+          <span>{triageError}</span>
+          <button onClick={clearTriageError} title="Dismiss">×</button>
+        </div>
+      )}
+
       {/* Key Observations */}
       {observations && (
         <div className="cp-observations">
@@ -413,7 +465,8 @@ function ComponentPriorities({ initialKey, onAddToPriority } = {}) {
         </div>
       )}
 
-      {error && <div className="error-message">Failed to load bugs: {error}</div>}
+      <RequestError error={error} context="Failed to load bugs" />
+      <StaleDataNote freshness={freshness} />
 
       {!loading && !error && bugs.length > 0 && (
         <>
@@ -446,14 +499,58 @@ function ComponentPriorities({ initialKey, onAddToPriority } = {}) {
             <span>
               {filteredBugs.length} bug{filteredBugs.length !== 1 ? 's' : ''}
               {filteredBugs.length < scoredBugs.length && ` (filtered from ${scoredBugs.length})`}
-              {filteredBugs.length > 0 && ` — showing top ${displayBugs.length}`}
+              {clustering
+                ? ` — ${clustering.clusters.length} similar group${clustering.clusters.length !== 1 ? 's' : ''}, ${clustering.unclustered.length} other`
+                : filteredBugs.length > 0 && ` — showing top ${displayBugs.length}`}
+            </span>
+            <span className="cp-table-meta-actions">
+              <button
+                className={`cp-cluster-toggle${groupSimilar ? ' active' : ''}`}
+                onClick={() => setGroupSimilar(v => !v)}
+                title="Group bugs with similar summaries and shared areas"
+              >
+                ≋ Group similar
+              </button>
+              <span className="cp-scoring-note" title={SCORING_NOTE}>ⓘ Scoring</span>
             </span>
-            <span className="cp-scoring-note" title={SCORING_NOTE}>ⓘ Scoring</span>
           </div>
 
-          {/* Table — grouped (Graphics All) or flat */}
+          {/* Table — similar-bug clusters, grouped (Graphics All) or flat */}
           <div className="cp-table-wrapper">
-            {isGrouped ? (
+            {clustering ? (
+              <table className="cp-table">
+                {tableHead}
+                <tbody>
+                  {clustering.clusters.map(cluster => {
+                    const expanded = expandedClusters.includes(cluster.id)
+                    return [
+                      <tr key={`hdr-${cluster.id}`} className="cp-group-header cp-cluster-header" onClick={() => toggleCluster(cluster.id)}>
+                        <td colSpan={onAddToPriority ? 14 : 13}>
+                          <span className="cp-cluster-caret">{expanded ? '▾' : '▸'}</span>
+                          <span className="cp-group-label">{cluster.terms.slice(0, 4).join(' · ') || 'Similar bugs'}</span>
+                          <span className="cp-group-count">{cluster.bugs.length} bugs · top score {cluster.bugs[0].score}</span>
+                          {cluster.areas.map(area => (
+                            <span key={area} className={`cp-area-chip cp-area--${area.toLowerCase()}`}>
+                              {AREA_DEFS.find(d => d.tag === area)?.label || area}
+                            </span>
+                          ))}
+                        </td>
+                      </tr>,
+                      ...(expanded ? cluster.bugs.map(bug => renderBugRow(bug)) : [])
+                    ]
+                  })}
+                  {displayBugs.length > 0 && clustering.clusters.length > 0 && (
+                    <tr key="hdr-other" className="cp-group-header">
+                      <td colSpan={onAddToPriority ? 14 : 13}>
+                        <span className="cp-group-label">Other bugs</span>
+                        <span className="cp-group-count">{listedBugs.length} bug{listedBugs.length !== 1 ? 's' : ''}</span>
+                      </td>
+                    </tr>
+                  )}
+                  {displayBugs.map(bug => renderBugRow(bug))}
+                </tbody>
+              </table>
+            ) : isGrouped ? (
               <table className="cp-table">
                 {tableHead}
                 <tbody>
@@ -462,7 +559,7 @@ function ComponentPriorities({ initialKey, onAddToPriority } = {}) {
                     .map(([sub, grpBugs]) => (
                       grpBugs.length > 0 && [
                         <tr key={`hdr-${sub}`} className="cp-group-header">
-                          <td colSpan={12}>
+                          <td colSpan={13}>
                             <span className="cp-group-label">{sub}</span>
                             <span className="cp-group-count">{grpBugs.length} bug{grpBugs.length !== 1 ? 's' : ''}</span>
                           </td>
@@ -480,10 +577,10 @@ function ComponentPriorities({ initialKey, onAddToPriority } = {}) {
             )}
           </div>
 
-          {filteredBugs.length > 20 && (
+          {listedBugs.length > 20 && (
             <div className="cp-show-more">
               <button className="cp-show-more-btn" onClick={() => setShowAll(v => !v)}>
-                {showAll ? 'Show top 20 only' : `Show all ${filteredBugs.length} bugs`}
+                {showAll ? 'Show top 20 only' : `Show all ${listedBugs.length} bugs`}
               </button>
             </div>
           )}
@@ -495,6 +592,9 @@ function ComponentPriorities({ initialKey, onAddToPriority } = {}) {
           <p>No bugs found for {selectedLabel} matching the perf signal criteria.</p>
         </div>
       )}
+
+      {detailBug && <BugDetailDrawer bug={detailBug} onClose={() => setDetailBug(null)} />}
+      {triageBug && <BugTriageDialog bug={triageBug} onSubmit={submitTriage} onClose={() => setTriageBug(null)} />}
     </div>
   )
 }
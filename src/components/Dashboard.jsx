@@ -3,14 +3,44 @@ import { Chart as ChartJS, Tooltip, Legend, CategoryScale, LinearScale, BarEleme
 import { Bar, Line } from 'react-chartjs-2'
 import './Dashboard.css'
 import { fetchBugs, groupBugsByComponent, getBugStats, fetchBugsByPerformanceImpact, clearPerformanceImpactCache, fetchAllPerformanceImpactBugs, fetchBugsByIds, fetchComponentPriorityBugs } from '../services/bugzillaService'
-import { fetchBenchmarkRows, fetchSpeedometerRows } from '../services/redashService'
-import { fetchJetstreamAllPlatforms, clearJetstreamCache } from '../services/jetstreamService'
+import { fetchBenchmarkRows, fetchSpeedometerRows, clearSpeedometerCache, getTodayDate } from '../services/redashService'
+import { getBenchmarks, fetchTreeherderBenchmark, getCachedTreeherderBenchmark } from '../services/treeherderService'
 import { AREA_DEFS, AREA_COLORS, getAreaTags, scoreBug, getBugFlags, flagText } from '../utils/bugAnalysis'
+import { useComponentGroups, isMetaBugGroup, findMetaBugGroup } from '../utils/componentGroups'
+import { useCacheFreshness } from '../utils/cacheFreshness'
+import { useBaseline, nearestRow } from '../utils/baseline'
+import { summarizePlatforms, competitorLabel } from '../utils/benchmarkSummary'
+import { blendedRow, needsBaselineSnapshot, againstBaseline } from '../utils/applinkSnapshots'
 import BugTable from './BugTable'
 import ComponentPriorities from './ComponentPriorities'
+import MetaBugTree from './MetaBugTree'
+import SavedViews from './SavedViews'
+import AssigneeWorkload from './AssigneeWorkload'
+import PerfThroughput from './PerfThroughput'
+import CacheInspector from './CacheInspector'
+import RequestError from './RequestError'
+import StaleDataNote from './StaleDataNote'
+import StmoLoading from './StmoLoading'
+import ApplinkBenchmarks from './ApplinkBenchmarks'
+import SpeedometerChart from './SpeedometerChart'
+import BaselinePicker from './BaselinePicker'
+import TreeherderBenchmarkCard from './TreeherderBenchmarkCard'
+import { isAbortError } from '../services/httpClient'
 
 ChartJS.register(Tooltip, Legend, CategoryScale, LinearScale, BarElement, LineElement, PointElement, Title)
 
+const pushDate = row => row.push_date
+
+// Union of several bug lists, first occurrence wins
+function mergeBugResults(results) {
+  const seen = new Set()
+  return results.flat().filter(b => {
+    if (seen.has(b.id)) return false
+    seen.add(b.id)
+    return true
+  })
+}
+
 function Dashboard() {
   const [activeView, setActiveView] = useState('overview')
   const [loading, setLoading] = useState(true)
@@ -29,12 +59,17 @@ function Dashboard() {
   const [perfImpactLevel, setPerfImpactLevel] = useState('high')
   const [perfImpactLoading, setPerfImpactLoading] = useState(false)
   const [perfImpactError, setPerfImpactError] = useState(null)
+  const [perfImpactTotal, setPerfImpactTotal] = useState(null)
+  const [perfImpactTruncated, setPerfImpactTruncated] = useState(false)
+  const [perfImpactProgress, setPerfImpactProgress] = useState(null)
   const [perfImpactComponents, setPerfImpactComponents] = useState([])
   const [selectedComponent, setSelectedComponent] = useState('all')
 
   // All performance impact bugs for Components tab
   const [allPerfImpactBugs, setAllPerfImpactBugs] = useState([])
   const [allPerfImpactLoading, setAllPerfImpactLoading] = useState(false)
+  const [allPerfImpactTotal, setAllPerfImpactTotal] = useState(null)
+  const [allPerfImpactProgress, setAllPerfImpactProgress] = useState(null)
 
   // Overview performance impact counts (high/med/low fetched concurrently)
   const [overviewPerfCounts, setOverviewPerfCounts] = useState({ high: 0, medium: 0, low: 0 })
@@ -47,9 +82,19 @@ function Dashboard() {
 
   // All non-SP3 component priority bugs (for overview all-component tiles)
   const [allCompBugs, setAllCompBugs] = useState([])
+  // Per-group results behind allCompBugs, kept to track their cache freshness
+  const [allCompResults, setAllCompResults] = useState([])
+  const componentGroups = useComponentGroups()
+  const baseline = useBaseline()
+  const overviewCompKeys = componentGroups.filter(g => !isMetaBugGroup(g)).map(g => g.key)
+  // Group registry the overview tiles were last loaded for
+  const allCompGroupsRef = useRef(null)
   const [allCompLoading, setAllCompLoading] = useState(false)
 
-  // Speedometer 3 subsection bugs (from meta bug 2026188)
+  // Speedometer 3 subsection bugs, from the first meta bug group (SP3 by default)
+  const sp3Key = findMetaBugGroup(componentGroups)?.key ?? null
+  // Group key the SP3 tiles were last loaded for
+  const sp3LoadedKeyRef = useRef(null)
   const [sp3Bugs, setSp3Bugs] = useState([])
   const [sp3BugsLoading, setSp3BugsLoading] = useState(false)
   const [sp3BugsError, setSp3BugsError] = useState(null)
@@ -78,23 +123,22 @@ function Dashboard() {
   // Toast notifications
   const [toasts, setToasts] = useState([])
 
-  // Benchmark data from STMO
+  // Today's Android Applink snapshot from STMO, for the Overview tile (the
+  // Benchmarks view loads its own snapshots, see ApplinkBenchmarks)
   const [benchmarkRows, setBenchmarkRows] = useState([])
   const [benchmarkLoading, setBenchmarkLoading] = useState(false)
-  const [benchmarkError, setBenchmarkError] = useState(null)
-  const [benchmarkRefreshTick, setBenchmarkRefreshTick] = useState(0)
+  // Baseline-date Applink snapshot, only fetched when the baseline is not Jan 1
+  const [benchmarkBaselineRows, setBenchmarkBaselineRows] = useState(null)
 
   // Speedometer data from STMO query #96742
   const [speedometerRows, setSpeedometerRows] = useState([])
   const [speedometerLoading, setSpeedometerLoading] = useState(false)
   const [speedometerError, setSpeedometerError] = useState(null)
+  const [speedometerJobState, setSpeedometerJobState] = useState(null)
   const [speedometerRefreshTick, setSpeedometerRefreshTick] = useState(0)
 
-  // JetStream 3 data from Treeherder Performance API
+  // JetStream 3 data for the Overview tile, as cached by its Benchmarks card
   const [jetstreamData, setJetstreamData] = useState([])
-  const [jetstreamLoading, setJetstreamLoading] = useState(false)
-  const [jetstreamError, setJetstreamError] = useState(null)
-  const [jetstreamRefreshTick, setJetstreamRefreshTick] = useState(0)
 
   // Previous KPI snapshot from localStorage (captured at mount, before this session's fetch)
   const [prevKpiValues] = useState(() => {
@@ -103,6 +147,9 @@ function Dashboard() {
 
   // Fetch bugs on component mount or when config changes
   useEffect(() => {
+    const controller = new AbortController()
+    const { signal } = controller
+
     async function loadBugs() {
       setLoading(true)
       setError(null)
@@ -110,44 +157,56 @@ function Dashboard() {
       try {
         const fetchedBugs = await fetchBugs({
           product: config.product,
-          component: config.component,
-          limit: 1000
-        })
+          component: config.component
+        }, { signal })
 
         setBugs(fetchedBugs)
         setBugStats(getBugStats(fetchedBugs))
       } catch (err) {
+        if (isAbortError(err)) return
         setError(err.message)
         console.error('Failed to fetch bugs:', err)
       } finally {
-        setLoading(false)
+        if (!signal.aborted) setLoading(false)
       }
     }
 
     loadBugs()
+    return () => controller.abort()
   }, [config.product, config.component])
 
   // Fetch performance impact bugs when view is active or impact level changes
   useEffect(() => {
-    async function loadPerfImpactBugs() {
-      if (activeView !== 'perfimpact') return
+    if (activeView !== 'perfimpact') return
+    // Switching impact level aborts the previous level's remaining pages
+    const controller = new AbortController()
+    const { signal } = controller
 
+    async function loadPerfImpactBugs() {
       setPerfImpactLoading(true)
       setPerfImpactError(null)
+      setPerfImpactProgress(null)
 
       try {
-        const fetchedBugs = await fetchBugsByPerformanceImpact(perfImpactLevel)
-        setPerfImpactBugs(fetchedBugs)
+        const { bugs, total, truncated } = await fetchBugsByPerformanceImpact(perfImpactLevel, {}, true, {
+          onProgress: p => { if (!signal.aborted) setPerfImpactProgress(p) },
+          signal
+        })
+        setPerfImpactBugs(bugs)
+        setPerfImpactTotal(total)
+        setPerfImpactTruncated(truncated)
         setSelectedComponent('all') // Reset filter when fetching new data
       } catch (err) {
-        setPerfImpactError(err.message)
+        if (isAbortError(err)) return
+        setPerfImpactError(err)
         console.error('Failed to fetch performance impact bugs:', err)
       } finally {
-        setPerfImpactLoading(false)
+        if (!signal.aborted) setPerfImpactLoading(false)
       }
     }
 
     loadPerfImpactBugs()
+    return () => controller.abort()
   }, [activeView, perfImpactLevel])
 
   // Extract unique components from performance impact bugs
@@ -162,42 +221,55 @@ function Dashboard() {
 
   // Fetch all performance impact bugs for Components tab
   useEffect(() => {
-    async function loadAllPerfImpactBugs() {
-      if (activeView !== 'teams') return
+    if (activeView !== 'teams') return
+    const controller = new AbortController()
+    const { signal } = controller
 
+    async function loadAllPerfImpactBugs() {
       setAllPerfImpactLoading(true)
+      setAllPerfImpactProgress(null)
 
       try {
-        const fetchedBugs = await fetchAllPerformanceImpactBugs()
-        setAllPerfImpactBugs(fetchedBugs)
+        const { bugs, total } = await fetchAllPerformanceImpactBugs({}, true, {
+          onProgress: p => { if (!signal.aborted) setAllPerfImpactProgress(p) },
+          signal
+        })
+        setAllPerfImpactBugs(bugs)
+        setAllPerfImpactTotal(total)
       } catch (err) {
-        console.error('Failed to fetch all performance impact bugs:', err)
+        if (!isAbortError(err)) console.error('Failed to fetch all performance impact bugs:', err)
       } finally {
-        setAllPerfImpactLoading(false)
+        if (!signal.aborted) setAllPerfImpactLoading(false)
       }
     }
 
     loadAllPerfImpactBugs()
+    return () => controller.abort()
   }, [activeView])
 
   // Fetch high/med/low counts concurrently for the Overview chart
   useEffect(() => {
     if (activeView !== 'overview') return
+    const controller = new AbortController()
+    const { signal } = controller
 
     async function loadOverviewPerfCounts() {
       try {
-        const [highBugs, medBugs, lowBugs] = await Promise.all([
-          fetchBugsByPerformanceImpact('high'),
-          fetchBugsByPerformanceImpact('medium'),
-          fetchBugsByPerformanceImpact('low')
+        const [high, medium, low] = await Promise.all([
+          fetchBugsByPerformanceImpact('high', {}, true, { signal }),
+          fetchBugsByPerformanceImpact('medium', {}, true, { signal }),
+          fetchBugsByPerformanceImpact('low', {}, true, { signal })
         ])
-        setOverviewPerfCounts({ high: highBugs.length, medium: medBugs.length, low: lowBugs.length })
+        // Prefer Bugzilla's total_matches so a hard cap never under-counts
+        const count = ({ bugs, total }) => total ?? bugs.length
+        setOverviewPerfCounts({ high: count(high), medium: count(medium), low: count(low) })
       } catch (err) {
-        console.error('Failed to load overview perf counts:', err)
+        if (!isAbortError(err)) console.error('Failed to load overview perf counts:', err)
       }
     }
 
     loadOverviewPerfCounts()
+    return () => controller.abort()
   }, [activeView])
 
   // Fetch priority bugs when IDs change or subsection becomes active
@@ -215,7 +287,7 @@ function Dashboard() {
         const fetchedBugs = await fetchBugsByIds(priorityBugIds)
         setPriorityBugs(fetchedBugs)
       } catch (err) {
-        setPriorityBugsError(err.message)
+        setPriorityBugsError(err)
         console.error('Failed to fetch priority bugs:', err)
       } finally {
         setPriorityBugsLoading(false)
@@ -235,79 +307,109 @@ function Dashboard() {
     localStorage.setItem('priority_bug_tags', JSON.stringify(priorityBugTags))
   }, [priorityBugTags])
 
-  // Fetch benchmark data from STMO when benchmarks view becomes active
+  // Fetch benchmark data from STMO when overview becomes active
   useEffect(() => {
-    if (activeView !== 'benchmarks' && activeView !== 'overview') return
+    if (activeView !== 'overview') return
     if (benchmarkRows.length > 0) return // already loaded
 
+    const controller = new AbortController()
+    const { signal } = controller
+
     async function loadBenchmarks() {
       setBenchmarkLoading(true)
-      setBenchmarkError(null)
       try {
-        const rows = await fetchBenchmarkRows()
+        const rows = await fetchBenchmarkRows(undefined, { signal })
         setBenchmarkRows(rows)
       } catch (err) {
-        setBenchmarkError(err.message)
+        if (isAbortError(err)) return
         console.error('Failed to fetch benchmark data:', err)
       } finally {
-        setBenchmarkLoading(false)
+        if (!signal.aborted) setBenchmarkLoading(false)
       }
     }
 
     loadBenchmarks()
-  }, [activeView, benchmarkRefreshTick])
+    return () => controller.abort()
+  }, [activeView])
+
+  // Fetch the Applink snapshot taken on the baseline date, which the deltas start from
+  useEffect(() => {
+    if (activeView !== 'overview') return
+    if (!needsBaselineSnapshot(getTodayDate(), baseline.date)) {
+      setBenchmarkBaselineRows(null)
+      return
+    }
+
+    const controller = new AbortController()
+    const { signal } = controller
+    fetchBenchmarkRows(baseline.date, { signal })
+      .then(rows => { if (!signal.aborted) setBenchmarkBaselineRows(rows) })
+      .catch(err => { if (!isAbortError(err)) console.error('Failed to fetch baseline benchmark data:', err) })
+    return () => controller.abort()
+  }, [activeView, baseline.date])
 
   // Fetch Speedometer data from STMO when benchmarks or overview becomes active
   useEffect(() => {
     if (activeView !== 'benchmarks' && activeView !== 'overview') return
     if (speedometerRows.length > 0) return // already loaded
 
+    const controller = new AbortController()
+    const { signal } = controller
+
     async function loadSpeedometer() {
       setSpeedometerLoading(true)
       setSpeedometerError(null)
+      setSpeedometerJobState(null)
       try {
-        const rows = await fetchSpeedometerRows()
+        const rows = await fetchSpeedometerRows({
+          onStatus: ({ state }) => { if (!signal.aborted) setSpeedometerJobState(state) },
+          signal,
+        })
         setSpeedometerRows(rows)
       } catch (err) {
-        setSpeedometerError(err.message)
+        if (isAbortError(err)) return
+        setSpeedometerError(err)
         console.error('Failed to fetch Speedometer data:', err)
       } finally {
-        setSpeedometerLoading(false)
+        if (!signal.aborted) setSpeedometerLoading(false)
       }
     }
 
     loadSpeedometer()
+    return () => controller.abort()
   }, [activeView, speedometerRefreshTick])
 
-  // Fetch JetStream 3 data from Treeherder when benchmarks view becomes active
+  // Pick up JetStream 3 data for the Overview tile once the Benchmarks card has cached it;
+  // the tile never starts the Treeherder fetch on its own
   useEffect(() => {
-    if (activeView !== 'benchmarks') return
-    if (jetstreamData.length > 0) return // already loaded
-    async function loadJetstream() {
-      setJetstreamLoading(true)
-      setJetstreamError(null)
-      try {
-        const data = await fetchJetstreamAllPlatforms()
-        setJetstreamData(data)
-      } catch (err) {
-        setJetstreamError(err.message)
-        console.error('Failed to fetch JetStream 3 data:', err)
-      } finally {
-        setJetstreamLoading(false)
-      }
-    }
-    loadJetstream()
-  }, [activeView, jetstreamRefreshTick])
+    if (activeView !== 'overview' || !getCachedTreeherderBenchmark('jetstream3')) return
+    const controller = new AbortController()
+    const { signal } = controller
+    fetchTreeherderBenchmark('jetstream3', { signal })
+      .then(data => { if (!signal.aborted) setJetstreamData(data) })
+      .catch(err => { if (!isAbortError(err)) console.error('Failed to load cached JetStream 3 data:', err) })
+    return () => controller.abort()
+  }, [activeView])
 
-  // Fetch Speedometer 3 priority bugs from meta bug 2026188 (used for Overview quick stats count)
+  // Fetch Speedometer 3 priority bugs from the meta bug group (used for Overview quick stats count).
+  // Reloads when that group is removed, re-keyed or replaced.
   useEffect(() => {
     if (activeView !== 'overview') return
-    if (sp3Bugs.length > 0) return // already loaded
+    if (!sp3Key) {
+      sp3LoadedKeyRef.current = null
+      setSp3Bugs([])
+      return
+    }
+    if (sp3LoadedKeyRef.current === sp3Key && sp3Bugs.length > 0) return // already loaded
+    const controller = new AbortController()
+    const { signal } = controller
     async function loadSp3Bugs() {
       setSp3BugsLoading(true)
       setSp3BugsError(null)
       try {
-        const bugs = await fetchComponentPriorityBugs('sp3')
+        const bugs = await fetchComponentPriorityBugs(sp3Key, true, { signal })
+        if (signal.aborted) return
+        sp3LoadedKeyRef.current = sp3Key
         setSp3Bugs(bugs)
         const today = new Date().toISOString().split('T')[0]
         setPriorityTrackingHistory(prev => {
@@ -316,50 +418,50 @@ function Dashboard() {
           return updated
         })
       } catch (err) {
-        setSp3BugsError(err.message)
+        if (isAbortError(err)) return
+        setSp3BugsError(err)
         console.error('Failed to fetch Speedometer 3 bugs:', err)
       } finally {
-        setSp3BugsLoading(false)
+        if (!signal.aborted) setSp3BugsLoading(false)
       }
     }
     loadSp3Bugs()
-  }, [activeView, sp3RefreshTick])
+    return () => controller.abort()
+  }, [activeView, sp3RefreshTick, sp3Key])
 
-  // Fetch all non-SP3 component priority bugs concurrently for overview tiles.
+  // Fetch all non-meta-bug component groups concurrently for overview tiles.
   // Uses the same 5-min cache as Perf Priorities tab — instant if already warm.
+  // Reloads when the groups are edited.
   useEffect(() => {
     if (activeView !== 'overview') return
-    if (allCompBugs.length > 0) return
-    let cancelled = false
-    const COMP_KEYS = ['css', 'dom', 'graphics', 'javascript', 'layout', 'memory', 'necko', 'painting', 'storage']
+    if (allCompGroupsRef.current === componentGroups) return
+    const controller = new AbortController()
+    const { signal } = controller
     async function loadAllComps() {
       setAllCompLoading(true)
       try {
-        const results = await Promise.all(COMP_KEYS.map(k => fetchComponentPriorityBugs(k)))
-        if (cancelled) return
-        const seen = new Set()
-        const merged = results.flat().filter(b => {
-          if (seen.has(b.id)) return false
-          seen.add(b.id)
-          return true
-        })
-        setAllCompBugs(merged)
+        const results = await Promise.all(overviewCompKeys.map(k => fetchComponentPriorityBugs(k, true, { signal })))
+        if (signal.aborted) return
+        allCompGroupsRef.current = componentGroups
+        setAllCompResults(results)
+        setAllCompBugs(mergeBugResults(results))
       } catch (err) {
-        console.error('Failed to load all-component overview bugs:', err)
+        if (!isAbortError(err)) console.error('Failed to load all-component overview bugs:', err)
       } finally {
-        if (!cancelled) setAllCompLoading(false)
+        if (!signal.aborted) setAllCompLoading(false)
       }
     }
     loadAllComps()
-    return () => { cancelled = true }
-  }, [activeView])
+    return () => controller.abort()
+  }, [activeView, componentGroups])
 
   // Persist current Speedometer Desktop KPI value to localStorage when data updates.
-  // Only save when the underlying data date changes so that prevKpiValues (captured at mount)
-  // always reflects the last *different* data point and the change indicator is meaningful.
+  // Only save when the underlying data date or the baseline changes so that prevKpiValues
+  // (captured at mount) always reflects the last *different* data point and the change
+  // indicator is meaningful.
   useEffect(() => {
     if (speedometerRows.length === 0) return
-    const startRow = speedometerRows.find(r => r.push_date === '2026-01-01')
+    const startRow = nearestRow(speedometerRows, baseline.date, pushDate)
     const latestRow = speedometerRows[speedometerRows.length - 1]
     if (!startRow || !latestRow) return
     const fxCurrent = latestRow.firefox_value_ma_desktop
@@ -368,29 +470,29 @@ function Dashboard() {
     const delta = 100 * (fxCurrent / chromeStart - 1)
     const prev = JSON.parse(localStorage.getItem('perf_kpi_prev')) || {}
     // Only overwrite when the data date is newer than what's already stored
-    if (prev.speedometerDesktop?.date === latestRow.push_date) return
+    if (prev.speedometerDesktop?.date === latestRow.push_date && prev.speedometerDesktop?.baseline === baseline.date) return
     localStorage.setItem('perf_kpi_prev', JSON.stringify({
       ...prev,
-      speedometerDesktop: { value: delta, date: latestRow.push_date, savedAt: Date.now() }
+      speedometerDesktop: { value: delta, date: latestRow.push_date, baseline: baseline.date, savedAt: Date.now() }
     }))
-  }, [speedometerRows])
+  }, [speedometerRows, baseline.date])
+
+  // Blended Android Applink delta measured from the baseline
+  const applinkDelta = blendedRow(againstBaseline(benchmarkRows, getTodayDate(), baseline.date, benchmarkBaselineRows))?.delta_ytd ?? null
 
   // Persist current Android Applink KPI value to localStorage when data updates.
-  // Only save once per calendar day so that the previous value is preserved across reloads.
+  // Only save once per calendar day and baseline so that the previous value is preserved across reloads.
   useEffect(() => {
-    if (benchmarkRows.length === 0) return
-    const blendedRow = benchmarkRows.find(r => r.platform_label?.toUpperCase().includes('BLENDED'))
-    const delta = blendedRow?.delta_ytd
-    if (delta == null) return
+    if (applinkDelta == null) return
     const prev = JSON.parse(localStorage.getItem('perf_kpi_prev')) || {}
     const today = new Date().toISOString().slice(0, 10)
     // Only overwrite when we haven't saved yet today
-    if (prev.androidApplink?.savedDate === today) return
+    if (prev.androidApplink?.savedDate === today && prev.androidApplink?.baseline === baseline.date) return
     localStorage.setItem('perf_kpi_prev', JSON.stringify({
       ...prev,
-      androidApplink: { value: delta, savedDate: today, savedAt: Date.now() }
+      androidApplink: { value: applinkDelta, savedDate: today, baseline: baseline.date, savedAt: Date.now() }
     }))
-  }, [benchmarkRows])
+  }, [applinkDelta, baseline.date])
 
   // Close tag filter dropdown when clicking outside
   useEffect(() => {
@@ -416,13 +518,16 @@ function Dashboard() {
     clearPerformanceImpactCache(perfImpactLevel)
     setPerfImpactLoading(true)
     setPerfImpactError(null)
+    setPerfImpactProgress(null)
     setSelectedComponent('all') // Reset filter on refresh
 
     try {
-      const fetchedBugs = await fetchBugsByPerformanceImpact(perfImpactLevel, {}, false) // false = skip cache
-      setPerfImpactBugs(fetchedBugs)
+      const { bugs, total, truncated } = await fetchBugsByPerformanceImpact(perfImpactLevel, {}, false, { onProgress: setPerfImpactProgress }) // false = skip cache
+      setPerfImpactBugs(bugs)
+      setPerfImpactTotal(total)
+      setPerfImpactTruncated(truncated)
     } catch (err) {
-      setPerfImpactError(err.message)
+      setPerfImpactError(err)
       console.error('Failed to refresh performance impact bugs:', err)
     } finally {
       setPerfImpactLoading(false)
@@ -454,7 +559,7 @@ function Dashboard() {
       const fetchedBugs = await fetchBugsByIds(priorityBugIds, false)
       setPriorityBugs(fetchedBugs)
     } catch (err) {
-      setPriorityBugsError(err.message)
+      setPriorityBugsError(err)
       console.error('Failed to refresh priority bugs:', err)
     } finally {
       setPriorityBugsLoading(false)
@@ -532,6 +637,32 @@ function Dashboard() {
     }
   }
 
+  // Cards show a note while their data is restored from the last visit, and
+  // re-read the cache once the background refresh lands
+  const perfImpactFreshness = useCacheFreshness([perfImpactBugs], () =>
+    fetchBugsByPerformanceImpact(perfImpactLevel).then(({ bugs, total, truncated }) => {
+      setPerfImpactBugs(bugs)
+      setPerfImpactTotal(total)
+      setPerfImpactTruncated(truncated)
+    })
+  )
+  const allPerfImpactFreshness = useCacheFreshness([allPerfImpactBugs], () =>
+    fetchAllPerformanceImpactBugs().then(({ bugs, total }) => {
+      setAllPerfImpactBugs(bugs)
+      setAllPerfImpactTotal(total)
+    })
+  )
+  const benchmarkFreshness = useCacheFreshness([benchmarkRows, benchmarkBaselineRows], () => fetchBenchmarkRows().then(setBenchmarkRows))
+  const speedometerFreshness = useCacheFreshness([speedometerRows], () => fetchSpeedometerRows().then(setSpeedometerRows))
+  const jetstreamFreshness = useCacheFreshness([jetstreamData], () => fetchTreeherderBenchmark('jetstream3').then(setJetstreamData))
+  const sp3Freshness = useCacheFreshness([sp3Bugs], () => { if (sp3Key) fetchComponentPriorityBugs(sp3Key).then(setSp3Bugs) })
+  const allCompFreshness = useCacheFreshness(allCompResults, () =>
+    Promise.all(overviewCompKeys.map(k => fetchComponentPriorityBugs(k))).then(results => {
+      setAllCompResults(results)
+      setAllCompBugs(mergeBugResults(results))
+    })
+  )
+
   // Filter performance impact bugs by selected component
   const filteredPerfImpactBugs = selectedComponent === 'all'
     ? perfImpactBugs
@@ -802,12 +933,43 @@ function Dashboard() {
         >
           Components
         </button>
+        <button
+          className={activeView === 'workload' ? 'active' : ''}
+          onClick={() => setActiveView('workload')}
+        >
+          Workload
+        </button>
+        <button
+          className={activeView === 'throughput' ? 'active' : ''}
+          onClick={() => setActiveView('throughput')}
+        >
+          Throughput
+        </button>
+        <button
+          className={activeView === 'metatree' ? 'active' : ''}
+          onClick={() => setActiveView('metatree')}
+        >
+          Meta Bugs
+        </button>
+        <button
+          className={activeView === 'savedviews' ? 'active' : ''}
+          onClick={() => setActiveView('savedviews')}
+        >
+          Saved Views
+        </button>
         <button
           className={activeView === 'perfpriority' ? 'active' : ''}
           onClick={() => setActiveView('perfpriority')}
         >
           My Tracking
         </button>
+        <button
+          className={activeView === 'cache' ? 'active' : ''}
+          onClick={() => setActiveView('cache')}
+          title="Inspect and evict cached responses"
+        >
+          Cache
+        </button>
       </nav>
 
       <div className="dashboard-content">
@@ -816,14 +978,16 @@ function Dashboard() {
             <div className="stats-card stats-card-full">
               <h3>Quick Stats</h3>
               <div className="stats-grid">
-                <div
-                  className="stat-item stat-item-link"
-                  onClick={() => { setCompPrioritiesInitialKey('sp3'); setActiveView('compriorities') }}
-                  title="Go to SP3 Priority Bugs in Perf Priorities tab"
-                >
-                  <span className="stat-value">{sp3Bugs.length}</span>
-                  <span className="stat-label">Priority SP3</span>
-                </div>
+                {sp3Key && (
+                  <div
+                    className="stat-item stat-item-link"
+                    onClick={() => { setCompPrioritiesInitialKey(sp3Key); setActiveView('compriorities') }}
+                    title="Go to SP3 Priority Bugs in Perf Priorities tab"
+                  >
+                    <span className="stat-value">{sp3Bugs.length}</span>
+                    <span className="stat-label">Priority SP3</span>
+                  </div>
+                )}
                 <div
                   className="stat-item stat-item-link"
                   onClick={() => { setActiveView('perfpriority'); setPerfPrioritySubsection('prioritybugs') }}
@@ -833,8 +997,7 @@ function Dashboard() {
                   <span className="stat-label">My Tracking</span>
                 </div>
                 {(() => {
-                  const blendedRow = benchmarkRows.find(r => r.platform_label?.toUpperCase().includes('BLENDED'))
-                  const delta = blendedRow?.delta_ytd
+                  const delta = applinkDelta
                   if (delta == null) return null
                   const colorClass = delta < 0 ? 'stat-value-delta-good' : delta > 0 ? 'stat-value-delta-bad' : ''
                   const formatted = (delta > 0 ? '+' : '') + delta.toFixed(2) + '%'
@@ -856,16 +1019,19 @@ function Dashboard() {
               {/* E: Speedometer 3 Desktop */}
               <div className="chart-card">
                 <h3>Speedometer 3 — Desktop</h3>
+                <StaleDataNote freshness={speedometerFreshness} />
                 {speedometerLoading && <div className="loading-container"><div className="loading-spinner"></div></div>}
                 {!speedometerLoading && (() => {
-                  const startRow = speedometerRows.find(r => r.push_date === '2026-01-01')
+                  const startRow = nearestRow(speedometerRows, baseline.date, pushDate)
                   const latestRow = speedometerRows[speedometerRows.length - 1]
                   if (!startRow || !latestRow) return <p className="chart-subtitle">No data available</p>
                   const fxCurrent = latestRow.firefox_value_ma_desktop
                   const chromeStart = startRow.chrome_value_ma_desktop
                   const delta = fxCurrent && chromeStart ? 100 * (fxCurrent / chromeStart - 1) : null
                   const colorClass = delta == null ? '' : delta > 0 ? 'stat-value-delta-good' : 'stat-value-delta-bad'
-                  const prevVal = prevKpiValues.speedometerDesktop?.value
+                  // A value saved against another baseline is not comparable
+                  const prevSaved = prevKpiValues.speedometerDesktop
+                  const prevVal = prevSaved?.baseline === baseline.date ? prevSaved.value : null
                   const change = delta != null && prevVal != null ? delta - prevVal : null
                   return (
                     <div className="overview-kpi-tile" onClick={() => setActiveView('benchmarks')} title="Go to Benchmarks" style={{cursor: 'pointer'}}>
@@ -878,7 +1044,7 @@ function Dashboard() {
                           {change > 0 ? '▲' : '▼'} {change > 0 ? '+' : ''}{change.toFixed(2)}pp
                         </span>
                       )}
-                      <span className="chart-subtitle" style={{marginTop: '4px'}}>{latestRow.push_date}</span>
+                      <span className="chart-subtitle" style={{marginTop: '4px'}}>{startRow.push_date} → {latestRow.push_date}</span>
                     </div>
                   )
                 })()}
@@ -886,19 +1052,21 @@ function Dashboard() {
               {/* F: Android Applink */}
               <div className="chart-card">
                 <h3>Android Applink</h3>
+                <StaleDataNote freshness={benchmarkFreshness} />
                 {benchmarkLoading && <div className="loading-container"><div className="loading-spinner"></div></div>}
                 {!benchmarkLoading && (() => {
-                  const blendedRow = benchmarkRows.find(r => r.platform_label?.toUpperCase().includes('BLENDED'))
-                  const delta = blendedRow?.delta_ytd
+                  const delta = applinkDelta
                   const colorClass = delta == null ? '' : delta < 0 ? 'stat-value-delta-good' : 'stat-value-delta-bad'
-                  const prevVal = prevKpiValues.androidApplink?.value
+                  // A value saved against another baseline is not comparable
+                  const prevSaved = prevKpiValues.androidApplink
+                  const prevVal = prevSaved?.baseline === baseline.date ? prevSaved.value : null
                   const change = delta != null && prevVal != null ? delta - prevVal : null
                   return (
                     <div className="overview-kpi-tile" onClick={() => setActiveView('benchmarks')} title="Go to Benchmarks" style={{cursor: 'pointer'}}>
                       <span className={`overview-kpi-value ${colorClass}`}>
                         {delta != null ? (delta > 0 ? '+' : '') + delta.toFixed(2) + '%' : '—'}
                       </span>
-                      <span className="overview-kpi-label">Fx Delta YTD</span>
+                      <span className="overview-kpi-label">Fx Delta {baseline.short}</span>
                       {change != null && Math.abs(change) >= 0.01 && (
                         <span className={`overview-kpi-change ${change < 0 ? 'kpi-change-good' : 'kpi-change-bad'}`}>
                           {change < 0 ? '▼' : '▲'} {change > 0 ? '+' : ''}{change.toFixed(2)}pp
@@ -911,29 +1079,25 @@ function Dashboard() {
               {/* H: JetStream 3 */}
               <div className="chart-card">
                 <h3>JetStream 3</h3>
-                {jetstreamLoading && <div className="loading-container"><div className="loading-spinner"></div></div>}
-                {!jetstreamLoading && jetstreamData.length > 0 && (() => {
-                  const osxRow = jetstreamData.find(d => d.osKey === 'osx')
-                  if (!osxRow?.fxPoints.length || !osxRow?.competitorPoints.length) return <p className="chart-subtitle">No data available</p>
-                  const startMs = new Date('2026-01-01').getTime()
-                  const fxLatest = osxRow.fxPoints[osxRow.fxPoints.length - 1]
-                  const compStart = osxRow.competitorPoints.find(p => p.date.getTime() >= startMs) || osxRow.competitorPoints[0]
-                  const delta = fxLatest?.value && compStart?.value ? 100 * (fxLatest.value / compStart.value - 1) : null
+                <StaleDataNote freshness={jetstreamFreshness} />
+                {jetstreamData.length > 0 && (() => {
+                  const osxData = jetstreamData.find(d => d.osKey === 'osx')
+                  if (!osxData?.fxPoints.length || !osxData?.competitorPoints.length) return <p className="chart-subtitle">No data available</p>
+                  const [osxRow] = summarizePlatforms([osxData], baseline.date)
+                  const delta = osxRow.deltaVsCompStart
                   const colorClass = delta == null ? '' : delta > 0 ? 'stat-value-delta-good' : 'stat-value-delta-bad'
-                  const compLabel = osxRow.competitorApp
-                    ? osxRow.competitorApp.charAt(0).toUpperCase() + osxRow.competitorApp.slice(1)
-                    : 'Competitor'
+                  const compLabel = competitorLabel([osxData])
                   return (
                     <div className="overview-kpi-tile" onClick={() => setActiveView('benchmarks')} title="Go to Benchmarks" style={{cursor: 'pointer'}}>
                       <span className={`overview-kpi-value ${colorClass}`}>
                         {delta != null ? (delta > 0 ? '+' : '') + delta.toFixed(2) + '%' : '—'}
                       </span>
                       <span className="overview-kpi-label">Fx vs {compLabel} Start (Mac)</span>
-                      <span className="chart-subtitle" style={{marginTop: '4px'}}>{fxLatest.date.toISOString().split('T')[0]}</span>
+                      <span className="chart-subtitle" style={{marginTop: '4px'}}>{osxRow.startDate} → {osxRow.latestDate}</span>
                     </div>
                   )
                 })()}
-                {!jetstreamLoading && jetstreamData.length === 0 && (
+                {jetstreamData.length === 0 && (
                   <div
                     className="query-placeholder"
                     style={{marginTop: '24px', cursor: 'pointer'}}
@@ -959,32 +1123,36 @@ function Dashboard() {
                 </div>
               </div>
               {/* B: SP3 Top Bugs */}
-              <div className="chart-card">
-                <h3>Top Bugs to Act On — SP3</h3>
-                <p className="chart-subtitle">Highest-scored open SP3 bugs</p>
-                {sp3BugsLoading && <div className="loading-container" style={{minHeight:80}}><div className="loading-spinner"></div></div>}
-                {!sp3BugsLoading && top5Bugs.length > 0 && (
-                  <ol className="overview-top-bugs">
-                    {top5Bugs.map(bug => (
-                      <li key={bug.id} className="overview-top-bug-row">
-                        <span className="overview-top-bug-score">{bug.score}</span>
-                        <div className="overview-top-bug-body">
-                          <a href={`https://bugzilla.mozilla.org/show_bug.cgi?id=${bug.id}`} target="_blank" rel="noopener noreferrer" className="overview-top-bug-id">#{bug.id}</a>
-                          <span className="overview-top-bug-summary">{bug.summary?.length > 72 ? bug.summary.slice(0, 69) + '…' : bug.summary}</span>
-                          <span className="overview-top-bug-flags">{bug.flags.map(f => <span key={f} className={`overview-top-bug-flag overview-flag--${f}`}>{flagText(f)}</span>)}</span>
-                        </div>
-                      </li>
-                    ))}
-                  </ol>
-                )}
-                {!sp3BugsLoading && top5Bugs.length === 0 && (
-                  <p className="chart-subtitle" style={{textAlign:'center', marginTop:'40px'}}>No data — loads with SP3 bugs.</p>
-                )}
-              </div>
+              {sp3Key && (
+                <div className="chart-card">
+                  <h3>Top Bugs to Act On — SP3</h3>
+                  <p className="chart-subtitle">Highest-scored open SP3 bugs</p>
+                  <StaleDataNote freshness={sp3Freshness} />
+                  {sp3BugsLoading && <div className="loading-container" style={{minHeight:80}}><div className="loading-spinner"></div></div>}
+                  {!sp3BugsLoading && top5Bugs.length > 0 && (
+                    <ol className="overview-top-bugs">
+                      {top5Bugs.map(bug => (
+                        <li key={bug.id} className="overview-top-bug-row">
+                          <span className="overview-top-bug-score">{bug.score}</span>
+                          <div className="overview-top-bug-body">
+                            <a href={`https://bugzilla.mozilla.org/show_bug.cgi?id=${bug.id}`} target="_blank" rel="noopener noreferrer" className="overview-top-bug-id">#{bug.id}</a>
+                            <span className="overview-top-bug-summary">{bug.summary?.length > 72 ? bug.summary.slice(0, 69) + '…' : bug.summary}</span>
+                            <span className="overview-top-bug-flags">{bug.flags.map(f => <span key={f} className={`overview-top-bug-flag overview-flag--${f}`}>{flagText(f)}</span>)}</span>
+                          </div>
+                        </li>
+                      ))}
+                    </ol>
+                  )}
+                  {!sp3BugsLoading && top5Bugs.length === 0 && (
+                    <p className="chart-subtitle" style={{textAlign:'center', marginTop:'40px'}}>No data — loads with SP3 bugs.</p>
+                  )}
+                </div>
+              )}
               {/* G: All-Comp Top Bugs */}
               <div className="chart-card">
                 <h3>Top Bugs to Act On — All Components</h3>
                 <p className="chart-subtitle">Highest-scored open bugs across all tracked components</p>
+                <StaleDataNote freshness={allCompFreshness} />
                 {allCompLoading && <div className="loading-container" style={{minHeight:80}}><div className="loading-spinner"></div></div>}
                 {!allCompLoading && top5AllCompBugs.length > 0 && (
                   <ol className="overview-top-bugs">
@@ -1010,7 +1178,8 @@ function Dashboard() {
             <div className="chart-card">
               <h3>Area Hotspot — All Components</h3>
               <p className="chart-subtitle">Open bugs by area across all tracked components</p>
-              {allCompLoading && <div className="loading-container" style={{minHeight:120}}><div className="loading-spinner"></div><p style={{marginTop:8,fontSize:'0.8rem',color:'#999'}}>Fetching 9 components…</p></div>}
+              <StaleDataNote freshness={allCompFreshness} />
+              {allCompLoading && <div className="loading-container" style={{minHeight:120}}><div className="loading-spinner"></div><p style={{marginTop:8,fontSize:'0.8rem',color:'#999'}}>Fetching {overviewCompKeys.length} components…</p></div>}
               {!allCompLoading && areaHotspotAllRows.length > 0 && (
                 <div className="chart-container" style={{minHeight: '260px'}}>
                   <Bar data={areaHotspotAllData} options={areaHotspotOptions} />
@@ -1025,89 +1194,8 @@ function Dashboard() {
 
         {activeView === 'benchmarks' && (
           <div className="view-container" style={{flexDirection: 'column', width: '100%'}}>
-            <div className="chart-card benchmark-card">
-              <div className="perf-impact-header">
-                <h3>Android Applink Startup — Platform Benchmarks</h3>
-                <button
-                  className="refresh-button"
-                  onClick={() => { setBenchmarkRows([]); setBenchmarkError(null); setBenchmarkRefreshTick(t => t + 1) }}
-                  disabled={benchmarkLoading}
-                  title="Reload data from STMO"
-                >
-                  ↻ Refresh
-                </button>
-              </div>
-              <p className="chart-subtitle">Source: STMO query #114368 — values in milliseconds</p>
-
-              {benchmarkLoading && (
-                <div className="loading-container">
-                  <div className="loading-spinner"></div>
-                  <p>Loading benchmark data from STMO…</p>
-                </div>
-              )}
-
-              {benchmarkError && !benchmarkLoading && (
-                <div className="error-message">
-                  <p>Error loading benchmarks: {benchmarkError}</p>
-                </div>
-              )}
-
-              {!benchmarkLoading && !benchmarkError && benchmarkRows.length > 0 && (
-                <div className="benchmark-table-wrapper">
-                  <table className="benchmark-table">
-                    <thead>
-                      <tr>
-                        <th>Platform</th>
-                        <th>Weight</th>
-                        <th>Fx Start</th>
-                        <th>Fx Current</th>
-                        <th>Fx Delta YTD</th>
-                        <th>Chrome Start</th>
-                        <th>Chrome Current</th>
-                        <th>Fx vs Chrome Start</th>
-                        <th>Fx vs Chrome Current</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {benchmarkRows.map((row, i) => {
-                        const deltaYtd = row.delta_ytd
-                        const deltaYtdChrome = row.delta_ytd_chrome
-                        const deltaChromeYtd = row.delta_to_chrome_ytd
-                        const deltaYtdClass = deltaYtd == null ? '' : deltaYtd < 0 ? 'delta-negative' : deltaYtd > 0 ? 'delta-positive' : ''
-                        const deltaYtdChromeClass = deltaYtdChrome == null ? '' : deltaYtdChrome < 0 ? 'delta-negative' : deltaYtdChrome > 0 ? 'delta-positive' : ''
-                        const deltaChromeClass = deltaChromeYtd == null ? '' : deltaChromeYtd < 0 ? 'delta-negative' : deltaChromeYtd > 0 ? 'delta-positive' : ''
-                        const isTotal = row.platform_label?.toUpperCase().includes('BLENDED')
-                        return (
-                          <tr key={i} className={isTotal ? 'benchmark-row-total' : ''}>
-                            <td className="benchmark-platform">{row.platform_label}</td>
-                            <td className="benchmark-num">{row.platform_weight != null ? row.platform_weight : '—'}</td>
-                            <td className="benchmark-num">{row.start_value != null ? row.start_value.toFixed(0) : '—'}</td>
-                            <td className="benchmark-num">{row.current_value != null ? row.current_value.toFixed(0) : '—'}</td>
-                            <td className={`benchmark-num ${deltaYtdClass}`}>
-                              {deltaYtd != null ? (deltaYtd > 0 ? '+' : '') + deltaYtd.toFixed(2) + '%' : '—'}
-                            </td>
-                            <td className="benchmark-num">{row.start_value_chrome != null ? row.start_value_chrome.toFixed(0) : '—'}</td>
-                            <td className="benchmark-num">{row.current_value_chrome != null ? row.current_value_chrome.toFixed(0) : '—'}</td>
-                            <td className={`benchmark-num ${deltaYtdChromeClass}`}>
-                              {deltaYtdChrome != null ? (deltaYtdChrome > 0 ? '+' : '') + deltaYtdChrome.toFixed(2) + '%' : '—'}
-                            </td>
-                            <td className={`benchmark-num ${deltaChromeClass}`}>
-                              {deltaChromeYtd != null ? (deltaChromeYtd > 0 ? '+' : '') + deltaChromeYtd.toFixed(2) + '%' : '—'}
-                            </td>
-                          </tr>
-                        )
-                      })}
-                    </tbody>
-                  </table>
-                </div>
-              )}
-
-              {!benchmarkLoading && !benchmarkError && benchmarkRows.length === 0 && !benchmarkLoading && (
-                <div className="query-placeholder">
-                  <p>No benchmark data available. Click Refresh to load.</p>
-                </div>
-              )}
-            </div>
+            <BaselinePicker />
+            <ApplinkBenchmarks />
 
             {/* Speedometer section */}
             <div className="chart-card benchmark-card">
@@ -1115,33 +1203,27 @@ function Dashboard() {
                 <h3>Speedometer 3 — Desktop &amp; Android</h3>
                 <button
                   className="refresh-button"
-                  onClick={() => { setSpeedometerRows([]); setSpeedometerError(null); setSpeedometerRefreshTick(t => t + 1) }}
+                  onClick={() => { setSpeedometerRows([]); setSpeedometerError(null); clearSpeedometerCache(); setSpeedometerRefreshTick(t => t + 1) }}
                   disabled={speedometerLoading}
                   title="Reload data from STMO"
                 >
                   ↻ Refresh
                 </button>
               </div>
-              <p className="chart-subtitle">Source: STMO query #96742 — scores (higher is better); YTD from Jan 1, 2026</p>
+              <p className="chart-subtitle">Source: STMO query #96742 — scores (higher is better); start values nearest {baseline.label}</p>
+              <StaleDataNote freshness={speedometerFreshness} />
 
-              {speedometerLoading && (
-                <div className="loading-container">
-                  <div className="loading-spinner"></div>
-                  <p>Loading Speedometer data from STMO…</p>
-                </div>
-              )}
+              {speedometerLoading && <StmoLoading jobState={speedometerJobState} what="Speedometer data" />}
 
               {speedometerError && !speedometerLoading && (
-                <div className="error-message">
-                  <p>Error loading Speedometer data: {speedometerError}</p>
-                </div>
+                <RequestError error={speedometerError} context="Error loading Speedometer data" />
               )}
 
               {!speedometerLoading && !speedometerError && speedometerRows.length > 0 && (() => {
-                const startRow = speedometerRows.find(r => r.push_date === '2026-01-01')
+                const startRow = nearestRow(speedometerRows, baseline.date, pushDate)
                 const latestRow = speedometerRows[speedometerRows.length - 1]
                 if (!startRow || !latestRow) return (
-                  <div className="query-placeholder"><p>Insufficient data to display YTD summary.</p></div>
+                  <div className="query-placeholder"><p>Insufficient data to display the summary.</p></div>
                 )
                 const platforms = [
                   {
@@ -1162,7 +1244,7 @@ function Dashboard() {
                   },
                 ].map(p => ({
                   ...p,
-                  fxDeltaYtd: p.fxStart && p.fxCurrent ? 100 * (p.fxCurrent / p.fxStart - 1) : null,
+                  fxDelta: p.fxStart && p.fxCurrent ? 100 * (p.fxCurrent / p.fxStart - 1) : null,
                   deltaVsChromeStart: p.fxCurrent && p.chromeStart ? 100 * (p.fxCurrent / p.chromeStart - 1) : null,
                 }))
                 // Speedometer: higher is better — positive delta = green, negative = red
@@ -1177,7 +1259,7 @@ function Dashboard() {
                           <th>Platform</th>
                           <th>Fx Start</th>
                           <th>Fx Current</th>
-                          <th>Fx Delta YTD</th>
+                          <th>Fx Delta {baseline.short}</th>
                           <th>Chrome Start</th>
                           <th>Chrome Current</th>
                           <th>Fx vs Chrome Start</th>
@@ -1190,7 +1272,7 @@ function Dashboard() {
                             <td className="benchmark-platform">{p.label}</td>
                             <td className="benchmark-num">{fmtScore(p.fxStart)}</td>
                             <td className="benchmark-num">{fmtScore(p.fxCurrent)}</td>
-                            <td className={`benchmark-num ${spClass(p.fxDeltaYtd)}`}>{fmtDelta(p.fxDeltaYtd)}</td>
+                            <td className={`benchmark-num ${spClass(p.fxDelta)}`}>{fmtDelta(p.fxDelta)}</td>
                             <td className="benchmark-num">{fmtScore(p.chromeStart)}</td>
                             <td className="benchmark-num">{fmtScore(p.chromeCurrent)}</td>
                             <td className={`benchmark-num ${spClass(p.deltaVsChromeStart)}`}>{fmtDelta(p.deltaVsChromeStart)}</td>
@@ -1199,11 +1281,15 @@ function Dashboard() {
                         ))}
                       </tbody>
                     </table>
-                    <p className="chart-subtitle" style={{marginTop: '8px'}}>Latest data: {latestRow.push_date}</p>
+                    <p className="chart-subtitle" style={{marginTop: '8px'}}>Start data: {startRow.push_date} · Latest data: {latestRow.push_date}</p>
                   </div>
                 )
               })()}
 
+              {!speedometerLoading && !speedometerError && speedometerRows.length > 0 && (
+                <SpeedometerChart rows={speedometerRows} />
+              )}
+
               {!speedometerLoading && !speedometerError && speedometerRows.length === 0 && (
                 <div className="query-placeholder">
                   <p>No Speedometer data available. Click Refresh to load.</p>
@@ -1211,110 +1297,10 @@ function Dashboard() {
               )}
             </div>
 
-            {/* JetStream 3 section */}
-            <div className="chart-card benchmark-card">
-              <div className="perf-impact-header">
-                <h3>JetStream 3 — All Platforms</h3>
-                <button
-                  className="refresh-button"
-                  onClick={() => { setJetstreamData([]); setJetstreamError(null); clearJetstreamCache(); setJetstreamRefreshTick(t => t + 1) }}
-                  disabled={jetstreamLoading}
-                  title="Reload data from Treeherder"
-                >
-                  ↻ Refresh
-                </button>
-              </div>
-              <p className="chart-subtitle">Source: Treeherder Performance API (framework 13) — scores (higher is better); YTD from Jan 1, 2026</p>
-
-              {jetstreamLoading && (
-                <div className="loading-container">
-                  <div className="loading-spinner"></div>
-                  <p>Loading JetStream 3 data from Treeherder…</p>
-                </div>
-              )}
-
-              {jetstreamError && !jetstreamLoading && (
-                <div className="error-message">
-                  <p>Error loading JetStream 3 data: {jetstreamError}</p>
-                </div>
-              )}
-
-              {!jetstreamLoading && !jetstreamError && jetstreamData.length > 0 && (() => {
-                const startMs = new Date('2026-01-01').getTime()
-                // Higher is better: positive delta = good = delta-negative (green)
-                const jsClass = v => v == null ? '' : v > 0 ? 'delta-negative' : v < 0 ? 'delta-positive' : ''
-                const fmtDelta = v => v != null ? (v > 0 ? '+' : '') + v.toFixed(2) + '%' : '—'
-                const fmtScore = v => v != null ? v.toFixed(2) : '—'
-
-                const rows = jetstreamData.map(({ label, competitorApp, fxPoints, competitorPoints }) => {
-                  const fxStart = fxPoints.find(p => p.date.getTime() >= startMs) || fxPoints[0] || null
-                  const fxCurrent = fxPoints[fxPoints.length - 1] || null
-                  const compStart = competitorPoints.find(p => p.date.getTime() >= startMs) || competitorPoints[0] || null
-                  const compCurrent = competitorPoints[competitorPoints.length - 1] || null
-                  const fxStartVal = fxStart?.value ?? null
-                  const fxCurrentVal = fxCurrent?.value ?? null
-                  const compStartVal = compStart?.value ?? null
-                  const compCurrentVal = compCurrent?.value ?? null
-                  return {
-                    label,
-                    competitorApp,
-                    fxStart: fxStartVal,
-                    fxCurrent: fxCurrentVal,
-                    fxDeltaYtd: fxStartVal && fxCurrentVal ? 100 * (fxCurrentVal / fxStartVal - 1) : null,
-                    compStart: compStartVal,
-                    compCurrent: compCurrentVal,
-                    deltaVsCompStart: fxCurrentVal && compStartVal ? 100 * (fxCurrentVal / compStartVal - 1) : null,
-                    deltaVsCompCurrent: fxCurrentVal && compCurrentVal ? 100 * (fxCurrentVal / compCurrentVal - 1) : null,
-                    latestDate: fxCurrent?.date?.toISOString?.().split('T')[0] ?? null,
-                  }
-                })
-
-                const latestDate = rows.reduce((best, r) => (r.latestDate > best ? r.latestDate : best), '')
-                const osxRow = jetstreamData.find(d => d.osKey === 'osx')
-                const compLabel = (osxRow?.competitorApp ?? rows[0]?.competitorApp ?? 'Competitor')
-                  .replace(/^./, c => c.toUpperCase())
-
-                return (
-                  <div className="benchmark-table-wrapper">
-                    <table className="benchmark-table">
-                      <thead>
-                        <tr>
-                          <th>Platform</th>
-                          <th>Fx Start</th>
-                          <th>Fx Current</th>
-                          <th>Fx Delta YTD</th>
-                          <th>{compLabel} Start</th>
-                          <th>{compLabel} Current</th>
-                          <th>Fx vs {compLabel} Start</th>
-                          <th>Fx vs {compLabel} Current</th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {rows.map((r, i) => (
-                          <tr key={i}>
-                            <td className="benchmark-platform">{r.label}</td>
-                            <td className="benchmark-num">{fmtScore(r.fxStart)}</td>
-                            <td className="benchmark-num">{fmtScore(r.fxCurrent)}</td>
-                            <td className={`benchmark-num ${jsClass(r.fxDeltaYtd)}`}>{fmtDelta(r.fxDeltaYtd)}</td>
-                            <td className="benchmark-num">{fmtScore(r.compStart)}</td>
-                            <td className="benchmark-num">{fmtScore(r.compCurrent)}</td>
-                            <td className={`benchmark-num ${jsClass(r.deltaVsCompStart)}`}>{fmtDelta(r.deltaVsCompStart)}</td>
-                            <td className={`benchmark-num ${jsClass(r.deltaVsCompCurrent)}`}>{fmtDelta(r.deltaVsCompCurrent)}</td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                    {latestDate && <p className="chart-subtitle" style={{marginTop: '8px'}}>Latest data: {latestDate}</p>}
-                  </div>
-                )
-              })()}
-
-              {!jetstreamLoading && !jetstreamError && jetstreamData.length === 0 && (
-                <div className="query-placeholder">
-                  <p>No JetStream 3 data available. Click Refresh to load.</p>
-                </div>
-              )}
-            </div>
+            {/* Treeherder benchmarks, one card per registered benchmark */}
+            {getBenchmarks().map(benchmark => (
+              <TreeherderBenchmarkCard key={benchmark.key} benchmark={benchmark} />
+            ))}
           </div>
         )}
 
@@ -1323,14 +1309,16 @@ function Dashboard() {
             {allPerfImpactLoading ? (
               <div className="loading-container">
                 <div className="loading-spinner"></div>
-                <p>Loading performance impact data...</p>
+                <p>Loading performance impact data...{allPerfImpactProgress && ` (${allPerfImpactProgress.loaded}${allPerfImpactProgress.total != null ? ` of ${allPerfImpactProgress.total}` : ''} bugs)`}</p>
               </div>
             ) : (
               <div className="chart-card large">
                 <h3>Top 10 Components with Performance Impact</h3>
                 <p className="chart-subtitle">
                   Components with the most performance impact bugs (High, Medium, or Low)
+                  {allPerfImpactBugs.length > 0 && ` — ${allPerfImpactBugs.length}${allPerfImpactTotal != null && allPerfImpactTotal > allPerfImpactBugs.length ? ` of ${allPerfImpactTotal}` : ''} open bugs`}
                 </p>
+                <StaleDataNote freshness={allPerfImpactFreshness} />
                 <div className="chart-container">
                   <Bar data={teamData} options={chartOptions} />
                 </div>
@@ -1370,18 +1358,17 @@ function Dashboard() {
             {perfImpactLoading && (
               <div className="loading-container">
                 <div className="loading-spinner"></div>
-                <p>Loading performance impact bugs...</p>
+                <p>Loading performance impact bugs...{perfImpactProgress && ` (${perfImpactProgress.loaded}${perfImpactProgress.total != null ? ` of ${perfImpactProgress.total}` : ''})`}</p>
               </div>
             )}
 
             {perfImpactError && !perfImpactLoading && (
-              <div className="error-message">
-                <p>Error: {perfImpactError}</p>
-              </div>
+              <RequestError error={perfImpactError} context="Error" />
             )}
 
             {!perfImpactLoading && !perfImpactError && (
               <>
+                <StaleDataNote freshness={perfImpactFreshness} />
                 <div className="component-filter-bar">
                   <div className="component-filter">
                     <label htmlFor="component-filter">Filter by Component:</label>
@@ -1402,6 +1389,13 @@ function Dashboard() {
                     </select>
                   </div>
                 </div>
+                {perfImpactTruncated && (
+                  <div className="error-message">
+                    <p>
+                      Showing the first {perfImpactBugs.length} of {perfImpactTotal ?? 'more'} matching bugs — the result cap was reached.
+                    </p>
+                  </div>
+                )}
                 <BugTable
                   bugs={filteredPerfImpactBugs}
                   onAddToPriority={handleAddToPriority}
@@ -1464,9 +1458,7 @@ function Dashboard() {
                   )}
 
                   {priorityBugsError && !priorityBugsLoading && (
-                    <div className="error-message">
-                      <p>Error: {priorityBugsError}</p>
-                    </div>
+                    <RequestError error={priorityBugsError} context="Error" />
                   )}
 
                   {!priorityBugsLoading && !priorityBugsError && priorityBugIds.length > 0 && (
@@ -1525,6 +1517,16 @@ function Dashboard() {
           </div>
         )}
 
+        {activeView === 'metatree' && <MetaBugTree />}
+
+        {activeView === 'savedviews' && <SavedViews onAddToPriority={handleAddFromCompPriorities} />}
+
+        {activeView === 'cache' && <CacheInspector />}
+
+        {activeView === 'workload' && <AssigneeWorkload onAddToPriority={handleAddFromCompPriorities} />}
+
+        {activeView === 'throughput' && <PerfThroughput />}
+
         {activeView === 'compriorities' && <ComponentPriorities initialKey={compPrioritiesInitialKey} onAddToPriority={handleAddFromCompPriorities} />}
       </div>
 
@@ -0,0 +1,208 @@
+import { useState, useEffect } from 'react'
+import { fetchDependencyGraph, clearDependencyGraphCache, MAX_TREE_DEPTH } from '../services/bugzillaService'
+import { buildDependencyTree, isClosedBug } from '../utils/dependencyTree'
+import { useCacheFreshness } from '../utils/cacheFreshness'
+import { useComponentGroups, defaultMetaBugId } from '../utils/componentGroups'
+import BugDetailDrawer from './BugDetailDrawer'
+import RequestError from './RequestError'
+import StaleDataNote from './StaleDataNote'
+import './MetaBugTree.css'
+
+// Root picked in the explorer; without one the tree follows the meta bug group (SP3 by default)
+const ROOT_STORAGE_KEY = 'meta_tree_root_override'
+const DEPTH_OPTIONS = [1, 2, 3, 5, MAX_TREE_DEPTH]
+
+function RollupBadge({ rollup }) {
+  if (rollup.total === 0) return null
+  const pct = Math.round((100 * rollup.closed) / rollup.total)
+  return (
+    <span className="mbt-rollup" title={`${rollup.open} open, ${rollup.closed} closed${rollup.hidden ? `, ${rollup.hidden} not visible` : ''}`}>
+      <span className="mbt-rollup-open">{rollup.open} open</span>
+      <span className="mbt-rollup-closed">{rollup.closed} closed</span>
+      <span className="mbt-rollup-bar"><span style={{ width: `${pct}%` }}></span></span>
+    </span>
+  )
+}
+
+function TreeNode({ node, depth, hideClosed, onSelect }) {
+  const [expanded, setExpanded] = useState(depth < 2)
+  const { bug } = node
+  const closed = isClosedBug(bug)
+  const visibleChildren = hideClosed
+    ? node.children.filter(c => !isClosedBug(c.bug) || c.rollup.open > 0)
+    : node.children
+  const hasChildren = visibleChildren.length > 0
+
+  return (
+    <li className={`mbt-node${closed ? ' mbt-node--closed' : ''}`}>
+      <div className="mbt-node-row">
+        <button
+          className="mbt-toggle"
+          onClick={() => setExpanded(e => !e)}
+          disabled={!hasChildren}
+          title={hasChildren ? (expanded ? 'Collapse' : 'Expand') : undefined}
+        >
+          {hasChildren ? (expanded ? '▾' : '▸') : '·'}
+        </button>
+        <a className="mbt-id" href={`https://bugzilla.mozilla.org/show_bug.cgi?id=${node.id}`} target="_blank" rel="noopener noreferrer">
+          {node.id}
+        </a>
+        {bug ? (
+          <>
+            <span className={`mbt-status${closed ? ' mbt-status--closed' : ''}`}>{bug.status}</span>
+            <button className="mbt-summary" onClick={() => onSelect(bug)} title="Show bug details">{bug.summary}</button>
+          </>
+        ) : (
+          <span className="mbt-summary mbt-summary--hidden">Not visible (restricted or beyond depth limit)</span>
+        )}
+        {node.cycle && <span className="mbt-marker mbt-marker--cycle" title="Depends on one of its own ancestors">↺ cycle</span>}
+        {node.repeated && <span className="mbt-marker" title="Already shown elsewhere in this tree">↑ shown above</span>}
+        <RollupBadge rollup={node.rollup} />
+      </div>
+      {hasChildren && expanded && (
+        <ul className="mbt-children">
+          {visibleChildren.map(child => (
+            <TreeNode key={child.id} node={child} depth={depth + 1} hideClosed={hideClosed} onSelect={onSelect} />
+          ))}
+        </ul>
+      )}
+    </li>
+  )
+}
+
+// Explorer for the full depends_on tree below any meta bug
+function MetaBugTree() {
+  const defaultRootId = defaultMetaBugId(useComponentGroups())
+  const [chosenRootId, setChosenRootId] = useState(() => Number(localStorage.getItem(ROOT_STORAGE_KEY)) || null)
+  const rootId = chosenRootId ?? defaultRootId
+  const [rootInput, setRootInput] = useState(() => (rootId ? String(rootId) : ''))
+  const [maxDepth, setMaxDepth] = useState(MAX_TREE_DEPTH)
+  const [graph, setGraph] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [progress, setProgress] = useState(null)
+  const [error, setError] = useState(null)
+  const [refreshTick, setRefreshTick] = useState(0)
+  const [hideClosed, setHideClosed] = useState(false)
+  const [detailBug, setDetailBug] = useState(null)
+
+  useEffect(() => {
+    setRootInput(rootId ? String(rootId) : '')
+  }, [rootId])
+
+  useEffect(() => {
+    setGraph(null)
+    if (!rootId) {
+      setLoading(false)
+      return
+    }
+    const controller = new AbortController()
+    const { signal } = controller
+    setLoading(true)
+    setError(null)
+    setProgress(null)
+
+    fetchDependencyGraph(rootId, { maxDepth, signal, onProgress: p => { if (!signal.aborted) setProgress(p) } })
+      .then(data => { if (!signal.aborted) setGraph(data) })
+      .catch(err => { if (!signal.aborted) setError(err) })
+      .finally(() => { if (!signal.aborted) setLoading(false) })
+
+    return () => controller.abort()
+  }, [rootId, maxDepth, refreshTick])
+
+  const freshness = useCacheFreshness([graph], () => setRefreshTick(t => t + 1))
+
+  const handleLoad = () => {
+    const id = Number(rootInput.trim())
+    if (!Number.isInteger(id) || id <= 0) return
+    // Picking the group's meta bug again goes back to following the group
+    if (id === defaultRootId) {
+      localStorage.removeItem(ROOT_STORAGE_KEY)
+      setChosenRootId(null)
+    } else {
+      localStorage.setItem(ROOT_STORAGE_KEY, String(id))
+      setChosenRootId(id)
+    }
+  }
+
+  const handleRefresh = () => {
+    clearDependencyGraphCache(rootId, { maxDepth })
+    setRefreshTick(t => t + 1)
+  }
+
+  const tree = graph ? buildDependencyTree(graph.rootId, graph.bugs) : null
+
+  return (
+    <div className="mbt-container">
+      <div className="perf-impact-header">
+        <h2>Meta Bug Dependency Tree</h2>
+        <div className="perf-impact-controls">
+          <button className="refresh-button" onClick={handleRefresh} disabled={loading || !rootId} title="Clear cache and refresh">
+            ↻ Refresh
+          </button>
+        </div>
+      </div>
+      <p className="section-description">
+        Walks <code>depends_on</code> from any meta bug through sub-meta bugs, with open/closed rollups per subtree.
+      </p>
+
+      <div className="mbt-controls">
+        <div className="bug-input-row">
+          <input
+            type="text"
+            className="bug-input"
+            value={rootInput}
+            onChange={(e) => setRootInput(e.target.value.replace(/\D/g, ''))}
+            onKeyDown={(e) => e.key === 'Enter' && handleLoad()}
+            placeholder="Meta bug ID"
+          />
+          <button className="add-bug-button" onClick={handleLoad} disabled={!rootInput.trim()}>Load Tree</button>
+        </div>
+        <div className="perf-impact-filter">
+          <label htmlFor="mbt-depth">Max depth:</label>
+          <select id="mbt-depth" value={maxDepth} onChange={(e) => setMaxDepth(Number(e.target.value))}>
+            {DEPTH_OPTIONS.map(d => <option key={d} value={d}>{d}</option>)}
+          </select>
+        </div>
+        <label className="mbt-hide-closed">
+          <input type="checkbox" checked={hideClosed} onChange={(e) => setHideClosed(e.target.checked)} />
+          Hide closed subtrees
+        </label>
+      </div>
+
+      {loading && (
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <p>Walking dependencies of bug {rootId}…{progress && ` (${progress.loaded} bugs, depth ${progress.depth})`}</p>
+        </div>
+      )}
+
+      {!rootId && (
+        <div className="query-placeholder"><p>No component group has a meta bug — enter a meta bug ID to load its tree.</p></div>
+      )}
+
+      {!loading && <RequestError error={error} context="Failed to load dependency tree" />}
+      <StaleDataNote freshness={freshness} />
+
+      {!loading && !error && tree && (
+        <>
+          {graph.truncated && (
+            <div className="error-message">
+              <p>The tree was cut off at the depth or size limit — some descendants are not shown.</p>
+            </div>
+          )}
+          {!tree.bug ? (
+            <div className="query-placeholder"><p>Bug {rootId} was not found or is not visible.</p></div>
+          ) : (
+            <ul className="mbt-tree">
+              <TreeNode node={tree} depth={0} hideClosed={hideClosed} onSelect={setDetailBug} />
+            </ul>
+          )}
+        </>
+      )}
+
+      {detailBug && <BugDetailDrawer bug={detailBug} onClose={() => setDetailBug(null)} />}
+    </div>
+  )
+}
+
+export default MetaBugTree
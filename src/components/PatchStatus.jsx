@@ -0,0 +1,28 @@
+import { getPatchStatus, patchStatusText } from '../utils/bugAnalysis'
+import './PatchStatus.css'
+
+const REVIEW_TITLES = {
+  requested: 'review requested',
+  rejected: 'changes requested',
+  approved: 'review granted',
+}
+
+// Patch / review badge for a bug whose attachments may still be loading
+function PatchStatus({ bug }) {
+  const status = getPatchStatus(bug)
+  if (!status) return <span className="patch-status patch-status--loading" title="Loading attachments…">…</span>
+  if (status.state === 'none') return <span className="patch-status patch-status--none" title="No open patch">—</span>
+
+  const title = [
+    `${status.count} ${status.count === 1 ? 'patch' : 'patches'}`,
+    status.state === 'landed' ? 'bug fixed' : REVIEW_TITLES[status.review] || 'no review requested',
+  ].join(', ')
+  const modifier = status.state === 'landed' ? 'landed' : status.review || 'open'
+  return (
+    <span className={`patch-status patch-status--${modifier}`} title={title}>
+      {status.state === 'landed' ? '✓ ' : '● '}{patchStatusText(status)}
+    </span>
+  )
+}
+
+export default PatchStatus
@@ -0,0 +1,227 @@
+import { useState, useEffect } from 'react'
+import { Bar, Line } from 'react-chartjs-2'
+import { fetchPerformanceThroughput, clearPerformanceThroughputCache, fetchAllPerformanceImpactBugs, clearPerformanceImpactCache } from '../services/bugzillaService'
+import { isAbortError } from '../services/httpClient'
+import { useComponentGroups, isMetaBugGroup, bugMatchesGroup } from '../utils/componentGroups'
+import { weekStarts, weeklyThroughput, medianTimeToFix, backlogSeries, median, timeToFixDays } from '../utils/throughput'
+import { useCacheFreshness } from '../utils/cacheFreshness'
+import RequestError from './RequestError'
+import StaleDataNote from './StaleDataNote'
+import './PerfThroughput.css'
+
+const RANGE_OPTIONS = [12, 26, 52]
+const IMPACT_LABELS = { high: 'High', medium: 'Medium', low: 'Low' }
+
+function formatDays(days) {
+  if (days == null) return '—'
+  return days < 10 ? `${days.toFixed(1)}d` : `${Math.round(days)}d`
+}
+
+const chartOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  plugins: {
+    legend: { position: 'bottom' },
+  },
+  scales: {
+    y: { beginAtZero: true },
+  },
+}
+
+// Progress on performance bugs: weekly opened vs fixed, time-to-fix and the
+// open backlog over time.
+function PerfThroughput() {
+  const groups = useComponentGroups()
+  const [rangeWeeks, setRangeWeeks] = useState(26)
+  const [data, setData] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [refreshTick, setRefreshTick] = useState(0)
+
+  const weeks = weekStarts(rangeWeeks)
+  const since = weeks[0]
+
+  useEffect(() => {
+    const controller = new AbortController()
+    const { signal } = controller
+    setLoading(true)
+    setError(null)
+
+    Promise.all([
+      fetchPerformanceThroughput(since, true, { signal }),
+      fetchAllPerformanceImpactBugs({}, true, { signal }),
+    ])
+      .then(([throughput, open]) => {
+        if (!signal.aborted) setData({ ...throughput, openBugs: open.bugs, openNow: open.total ?? open.bugs.length })
+      })
+      .catch(err => { if (!signal.aborted && !isAbortError(err)) setError(err) })
+      .finally(() => { if (!signal.aborted) setLoading(false) })
+
+    return () => controller.abort()
+  }, [since, refreshTick])
+
+  const handleRefresh = () => {
+    clearPerformanceThroughputCache(since)
+    clearPerformanceImpactCache()
+    setRefreshTick(t => t + 1)
+  }
+
+  const freshness = useCacheFreshness([data?.opened, data?.openBugs], () => setRefreshTick(t => t + 1))
+
+  const weekly = data ? weeklyThroughput(data.opened, data.resolved, weeks) : []
+  const backlog = data ? backlogSeries(data.openNow, data.opened, data.resolved, weeks) : []
+  const fixedBugs = data ? data.resolved.filter(b => b.resolution === 'FIXED') : []
+  const totals = weekly.reduce((acc, w) => ({ opened: acc.opened + w.opened, fixed: acc.fixed + w.fixed, closed: acc.closed + w.closed }), { opened: 0, fixed: 0, closed: 0 })
+  const overallMedian = median(fixedBugs.map(timeToFixDays).filter(d => d !== null))
+
+  const byImpact = data ? medianTimeToFix(data.resolved, bug => [bug.cf_performance_impact]) : []
+  const impactRows = Object.keys(IMPACT_LABELS).map(level => byImpact.find(r => r.key === level) || { key: level, count: 0, medianDays: null })
+
+  const componentGroups = groups.filter(g => !isMetaBugGroup(g))
+  const byGroup = data ? medianTimeToFix(data.resolved, bug => componentGroups.filter(g => bugMatchesGroup(bug, g)).map(g => g.key)) : []
+  const groupRows = componentGroups.map(g => ({ group: g, ...(byGroup.find(r => r.key === g.key) || { count: 0, medianDays: null }) }))
+
+  const weeklyData = {
+    labels: weeks,
+    datasets: [
+      { label: 'Opened', data: weekly.map(w => w.opened), backgroundColor: 'rgba(248, 113, 113, 0.75)' },
+      { label: 'Fixed', data: weekly.map(w => w.fixed), backgroundColor: 'rgba(74, 222, 128, 0.75)' },
+    ],
+  }
+
+  const backlogData = {
+    labels: weeks,
+    datasets: [{
+      label: 'Open backlog (end of week)',
+      data: backlog.map(b => b.open),
+      borderColor: 'rgb(102, 126, 234)',
+      backgroundColor: 'rgba(102, 126, 234, 0.15)',
+      tension: 0.3,
+      pointRadius: 3,
+    }],
+  }
+
+  return (
+    <div className="tp-container">
+      <div className="perf-impact-header">
+        <h2>Throughput &amp; Time to Fix</h2>
+        <div className="perf-impact-controls">
+          <div className="perf-impact-filter">
+            <label htmlFor="tp-range">Range:</label>
+            <select id="tp-range" value={rangeWeeks} onChange={(e) => setRangeWeeks(Number(e.target.value))}>
+              {RANGE_OPTIONS.map(w => <option key={w} value={w}>Last {w} weeks</option>)}
+            </select>
+          </div>
+          <button className="refresh-button" onClick={handleRefresh} disabled={loading} title="Clear cache and refresh">
+            ↻ Refresh
+          </button>
+        </div>
+      </div>
+      <p className="section-description">
+        Performance impact bugs (high, medium and low) opened and resolved since {since}. Time to fix runs from
+        creation to <code>cf_last_resolved</code> for FIXED bugs.
+      </p>
+
+      {loading && (
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <p>Loading bugs opened and resolved since {since}…</p>
+        </div>
+      )}
+
+      {!loading && <RequestError error={error} context="Failed to load throughput data" />}
+      <StaleDataNote freshness={freshness} />
+
+      {!loading && !error && data && (
+        <>
+          {data.truncated && (
+            <div className="error-message">
+              <p>The result cap was reached — counts for the oldest weeks may be incomplete.</p>
+            </div>
+          )}
+
+          <div className="tp-stats">
+            <div className="tp-stat">
+              <span className="tp-stat-value">{totals.opened}</span>
+              <span className="tp-stat-label">Opened</span>
+            </div>
+            <div className="tp-stat">
+              <span className="tp-stat-value">{totals.fixed}</span>
+              <span className="tp-stat-label">Fixed</span>
+            </div>
+            <div className="tp-stat">
+              <span className="tp-stat-value">{totals.closed - totals.fixed}</span>
+              <span className="tp-stat-label">Closed otherwise</span>
+            </div>
+            <div className="tp-stat">
+              <span className={`tp-stat-value ${totals.opened > totals.closed ? 'tp-worse' : 'tp-better'}`}>
+                {totals.opened - totals.closed > 0 ? '+' : ''}{totals.opened - totals.closed}
+              </span>
+              <span className="tp-stat-label">Net backlog change</span>
+            </div>
+            <div className="tp-stat">
+              <span className="tp-stat-value">{formatDays(overallMedian)}</span>
+              <span className="tp-stat-label">Median time to fix</span>
+            </div>
+          </div>
+
+          <div className="tp-charts">
+            <div className="chart-card">
+              <h3>Opened vs Fixed per Week</h3>
+              <div className="chart-container">
+                <Bar data={weeklyData} options={chartOptions} />
+              </div>
+            </div>
+            <div className="chart-card">
+              <h3>Open Backlog</h3>
+              <div className="chart-container">
+                <Line data={backlogData} options={{ ...chartOptions, scales: { y: { beginAtZero: false } } }} />
+              </div>
+              <p className="tp-note">Reconstructed from today's open count; bugs that gained an impact level later or were reopened are not reflected.</p>
+            </div>
+          </div>
+
+          <div className="tp-tables">
+            <div className="chart-card">
+              <h3>Median Time to Fix by Impact</h3>
+              <table className="tp-table">
+                <thead>
+                  <tr><th>Impact</th><th>Fixed</th><th>Median</th></tr>
+                </thead>
+                <tbody>
+                  {impactRows.map(r => (
+                    <tr key={r.key}>
+                      <td className={`tp-impact tp-impact--${r.key}`}>{IMPACT_LABELS[r.key]}</td>
+                      <td className="tp-num">{r.count}</td>
+                      <td className="tp-num">{formatDays(r.medianDays)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="chart-card">
+              <h3>Median Time to Fix by Component Group</h3>
+              <table className="tp-table">
+                <thead>
+                  <tr><th>Group</th><th>Fixed</th><th>Median</th></tr>
+                </thead>
+                <tbody>
+                  {groupRows.map(r => (
+                    <tr key={r.group.key}>
+                      <td>{r.group.label}</td>
+                      <td className="tp-num">{r.count}</td>
+                      <td className="tp-num">{formatDays(r.medianDays)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="tp-note">Meta bug groups are not shown; bugs are matched by component and the group's signals.</p>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default PerfThroughput
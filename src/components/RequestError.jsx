@@ -0,0 +1,43 @@
+import { HttpError } from '../services/httpClient'
+import { RedashError } from '../services/redashClient'
+import './RequestError.css'
+
+// What the user can do about each kind of failure
+function getHint(error) {
+  if (error instanceof RedashError) {
+    if (error.state === 'timeout') return 'The query may still be running on STMO — refresh in a minute to pick up its result.'
+    if (error.state === 'rejected-key') return 'The configured key may be wrong or revoked — check stmo-keys.json or .env.local.'
+    return null
+  }
+  if (error.kind === 'timeout') return 'The server took too long to respond — try refreshing.'
+  if (error.kind === 'network') return 'The server could not be reached — check your connection or VPN.'
+  if (error.kind === 'parse') return 'The server returned an unexpected response.'
+  if (error.status === 401 || error.status === 403) return 'Access was denied — check your API key.'
+  if (error.status === 429) return 'Rate limited — wait a minute before refreshing.'
+  if (error.status >= 500) return 'The server is having trouble — try again later.'
+  return null
+}
+
+// Error banner for failed requests. Plain errors and strings render as a
+// message; HttpErrors add a hint and the (api_key-free) request line, and
+// RedashErrors a hint where one helps.
+function RequestError({ error, context }) {
+  if (!error) return null
+  const message = typeof error === 'string' ? error : error.message
+  const hint = error instanceof HttpError || error instanceof RedashError ? getHint(error) : null
+
+  return (
+    <div className="error-message">
+      <p>{context ? `${context}: ` : ''}{message}</p>
+      {hint && <p className="request-error-hint">{hint}</p>}
+      {error instanceof HttpError && (
+        <p className="request-error-detail">
+          <code>{error.method} {error.url}</code>
+          {error.attempts > 1 && ` · gave up after ${error.attempts} attempts`}
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default RequestError
@@ -0,0 +1,229 @@
+import { useState, useEffect } from 'react'
+import { fetchBuglistBugs, clearBuglistCache } from '../services/bugzillaService'
+import { parseBuglistUrl, describeBuglistParams } from '../utils/buglistQuery'
+import { useSavedViews, addSavedView, renameSavedView, removeSavedView } from '../utils/savedViews'
+import { useCacheFreshness } from '../utils/cacheFreshness'
+import BugTable from './BugTable'
+import RequestError from './RequestError'
+import StaleDataNote from './StaleDataNote'
+import './SavedViews.css'
+
+const SELECTED_VIEW_KEY = 'saved_view_selected'
+
+// Named views built from pasted buglist.cgi / advanced-search URLs, so ad-hoc
+// team queries can live on the dashboard without code changes.
+function SavedViews({ onAddToPriority }) {
+  const views = useSavedViews()
+  const [selectedId, setSelectedId] = useState(() => localStorage.getItem(SELECTED_VIEW_KEY))
+  const [showImport, setShowImport] = useState(false)
+  const [importUrl, setImportUrl] = useState('')
+  const [importName, setImportName] = useState('')
+  const [importError, setImportError] = useState(null)
+  const [renaming, setRenaming] = useState(null)
+  const [result, setResult] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [progress, setProgress] = useState(null)
+  const [error, setError] = useState(null)
+  const [refreshTick, setRefreshTick] = useState(0)
+
+  const selectedView = views.find(v => v.id === selectedId) || views[0]
+
+  useEffect(() => {
+    if (!selectedView) return
+    const controller = new AbortController()
+    const { signal } = controller
+    setLoading(true)
+    setError(null)
+    setProgress(null)
+    setResult(null)
+    localStorage.setItem(SELECTED_VIEW_KEY, selectedView.id)
+
+    fetchBuglistBugs(selectedView.url, true, { signal, onProgress: p => { if (!signal.aborted) setProgress(p) } })
+      .then(data => { if (!signal.aborted) setResult(data) })
+      .catch(err => { if (!signal.aborted) setError(err) })
+      .finally(() => { if (!signal.aborted) setLoading(false) })
+
+    return () => controller.abort()
+  }, [selectedView?.id, selectedView?.url, refreshTick])
+
+  const freshness = useCacheFreshness([result], () => setRefreshTick(t => t + 1))
+
+  // Live translation preview for the URL being imported
+  let preview = null
+  if (importUrl.trim()) {
+    try {
+      preview = parseBuglistUrl(importUrl)
+    } catch (err) {
+      preview = { error: err.message }
+    }
+  }
+
+  const handleImport = () => {
+    try {
+      const view = addSavedView(importName, importUrl)
+      setSelectedId(view.id)
+      setImportUrl('')
+      setImportName('')
+      setImportError(null)
+      setShowImport(false)
+    } catch (err) {
+      setImportError(err.message)
+    }
+  }
+
+  const handleRename = () => {
+    try {
+      renameSavedView(renaming.id, renaming.name)
+      setRenaming(null)
+    } catch (err) {
+      setRenaming(prev => ({ ...prev, error: err.message }))
+    }
+  }
+
+  const handleRemove = () => {
+    if (!window.confirm(`Delete the "${selectedView.name}" view?`)) return
+    removeSavedView(selectedView.id)
+    setSelectedId(null)
+  }
+
+  const handleRefresh = () => {
+    clearBuglistCache(selectedView.url)
+    setRefreshTick(t => t + 1)
+  }
+
+  const bugs = result?.bugs || []
+
+  return (
+    <div className="sv-container">
+      <div className="perf-impact-header">
+        <h2>Saved Views</h2>
+        <div className="perf-impact-controls">
+          <button className="add-bug-button" onClick={() => setShowImport(s => !s)}>
+            {showImport ? 'Cancel import' : '+ Import Bugzilla URL'}
+          </button>
+          {selectedView && (
+            <button className="refresh-button" onClick={handleRefresh} disabled={loading} title="Clear cache and refresh">
+              ↻ Refresh
+            </button>
+          )}
+        </div>
+      </div>
+      <p className="section-description">
+        Paste any <code>buglist.cgi</code> or advanced-search URL from Bugzilla to save it as a named view.
+      </p>
+
+      {showImport && (
+        <div className="sv-import">
+          <input
+            type="text"
+            className="bug-input"
+            value={importUrl}
+            onChange={(e) => { setImportUrl(e.target.value); setImportError(null) }}
+            placeholder="https://bugzilla.mozilla.org/buglist.cgi?…"
+          />
+          <div className="bug-input-row">
+            <input
+              type="text"
+              className="bug-input"
+              value={importName}
+              onChange={(e) => { setImportName(e.target.value); setImportError(null) }}
+              onKeyDown={(e) => e.key === 'Enter' && handleImport()}
+              placeholder="View name, e.g. Graphics triage"
+            />
+            <button className="add-bug-button" onClick={handleImport} disabled={!preview || !!preview.error || !importName.trim()}>
+              Save View
+            </button>
+          </div>
+          {preview?.error && <div className="error-message"><p>{preview.error}</p></div>}
+          {importError && <div className="error-message"><p>{importError}</p></div>}
+          {preview && !preview.error && (
+            <div className="sv-preview">
+              {preview.warnings.map(w => <p key={w} className="sv-warning">⚠ {w}</p>)}
+              <table className="sv-params">
+                <tbody>
+                  {describeBuglistParams(preview.params).map(([key, value], i) => (
+                    <tr key={`${key}-${i}`}><th>{key}</th><td>{value}</td></tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {views.length === 0 && !showImport && (
+        <div className="query-placeholder">
+          <p>No saved views yet. Import a Bugzilla search URL to create one.</p>
+        </div>
+      )}
+
+      {views.length > 0 && (
+        <div className="sv-tabs">
+          {views.map(v => (
+            <button
+              key={v.id}
+              className={`cp-tab-btn${selectedView?.id === v.id ? ' active' : ''}`}
+              onClick={() => { setSelectedId(v.id); setRenaming(null) }}
+            >
+              {v.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {selectedView && (
+        <>
+          <div className="sv-view-actions">
+            {renaming ? (
+              <div className="bug-input-row">
+                <input
+                  type="text"
+                  className="bug-input"
+                  value={renaming.name}
+                  onChange={(e) => setRenaming({ ...renaming, name: e.target.value, error: null })}
+                  onKeyDown={(e) => e.key === 'Enter' && handleRename()}
+                  autoFocus
+                />
+                <button className="add-bug-button" onClick={handleRename}>Rename</button>
+                <button className="cp-export-btn" onClick={() => setRenaming(null)}>Cancel</button>
+              </div>
+            ) : (
+              <>
+                <a className="meta-bug-link" href={selectedView.url} target="_blank" rel="noopener noreferrer">Open in Bugzilla ↗</a>
+                <button className="cp-export-btn" onClick={() => setRenaming({ id: selectedView.id, name: selectedView.name })}>Rename</button>
+                <button className="cp-export-btn sv-delete-btn" onClick={handleRemove}>Delete</button>
+              </>
+            )}
+          </div>
+          {renaming?.error && <div className="error-message"><p>{renaming.error}</p></div>}
+
+          {loading && (
+            <div className="loading-container">
+              <div className="loading-spinner"></div>
+              <p>Loading {selectedView.name}…{progress && ` (${progress.loaded}${progress.total != null ? ` of ${progress.total}` : ''})`}</p>
+            </div>
+          )}
+
+          {!loading && <RequestError error={error} context="Failed to load view" />}
+          <StaleDataNote freshness={freshness} />
+
+          {!loading && !error && result && (
+            <>
+              {result.truncated && (
+                <div className="error-message">
+                  <p>Showing the first {bugs.length} of {result.total ?? 'more'} matching bugs — the result cap was reached.</p>
+                </div>
+              )}
+              <BugTable
+                bugs={bugs}
+                onAddToPriority={onAddToPriority && (id => onAddToPriority(bugs.find(b => b.id === id) || { id }))}
+              />
+            </>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default SavedViews
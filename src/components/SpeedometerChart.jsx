@@ -0,0 +1,137 @@
+import { useState, useRef, useMemo } from 'react'
+import { Line } from 'react-chartjs-2'
+import zoomPlugin from 'chartjs-plugin-zoom'
+import { SPEEDOMETER_PLATFORMS, RANGE_PRESETS, speedometerSeries, rangeStartIndex } from '../utils/speedometerSeries'
+import './SpeedometerChart.css'
+
+const FIREFOX_COLOR = 'rgb(255, 127, 80)'
+const FIREFOX_RAW_COLOR = 'rgba(255, 127, 80, 0.35)'
+const CHROME_COLOR = 'rgb(96, 165, 250)'
+const CHROME_RAW_COLOR = 'rgba(96, 165, 250, 0.35)'
+const GAP_COLOR = 'rgb(148, 163, 184)'
+
+const CHART_PLUGINS = [zoomPlugin]
+
+function formatValue(ctx) {
+  if (ctx.parsed.y == null) return null
+  const value = ctx.dataset.yAxisID === 'gap'
+    ? `${ctx.parsed.y > 0 ? '+' : ''}${ctx.parsed.y.toFixed(2)}%`
+    : ctx.parsed.y.toFixed(2)
+  return `${ctx.dataset.label}: ${value}`
+}
+
+function lineDataset(label, data, color, extra = {}) {
+  return {
+    label,
+    data,
+    borderColor: color,
+    backgroundColor: color,
+    borderWidth: 2,
+    pointRadius: 0,
+    tension: 0.2,
+    spanGaps: true,
+    ...extra,
+  }
+}
+
+// Speedometer 3 moving averages over time for one platform, with the raw
+// daily scores as an optional overlay and the Firefox vs Chrome gap on a
+// second axis. Wheel or pinch to zoom, drag to pan.
+function SpeedometerChart({ rows }) {
+  const chartRef = useRef(null)
+  const [platform, setPlatform] = useState('desktop')
+  const [showRaw, setShowRaw] = useState(false)
+  const [range, setRange] = useState('all')
+
+  const series = speedometerSeries(rows, platform)
+  const hasRaw = series.firefoxRaw !== null
+
+  const applyRange = (preset) => {
+    setRange(preset)
+    const chart = chartRef.current
+    if (!chart) return
+    if (preset === 'all') {
+      chart.resetZoom()
+    } else {
+      chart.zoomScale('x', { min: rangeStartIndex(series.dates, preset), max: series.dates.length - 1 }, 'default')
+    }
+  }
+
+  const selectPlatform = (key) => {
+    setPlatform(key)
+    setRange('all')
+    chartRef.current?.resetZoom()
+  }
+
+  const datasets = [
+    lineDataset('Firefox (moving avg)', series.firefoxMa, FIREFOX_COLOR),
+    lineDataset('Chrome (moving avg)', series.chromeMa, CHROME_COLOR),
+  ]
+  if (showRaw && hasRaw) {
+    const rawPoints = { showLine: false, pointRadius: 2, pointHoverRadius: 4, borderWidth: 0 }
+    datasets.push(
+      lineDataset('Firefox (daily)', series.firefoxRaw, FIREFOX_RAW_COLOR, rawPoints),
+      lineDataset('Chrome (daily)', series.chromeRaw, CHROME_RAW_COLOR, rawPoints),
+    )
+  }
+  datasets.push(lineDataset('Fx vs Chrome gap (%)', series.gap, GAP_COLOR, { yAxisID: 'gap', borderDash: [5, 4], borderWidth: 1.5 }))
+
+  // Kept stable across renders: new options would reset the zoom
+  const options = useMemo(() => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { position: 'bottom' },
+      tooltip: { callbacks: { label: formatValue } },
+      zoom: {
+        pan: { enabled: true, mode: 'x', onPanComplete: () => setRange(null) },
+        zoom: {
+          wheel: { enabled: true },
+          pinch: { enabled: true },
+          mode: 'x',
+          onZoomComplete: () => setRange(null),
+        },
+        limits: { x: { min: 'original', max: 'original', minRange: 7 } },
+      },
+    },
+    scales: {
+      x: { ticks: { maxTicksLimit: 10, autoSkip: true } },
+      y: { position: 'left', title: { display: true, text: 'Score (higher is better)' } },
+      gap: {
+        position: 'right',
+        grid: { drawOnChartArea: false },
+        title: { display: true, text: 'Fx vs Chrome (%)' },
+        ticks: { callback: (value) => `${value}%` },
+      },
+    },
+  }), [])
+
+  return (
+    <div className="sp-chart">
+      <div className="sp-chart-controls">
+        <div className="sp-chart-segment" role="group" aria-label="Platform">
+          {Object.entries(SPEEDOMETER_PLATFORMS).map(([key, label]) => (
+            <button key={key} className={platform === key ? 'active' : ''} onClick={() => selectPlatform(key)}>{label}</button>
+          ))}
+        </div>
+        <div className="sp-chart-segment" role="group" aria-label="Date range">
+          {Object.entries(RANGE_PRESETS).map(([key, { label }]) => (
+            <button key={key} className={range === key ? 'active' : ''} onClick={() => applyRange(key)}>{label}</button>
+          ))}
+        </div>
+        <label className="sp-chart-toggle" title={hasRaw ? '' : 'The query returned no daily values for this platform'}>
+          <input type="checkbox" checked={showRaw && hasRaw} disabled={!hasRaw} onChange={(e) => setShowRaw(e.target.checked)} />
+          Daily values
+        </label>
+      </div>
+      <div className="sp-chart-canvas">
+        <Line ref={chartRef} data={{ labels: series.dates, datasets }} options={options} plugins={CHART_PLUGINS} />
+      </div>
+      <p className="chart-subtitle">Scroll or pinch to zoom, drag to pan.</p>
+    </div>
+  )
+}
+
+export default SpeedometerChart
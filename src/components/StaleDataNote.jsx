@@ -0,0 +1,22 @@
+import './StaleDataNote.css'
+
+function formatCachedAt(timestamp) {
+  const date = new Date(timestamp)
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+  if (date.toDateString() === new Date().toDateString()) return time
+  return `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`
+}
+
+// Note for a card showing data restored from a previous page load, from
+// useCacheFreshness(). Renders nothing once the data is fresh.
+function StaleDataNote({ freshness }) {
+  if (!freshness) return null
+  return (
+    <p className={`stale-data-note${freshness.refreshing ? ' stale-data-note--refreshing' : ''}`}>
+      Showing data from {formatCachedAt(freshness.since)}
+      {freshness.refreshing ? ', refreshing…' : ' (could not refresh)'}
+    </p>
+  )
+}
+
+export default StaleDataNote
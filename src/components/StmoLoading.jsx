@@ -0,0 +1,16 @@
+// Loading spinner for an STMO query, following its Redash job state
+// (see services/redashClient.js)
+function StmoLoading({ jobState, what }) {
+  let text = `Loading ${what} from STMO…`
+  if (jobState === 'queued') text = `STMO query for ${what} is queued…`
+  if (jobState === 'running') text = `STMO is running the query for ${what}…`
+
+  return (
+    <div className="loading-container">
+      <div className="loading-spinner"></div>
+      <p>{text}</p>
+    </div>
+  )
+}
+
+export default StmoLoading
@@ -0,0 +1,136 @@
+import { useState, useEffect } from 'react'
+import { fetchTreeherderBenchmark, clearTreeherderBenchmarkCache } from '../services/treeherderService'
+import { isAbortError } from '../services/httpClient'
+import { summarizePlatforms, competitorLabel, deltaDirection } from '../utils/benchmarkSummary'
+import { useBaseline } from '../utils/baseline'
+import { useCacheFreshness } from '../utils/cacheFreshness'
+import RequestError from './RequestError'
+import StaleDataNote from './StaleDataNote'
+import BenchmarkTrendChart from './BenchmarkTrendChart'
+
+// good = green (delta-negative), bad = red (delta-positive)
+const DELTA_CLASSES = { good: 'delta-negative', bad: 'delta-positive' }
+
+function formatDelta(value) {
+  return value != null ? (value > 0 ? '+' : '') + value.toFixed(2) + '%' : '—'
+}
+
+function formatScore(value) {
+  return value != null ? value.toFixed(2) : '—'
+}
+
+// Start-vs-current table and per-platform trend charts for one registered
+// Treeherder benchmark (see services/treeherderService.js), Firefox against
+// its competitor on every platform the benchmark runs on.
+function TreeherderBenchmarkCard({ benchmark }) {
+  const baseline = useBaseline()
+  const [platforms, setPlatforms] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [refreshTick, setRefreshTick] = useState(0)
+
+  useEffect(() => {
+    const controller = new AbortController()
+    const { signal } = controller
+    setLoading(true)
+    setError(null)
+
+    fetchTreeherderBenchmark(benchmark.key, { signal })
+      .then(data => { if (!signal.aborted) setPlatforms(data) })
+      .catch(err => {
+        if (signal.aborted || isAbortError(err)) return
+        setError(err)
+        console.error(`Failed to fetch ${benchmark.label} data:`, err)
+      })
+      .finally(() => { if (!signal.aborted) setLoading(false) })
+
+    return () => controller.abort()
+  }, [benchmark.key, refreshTick])
+
+  const handleRefresh = () => {
+    setPlatforms([])
+    clearTreeherderBenchmarkCache(benchmark.key)
+    setRefreshTick(t => t + 1)
+  }
+
+  const freshness = useCacheFreshness([platforms], () => setRefreshTick(t => t + 1))
+
+  const rows = summarizePlatforms(platforms, baseline.date)
+  const compLabel = competitorLabel(platforms)
+  const latestDate = rows.reduce((best, r) => (r.latestDate > best ? r.latestDate : best), '')
+  const deltaClass = value => DELTA_CLASSES[deltaDirection(value, benchmark.higherIsBetter)] || ''
+  const source = `framework ${benchmark.framework}, ${benchmark.suite}${benchmark.test ? ` / ${benchmark.test}` : ''}`
+
+  return (
+    <div className="chart-card benchmark-card">
+      <div className="perf-impact-header">
+        <h3>{benchmark.label} — All Platforms</h3>
+        <button className="refresh-button" onClick={handleRefresh} disabled={loading} title="Reload data from Treeherder">
+          ↻ Refresh
+        </button>
+      </div>
+      <p className="chart-subtitle">
+        Source: Treeherder Performance API ({source}) — {benchmark.higherIsBetter ? 'higher' : 'lower'} is better;
+        start values nearest {baseline.label}
+      </p>
+      <StaleDataNote freshness={freshness} />
+
+      {loading && (
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <p>Loading {benchmark.label} data from Treeherder…</p>
+        </div>
+      )}
+
+      {error && !loading && (
+        <RequestError error={error} context={`Error loading ${benchmark.label} data`} />
+      )}
+
+      {!loading && !error && rows.length > 0 && (
+        <div className="benchmark-table-wrapper">
+          <table className="benchmark-table">
+            <thead>
+              <tr>
+                <th>Platform</th>
+                <th>Fx Start</th>
+                <th>Fx Current</th>
+                <th>Fx Delta {baseline.short}</th>
+                <th>{compLabel} Start</th>
+                <th>{compLabel} Current</th>
+                <th>Fx vs {compLabel} Start</th>
+                <th>Fx vs {compLabel} Current</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(r => (
+                <tr key={r.osKey}>
+                  <td className="benchmark-platform">{r.label}</td>
+                  <td className="benchmark-num">{formatScore(r.fxStart)}</td>
+                  <td className="benchmark-num">{formatScore(r.fxCurrent)}</td>
+                  <td className={`benchmark-num ${deltaClass(r.fxDelta)}`}>{formatDelta(r.fxDelta)}</td>
+                  <td className="benchmark-num">{formatScore(r.compStart)}</td>
+                  <td className="benchmark-num">{formatScore(r.compCurrent)}</td>
+                  <td className={`benchmark-num ${deltaClass(r.deltaVsCompStart)}`}>{formatDelta(r.deltaVsCompStart)}</td>
+                  <td className={`benchmark-num ${deltaClass(r.deltaVsCompCurrent)}`}>{formatDelta(r.deltaVsCompCurrent)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {latestDate && <p className="chart-subtitle" style={{marginTop: '8px'}}>Latest data: {latestDate}</p>}
+        </div>
+      )}
+
+      {!loading && !error && rows.length > 0 && (
+        <BenchmarkTrendChart platforms={platforms} baseline={baseline} compLabel={compLabel} />
+      )}
+
+      {!loading && !error && rows.length === 0 && (
+        <div className="query-placeholder">
+          <p>No {benchmark.label} data available. Click Refresh to load.</p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TreeherderBenchmarkCard
@@ -3,9 +3,16 @@
  * Documentation: https://bugzilla.readthedocs.io/en/latest/api/
  */
 
-import { cachedFetch, generateCacheKey, clearCache } from '../utils/cache';
+import { requestJson, isAbortError } from './httpClient';
+import { cachedFetch, generateCacheKey, getCached, setCache, clearCache, clearCacheWhere } from '../utils/cache';
+import { getDescendantIds } from '../utils/dependencyTree';
+import { getComponentGroup } from '../utils/componentGroups';
+import { parseBuglistUrl } from '../utils/buglistQuery';
 
-const BUGZILLA_API_BASE = 'https://bugzilla.mozilla.org/rest';
+// In offline fixture mode the Vite dev server answers /rest (see dev/fixtures.js)
+const BUGZILLA_API_BASE = import.meta.env.VITE_FIXTURES ? '/rest' : 'https://bugzilla.mozilla.org/rest';
+// Cache namespace for Bugzilla responses; sets their TTL (see utils/cache.js)
+const CACHE_NAMESPACE = 'bugzilla';
 
 /**
  * Get Bugzilla API key from localStorage (set via browser console:
@@ -16,36 +23,108 @@ function getApiKey() {
 }
 
 /**
- * Fetch bugs with specified query parameters
- * @param {Object} params - Query parameters for Bugzilla API
- * @returns {Promise<Array>} Array of bug objects
+ * Whether a Bugzilla API key is configured. Writes require one.
  */
-export async function fetchBugs(params = {}) {
+export function hasApiKey() {
+  return getApiKey() !== '';
+}
+
+/**
+ * Number of bugs requested per page when paging through search results.
+ */
+export const BUG_PAGE_SIZE = 1000;
+
+/**
+ * Default hard cap on the number of bugs a single search will page through.
+ * Callers can override it per query via the maxResults option.
+ */
+export const MAX_BUG_RESULTS = 10000;
+
+/**
+ * Page through a Bugzilla search URL with limit/offset until results are
+ * exhausted or the hard cap is reached.
+ * @param {string} baseUrl - Fully-built /rest/bug search URL without limit/offset
+ * @param {Object} options
+ * @param {number} options.pageSize - Bugs requested per page
+ * @param {number} options.maxResults - Hard cap on the total number of bugs fetched
+ * @param {Function} options.onProgress - Called after each page with { loaded, total }
+ * @param {AbortSignal} options.signal - Cancels the remaining pages
+ * @returns {Promise<{bugs: Array, total: number|null, truncated: boolean}>}
+ *   total is Bugzilla's total_matches when reported, otherwise the loaded count
+ *   once results are exhausted (null if the cap was hit first).
+ */
+async function fetchBugPages(baseUrl, { pageSize = BUG_PAGE_SIZE, maxResults = MAX_BUG_RESULTS, onProgress, signal } = {}) {
+  const bugs = [];
+  let total = null;
+  let exhausted = false;
+
+  while (bugs.length < maxResults) {
+    const limit = Math.min(pageSize, maxResults - bugs.length);
+    const separator = baseUrl.includes('?') ? '&' : '?';
+    const data = await requestJson(`${baseUrl}${separator}limit=${limit}&offset=${bugs.length}`, { signal });
+    const page = data.bugs || [];
+    bugs.push(...page);
+    if (typeof data.total_matches === 'number') total = data.total_matches;
+
+    // BMO may cap the page size below the requested limit, so a short page only
+    // means the end when the total is unknown
+    exhausted = total !== null ? bugs.length >= total : page.length < limit;
+    if (onProgress) onProgress({ loaded: bugs.length, total });
+    // An empty page before the total is reached would loop forever; report it truncated
+    if (exhausted || page.length === 0) break;
+  }
+
+  if (total === null && exhausted) total = bugs.length;
+  return { bugs, total, truncated: !exhausted };
+}
+
+/**
+ * Fetch every bug matching the query parameters, paging with offset until
+ * exhausted, and report the true number of matches.
+ * A `limit` in params is treated as the hard cap rather than a page size.
+ * @param {Object} params - Query parameters for Bugzilla API; array values are sent as repeated parameters
+ * @param {Object} options - Paging options ({ pageSize, maxResults, onProgress, signal })
+ * @returns {Promise<{bugs: Array, total: number|null, truncated: boolean}>}
+ */
+export async function fetchBugsWithTotal(params = {}, options = {}) {
   // Only fetch fields we actually display to reduce payload size
-  const defaultFields = 'id,summary,severity,status,component,assigned_to,assigned_to_detail,last_change_time,priority,product';
+  const defaultFields = 'id,summary,severity,status,resolution,component,assigned_to,assigned_to_detail,last_change_time,priority,product';
 
+  const { limit, offset, ...searchParams } = params;
   const apiKey = getApiKey();
   const queryParams = new URLSearchParams({
     include_fields: defaultFields,
-    ...(apiKey ? { api_key: apiKey } : {}),
-    ...params
+    ...(apiKey ? { api_key: apiKey } : {})
+  });
+  Object.entries(searchParams).forEach(([key, value]) => {
+    if (Array.isArray(value)) value.forEach(v => queryParams.append(key, v));
+    else queryParams.set(key, value);
   });
 
   const url = `${BUGZILLA_API_BASE}/bug?${queryParams.toString()}`;
 
   try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Bugzilla API error: ${response.status}`);
-    }
-    const data = await response.json();
-    return data.bugs || [];
+    return await fetchBugPages(url, {
+      ...options,
+      maxResults: options.maxResults ?? (limit ? Number(limit) : MAX_BUG_RESULTS)
+    });
   } catch (error) {
-    console.error('Error fetching bugs:', error);
+    if (!isAbortError(error)) console.error('Error fetching bugs:', error);
     throw error;
   }
 }
 
+/**
+ * Fetch bugs with specified query parameters
+ * @param {Object} params - Query parameters for Bugzilla API
+ * @param {Object} options - Paging options ({ pageSize, maxResults, onProgress, signal })
+ * @returns {Promise<Array>} Array of bug objects
+ */
+export async function fetchBugs(params = {}, options = {}) {
+  const { bugs } = await fetchBugsWithTotal(params, options);
+  return bugs;
+}
+
 /**
  * Fetch bugs by product and component
  * @param {string} product - Product name
@@ -148,8 +227,7 @@ export function getBugStats(bugs) {
 export async function fetchFirefoxPerformanceBugs() {
   return fetchBugs({
     product: 'Core',
-    component: 'Performance',
-    limit: 1000 // Fetch up to 1000 results - pagination handles display
+    component: 'Performance'
   });
 }
 
@@ -166,55 +244,130 @@ export async function searchBugs(query, additionalParams = {}) {
   });
 }
 
+/**
+ * Fetch the bugs matched by a buglist.cgi or advanced-search URL.
+ * @param {string} buglistUrl - Bugzilla search URL (see parseBuglistUrl)
+ * @param {boolean} useCache - Whether to use cache (default: true)
+ * @param {Object} options - Paging options ({ maxResults, onProgress, signal })
+ * @returns {Promise<{bugs: Array, total: number|null, truncated: boolean}>}
+ */
+export async function fetchBuglistBugs(buglistUrl, useCache = true, options = {}) {
+  const { params } = parseBuglistUrl(buglistUrl);
+
+  if (!useCache) {
+    return fetchBugsWithTotal(params, options);
+  }
+
+  return cachedFetch(generateCacheKey('buglist', params), (signal, onProgress) => fetchBugsWithTotal(params, { ...options, signal, onProgress }), { namespace: CACHE_NAMESPACE, signal: options.signal, onProgress: options.onProgress });
+}
+
+/**
+ * Clear cached results for a buglist URL.
+ * @param {string} buglistUrl - Bugzilla search URL
+ */
+export function clearBuglistCache(buglistUrl) {
+  const { params } = parseBuglistUrl(buglistUrl);
+  clearCache(generateCacheKey('buglist', params));
+}
+
 /**
  * Fetch bugs by performance impact level
  * @param {string} impactLevel - Performance impact level ('high', 'medium', or 'low')
  * @param {Object} additionalParams - Additional query parameters
  * @param {boolean} useCache - Whether to use cache (default: true)
- * @returns {Promise<Array>} Array of bug objects
+ * @param {Object} options - Paging options ({ maxResults, onProgress, signal })
+ * @returns {Promise<{bugs: Array, total: number|null, truncated: boolean}>}
  */
-export async function fetchBugsByPerformanceImpact(impactLevel, additionalParams = {}, useCache = true) {
+export async function fetchBugsByPerformanceImpact(impactLevel, additionalParams = {}, useCache = true, options = {}) {
   const params = {
     f1: 'cf_performance_impact',
     o1: 'equals',
     v1: impactLevel,
     resolution: '---', // Only open bugs
     bug_type: 'defect',
-    limit: 1000, // Fetch up to 1000 results - pagination handles display
     ...additionalParams
   };
 
   if (!useCache) {
-    return fetchBugs(params);
+    return fetchBugsWithTotal(params, options);
   }
 
   const cacheKey = generateCacheKey('perf-impact', { impactLevel, ...additionalParams });
-  return cachedFetch(cacheKey, () => fetchBugs(params));
+  return cachedFetch(cacheKey, (signal, onProgress) => fetchBugsWithTotal(params, { ...options, signal, onProgress }), { namespace: CACHE_NAMESPACE, signal: options.signal, onProgress: options.onProgress });
 }
 
 /**
  * Fetch all bugs with any performance impact (high, medium, or low)
  * @param {Object} additionalParams - Additional query parameters
  * @param {boolean} useCache - Whether to use cache (default: true)
- * @returns {Promise<Array>} Array of bug objects
+ * @param {Object} options - Paging options ({ maxResults, onProgress, signal })
+ * @returns {Promise<{bugs: Array, total: number|null, truncated: boolean}>}
  */
-export async function fetchAllPerformanceImpactBugs(additionalParams = {}, useCache = true) {
+export async function fetchAllPerformanceImpactBugs(additionalParams = {}, useCache = true, options = {}) {
   const params = {
     f1: 'cf_performance_impact',
     o1: 'anyexact',
     v1: 'high,medium,low',
     resolution: '---', // Only open bugs
     bug_type: 'defect',
-    limit: 1000,
     ...additionalParams
   };
 
   if (!useCache) {
-    return fetchBugs(params);
+    return fetchBugsWithTotal(params, options);
   }
 
   const cacheKey = generateCacheKey('perf-impact', { all: true, ...additionalParams });
-  return cachedFetch(cacheKey, () => fetchBugs(params));
+  return cachedFetch(cacheKey, (signal, onProgress) => fetchBugsWithTotal(params, { ...options, signal, onProgress }), { namespace: CACHE_NAMESPACE, signal: options.signal, onProgress: options.onProgress });
+}
+
+// Fields needed for throughput and time-to-fix metrics
+const THROUGHPUT_FIELDS = 'id,summary,status,resolution,product,component,cf_performance_impact,whiteboard,creation_time,cf_last_resolved';
+
+/**
+ * Fetch performance impact bugs (any level) opened or resolved on or after a
+ * date, for throughput metrics. Unlike the other queries these include
+ * resolved bugs.
+ * @param {string} since - YYYY-MM-DD
+ * @param {boolean} useCache - Whether to use cache (default: true)
+ * @param {Object} options - Paging options ({ maxResults, signal })
+ * @returns {Promise<{opened: Array, resolved: Array, truncated: boolean}>}
+ *   opened: bugs created since the date, whatever their state now;
+ *   resolved: bugs whose last resolution (cf_last_resolved) is since the date
+ */
+export async function fetchPerformanceThroughput(since, useCache = true, options = {}) {
+  const base = {
+    f1: 'cf_performance_impact',
+    o1: 'anyexact',
+    v1: 'high,medium,low',
+    bug_type: 'defect',
+    include_fields: THROUGHPUT_FIELDS
+  };
+
+  const doFetch = async (signal = options.signal) => {
+    const [opened, resolved] = await Promise.all([
+      fetchBugsWithTotal({ ...base, f2: 'creation_ts', o2: 'greaterthaneq', v2: since }, { ...options, signal }),
+      fetchBugsWithTotal({
+        ...base,
+        bug_status: ['RESOLVED', 'VERIFIED', 'CLOSED'],
+        f2: 'cf_last_resolved',
+        o2: 'greaterthaneq',
+        v2: since
+      }, { ...options, signal })
+    ]);
+    return { opened: opened.bugs, resolved: resolved.bugs, truncated: opened.truncated || resolved.truncated };
+  };
+
+  if (!useCache) return doFetch();
+  return cachedFetch(generateCacheKey('perf-throughput', { since }), doFetch, { namespace: CACHE_NAMESPACE, signal: options.signal });
+}
+
+/**
+ * Clear cached throughput data for a start date.
+ * @param {string} since - YYYY-MM-DD
+ */
+export function clearPerformanceThroughputCache(since) {
+  clearCache(generateCacheKey('perf-throughput', { since }));
 }
 
 /**
@@ -233,16 +386,14 @@ export async function fetchBugsByIds(bugIds, useCache = true) {
     const idParams = bugIds.map(id => `id=${encodeURIComponent(id)}`).join('&');
     const keyParam = apiKey ? `&api_key=${encodeURIComponent(apiKey)}` : '';
     const url = `${BUGZILLA_API_BASE}/bug?${idParams}&include_fields=${encodeURIComponent(defaultFields)}${keyParam}`;
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`Bugzilla API error: ${response.status}`);
-    const data = await response.json();
+    const data = await requestJson(url);
     return data.bugs || [];
   };
 
   if (!useCache) return doFetch();
 
   const cacheKey = generateCacheKey('priority-bugs', { ids: [...bugIds].sort().join(',') });
-  return cachedFetch(cacheKey, doFetch);
+  return cachedFetch(cacheKey, doFetch, { namespace: CACHE_NAMESPACE });
 }
 
 /**
@@ -254,108 +405,337 @@ export async function fetchDependsOnIds(bugId) {
   const apiKey = getApiKey();
   const keyParam = apiKey ? `&api_key=${encodeURIComponent(apiKey)}` : '';
   const url = `${BUGZILLA_API_BASE}/bug/${bugId}?include_fields=id,depends_on${keyParam}`;
-  const response = await fetch(url);
-  if (!response.ok) throw new Error(`Bugzilla API error: ${response.status}`);
-  const data = await response.json();
+  const data = await requestJson(url);
   return data.bugs?.[0]?.depends_on || [];
 }
 
 /**
- * Fetch all bugs tracked under the Speedometer 3 meta bug (bug 2026188).
+ * Fetch the full record of a single bug for the detail drawer, including
+ * flags, see_also and dependency links.
+ * @param {number|string} bugId - The bug ID
  * @param {boolean} useCache - Whether to use cache (default: true)
- * @returns {Promise<Array>} Array of bug objects
+ * @returns {Promise<Object|null>} Bug object, or null if not found
  */
-export async function fetchSpeedometer3Bugs(useCache = true) {
-  const META_BUG_ID = 2026188;
+export async function fetchBugDetail(bugId, useCache = true) {
+  const fields = 'id,summary,status,resolution,product,component,severity,priority,assigned_to,assigned_to_detail,creator,creator_detail,creation_time,last_change_time,cf_performance_impact,whiteboard,keywords,url,flags,see_also,depends_on,blocks,comment_count';
+
   const doFetch = async () => {
-    const depIds = await fetchDependsOnIds(META_BUG_ID);
-    if (depIds.length === 0) return [];
-    return fetchBugsByIds(depIds, false);
+    const apiKey = getApiKey();
+    const keyParam = apiKey ? `&api_key=${encodeURIComponent(apiKey)}` : '';
+    const url = `${BUGZILLA_API_BASE}/bug/${encodeURIComponent(bugId)}?include_fields=${encodeURIComponent(fields)}${keyParam}`;
+    const data = await requestJson(url);
+    return data.bugs?.[0] || null;
   };
+
   if (!useCache) return doFetch();
-  const cacheKey = `speedometer3-meta-${META_BUG_ID}`;
-  return cachedFetch(cacheKey, doFetch);
+  return cachedFetch(`bug-detail-${bugId}`, doFetch, { namespace: CACHE_NAMESPACE });
 }
 
 /**
- * Fetch bugs for a named component group using a union of two signals:
- *   1. status_whiteboard contains [perf-prio]
- *   2. cf_performance_impact is high or medium
- *
- * Supported componentKey values: 'css', 'dom', 'graphics', 'javascript', 'layout',
- * 'memory', 'necko', 'painting', 'storage'
- * 'necko' additionally queries Firefox for Android (no component filter).
+ * Fetch the comments of a single bug. The first comment (count 0) is the
+ * bug description.
+ * @param {number|string} bugId - The bug ID
+ * @param {boolean} useCache - Whether to use cache (default: true)
+ * @returns {Promise<Array>} Comments: { id, count, author, creation_time, text, is_private }
+ */
+export async function fetchBugComments(bugId, useCache = true) {
+  const doFetch = async () => {
+    const apiKey = getApiKey();
+    const keyParam = apiKey ? `?api_key=${encodeURIComponent(apiKey)}` : '';
+    const url = `${BUGZILLA_API_BASE}/bug/${encodeURIComponent(bugId)}/comment${keyParam}`;
+    const data = await requestJson(url);
+    return data.bugs?.[String(bugId)]?.comments || [];
+  };
+
+  if (!useCache) return doFetch();
+  return cachedFetch(`bug-comments-${bugId}`, doFetch, { namespace: CACHE_NAMESPACE });
+}
+
+/**
+ * Fetch the change history of a single bug.
+ * @param {number|string} bugId - The bug ID
+ * @param {boolean} useCache - Whether to use cache (default: true)
+ * @returns {Promise<Array>} History entries: { when, who, changes: [{ field_name, removed, added }] }
+ */
+export async function fetchBugHistory(bugId, useCache = true) {
+  const doFetch = async () => {
+    const apiKey = getApiKey();
+    const keyParam = apiKey ? `?api_key=${encodeURIComponent(apiKey)}` : '';
+    const url = `${BUGZILLA_API_BASE}/bug/${encodeURIComponent(bugId)}/history${keyParam}`;
+    const data = await requestJson(url);
+    return data.bugs?.[0]?.history || [];
+  };
+
+  if (!useCache) return doFetch();
+  return cachedFetch(`bug-history-${bugId}`, doFetch, { namespace: CACHE_NAMESPACE });
+}
+
+// Attachment metadata needed for patch / review status (never the file data)
+const ATTACHMENT_FIELDS = 'id,bug_id,content_type,is_patch,is_obsolete,flags,summary,creation_time';
+
+/**
+ * Fetch attachment metadata for several bugs, one /bug/{id}/attachment
+ * request per bug; the shared HTTP layer limits how many run at once. Each
+ * bug's attachments are cached on their own, so overlapping lists and table
+ * pages share entries.
+ * @param {Array<number|string>} bugIds - Bug IDs
+ * @param {boolean} useCache - Whether to use cache (default: true)
+ * @param {Object} options - { signal } to cancel the requests
+ * @returns {Promise<Object>} Map of bug ID to its attachments:
+ *   { id, content_type, is_patch, is_obsolete, flags, summary, creation_time }
+ */
+export async function fetchBugAttachments(bugIds, useCache = true, { signal } = {}) {
+  const result = {};
+  const missing = [];
+  [...new Set(bugIds.map(Number))].forEach(id => {
+    const cached = useCache ? getCached(`bug-attachments-${id}`) : null;
+    if (cached !== null) result[id] = cached;
+    else missing.push(id);
+  });
+  if (missing.length === 0) return result;
+
+  const apiKey = getApiKey();
+  const keyParam = apiKey ? `&api_key=${encodeURIComponent(apiKey)}` : '';
+  await Promise.all(missing.map(async id => {
+    const url = `${BUGZILLA_API_BASE}/bug/${id}/attachment?include_fields=${encodeURIComponent(ATTACHMENT_FIELDS)}${keyParam}`;
+    const data = await requestJson(url, { signal });
+    const attachments = data.bugs?.[String(id)] || [];
+    result[id] = attachments;
+    setCache(`bug-attachments-${id}`, attachments, { namespace: CACHE_NAMESPACE });
+  }));
+  return result;
+}
+
+// Whether a cached value (a bug list, a { bugs } result or a dependency graph) holds the bug
+function cachedDataContainsBug(data, id) {
+  if (!data) return false;
+  const bugs = Array.isArray(data) ? data : data.bugs;
+  if (Array.isArray(bugs)) return bugs.some(bug => bug?.id === id);
+  if (bugs && typeof bugs === 'object') return Object.prototype.hasOwnProperty.call(bugs, id);
+  return false;
+}
+
+/**
+ * Drop every cached entry that includes a bug: its detail, comments,
+ * history and attachments, plus every cached list or graph containing it.
+ * @param {number|string} bugId - The bug ID
+ * @returns {number} Number of cache entries cleared
+ */
+export function invalidateBugCaches(bugId) {
+  const id = Number(bugId);
+  const ownKeys = [`bug-detail-${id}`, `bug-comments-${id}`, `bug-history-${id}`, `bug-attachments-${id}`];
+  return clearCacheWhere((key, data) => ownKeys.includes(key) || cachedDataContainsBug(data, id));
+}
+
+/**
+ * Update a bug via PUT /rest/bug/{id}. Requires an API key. Every cache entry
+ * containing the bug is invalidated on success.
+ * @param {number|string} bugId - The bug ID
+ * @param {Object} changes - Bugzilla update fields, e.g. { severity: 'S2' }
+ * @returns {Promise<Object>} The Bugzilla response ({ bugs: [{ id, changes, ... }] })
+ */
+export async function updateBug(bugId, changes) {
+  const apiKey = getApiKey();
+  if (!apiKey) throw new Error('A Bugzilla API key is required to edit bugs');
+
+  // Comments and needinfo requests must not be posted twice, so only retry
+  // when Bugzilla did not process the request (429/503)
+  const data = await requestJson(`${BUGZILLA_API_BASE}/bug/${encodeURIComponent(bugId)}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-BUGZILLA-API-KEY': apiKey,
+    },
+    body: JSON.stringify(changes),
+    idempotent: false,
+  });
+  if (data.error) throw new Error(data.message || 'Bugzilla rejected the update');
+
+  invalidateBugCaches(bugId);
+  return data;
+}
+
+/**
+ * Default limits for walking a meta bug's dependency graph.
+ */
+export const MAX_TREE_DEPTH = 10;
+export const MAX_TREE_BUGS = 2000;
+
+// Fields fetched for every bug in a dependency graph — enough for scoring
+const TREE_FIELDS = 'id,summary,severity,priority,status,resolution,component,product,assigned_to,assigned_to_detail,last_change_time,cf_performance_impact,comment_count,depends_on';
+const TREE_BATCH_SIZE = 200;
+
+async function fetchBugsWithDependencies(bugIds, signal) {
+  const apiKey = getApiKey();
+  const keyParam = apiKey ? `&api_key=${encodeURIComponent(apiKey)}` : '';
+  const batches = [];
+  for (let i = 0; i < bugIds.length; i += TREE_BATCH_SIZE) {
+    batches.push(bugIds.slice(i, i + TREE_BATCH_SIZE));
+  }
+  const results = await Promise.all(batches.map(async (batch) => {
+    const idParams = batch.map(id => `id=${encodeURIComponent(id)}`).join('&');
+    const url = `${BUGZILLA_API_BASE}/bug?${idParams}&include_fields=${encodeURIComponent(TREE_FIELDS)}${keyParam}`;
+    const data = await requestJson(url, { signal });
+    return data.bugs || [];
+  }));
+  return results.flat();
+}
+
+/**
+ * Walk a meta bug's depends_on graph breadth-first to arbitrary depth.
+ * Each bug is requested once, so cycles terminate.
+ * @param {number|string} rootId - The meta bug ID
+ * @param {Object} options
+ * @param {number} options.maxDepth - Levels below the root to walk (default: MAX_TREE_DEPTH)
+ * @param {number} options.maxBugs - Hard cap on bugs fetched (default: MAX_TREE_BUGS)
+ * @param {Function} options.onProgress - Called after each level with { loaded, depth }
+ * @param {AbortSignal} options.signal - Stops the walk
+ * @param {boolean} useCache - Whether to use cache (default: true)
+ * @returns {Promise<{rootId: number, bugs: Object, truncated: boolean}>}
+ *   bugs maps bug ID to a bug object carrying depends_on
+ */
+export async function fetchDependencyGraph(rootId, { maxDepth = MAX_TREE_DEPTH, maxBugs = MAX_TREE_BUGS, onProgress, signal } = {}, useCache = true) {
+  const root = Number(rootId);
+
+  const doFetch = async (fetchSignal = signal, reportProgress = onProgress) => {
+    const bugs = {};
+    const requested = new Set();
+    let frontier = [root];
+    let depth = 0;
+    let truncated = false;
+
+    while (frontier.length > 0) {
+      if (depth > maxDepth || requested.size >= maxBugs) {
+        truncated = true;
+        break;
+      }
+      const batch = frontier.slice(0, maxBugs - requested.size);
+      if (batch.length < frontier.length) truncated = true;
+      batch.forEach(id => requested.add(id));
+
+      const fetched = await fetchBugsWithDependencies(batch, fetchSignal);
+      fetched.forEach(bug => { bugs[bug.id] = bug; });
+      if (reportProgress) reportProgress({ loaded: Object.keys(bugs).length, depth });
+
+      frontier = [...new Set(fetched.flatMap(bug => bug.depends_on || []))]
+        .filter(id => !requested.has(id));
+      depth++;
+    }
+
+    return { rootId: root, bugs, truncated };
+  };
+
+  if (!useCache) return doFetch();
+  return cachedFetch(dependencyGraphCacheKey(root, maxDepth, maxBugs), doFetch, { namespace: CACHE_NAMESPACE, signal, onProgress });
+}
+
+function dependencyGraphCacheKey(rootId, maxDepth, maxBugs) {
+  return generateCacheKey('dependency-tree', { rootId: Number(rootId), maxDepth, maxBugs });
+}
+
+/**
+ * Clear the cached dependency graph for a meta bug walked with the given limits.
+ * @param {number|string} rootId
+ * @param {Object} options - The same { maxDepth, maxBugs } passed to fetchDependencyGraph
+ */
+export function clearDependencyGraphCache(rootId, { maxDepth = MAX_TREE_DEPTH, maxBugs = MAX_TREE_BUGS } = {}) {
+  clearCache(dependencyGraphCacheKey(rootId, maxDepth, maxBugs));
+}
+
+/**
+ * Fetch every bug below a meta bug, following sub-meta bugs to arbitrary depth.
+ * @param {number|string} metaBugId - The meta bug ID
+ * @param {boolean} useCache - Whether to use cache (default: true)
+ * @param {Object} options - { signal } to stop the walk
+ * @returns {Promise<Array>} Array of bug objects (the meta bug itself excluded)
+ */
+export async function fetchMetaBugDescendants(metaBugId, useCache = true, { signal } = {}) {
+  const { rootId, bugs } = await fetchDependencyGraph(metaBugId, { signal }, useCache);
+  return [...getDescendantIds(rootId, bugs)].map(id => bugs[id]).filter(Boolean);
+}
+
+/**
+ * Build the Bugzilla search string for one component group query: open bugs in
+ * the component/product that match the group's whiteboard tag OR one of its
+ * cf_performance_impact levels (boolean chart OP/CP with j=OR).
+ * @param {Object} query - { componentSubstring?, product? }
+ * @param {Object} signals - { whiteboardTag, impactLevels } from the group
+ * @returns {string} Query string without include_fields, paging or api_key
+ */
+export function buildComponentQueryString(query, { whiteboardTag, impactLevels = [] }) {
+  const parts = ['bug_status=UNCONFIRMED&bug_status=NEW&bug_status=ASSIGNED&bug_status=REOPENED']
+  let n = 1
+  const addField = (field, op, value) => {
+    parts.push(`f${n}=${field}&o${n}=${op}&v${n}=${encodeURIComponent(value)}`)
+    n++
+  }
+
+  if (query.product) parts.push(`product=${encodeURIComponent(query.product)}`)
+  if (query.componentSubstring) {
+    addField('classification', 'notequals', 'Graveyard')
+    addField('component', 'substring', query.componentSubstring)
+  }
+
+  const signals = []
+  if (whiteboardTag) signals.push(['status_whiteboard', 'substring', whiteboardTag])
+  if (impactLevels.length > 0) signals.push(['cf_performance_impact', 'anyexact', impactLevels.join(',')])
+  if (signals.length === 1) {
+    addField(...signals[0])
+  } else if (signals.length > 1) {
+    const openIndex = n
+    parts.push(`f${n++}=OP`)
+    signals.forEach(signal => addField(...signal))
+    parts.push(`f${n++}=CP&j${openIndex}=OR`)
+  }
+
+  return parts.join('&')
+}
+
+/**
+ * Fetch bugs for a component group from the registry in utils/componentGroups.
+ * Component and product queries use a union of two signals:
+ *   1. status_whiteboard contains the group's whiteboard tag (default [perf-prio])
+ *   2. cf_performance_impact is one of the group's impact levels (default high or medium)
+ * Meta bug queries return every bug below the meta bug.
  *
- * @param {string} componentKey
+ * @param {string} componentKey - A key from getComponentGroups()
  * @param {boolean} useCache
+ * @param {Object} options - Paging options ({ maxResults, onProgress, signal }); maxResults applies per query
  * @returns {Promise<Array>}
  */
-export async function fetchComponentPriorityBugs(componentKey, useCache = true) {
-  const COMPONENT_DEFS = {
-    css:        [{ componentSubstring: 'CSS Parsing' }, { componentSubstring: 'CSS Transitions' }],
-    dom:        [{ componentSubstring: 'DOM' }],
-    graphics:   [{ componentSubstring: 'Graphics' }],
-    javascript: [{ componentSubstring: 'JavaScript' }],
-    layout:     [{ componentSubstring: 'Layout' }],
-    memory:     [{ componentSubstring: 'Memory Allocator' }, { componentSubstring: 'Cycle Collector' }],
-    necko:      [
-      { componentSubstring: 'Networking' },
-      { androidProduct: 'Firefox for Android' },
-    ],
-    painting:   [{ componentSubstring: 'Web Painting' }],
-    sp3:        [{ metaBugId: 2026188 }],
-    storage:    [{ componentSubstring: 'Storage' }],
-  }
-
-  const defs = COMPONENT_DEFS[componentKey]
-  if (!defs) throw new Error(`Unknown component key: ${componentKey}`)
+export async function fetchComponentPriorityBugs(componentKey, useCache = true, options = {}) {
+  const group = getComponentGroup(componentKey)
+  if (!group) throw new Error(`Unknown component key: ${componentKey}`)
 
   const cacheKey = `component-priority-${componentKey}`
 
-  const doFetch = async () => {
+  const doFetch = async (signal = options.signal, onProgress = options.onProgress) => {
     const apiKey = getApiKey()
     const keyParam = apiKey ? `&api_key=${encodeURIComponent(apiKey)}` : ''
-    const statuses = 'bug_status=UNCONFIRMED&bug_status=NEW&bug_status=ASSIGNED&bug_status=REOPENED'
-    const fields = 'include_fields=id%2Csummary%2Cseverity%2Cpriority%2Cstatus%2Ccomponent%2Cproduct%2Cassigned_to%2Cassigned_to_detail%2Clast_change_time%2Ccf_performance_impact%2Ccomment_count'
-
-    const fetchDef = async (def) => {
-      // Meta bug path: fetch all bugs listed in depends_on with full scoring fields
-      if (def.metaBugId) {
-        const depIds = await fetchDependsOnIds(def.metaBugId)
-        if (depIds.length === 0) return []
-        const idParams = depIds.map(id => `id=${encodeURIComponent(id)}`).join('&')
-        const url = `${BUGZILLA_API_BASE}/bug?${idParams}&${fields}${keyParam}`
-        const response = await fetch(url)
-        if (!response.ok) throw new Error(`Bugzilla API error: ${response.status}`)
-        const data = await response.json()
-        return data.bugs || []
-      }
-      let url
-      if (def.componentSubstring) {
-        url = `${BUGZILLA_API_BASE}/bug?${statuses}`
-          + `&f1=classification&o1=notequals&v1=Graveyard`
-          + `&f2=component&o2=substring&v2=${encodeURIComponent(def.componentSubstring)}`
-          + `&f3=OP`
-          + `&f4=status_whiteboard&o4=substring&v4=perf-prio%5D`
-          + `&f5=cf_performance_impact&o5=anyexact&v5=high%2Cmedium`
-          + `&f6=CP&j3=OR`
-          + `&${fields}&limit=200${keyParam}`
-      } else {
-        url = `${BUGZILLA_API_BASE}/bug?${statuses}`
-          + `&product=${encodeURIComponent(def.androidProduct)}`
-          + `&f1=OP`
-          + `&f2=status_whiteboard&o2=substring&v2=perf-prio%5D`
-          + `&f3=cf_performance_impact&o3=anyexact&v3=high%2Cmedium`
-          + `&f4=CP&j1=OR`
-          + `&${fields}&limit=200${keyParam}`
+    const fields = 'include_fields=id%2Csummary%2Cseverity%2Cpriority%2Cstatus%2Cresolution%2Ccomponent%2Cproduct%2Cassigned_to%2Cassigned_to_detail%2Clast_change_time%2Ccf_performance_impact%2Ccomment_count'
+
+    const fetchQuery = async (query) => {
+      // Meta bug path: every bug below the meta bug, including children of sub-meta bugs
+      if (query.metaBugId) {
+        return fetchMetaBugDescendants(query.metaBugId, false, { signal })
       }
-      const response = await fetch(url)
-      if (!response.ok) throw new Error(`Bugzilla API error: ${response.status}`)
-      const data = await response.json()
-      return data.bugs || []
+      const url = `${BUGZILLA_API_BASE}/bug?${buildComponentQueryString(query, group)}&${fields}${keyParam}`
+      const { bugs } = await fetchBugPages(url, {
+        maxResults: options.maxResults,
+        onProgress: reportProgress(query),
+        signal,
+      })
+      return bugs
     }
 
-    const results = await Promise.all(defs.map(fetchDef))
+    // Sum progress across the parallel per-query requests
+    const progress = new Map()
+    const reportProgress = (query) => onProgress && (({ loaded }) => {
+      progress.set(query, loaded)
+      onProgress({ loaded: [...progress.values()].reduce((a, b) => a + b, 0), total: null })
+    })
+
+    const results = await Promise.all(group.queries.map(fetchQuery))
     const seen = new Set()
     return results.flat().filter(bug => {
       if (seen.has(bug.id)) return false
@@ -365,30 +745,31 @@ export async function fetchComponentPriorityBugs(componentKey, useCache = true)
   }
 
   if (!useCache) return doFetch()
-  return cachedFetch(cacheKey, doFetch)
+  return cachedFetch(cacheKey, doFetch, { namespace: CACHE_NAMESPACE, signal: options.signal, onProgress: options.onProgress })
 }
 
 /**
- * Clear cached bugs for a specific component priority key (or all if omitted).
+ * Clear cached bugs for a specific component priority key (or every component
+ * group if omitted).
  * @param {string|null} componentKey
  */
 export function clearComponentPriorityCache(componentKey = null) {
-  const keys = componentKey
-    ? [`component-priority-${componentKey}`]
-    : ['css', 'dom', 'graphics', 'javascript', 'layout', 'memory', 'necko', 'painting', 'sp3', 'storage'].map(k => `component-priority-${k}`)
-  keys.forEach(k => clearCache(k))
+  if (componentKey) {
+    clearCache(`component-priority-${componentKey}`)
+  } else {
+    clearCache('component-priority-', { prefix: true })
+  }
 }
 
 /**
  * Clear cache for performance impact bugs
- * @param {string} impactLevel - Optional specific impact level to clear
+ * @param {string} impactLevel - Optional specific impact level to clear; without
+ *   one every perf-impact query is cleared, including the all-levels one
  */
 export function clearPerformanceImpactCache(impactLevel = null) {
   if (impactLevel) {
     clearCache(generateCacheKey('perf-impact', { impactLevel }));
   } else {
-    clearCache(generateCacheKey('perf-impact', { impactLevel: 'high' }));
-    clearCache(generateCacheKey('perf-impact', { impactLevel: 'medium' }));
-    clearCache(generateCacheKey('perf-impact', { impactLevel: 'low' }));
+    clearCache('perf-impact:', { prefix: true });
   }
 }
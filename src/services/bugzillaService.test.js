@@ -1,5 +1,5 @@
-import { describe, it, expect, beforeEach } from 'vitest'
-import { groupBugsBySeverity, groupBugsByComponent, getBugStats, clearPerformanceImpactCache, clearComponentPriorityCache } from './bugzillaService'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { groupBugsBySeverity, groupBugsByComponent, getBugStats, clearPerformanceImpactCache, clearComponentPriorityCache, fetchBugs, fetchBugsWithTotal, fetchDependencyGraph, fetchMetaBugDescendants, buildComponentQueryString, invalidateBugCaches, updateBug, fetchBuglistBugs, fetchBugAttachments, fetchPerformanceThroughput } from './bugzillaService'
 import { setCache, getCached, clearAllCache } from '../utils/cache'
 
 // ---------------------------------------------------------------------------
@@ -222,6 +222,16 @@ describe('clearPerformanceImpactCache', () => {
     expect(getCached(MEDIUM_KEY)).toBeNull()
     expect(getCached(LOW_KEY)).toBeNull()
   })
+
+  it('also clears the all-levels query and queries with extra parameters', () => {
+    setCache('perf-impact:all=true', ['bug1'])
+    setCache('perf-impact:impactLevel=high&product=Core', ['bug2'])
+    setCache('perf-throughput:since=2026-01-01', ['bug3'])
+    clearPerformanceImpactCache()
+    expect(getCached('perf-impact:all=true')).toBeNull()
+    expect(getCached('perf-impact:impactLevel=high&product=Core')).toBeNull()
+    expect(getCached('perf-throughput:since=2026-01-01')).toEqual(['bug3'])
+  })
 })
 
 // ---------------------------------------------------------------------------
@@ -262,3 +272,357 @@ describe('clearComponentPriorityCache', () => {
     expect(() => clearComponentPriorityCache('necko')).not.toThrow()
   })
 })
+
+// ---------------------------------------------------------------------------
+// fetchBugsWithTotal / fetchBugs — offset pagination
+// ---------------------------------------------------------------------------
+describe('fetchBugsWithTotal', () => {
+  // Serves `count` fake bugs, honouring the limit/offset query params and,
+  // like BMO, capping the page size at serverLimit
+  function mockBugzilla(count, { totalMatches = false, serverLimit = Infinity } = {}) {
+    const fetchMock = vi.fn(async (url) => {
+      const params = new URL(url).searchParams
+      const limit = Math.min(Number(params.get('limit')), serverLimit)
+      const offset = Number(params.get('offset'))
+      const end = Math.min(offset + limit, count)
+      const bugs = []
+      for (let id = offset + 1; id <= end; id++) bugs.push(makeBug({ id }))
+      return {
+        ok: true,
+        json: async () => ({ bugs, ...(totalMatches ? { total_matches: count } : {}) }),
+      }
+    })
+    vi.stubGlobal('fetch', fetchMock)
+    return fetchMock
+  }
+
+  beforeEach(() => {
+    vi.stubGlobal('localStorage', { getItem: () => null })
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('pages with offset until a short page is returned', async () => {
+    const fetchMock = mockBugzilla(25)
+    const result = await fetchBugsWithTotal({ product: 'Core' }, { pageSize: 10 })
+    expect(result.bugs).toHaveLength(25)
+    expect(result.total).toBe(25)
+    expect(result.truncated).toBe(false)
+    expect(fetchMock).toHaveBeenCalledTimes(3)
+    const offsets = fetchMock.mock.calls.map(([url]) => new URL(url).searchParams.get('offset'))
+    expect(offsets).toEqual(['0', '10', '20'])
+  })
+
+  it('stops at the hard cap and reports the result as truncated', async () => {
+    mockBugzilla(50, { totalMatches: true })
+    const result = await fetchBugsWithTotal({}, { pageSize: 10, maxResults: 15 })
+    expect(result.bugs).toHaveLength(15)
+    expect(result.total).toBe(50)
+    expect(result.truncated).toBe(true)
+  })
+
+  it('treats a limit param as the hard cap rather than a page size', async () => {
+    const fetchMock = mockBugzilla(50)
+    const result = await fetchBugsWithTotal({ limit: 20 }, { pageSize: 10 })
+    expect(result.bugs).toHaveLength(20)
+    expect(result.total).toBeNull()
+    const limits = fetchMock.mock.calls.map(([url]) => new URL(url).searchParams.getAll('limit'))
+    expect(limits).toEqual([['10'], ['10']])
+  })
+
+  it('uses total_matches to avoid requesting an empty trailing page', async () => {
+    const fetchMock = mockBugzilla(20, { totalMatches: true })
+    await fetchBugsWithTotal({}, { pageSize: 10 })
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+  })
+
+  it('keeps paging past short pages while total_matches says more bugs exist', async () => {
+    const fetchMock = mockBugzilla(25, { totalMatches: true, serverLimit: 8 })
+    const result = await fetchBugsWithTotal({}, { pageSize: 10 })
+    expect(result.bugs).toHaveLength(25)
+    expect(result.truncated).toBe(false)
+    const offsets = fetchMock.mock.calls.map(([url]) => new URL(url).searchParams.get('offset'))
+    expect(offsets).toEqual(['0', '8', '16', '24'])
+  })
+
+  it('reports an empty page before total_matches is reached as truncated', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, json: async () => ({ bugs: [], total_matches: 5 }) })))
+    const result = await fetchBugsWithTotal({}, { pageSize: 10 })
+    expect(result.bugs).toHaveLength(0)
+    expect(result.truncated).toBe(true)
+  })
+
+  it('reports progress after each page', async () => {
+    mockBugzilla(15, { totalMatches: true })
+    const onProgress = vi.fn()
+    await fetchBugsWithTotal({}, { pageSize: 10, onProgress })
+    expect(onProgress.mock.calls.map(([p]) => p)).toEqual([
+      { loaded: 10, total: 15 },
+      { loaded: 15, total: 15 },
+    ])
+  })
+
+  it('propagates HTTP errors as structured errors without the API key', async () => {
+    vi.stubGlobal('localStorage', { getItem: () => 'secret' })
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: false, status: 400, json: async () => ({ error: true, message: 'Bad search' }) })))
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const err = await fetchBugsWithTotal({}).catch(e => e)
+    expect(err).toMatchObject({ kind: 'http', status: 400, host: 'bugzilla.mozilla.org' })
+    expect(err.message).toContain('Bad search')
+    expect(err.url).not.toContain('secret')
+  })
+
+  it('fetchBugs resolves to the plain bug array', async () => {
+    mockBugzilla(3)
+    const bugs = await fetchBugs({ product: 'Core' })
+    expect(bugs.map(b => b.id)).toEqual([1, 2, 3])
+  })
+  it('stops paging once the signal aborts', async () => {
+    const fetchMock = mockBugzilla(2500)
+    const controller = new AbortController()
+    const pending = fetchBugsWithTotal({ product: 'Core' }, {
+      signal: controller.signal,
+      onProgress: () => controller.abort(),
+    })
+    await expect(pending).rejects.toMatchObject({ kind: 'aborted' })
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// fetchDependencyGraph — recursive depends_on walk
+// ---------------------------------------------------------------------------
+describe('fetchDependencyGraph', () => {
+  // 1 → 2 → 3 → 1 (cycle), 2 → 4 → 5
+  const GRAPH = { 1: [2], 2: [3, 4], 3: [1], 4: [5], 5: [] }
+
+  function mockGraph() {
+    const fetchMock = vi.fn(async (url) => {
+      const ids = new URL(url).searchParams.getAll('id').map(Number)
+      const bugs = ids.filter(id => GRAPH[id]).map(id => makeBug({ id, depends_on: GRAPH[id] }))
+      return { ok: true, json: async () => ({ bugs }) }
+    })
+    vi.stubGlobal('fetch', fetchMock)
+    return fetchMock
+  }
+
+  beforeEach(() => {
+    clearAllCache()
+    vi.stubGlobal('localStorage', { getItem: () => null })
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('walks to arbitrary depth and requests each bug once despite cycles', async () => {
+    const fetchMock = mockGraph()
+    const { bugs, truncated } = await fetchDependencyGraph(1, {}, false)
+    expect(Object.keys(bugs).map(Number).sort()).toEqual([1, 2, 3, 4, 5])
+    expect(truncated).toBe(false)
+    const requested = fetchMock.mock.calls.flatMap(([url]) => new URL(url).searchParams.getAll('id'))
+    expect(requested.sort()).toEqual(['1', '2', '3', '4', '5'])
+  })
+
+  it('stops at maxDepth and reports truncation', async () => {
+    mockGraph()
+    const { bugs, truncated } = await fetchDependencyGraph(1, { maxDepth: 1 }, false)
+    expect(Object.keys(bugs).map(Number).sort()).toEqual([1, 2])
+    expect(truncated).toBe(true)
+  })
+
+  it('fetchMetaBugDescendants returns every bug below the meta bug', async () => {
+    mockGraph()
+    const bugs = await fetchMetaBugDescendants(2, false)
+    expect(bugs.map(b => b.id).sort()).toEqual([1, 3, 4, 5])
+  })
+})
+
+// ---------------------------------------------------------------------------
+// buildComponentQueryString
+// ---------------------------------------------------------------------------
+describe('buildComponentQueryString', () => {
+  const STATUSES = 'bug_status=UNCONFIRMED&bug_status=NEW&bug_status=ASSIGNED&bug_status=REOPENED'
+  const PERF_PRIO = { whiteboardTag: 'perf-prio]', impactLevels: ['high', 'medium'] }
+
+  it('builds the component substring query with an OR of both signals', () => {
+    expect(buildComponentQueryString({ componentSubstring: 'Graphics' }, PERF_PRIO)).toBe(
+      `${STATUSES}&f1=classification&o1=notequals&v1=Graveyard`
+      + '&f2=component&o2=substring&v2=Graphics'
+      + '&f3=OP&f4=status_whiteboard&o4=substring&v4=perf-prio%5D'
+      + '&f5=cf_performance_impact&o5=anyexact&v5=high%2Cmedium&f6=CP&j3=OR'
+    )
+  })
+
+  it('builds a whole-product query without a component filter', () => {
+    expect(buildComponentQueryString({ product: 'Firefox for Android' }, PERF_PRIO)).toBe(
+      `${STATUSES}&product=Firefox%20for%20Android`
+      + '&f1=OP&f2=status_whiteboard&o2=substring&v2=perf-prio%5D'
+      + '&f3=cf_performance_impact&o3=anyexact&v3=high%2Cmedium&f4=CP&j1=OR'
+    )
+  })
+
+  it('uses a single condition when only one signal is set', () => {
+    const qs = buildComponentQueryString({ componentSubstring: 'DOM' }, { whiteboardTag: '', impactLevels: ['high'] })
+    expect(qs).toContain('&f3=cf_performance_impact&o3=anyexact&v3=high')
+    expect(qs).not.toContain('=OP')
+  })
+})
+
+// ---------------------------------------------------------------------------
+// invalidateBugCaches / updateBug
+// ---------------------------------------------------------------------------
+describe('invalidateBugCaches', () => {
+  beforeEach(() => clearAllCache())
+
+  it('clears the bug\'s own entries and every cached list or graph containing it', () => {
+    setCache('bug-detail-7', makeBug({ id: 7 }))
+    setCache('bug-history-7', [])
+    setCache('component-priority-dom', [makeBug({ id: 7 }), makeBug({ id: 8 })])
+    setCache('perf-impact:impact=high', { bugs: [makeBug({ id: 7 })], total: 1, truncated: false })
+    setCache('dependency-tree:rootId=1', { rootId: 1, bugs: { 1: makeBug(), 7: makeBug({ id: 7 }) }, truncated: false })
+    setCache('component-priority-css', [makeBug({ id: 8 })])
+    setCache('bug-detail-8', makeBug({ id: 8 }))
+    setCache('bug-attachments-7', [])
+
+    expect(invalidateBugCaches('7')).toBe(6)
+    expect(getCached('component-priority-css')).not.toBeNull()
+    expect(getCached('bug-detail-8')).not.toBeNull()
+  })
+})
+
+describe('fetchPerformanceThroughput', () => {
+  beforeEach(() => {
+    clearAllCache()
+    vi.stubGlobal('localStorage', { getItem: () => null })
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('queries bugs opened and bugs resolved since the date, including resolved bugs', async () => {
+    const fetchMock = vi.fn(async (url) => {
+      const params = new URL(url).searchParams
+      const bugs = params.get('f2') === 'creation_ts' ? [makeBug({ id: 1 })] : [makeBug({ id: 2, resolution: 'FIXED' })]
+      return { ok: true, json: async () => ({ bugs }) }
+    })
+    vi.stubGlobal('fetch', fetchMock)
+
+    const result = await fetchPerformanceThroughput('2026-01-05')
+    expect(result.opened.map(b => b.id)).toEqual([1])
+    expect(result.resolved.map(b => b.id)).toEqual([2])
+    expect(result.truncated).toBe(false)
+
+    const [openedUrl, resolvedUrl] = fetchMock.mock.calls.map(([url]) => new URL(url).searchParams)
+    expect(openedUrl.get('resolution')).toBeNull()
+    expect(openedUrl.get('v2')).toBe('2026-01-05')
+    expect(openedUrl.get('include_fields')).toContain('cf_last_resolved')
+    expect(resolvedUrl.get('f2')).toBe('cf_last_resolved')
+    expect(resolvedUrl.getAll('bug_status')).toEqual(['RESOLVED', 'VERIFIED', 'CLOSED'])
+  })
+})
+
+describe('fetchBugAttachments', () => {
+  beforeEach(() => {
+    clearAllCache()
+    vi.stubGlobal('localStorage', { getItem: () => null })
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('requests each bug on its own and caches each bug separately', async () => {
+    const patch = { id: 900, bug_id: 1, content_type: 'text/x-phabricator-request', is_obsolete: 0, flags: [] }
+    // Shaped like BMO's /rest/bug/{id}/attachment response
+    const fetchMock = vi.fn(async (url) => {
+      const id = new URL(url).pathname.split('/')[3]
+      return { ok: true, json: async () => ({ bugs: { [id]: id === '1' ? [patch] : [] }, attachments: {} }) }
+    })
+    vi.stubGlobal('fetch', fetchMock)
+
+    expect(await fetchBugAttachments([1, 2])).toEqual({ 1: [patch], 2: [] })
+    const urls = fetchMock.mock.calls.map(([url]) => new URL(url))
+    expect(urls.map(url => url.pathname)).toEqual(['/rest/bug/1/attachment', '/rest/bug/2/attachment'])
+    expect(urls[0].searchParams.has('ids')).toBe(false)
+    expect(urls[0].searchParams.get('include_fields')).not.toContain('data')
+
+    // Both bugs are now cached, so a later page only requests the new bug
+    await fetchBugAttachments([2, 3])
+    expect(fetchMock).toHaveBeenCalledTimes(3)
+    expect(new URL(fetchMock.mock.calls[2][0]).pathname).toBe('/rest/bug/3/attachment')
+  })
+})
+
+describe('updateBug', () => {
+  beforeEach(() => clearAllCache())
+  afterEach(() => vi.unstubAllGlobals())
+
+  it('refuses to write without an API key', async () => {
+    vi.stubGlobal('localStorage', { getItem: () => null })
+    const fetchMock = vi.fn()
+    vi.stubGlobal('fetch', fetchMock)
+    await expect(updateBug(7, { severity: 'S2' })).rejects.toThrow('API key')
+    expect(fetchMock).not.toHaveBeenCalled()
+  })
+
+  it('PUTs the changes with the key in a header and invalidates caches', async () => {
+    vi.stubGlobal('localStorage', { getItem: () => 'secret' })
+    const fetchMock = vi.fn(async () => ({ ok: true, json: async () => ({ bugs: [{ id: 7, changes: {} }] }) }))
+    vi.stubGlobal('fetch', fetchMock)
+    setCache('component-priority-dom', [makeBug({ id: 7 })])
+
+    await updateBug(7, { severity: 'S2' })
+
+    const [url, init] = fetchMock.mock.calls[0]
+    expect(url).toBe('https://bugzilla.mozilla.org/rest/bug/7')
+    expect(url).not.toContain('secret')
+    expect(init.method).toBe('PUT')
+    expect(init.headers['X-BUGZILLA-API-KEY']).toBe('secret')
+    expect(JSON.parse(init.body)).toEqual({ severity: 'S2' })
+    expect(getCached('component-priority-dom')).toBeNull()
+  })
+
+  it('surfaces the Bugzilla error message and keeps caches on failure', async () => {
+    vi.stubGlobal('localStorage', { getItem: () => 'secret' })
+    vi.stubGlobal('fetch', vi.fn(async () => ({
+      ok: false, status: 400, json: async () => ({ error: true, message: 'You are not authorized to edit this bug.' }),
+    })))
+    setCache('component-priority-dom', [makeBug({ id: 7 })])
+
+    await expect(updateBug(7, { severity: 'S2' })).rejects.toThrow('not authorized')
+    expect(getCached('component-priority-dom')).not.toBeNull()
+  })
+})
+
+// ---------------------------------------------------------------------------
+// fetchBuglistBugs
+// ---------------------------------------------------------------------------
+describe('fetchBuglistBugs', () => {
+  beforeEach(() => {
+    clearAllCache()
+    vi.stubGlobal('localStorage', { getItem: () => null })
+  })
+  afterEach(() => vi.unstubAllGlobals())
+
+  it('sends the translated params, repeating multi-valued ones', async () => {
+    const fetchMock = vi.fn(async () => ({ ok: true, json: async () => ({ bugs: [makeBug()], total_matches: 1 }) }))
+    vi.stubGlobal('fetch', fetchMock)
+
+    const result = await fetchBuglistBugs(
+      'https://bugzilla.mozilla.org/buglist.cgi?query_format=advanced&product=Core&bug_status=NEW&bug_status=ASSIGNED&f1=keywords&o1=substring&v1=perf',
+      false
+    )
+
+    expect(result).toEqual({ bugs: [makeBug()], total: 1, truncated: false })
+    const search = new URL(fetchMock.mock.calls[0][0]).searchParams
+    expect(search.getAll('bug_status')).toEqual(['NEW', 'ASSIGNED'])
+    expect(search.get('product')).toBe('Core')
+    expect(search.get('f1')).toBe('keywords')
+    expect(search.has('query_format')).toBe(false)
+  })
+})
@@ -0,0 +1,306 @@
+/**
+ * Shared HTTP layer for every service.
+ *
+ * - Per-attempt timeouts that cover reading the body as well as the headers
+ * - Exponential backoff with jitter for 408/429/5xx and network failures,
+ *   honoring Retry-After when the server sends it
+ * - A concurrency limit per host, so bursts (e.g. every component group on
+ *   Overview load) queue instead of tripping rate limits
+ * - Structured HttpError objects (kind, host, status, URL with api_key removed)
+ *   that views can render meaningfully
+ * - AbortSignal support covering the request, the limiter queue and backoff waits
+ */
+
+export const DEFAULT_TIMEOUT_MS = 30 * 1000
+export const DEFAULT_RETRIES = 3
+export const DEFAULT_HOST_CONCURRENCY = 4
+
+const BASE_DELAY_MS = 500
+const MAX_BACKOFF_MS = 15 * 1000
+// Give up instead of waiting if the server asks for a longer pause than this
+const MAX_RETRY_AFTER_MS = 60 * 1000
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504])
+// Statuses where the server did not process the request, so even
+// non-idempotent requests are safe to repeat
+const NOT_PROCESSED_STATUSES = new Set([429, 503])
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'])
+const SENSITIVE_PARAMS = ['api_key']
+
+/**
+ * Error thrown for every failed request.
+ * kind is one of 'http' | 'timeout' | 'network' | 'parse' | 'aborted'.
+ */
+export class HttpError extends Error {
+  constructor(message, { kind, host, url, method = 'GET', status = null, retryable = false, retryAfterMs = null, body = null, attempts = 1, cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = 'HttpError'
+    this.kind = kind
+    this.host = host
+    this.url = url
+    this.method = method
+    this.status = status
+    this.retryable = retryable
+    this.retryAfterMs = retryAfterMs
+    this.body = body
+    this.attempts = attempts
+  }
+}
+
+function toUrl(url) {
+  return new URL(url, globalThis.location?.href || 'http://localhost/')
+}
+
+function isRelative(url) {
+  return !/^[a-z][a-z\d+.-]*:/i.test(url)
+}
+
+/**
+ * The host a URL targets; relative URLs resolve against the page.
+ */
+export function getHost(url) {
+  return toUrl(url).host
+}
+
+/**
+ * Strip credentials (api_key) from a URL so it can be logged or displayed.
+ * Relative URLs stay relative.
+ */
+export function redactUrl(url) {
+  const parsed = toUrl(url)
+  SENSITIVE_PARAMS.forEach(param => parsed.searchParams.delete(param))
+  return isRelative(url) ? `${parsed.pathname}${parsed.search}` : parsed.toString()
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds.
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || value === '') return null
+  if (/^\d+$/.test(String(value).trim())) return Number(value) * 1000
+  const date = Date.parse(value)
+  if (Number.isNaN(date)) return null
+  return Math.max(0, date - now)
+}
+
+/**
+ * Backoff before retry number `attempt` (0-based): exponential with jitter.
+ */
+export function backoffDelay(attempt, baseDelayMs = BASE_DELAY_MS) {
+  const exponential = Math.min(MAX_BACKOFF_MS, baseDelayMs * 2 ** attempt)
+  return exponential + Math.random() * baseDelayMs
+}
+
+function abortError() {
+  return new DOMException('The operation was aborted', 'AbortError')
+}
+
+/**
+ * Whether an error came from an aborted request or sleep, i.e. it should be
+ * ignored rather than shown.
+ */
+export function isAbortError(err) {
+  return err?.kind === 'aborted' || err?.name === 'AbortError'
+}
+
+/**
+ * Wait for ms milliseconds. Rejects with an AbortError as soon as the signal
+ * aborts.
+ * @param {number} ms
+ * @param {AbortSignal} signal - Optional
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError())
+      return
+    }
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(abortError())
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+// ── Per-host concurrency limiter ──────────────────────────────────────────────
+
+const hostLimits = new Map()
+const hostSlots = new Map()
+
+/**
+ * Override the concurrency limit for a host.
+ */
+export function setHostConcurrency(host, limit) {
+  hostLimits.set(host, limit)
+}
+
+function acquireSlot(host, signal) {
+  const slots = hostSlots.get(host) || { active: 0, queue: [] }
+  hostSlots.set(host, slots)
+  const limit = hostLimits.get(host) ?? DEFAULT_HOST_CONCURRENCY
+  if (slots.active < limit) {
+    slots.active++
+    return Promise.resolve()
+  }
+  return new Promise((resolve, reject) => {
+    const waiter = () => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }
+    // Leave the queue without taking a slot
+    const onAbort = () => {
+      slots.queue.splice(slots.queue.indexOf(waiter), 1)
+      reject(abortError())
+    }
+    slots.queue.push(waiter)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+function releaseSlot(host) {
+  const slots = hostSlots.get(host)
+  const next = slots.queue.shift()
+  // Hand the slot straight to the next waiter
+  if (next) next()
+  else slots.active--
+}
+
+async function readErrorBody(response) {
+  try {
+    if (typeof response.text === 'function') {
+      const text = await response.text()
+      try { return JSON.parse(text) } catch { return text || null }
+    }
+    if (typeof response.json === 'function') return await response.json()
+  } catch { /* body unavailable */ }
+  return null
+}
+
+/**
+ * Fetch a URL through the shared limiter with timeout and retries.
+ * @param {string} url
+ * @param {Object} options
+ * @param {string} options.method - HTTP method (default: 'GET')
+ * @param {Object} options.headers
+ * @param {string} options.body
+ * @param {number} options.timeoutMs - Per-attempt timeout (default: DEFAULT_TIMEOUT_MS)
+ * @param {number} options.retries - Retries after the first attempt (default: DEFAULT_RETRIES)
+ * @param {boolean} options.idempotent - Whether timeouts, network errors and 5xx may be
+ *   retried (default: true for GET/HEAD/OPTIONS/PUT/DELETE)
+ * @param {number} options.baseDelayMs - Backoff base delay
+ * @param {AbortSignal} options.signal - Cancels the request, including queued and backoff time
+ * @param {Function} options.read - Reads the body of a successful response (response => Promise).
+ *   It runs under the same timeout, signal and host slot as the request itself; without it
+ *   the body is read by the caller after all three have been released.
+ * @returns {Promise<Response|any>} A response with ok === true, or what read returns
+ * @throws {HttpError}
+ */
+export async function request(url, {
+  method = 'GET',
+  headers,
+  body,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  idempotent = IDEMPOTENT_METHODS.has(method.toUpperCase()),
+  baseDelayMs = BASE_DELAY_MS,
+  signal,
+  read,
+} = {}) {
+  const host = getHost(url)
+  const safeUrl = redactUrl(url)
+  const details = { host, url: safeUrl, method }
+  const cancelled = (cause) => new HttpError(`Request to ${host} was cancelled`, { ...details, kind: 'aborted', cause })
+
+  for (let attempt = 0; ; attempt++) {
+    let error
+    if (signal?.aborted) throw cancelled()
+    try {
+      await acquireSlot(host, signal)
+    } catch (err) {
+      throw cancelled(err)
+    }
+    // The signal may have fired while the slot was being granted
+    if (signal?.aborted) {
+      releaseSlot(host)
+      throw cancelled()
+    }
+    const controller = new AbortController()
+    let timedOut = false
+    const timer = setTimeout(() => {
+      timedOut = true
+      controller.abort()
+    }, timeoutMs)
+    const onAbort = () => controller.abort()
+    signal?.addEventListener('abort', onAbort, { once: true })
+
+    try {
+      const response = await fetch(url, { method, headers, body, signal: controller.signal })
+      if (response.ok) return read ? await read(response) : response
+
+      const errorBody = await readErrorBody(response)
+      const serverMessage = errorBody && typeof errorBody === 'object' ? errorBody.message : null
+      error = new HttpError(
+        `${host} responded ${response.status}${response.statusText ? ` ${response.statusText}` : ''}${serverMessage ? `: ${serverMessage}` : ''}`,
+        {
+          ...details,
+          kind: 'http',
+          status: response.status,
+          retryable: RETRYABLE_STATUSES.has(response.status) && (idempotent || NOT_PROCESSED_STATUSES.has(response.status)),
+          retryAfterMs: parseRetryAfter(response.headers?.get?.('Retry-After')),
+          body: errorBody,
+        }
+      )
+    } catch (err) {
+      if (signal?.aborted) throw cancelled(err)
+      // read() rejected a body that did arrive
+      if (err instanceof HttpError && !timedOut) throw err
+      error = timedOut
+        ? new HttpError(`${host} did not respond within ${Math.round(timeoutMs / 1000)}s`, { ...details, kind: 'timeout', retryable: idempotent, cause: err })
+        : new HttpError(`Could not reach ${host}`, { ...details, kind: 'network', retryable: idempotent, cause: err })
+    } finally {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
+      releaseSlot(host)
+    }
+
+    error.attempts = attempt + 1
+    if (!error.retryable || attempt >= retries) throw error
+    const delay = error.retryAfterMs ?? backoffDelay(attempt, baseDelayMs)
+    if (delay > MAX_RETRY_AFTER_MS) throw error
+    try {
+      await sleep(delay, signal)
+    } catch (err) {
+      throw cancelled(err)
+    }
+  }
+}
+
+/**
+ * request() and parse the JSON body.
+ * @returns {Promise<any>}
+ * @throws {HttpError} kind 'parse' if the body is not JSON
+ */
+export async function requestJson(url, options = {}) {
+  const host = getHost(url)
+  const details = { host, url: redactUrl(url), method: options.method || 'GET' }
+  // Read the body inside request() so the timeout, signal and host slot cover it too
+  const data = await request(url, {
+    ...options,
+    read: async (response) => {
+      try {
+        return await response.json()
+      } catch (err) {
+        throw new HttpError(`${host} returned an invalid JSON response`, { ...details, kind: 'parse', status: response.status, cause: err })
+      }
+    },
+  })
+  // Never hand a late body to a caller that has moved on
+  if (options.signal?.aborted) throw new HttpError(`Request to ${host} was cancelled`, { ...details, kind: 'aborted' })
+  return data
+}
@@ -0,0 +1,239 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { request, requestJson, HttpError, redactUrl, getHost, parseRetryAfter, setHostConcurrency, sleep, isAbortError } from './httpClient'
+import { jsonResponse } from '../test/helpers'
+
+beforeEach(() => {
+  vi.restoreAllMocks()
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+// ---------------------------------------------------------------------------
+// URL helpers
+// ---------------------------------------------------------------------------
+describe('redactUrl / getHost', () => {
+  it('removes api_key from absolute URLs', () => {
+    expect(redactUrl('https://bugzilla.mozilla.org/rest/bug?id=1&api_key=secret&limit=5'))
+      .toBe('https://bugzilla.mozilla.org/rest/bug?id=1&limit=5')
+  })
+
+  it('keeps relative URLs relative', () => {
+    expect(redactUrl('/stmo/api/queries/1/results?api_key=secret')).toBe('/stmo/api/queries/1/results')
+  })
+
+  it('resolves the host of absolute URLs', () => {
+    expect(getHost('https://treeherder.mozilla.org/api/x')).toBe('treeherder.mozilla.org')
+  })
+})
+
+describe('parseRetryAfter', () => {
+  it('parses delta-seconds and HTTP dates', () => {
+    expect(parseRetryAfter('3')).toBe(3000)
+    const now = Date.parse('2026-01-01T00:00:00Z')
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:10 GMT', now)).toBe(10000)
+  })
+
+  it('returns null for missing or malformed values', () => {
+    expect(parseRetryAfter(null)).toBeNull()
+    expect(parseRetryAfter('soon')).toBeNull()
+  })
+})
+
+// ---------------------------------------------------------------------------
+// request
+// ---------------------------------------------------------------------------
+describe('request', () => {
+  it('returns successful responses', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => jsonResponse({ ok: 1 })))
+    expect(await requestJson('https://a.test/x')).toEqual({ ok: 1 })
+  })
+
+  it('retries 429 honoring Retry-After, then succeeds', async () => {
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(jsonResponse({}, { status: 429, headers: { 'Retry-After': '0' } }))
+      .mockResolvedValueOnce(jsonResponse({ done: true }))
+    vi.stubGlobal('fetch', fetchMock)
+    expect(await requestJson('https://a.test/x', { baseDelayMs: 0 })).toEqual({ done: true })
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+  })
+
+  it('gives up immediately when Retry-After is too long', async () => {
+    const fetchMock = vi.fn(async () => jsonResponse({}, { status: 429, headers: { 'Retry-After': '3600' } }))
+    vi.stubGlobal('fetch', fetchMock)
+    await expect(request('https://a.test/x')).rejects.toMatchObject({ kind: 'http', status: 429, retryAfterMs: 3600000 })
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not retry client errors and reports a structured, redacted error', async () => {
+    const fetchMock = vi.fn(async () => jsonResponse({ error: true, message: 'Invalid Bug ID' }, { status: 400 }))
+    vi.stubGlobal('fetch', fetchMock)
+    const err = await request('https://bugzilla.mozilla.org/rest/bug/abc?api_key=secret').catch(e => e)
+    expect(err).toBeInstanceOf(HttpError)
+    expect(err).toMatchObject({
+      kind: 'http', status: 400, host: 'bugzilla.mozilla.org', retryable: false, attempts: 1,
+      url: 'https://bugzilla.mozilla.org/rest/bug/abc',
+    })
+    expect(err.message).toContain('Invalid Bug ID')
+    expect(err.message).not.toContain('secret')
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+  })
+
+  it('stops after the retry budget on persistent 5xx', async () => {
+    const fetchMock = vi.fn(async () => jsonResponse({}, { status: 503 }))
+    vi.stubGlobal('fetch', fetchMock)
+    await expect(request('https://a.test/x', { retries: 2, baseDelayMs: 0 })).rejects.toMatchObject({ status: 503, attempts: 3 })
+    expect(fetchMock).toHaveBeenCalledTimes(3)
+  })
+
+  it('does not retry 500 for non-idempotent requests', async () => {
+    const fetchMock = vi.fn(async () => jsonResponse({}, { status: 500 }))
+    vi.stubGlobal('fetch', fetchMock)
+    await expect(request('https://a.test/x', { method: 'POST', baseDelayMs: 0 })).rejects.toMatchObject({ status: 500 })
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+  })
+
+  it('times out hung requests', async () => {
+    vi.stubGlobal('fetch', vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')))
+    })))
+    await expect(request('https://a.test/x', { timeoutMs: 10, retries: 0 })).rejects.toMatchObject({ kind: 'timeout' })
+  })
+
+  it('reports network failures', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('Failed to fetch') }))
+    await expect(request('https://a.test/x', { retries: 0 })).rejects.toMatchObject({ kind: 'network', host: 'a.test' })
+  })
+
+  it('reports invalid JSON as a parse error', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, status: 200, json: async () => { throw new SyntaxError('bad') } })))
+    await expect(requestJson('https://a.test/x')).rejects.toMatchObject({ kind: 'parse' })
+  })
+
+  it('times out a body that never arrives and holds the host slot until then', async () => {
+    setHostConcurrency('stalled.test', 1)
+    const fetchMock = vi.fn()
+      // Headers arrive, the body never does; reading it fails once the request is aborted
+      .mockImplementationOnce(async (url, { signal }) => ({
+        ok: true,
+        status: 200,
+        json: () => new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')))
+        }),
+      }))
+      .mockImplementation(async () => jsonResponse({ next: true }))
+    vi.stubGlobal('fetch', fetchMock)
+
+    const stalled = requestJson('https://stalled.test/1', { timeoutMs: 20, retries: 0 })
+    const next = requestJson('https://stalled.test/2')
+    await new Promise(resolve => setTimeout(resolve, 5))
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+
+    await expect(stalled).rejects.toMatchObject({ kind: 'timeout' })
+    expect(await next).toEqual({ next: true })
+  })
+
+  it('limits concurrent requests per host', async () => {
+    setHostConcurrency('limited.test', 2)
+    let active = 0
+    let maxActive = 0
+    vi.stubGlobal('fetch', vi.fn(async () => {
+      active++
+      maxActive = Math.max(maxActive, active)
+      await new Promise(resolve => setTimeout(resolve, 5))
+      active--
+      return jsonResponse({})
+    }))
+    await Promise.all(Array.from({ length: 5 }, (_, i) => request(`https://limited.test/${i}`)))
+    expect(maxActive).toBe(2)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// Cancellation
+// ---------------------------------------------------------------------------
+describe('cancellation', () => {
+  it('aborts an in-flight request without retrying', async () => {
+    const fetchMock = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')))
+    }))
+    vi.stubGlobal('fetch', fetchMock)
+    const controller = new AbortController()
+    const pending = request('https://a.test/x', { signal: controller.signal })
+    await vi.waitFor(() => expect(fetchMock).toHaveBeenCalled())
+    controller.abort()
+    const err = await pending.catch(e => e)
+    expect(err).toMatchObject({ kind: 'aborted', host: 'a.test' })
+    expect(isAbortError(err)).toBe(true)
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+  })
+
+  it('aborts while the body is still being read', async () => {
+    vi.stubGlobal('fetch', vi.fn(async (url, { signal }) => ({
+      ok: true,
+      status: 200,
+      json: () => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')))
+      }),
+    })))
+    const controller = new AbortController()
+    const pending = requestJson('https://a.test/x', { signal: controller.signal })
+    await new Promise(resolve => setTimeout(resolve, 5))
+    controller.abort()
+    await expect(pending).rejects.toMatchObject({ kind: 'aborted' })
+  })
+
+  it('rejects immediately for an already-aborted signal', async () => {
+    const fetchMock = vi.fn()
+    vi.stubGlobal('fetch', fetchMock)
+    await expect(request('https://a.test/x', { signal: AbortSignal.abort() })).rejects.toMatchObject({ kind: 'aborted' })
+    expect(fetchMock).not.toHaveBeenCalled()
+  })
+
+  it('aborts during the backoff wait', async () => {
+    const fetchMock = vi.fn(async () => jsonResponse({}, { status: 503, headers: { 'Retry-After': '30' } }))
+    vi.stubGlobal('fetch', fetchMock)
+    const controller = new AbortController()
+    const pending = request('https://a.test/x', { signal: controller.signal })
+    await new Promise(resolve => setTimeout(resolve, 5))
+    controller.abort()
+    await expect(pending).rejects.toMatchObject({ kind: 'aborted' })
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+  })
+
+  it('leaves the host queue when aborted while waiting for a slot', async () => {
+    setHostConcurrency('queued.test', 1)
+    let release
+    const fetchMock = vi.fn()
+      .mockImplementationOnce(() => new Promise(resolve => { release = () => resolve(jsonResponse({ first: true })) }))
+      .mockImplementation(async () => jsonResponse({ later: true }))
+    vi.stubGlobal('fetch', fetchMock)
+
+    const first = requestJson('https://queued.test/1')
+    const controller = new AbortController()
+    const queued = requestJson('https://queued.test/2', { signal: controller.signal })
+    const third = requestJson('https://queued.test/3')
+    controller.abort()
+    await expect(queued).rejects.toMatchObject({ kind: 'aborted' })
+
+    release()
+    expect(await first).toEqual({ first: true })
+    expect(await third).toEqual({ later: true })
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('sleep', () => {
+  it('resolves after the delay', async () => {
+    await expect(sleep(1)).resolves.toBeUndefined()
+  })
+
+  it('rejects with an AbortError when the signal aborts', async () => {
+    const controller = new AbortController()
+    const pending = sleep(60000, controller.signal)
+    controller.abort()
+    const err = await pending.catch(e => e)
+    expect(isAbortError(err)).toBe(true)
+  })
+})
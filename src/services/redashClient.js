@@ -0,0 +1,145 @@
+/**
+ * Redash (STMO) query client.
+ *
+ * Runs a saved query the way the Redash UI does: POST its results endpoint
+ * with parameters and max_age, and if Redash has no cached result that is
+ * fresh enough it answers with a job instead. The job is then polled at
+ * /api/jobs/{id} until it finishes, and the result it produced is fetched.
+ *
+ * Progress is reported through onStatus; failed and cancelled jobs reject
+ * with a RedashError carrying the message Redash gave.
+ *
+ * Requests carry no API key: the dev server's /stmo proxy adds it (see
+ * dev/stmoKeys.js). A missing or rejected key also rejects with a RedashError.
+ */
+
+import { requestJson, sleep, HttpError } from './httpClient'
+
+const STMO_API_BASE = '/stmo'
+// Tells the proxy which query's key to use for paths that don't name it (job polls)
+const QUERY_ID_HEADER = 'X-Stmo-Query-Id'
+
+export const DEFAULT_MAX_AGE = 24 * 60 * 60 // seconds
+export const DEFAULT_POLL_INTERVAL_MS = 2000
+export const DEFAULT_JOB_TIMEOUT_MS = 5 * 60 * 1000
+
+// Redash job status codes → the states reported to onStatus
+const JOB_STATES = {
+  1: 'queued',
+  2: 'running',
+  3: 'done',
+  4: 'failed',
+  5: 'cancelled',
+}
+
+/**
+ * Error thrown when a query job fails, is cancelled upstream or does not
+ * finish in time, or when no API key is configured for the query or STMO
+ * rejects it. state is 'failed' | 'cancelled' | 'timeout' | 'missing-key' |
+ * 'rejected-key'.
+ */
+export class RedashError extends Error {
+  constructor(message, { queryId, jobId = null, state } = {}) {
+    super(message)
+    this.name = 'RedashError'
+    this.queryId = queryId
+    this.jobId = jobId
+    this.state = state
+  }
+}
+
+/**
+ * The state name for a Redash job status code.
+ * @returns {'queued'|'running'|'done'|'failed'|'cancelled'}
+ */
+export function jobState(status) {
+  return JOB_STATES[status] || 'queued'
+}
+
+async function stmoRequest(queryId, path, { headers, ...options } = {}) {
+  try {
+    return await requestJson(`${STMO_API_BASE}${path}`, {
+      ...options,
+      headers: { ...headers, [QUERY_ID_HEADER]: String(queryId) },
+    })
+  } catch (err) {
+    if (!(err instanceof HttpError) || (err.status !== 401 && err.status !== 403)) throw err
+    // The proxy answers 401 itself when it has no key for the query
+    if (err.body?.stmo_key_missing) {
+      throw new RedashError(err.body.message, { queryId, state: 'missing-key' })
+    }
+    throw new RedashError(`STMO rejected the API key for query #${queryId} (${err.status})`, { queryId, state: 'rejected-key' })
+  }
+}
+
+/**
+ * Run a saved query and return its result.
+ * @param {number} queryId
+ * @param {Object} options
+ * @param {Object} options.parameters - Query parameters by name, e.g. { 'Snapshot Date': '2026-01-01' }
+ * @param {number} options.maxAge - Oldest cached Redash result to accept, in seconds
+ *   (default: DEFAULT_MAX_AGE; 0 always re-runs the query)
+ * @param {Function} options.onStatus - Called with { state, jobId, elapsedMs } whenever the
+ *   job state changes; state is 'queued' | 'running' | 'done' | 'failed' | 'cancelled'
+ * @param {number} options.pollIntervalMs - Wait between job polls (default: DEFAULT_POLL_INTERVAL_MS)
+ * @param {number} options.timeoutMs - Give up on a job after this long (default: DEFAULT_JOB_TIMEOUT_MS)
+ * @param {AbortSignal} options.signal - Cancels the request and any wait between polls
+ * @returns {Promise<{data: {rows: Array, columns: Array}, retrieved_at: string}>} The Redash query_result
+ * @throws {RedashError|HttpError}
+ */
+export async function runQuery(queryId, {
+  parameters = {},
+  maxAge = DEFAULT_MAX_AGE,
+  onStatus,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  timeoutMs = DEFAULT_JOB_TIMEOUT_MS,
+  signal,
+} = {}) {
+  const started = Date.now()
+  const data = await stmoRequest(queryId, `/api/queries/${queryId}/results`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ parameters, max_age: maxAge }),
+    // Asking for results is safe to repeat even though it is a POST
+    idempotent: true,
+    signal,
+  })
+  if (data.query_result) return data.query_result
+  if (!data.job) throw new Error('Unexpected STMO API response format')
+
+  let job = data.job
+  let reported = null
+  for (;;) {
+    const state = jobState(job.status)
+    if (state !== reported) {
+      reported = state
+      onStatus?.({ state, jobId: job.id, elapsedMs: Date.now() - started })
+    }
+
+    if (state === 'done') break
+    if (state === 'failed') {
+      throw new RedashError(`STMO query #${queryId} failed: ${job.error || 'unknown error'}`, { queryId, jobId: job.id, state })
+    }
+    if (state === 'cancelled') {
+      throw new RedashError(`STMO query #${queryId} was cancelled`, { queryId, jobId: job.id, state })
+    }
+    if (Date.now() - started + pollIntervalMs > timeoutMs) {
+      throw new RedashError(`STMO query #${queryId} did not finish within ${Math.round(timeoutMs / 1000)}s`, { queryId, jobId: job.id, state: 'timeout' })
+    }
+
+    await sleep(pollIntervalMs, signal)
+    job = (await stmoRequest(queryId, `/api/jobs/${job.id}`, { signal })).job
+  }
+
+  const result = await stmoRequest(queryId, `/api/queries/${queryId}/results/${job.query_result_id}.json`, { signal })
+  return result.query_result
+}
+
+/**
+ * runQuery() and return just the result rows.
+ * @returns {Promise<Array>}
+ */
+export async function fetchQueryRows(queryId, options = {}) {
+  const result = await runQuery(queryId, options)
+  return result.data?.rows || []
+}
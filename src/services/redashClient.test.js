@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { runQuery, fetchQueryRows, jobState, RedashError } from './redashClient'
+import { isAbortError } from './httpClient'
+import { jsonResponse } from '../test/helpers'
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const RESULT = { data: { rows: [{ score: 1 }], columns: [] }, retrieved_at: '2026-10-01T00:00:00Z' }
+const job = (status, extra = {}) => ({ job: { id: 'job-1', status, error: '', query_result_id: null, ...extra } })
+
+// Answer fetch calls in order
+function stubResponses(...bodies) {
+  const fetchMock = vi.fn()
+  bodies.forEach(body => fetchMock.mockResolvedValueOnce(jsonResponse(body)))
+  vi.stubGlobal('fetch', fetchMock)
+  return fetchMock
+}
+
+beforeEach(() => {
+  vi.restoreAllMocks()
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+// ---------------------------------------------------------------------------
+// jobState
+// ---------------------------------------------------------------------------
+describe('jobState', () => {
+  it('maps Redash status codes to states', () => {
+    expect([1, 2, 3, 4, 5].map(jobState)).toEqual(['queued', 'running', 'done', 'failed', 'cancelled'])
+  })
+})
+
+// ---------------------------------------------------------------------------
+// runQuery
+// ---------------------------------------------------------------------------
+describe('runQuery', () => {
+  it('returns a cached Redash result without polling', async () => {
+    const fetchMock = stubResponses({ query_result: RESULT })
+    const result = await runQuery(114368, { parameters: { 'Snapshot Date': '2026-10-01' }, maxAge: 3600 })
+    expect(result).toEqual(RESULT)
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+    const [url, init] = fetchMock.mock.calls[0]
+    expect(url).toBe('/stmo/api/queries/114368/results')
+    expect(init.method).toBe('POST')
+    expect(init.headers['X-Stmo-Query-Id']).toBe('114368')
+    expect(JSON.parse(init.body)).toEqual({ parameters: { 'Snapshot Date': '2026-10-01' }, max_age: 3600 })
+  })
+
+  it('polls the job until it finishes, then fetches its result', async () => {
+    const fetchMock = stubResponses(
+      job(1),
+      job(2),
+      job(3, { query_result_id: 77 }),
+      { query_result: RESULT },
+    )
+    const onStatus = vi.fn()
+    const result = await runQuery(5, { onStatus, pollIntervalMs: 1 })
+    expect(result).toEqual(RESULT)
+    expect(fetchMock.mock.calls.map(([url]) => url)).toEqual([
+      '/stmo/api/queries/5/results',
+      '/stmo/api/jobs/job-1',
+      '/stmo/api/jobs/job-1',
+      '/stmo/api/queries/5/results/77.json',
+    ])
+    expect(onStatus.mock.calls.map(([status]) => status.state)).toEqual(['queued', 'running', 'done'])
+    expect(onStatus.mock.calls[0][0].jobId).toBe('job-1')
+  })
+
+  it('reports each state once while it lasts', async () => {
+    stubResponses(job(2), job(2), job(2), job(3, { query_result_id: 1 }), { query_result: RESULT })
+    const onStatus = vi.fn()
+    await runQuery(5, { onStatus, pollIntervalMs: 1 })
+    expect(onStatus.mock.calls.map(([status]) => status.state)).toEqual(['running', 'done'])
+  })
+
+  it('rejects with the Redash error message when the job fails', async () => {
+    stubResponses(job(1), job(4, { error: 'Query exceeded the time limit' }))
+    const onStatus = vi.fn()
+    const err = await runQuery(5, { onStatus, pollIntervalMs: 1 }).catch(e => e)
+    expect(err).toBeInstanceOf(RedashError)
+    expect(err).toMatchObject({ state: 'failed', queryId: 5, jobId: 'job-1' })
+    expect(err.message).toContain('Query exceeded the time limit')
+    expect(onStatus).toHaveBeenLastCalledWith(expect.objectContaining({ state: 'failed' }))
+  })
+
+  it('rejects when the job is cancelled upstream', async () => {
+    stubResponses(job(5))
+    await expect(runQuery(5)).rejects.toMatchObject({ name: 'RedashError', state: 'cancelled' })
+  })
+
+  it('gives up on a job that outlives the timeout', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(jsonResponse(job(2)))
+    vi.stubGlobal('fetch', fetchMock)
+    const err = await runQuery(5, { pollIntervalMs: 5, timeoutMs: 20 }).catch(e => e)
+    expect(err).toMatchObject({ name: 'RedashError', state: 'timeout' })
+    expect(fetchMock.mock.calls.length).toBeLessThanOrEqual(5)
+  })
+
+  it('stops polling when the signal aborts', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(jsonResponse(job(1)))
+    vi.stubGlobal('fetch', fetchMock)
+    const controller = new AbortController()
+    const pending = runQuery(5, { pollIntervalMs: 1000, signal: controller.signal })
+    await vi.waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(1))
+    controller.abort()
+    const err = await pending.catch(e => e)
+    expect(isAbortError(err)).toBe(true)
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+  })
+
+  it('names the query on job polls so the proxy can pick its key', async () => {
+    const fetchMock = stubResponses(job(1), job(3, { query_result_id: 2 }), { query_result: RESULT })
+    await runQuery(42, { pollIntervalMs: 1 })
+    expect(fetchMock.mock.calls[1][1].headers['X-Stmo-Query-Id']).toBe('42')
+  })
+
+  it('explains a key missing from the dev server configuration', async () => {
+    const message = 'No STMO API key is configured for query #5.'
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(jsonResponse({ message, stmo_key_missing: true }, { status: 401 })))
+    const err = await runQuery(5).catch(e => e)
+    expect(err).toBeInstanceOf(RedashError)
+    expect(err).toMatchObject({ state: 'missing-key', message })
+  })
+
+  it('reports a key STMO rejects', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(jsonResponse({ message: "Couldn't find resource" }, { status: 403 })))
+    await expect(runQuery(5)).rejects.toMatchObject({ name: 'RedashError', state: 'rejected-key' })
+  })
+
+  it('rejects responses that are neither a result nor a job', async () => {
+    stubResponses({ message: 'what' })
+    await expect(runQuery(5)).rejects.toThrow('Unexpected STMO API response format')
+  })
+})
+
+// ---------------------------------------------------------------------------
+// fetchQueryRows
+// ---------------------------------------------------------------------------
+describe('fetchQueryRows', () => {
+  it('returns the result rows', async () => {
+    stubResponses({ query_result: RESULT })
+    expect(await fetchQueryRows(5)).toEqual([{ score: 1 }])
+  })
+
+  it('returns an empty list when the result has no rows', async () => {
+    stubResponses({ query_result: { data: {} } })
+    expect(await fetchQueryRows(5)).toEqual([])
+  })
+})
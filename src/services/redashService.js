@@ -1,65 +1,73 @@
-const STMO_API_BASE = '/stmo'
+import { fetchQueryRows } from './redashClient'
+import { isAbortError } from './httpClient'
+import { cachedFetch, clearCache, generateCacheKey } from '../utils/cache.js'
+
+// API keys for these queries are configured on the dev server (see dev/stmoKeys.js)
 const QUERY_ID = 114368
-const API_KEY = 'cKVMGjZL9aDvrrBoHoqZNt9U0A9FEoE3lf4QYNa1'
 const SPEEDOMETER_QUERY_ID = 96742
-const SPEEDOMETER_API_KEY = 'EqdV6D5B2xQERYPNjrL0SEJMCPMzZ24nXZS8Phgw'
-const MAX_POLL_ATTEMPTS = 12
-const POLL_INTERVAL_MS = 5000
+// Cache namespace for STMO results; sets their TTL (see utils/cache.js)
+const CACHE_NAMESPACE = 'stmo'
+const SPEEDOMETER_CACHE_KEY = 'stmo-speedometer'
 
-function getTodayDate() {
-  return new Date().toISOString().split('T')[0]
+function benchmarkCacheKey(snapshotDate) {
+  return generateCacheKey('stmo-benchmarks', { snapshotDate })
 }
 
-async function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms))
+/**
+ * Today's date as a Snapshot Date (YYYY-MM-DD, UTC).
+ */
+export function getTodayDate() {
+  return new Date().toISOString().split('T')[0]
 }
 
 /**
- * Fetch benchmark rows from STMO Redash query.
- * Uses a POST-then-poll pattern: if the server returns a job,
- * we re-POST with max_age=0 until results are ready.
+ * Fetch benchmark rows from STMO Redash query #114368.
  *
  * @param {string} snapshotDate - YYYY-MM-DD date for the Snapshot Date parameter
+ * @param {Object} options
+ * @param {Function} options.onStatus - Query job progress (see redashClient.runQuery)
+ * @param {AbortSignal} options.signal - Cancels the request and any wait between polls
  * @returns {Promise<Array>} - array of row objects
  */
-export async function fetchBenchmarkRows(snapshotDate = getTodayDate()) {
-  const url = `${STMO_API_BASE}/api/queries/${QUERY_ID}/results?api_key=${API_KEY}`
-  const body = JSON.stringify({
+export async function fetchBenchmarkRows(snapshotDate = getTodayDate(), { onStatus, signal } = {}) {
+  const doFetch = (fetchSignal, reportStatus) => fetchQueryRows(QUERY_ID, {
     parameters: { 'Snapshot Date': snapshotDate },
-    max_age: 86400
+    onStatus: reportStatus,
+    signal: fetchSignal,
   })
+  return cachedFetch(benchmarkCacheKey(snapshotDate), doFetch, { namespace: CACHE_NAMESPACE, signal, onProgress: onStatus })
+}
 
-  for (let attempt = 0; attempt < MAX_POLL_ATTEMPTS; attempt++) {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body
-    })
-
-    if (!response.ok) {
-      throw new Error(`STMO API error: ${response.status} ${response.statusText}`)
-    }
-
-    const data = await response.json()
-
-    // If we got query_result directly, return the rows
-    if (data.query_result) {
-      return data.query_result.data.rows || []
-    }
+/**
+ * Clears cached benchmark rows for a snapshot date (default: today).
+ */
+export function clearBenchmarkCache(snapshotDate = getTodayDate()) {
+  clearCache(benchmarkCacheKey(snapshotDate))
+}
 
-    // If a job was returned, wait and retry
-    if (data.job) {
-      if (attempt < MAX_POLL_ATTEMPTS - 1) {
-        await sleep(POLL_INTERVAL_MS)
-        continue
-      }
-      throw new Error('STMO query timed out waiting for results')
+/**
+ * Fetch benchmark rows for several snapshot dates. A date that fails keeps
+ * its error instead of failing the whole series.
+ *
+ * @param {Array<string>} snapshotDates - YYYY-MM-DD dates
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with { loaded, total } as each date settles
+ * @param {AbortSignal} options.signal - Cancels every request
+ * @returns {Promise<Array<{snapshotDate: string, rows: Array|null, error: Error|null}>>} In input order
+ */
+export async function fetchBenchmarkHistory(snapshotDates, { onProgress, signal } = {}) {
+  let loaded = 0
+  return Promise.all(snapshotDates.map(async snapshotDate => {
+    let snapshot
+    try {
+      snapshot = { snapshotDate, rows: await fetchBenchmarkRows(snapshotDate, { signal }), error: null }
+    } catch (err) {
+      if (isAbortError(err)) throw err
+      snapshot = { snapshotDate, rows: null, error: err }
     }
-
-    throw new Error('Unexpected STMO API response format')
-  }
-
-  throw new Error('STMO query exceeded max poll attempts')
+    onProgress?.({ loaded: ++loaded, total: snapshotDates.length })
+    return snapshot
+  }))
 }
 
 /**
@@ -67,38 +75,22 @@ export async function fetchBenchmarkRows(snapshotDate = getTodayDate()) {
  * Returns rows: push_date, firefox_value_ma_desktop, chrome_value_ma_desktop,
  *   pct_delta_ma_desktop, firefox_value_ma_android, chrome_value_ma_android, pct_delta_ma_android
  * (plus raw daily columns)
+ *
+ * @param {Object} options
+ * @param {Function} options.onStatus - Query job progress (see redashClient.runQuery)
+ * @param {AbortSignal} options.signal - Cancels the request and any wait between polls
  */
-export async function fetchSpeedometerRows() {
-  const url = `${STMO_API_BASE}/api/queries/${SPEEDOMETER_QUERY_ID}/results?api_key=${SPEEDOMETER_API_KEY}`
-  const body = JSON.stringify({ max_age: 86400 })
-
-  for (let attempt = 0; attempt < MAX_POLL_ATTEMPTS; attempt++) {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body
-    })
-
-    if (!response.ok) {
-      throw new Error(`STMO API error: ${response.status} ${response.statusText}`)
-    }
-
-    const data = await response.json()
-
-    if (data.query_result) {
-      return data.query_result.data.rows || []
-    }
-
-    if (data.job) {
-      if (attempt < MAX_POLL_ATTEMPTS - 1) {
-        await sleep(POLL_INTERVAL_MS)
-        continue
-      }
-      throw new Error('STMO Speedometer query timed out waiting for results')
-    }
-
-    throw new Error('Unexpected STMO API response format')
-  }
+export async function fetchSpeedometerRows({ onStatus, signal } = {}) {
+  const doFetch = (fetchSignal, reportStatus) => fetchQueryRows(SPEEDOMETER_QUERY_ID, {
+    onStatus: reportStatus,
+    signal: fetchSignal,
+  })
+  return cachedFetch(SPEEDOMETER_CACHE_KEY, doFetch, { namespace: CACHE_NAMESPACE, signal, onProgress: onStatus })
+}
 
-  throw new Error('STMO Speedometer query exceeded max poll attempts')
+/**
+ * Clears the cached Speedometer time-series.
+ */
+export function clearSpeedometerCache() {
+  clearCache(SPEEDOMETER_CACHE_KEY)
 }
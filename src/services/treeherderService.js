@@ -0,0 +1,204 @@
+/**
+ * Treeherder benchmark service — Treeherder Performance API
+ *
+ * Fetches 90 days of time-series for Firefox and its primary competitor on
+ * each platform a registered benchmark runs on, using the Treeherder
+ * Performance API directly.
+ *
+ * Adapted from ../../../shared/jetstream.js — self-contained for this project.
+ *
+ * Platforms:
+ *   windows     → windows11-64-24h2-shippable
+ *   osx         → macosx1500-aarch64-shippable  (M4)
+ *   linux       → linux1804-64-shippable-qr
+ *   android-a55 → android-hw-a55-14-0-aarch64-shippable
+ *
+ * A benchmark is:
+ *   { key, label, suite, framework, test, platforms, higherIsBetter }
+ * where test is the signature's test name, or null for the suite-level
+ * summary, and platforms are keys of PLATFORMS.
+ */
+
+import { cachedFetch, clearCache, getCached } from '../utils/cache.js'
+import { requestJson } from './httpClient.js'
+
+// In offline fixture mode the Vite dev server answers /treeherder (see dev/fixtures.js)
+const TREEHERDER_BASE = import.meta.env.VITE_FIXTURES ? '/treeherder/api' : 'https://treeherder.mozilla.org/api'
+const BROWSERTIME_FRAMEWORK = 13
+const INTERVAL_90_DAYS = 90 * 24 * 60 * 60
+const CACHE_PREFIX = 'treeherder-benchmark:'
+
+export const PLATFORMS = {
+  windows:      'windows11-64-24h2-shippable',
+  osx:          'macosx1500-aarch64-shippable',
+  linux:        'linux1804-64-shippable-qr',
+  'android-a55': 'android-hw-a55-14-0-aarch64-shippable',
+}
+
+export const PLATFORM_LABELS = {
+  windows:      'Windows 11',
+  osx:          'Mac OSX (M4)',
+  linux:        'Linux',
+  'android-a55': 'Android (A55)',
+}
+
+const ALL_PLATFORMS = Object.keys(PLATFORMS)
+const DESKTOP_PLATFORMS = ['windows', 'osx', 'linux']
+
+const benchmarks = [
+  { key: 'speedometer3', label: 'Speedometer 3', suite: 'speedometer3', framework: BROWSERTIME_FRAMEWORK, test: 'score', platforms: ALL_PLATFORMS, higherIsBetter: true },
+  { key: 'jetstream3',   label: 'JetStream 3',   suite: 'jetstream3',   framework: BROWSERTIME_FRAMEWORK, test: 'score', platforms: ALL_PLATFORMS, higherIsBetter: true },
+  { key: 'motionmark',   label: 'MotionMark 1.3', suite: 'motionmark-1-3', framework: BROWSERTIME_FRAMEWORK, test: null, platforms: DESKTOP_PLATFORMS, higherIsBetter: true },
+]
+
+const FIREFOX_APPS = new Set(['firefox', 'fenix'])
+
+/**
+ * Check a benchmark definition.
+ * @param {Object} benchmark
+ * @param {Array} others - Every other registered benchmark
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateBenchmark(benchmark, others = []) {
+  const errors = []
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(benchmark.key || '')) errors.push('Key must be lowercase letters, digits and dashes')
+  else if (others.some(b => b.key === benchmark.key)) errors.push(`Key "${benchmark.key}" is already registered`)
+  if (!benchmark.label) errors.push('Label is required')
+  if (!benchmark.suite) errors.push('Suite is required')
+  if (!Number.isInteger(benchmark.framework)) errors.push('Framework must be a Treeherder framework ID')
+  if (benchmark.test !== null && typeof benchmark.test !== 'string') errors.push('Test must be a test name, or null for the suite summary')
+  if (!Array.isArray(benchmark.platforms) || benchmark.platforms.length === 0) errors.push('At least one platform is required')
+  else benchmark.platforms.filter(p => !PLATFORMS[p]).forEach(p => errors.push(`Unknown platform: ${p}`))
+  if (typeof benchmark.higherIsBetter !== 'boolean') errors.push('higherIsBetter must be true or false')
+  return errors
+}
+
+/**
+ * Add a benchmark to the registry; it gets a card on the Benchmarks view.
+ * Throws if the definition is invalid.
+ */
+export function registerBenchmark(benchmark) {
+  const errors = validateBenchmark(benchmark, benchmarks)
+  if (errors.length > 0) throw new Error(`${benchmark.label || benchmark.key}: ${errors.join('; ')}`)
+  benchmarks.push(benchmark)
+}
+
+/**
+ * Registered benchmarks, in display order.
+ */
+export function getBenchmarks() {
+  return benchmarks
+}
+
+/**
+ * Look up a single benchmark by key.
+ * @returns {Object|undefined}
+ */
+export function getBenchmark(key) {
+  return benchmarks.find(b => b.key === key)
+}
+
+// Whether a signature is the benchmark's series; suite summaries have no test
+function matchesBenchmark(sig, benchmark) {
+  if (sig.suite !== benchmark.suite) return false
+  return benchmark.test === null ? !sig.test : sig.test === benchmark.test
+}
+
+async function fetchSignatures(benchmark, platformString, signal, repository = 'mozilla-central') {
+  const url = `${TREEHERDER_BASE}/project/${repository}/performance/signatures/?framework=${benchmark.framework}&platform=${platformString}`
+  return requestJson(url, { signal })
+}
+
+async function fetchSeriesPoints(benchmark, sigId, signal, repository = 'mozilla-central') {
+  const url = `${TREEHERDER_BASE}/performance/summary/?repository=${repository}&signature=${sigId}&framework=${benchmark.framework}&interval=${INTERVAL_90_DAYS}&all_data=true`
+  let data
+  try {
+    data = await requestJson(url, { signal })
+  } catch (err) {
+    // A missing series shouldn't sink the whole chart; any other failure still does
+    if (err.kind === 'http' && err.status === 404) return []
+    throw err
+  }
+  if (!Array.isArray(data) || !data[0]?.data) return []
+  return data[0].data
+    .map(pt => {
+      const ts = pt.push_timestamp
+      const ms = typeof ts === 'string' ? new Date(ts).getTime() : ts * 1000
+      return { date: new Date(ms), value: pt.value }
+    })
+    .sort((a, b) => a.date - b.date)
+}
+
+async function fetchPlatformData(benchmark, osKey, signal) {
+  const platformString = PLATFORMS[osKey]
+  if (!platformString) throw new Error(`Unknown OS key: ${osKey}`)
+
+  const sigs = await fetchSignatures(benchmark, platformString, signal)
+
+  let fxSig = null
+  let competitorSig = null
+
+  for (const sig of Object.values(sigs)) {
+    if (!matchesBenchmark(sig, benchmark)) continue
+    if (FIREFOX_APPS.has(sig.application)) {
+      if (!fxSig) fxSig = sig
+    } else if (!competitorSig) {
+      competitorSig = sig
+    }
+    if (fxSig && competitorSig) break
+  }
+
+  const [fxPoints, competitorPoints] = await Promise.all([
+    fxSig         ? fetchSeriesPoints(benchmark, fxSig.id, signal)         : Promise.resolve([]),
+    competitorSig ? fetchSeriesPoints(benchmark, competitorSig.id, signal) : Promise.resolve([]),
+  ])
+
+  return {
+    osKey,
+    label: PLATFORM_LABELS[osKey],
+    competitorApp: competitorSig?.application ?? null,
+    fxPoints,
+    competitorPoints,
+  }
+}
+
+function requireBenchmark(key) {
+  const benchmark = getBenchmark(key)
+  if (!benchmark) throw new Error(`Unknown benchmark: ${key}`)
+  return benchmark
+}
+
+/**
+ * Fetches a benchmark's time-series for every platform it runs on, in parallel.
+ *
+ * @param {string} key - Registered benchmark key
+ * @param {Object} options
+ * @param {boolean} options.useCache - Whether to use the cache (default: true)
+ * @param {AbortSignal} options.signal - Cancels every platform request
+ * @returns {Promise<Array>} Array of { osKey, label, competitorApp, fxPoints, competitorPoints }
+ *   where fxPoints/competitorPoints are { date: Date, value: number }[] sorted ascending.
+ */
+export async function fetchTreeherderBenchmark(key, { useCache = true, signal } = {}) {
+  const benchmark = requireBenchmark(key)
+  const fetchAll = (fetchSignal = signal) => Promise.all(benchmark.platforms.map(osKey => fetchPlatformData(benchmark, osKey, fetchSignal)))
+  if (useCache) {
+    return cachedFetch(CACHE_PREFIX + key, fetchAll, { namespace: 'treeherder', signal })
+  }
+  return fetchAll()
+}
+
+/**
+ * A benchmark's cached time-series, without fetching.
+ * @returns {Array|null} As returned by fetchTreeherderBenchmark, or null when not cached
+ */
+export function getCachedTreeherderBenchmark(key) {
+  return getCached(CACHE_PREFIX + key)
+}
+
+/**
+ * Clears the cached data for one benchmark, or for all of them when no key is given.
+ */
+export function clearTreeherderBenchmarkCache(key) {
+  if (key) clearCache(CACHE_PREFIX + key)
+  else clearCache(CACHE_PREFIX, { prefix: true })
+}
@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { getBenchmarks, getBenchmark, registerBenchmark, validateBenchmark, fetchTreeherderBenchmark, PLATFORMS } from './treeherderService'
+import { jsonResponse } from '../test/helpers'
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function makeBenchmark(overrides = {}) {
+  return {
+    key: 'stylebench',
+    label: 'StyleBench',
+    suite: 'stylebench',
+    framework: 13,
+    test: 'score',
+    platforms: ['linux'],
+    higherIsBetter: true,
+    ...overrides,
+  }
+}
+
+// Answer signature lookups with the given signatures and series requests by signature ID
+function stubTreeherder(signatures, seriesById) {
+  const fetchMock = vi.fn(async (url) => {
+    if (url.includes('/performance/signatures/')) return jsonResponse(signatures)
+    const id = Number(new URL(url, 'http://localhost').searchParams.get('signature'))
+    if (!seriesById[id]) return jsonResponse({}, { status: 404 })
+    return jsonResponse([{ data: seriesById[id] }])
+  })
+  vi.stubGlobal('fetch', fetchMock)
+  return fetchMock
+}
+
+beforeEach(() => {
+  vi.restoreAllMocks()
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+describe('benchmark registry', () => {
+  it('ships Speedometer 3, JetStream 3 and MotionMark', () => {
+    expect(getBenchmarks().map(b => b.key)).toEqual(expect.arrayContaining(['speedometer3', 'jetstream3', 'motionmark']))
+    expect(getBenchmark('jetstream3')).toMatchObject({ suite: 'jetstream3', framework: 13, test: 'score', higherIsBetter: true })
+  })
+
+  it('declares only known platforms for every built-in benchmark', () => {
+    getBenchmarks().forEach((b, i) => expect(validateBenchmark(b, getBenchmarks().slice(0, i))).toEqual([]))
+  })
+
+  it('reports every problem with a definition', () => {
+    const errors = validateBenchmark(makeBenchmark({ key: 'Bad Key', suite: '', framework: '13', test: 5, platforms: ['beos'], higherIsBetter: 'yes' }))
+    expect(errors).toHaveLength(6)
+  })
+
+  it('rejects duplicate keys', () => {
+    expect(() => registerBenchmark(makeBenchmark({ key: 'jetstream3' }))).toThrow(/already registered/)
+  })
+
+  it('registers new benchmarks at the end', () => {
+    registerBenchmark(makeBenchmark())
+    expect(getBenchmarks()[getBenchmarks().length - 1].key).toBe('stylebench')
+  })
+})
+
+// ---------------------------------------------------------------------------
+// fetchTreeherderBenchmark
+// ---------------------------------------------------------------------------
+describe('fetchTreeherderBenchmark', () => {
+  it('fetches the Firefox and competitor series for each platform', async () => {
+    const fetchMock = stubTreeherder({
+      a: { id: 1, suite: 'jetstream3', test: 'Air', application: 'firefox' },
+      b: { id: 2, suite: 'jetstream3', test: 'score', application: 'firefox' },
+      c: { id: 3, suite: 'jetstream3', test: 'score', application: 'chrome' },
+    }, {
+      2: [{ push_timestamp: 1767312000, value: 300 }, { push_timestamp: 1767225600, value: 290 }],
+      3: [{ push_timestamp: '2026-01-01T00:00:00', value: 310 }],
+    })
+
+    const platforms = await fetchTreeherderBenchmark('jetstream3', { useCache: false })
+
+    expect(platforms.map(p => p.osKey)).toEqual(Object.keys(PLATFORMS))
+    const [windows] = platforms
+    expect(windows.competitorApp).toBe('chrome')
+    expect(windows.fxPoints.map(p => p.value)).toEqual([290, 300])
+    expect(windows.competitorPoints).toHaveLength(1)
+    expect(fetchMock.mock.calls[0][0]).toContain('framework=13&platform=windows11-64-24h2-shippable')
+  })
+
+  it('uses the suite summary signature when the benchmark has no test', async () => {
+    stubTreeherder({
+      a: { id: 1, suite: 'motionmark-1-3', test: 'Multiply', application: 'firefox' },
+      b: { id: 2, suite: 'motionmark-1-3', application: 'firefox' },
+    }, { 2: [{ push_timestamp: 1767225600, value: 1500 }] })
+
+    const platforms = await fetchTreeherderBenchmark('motionmark', { useCache: false })
+
+    expect(platforms.map(p => p.osKey)).toEqual(['windows', 'osx', 'linux'])
+    expect(platforms[0].fxPoints).toEqual([{ date: new Date(1767225600 * 1000), value: 1500 }])
+    expect(platforms[0].competitorApp).toBeNull()
+  })
+
+  it('treats a missing series as empty', async () => {
+    stubTreeherder({
+      a: { id: 1, suite: 'stylebench', test: 'score', application: 'firefox' },
+    }, {})
+    registerBenchmark(makeBenchmark({ key: 'stylebench-missing' }))
+
+    const [linux] = await fetchTreeherderBenchmark('stylebench-missing', { useCache: false })
+
+    expect(linux.fxPoints).toEqual([])
+  })
+
+  it('fails on other series errors instead of returning an empty series', async () => {
+    vi.stubGlobal('fetch', vi.fn(async (url) => url.includes('/performance/signatures/')
+      ? jsonResponse({ a: { id: 1, suite: 'stylebench', test: 'score', application: 'firefox' } })
+      : jsonResponse({}, { status: 403 })))
+    registerBenchmark(makeBenchmark({ key: 'stylebench-forbidden' }))
+
+    await expect(fetchTreeherderBenchmark('stylebench-forbidden', { useCache: false })).rejects.toMatchObject({ kind: 'http', status: 403 })
+  })
+
+  it('rejects unknown benchmarks', async () => {
+    await expect(fetchTreeherderBenchmark('octane', { useCache: false })).rejects.toThrow(/Unknown benchmark/)
+  })
+})
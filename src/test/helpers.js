@@ -0,0 +1,32 @@
+/**
+ * Fakes shared by the unit tests.
+ */
+
+/**
+ * An in-memory stand-in for localStorage; `store` exposes what was written.
+ */
+export function fakeStorage() {
+  const store = new Map()
+  return {
+    getItem: (k) => store.has(k) ? store.get(k) : null,
+    setItem: (k, v) => store.set(k, String(v)),
+    removeItem: (k) => store.delete(k),
+    store,
+  }
+}
+
+/**
+ * A fetch Response carrying a JSON body.
+ * @param {*} data - The body
+ * @param {Object} options - { status, headers } where headers maps names to values
+ */
+export function jsonResponse(data, { status = 200, headers = {} } = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: '',
+    headers: { get: (name) => headers[name] ?? null },
+    json: async () => data,
+    text: async () => JSON.stringify(data),
+  }
+}
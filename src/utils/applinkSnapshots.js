@@ -0,0 +1,138 @@
+/**
+ * Android Applink snapshot helpers — compare the rows of STMO query #114368
+ * for two Snapshot Dates, and pick the dates for a history series.
+ *
+ * Rows carry platform_label, current_value (Fx, ms), delta_ytd (%) and
+ * delta_to_chrome_ytd (%), with one "BLENDED" row weighting the platforms.
+ * The query measures Start values and delta_ytd from Jan 1 of the snapshot
+ * year; againstBaseline restates them from the dashboard baseline.
+ */
+
+/**
+ * Whether a row is the weighted total across platforms.
+ */
+export function isBlendedRow(row) {
+  return !!row.platform_label?.toUpperCase().includes('BLENDED')
+}
+
+/**
+ * The weighted total row of a snapshot, if any.
+ */
+export function blendedRow(rows) {
+  return rows.find(isBlendedRow) || null
+}
+
+function percentChange(from, to) {
+  if (from == null || to == null || from === 0) return null
+  return ((to - from) / from) * 100
+}
+
+/**
+ * Pair the rows of two snapshots by platform. Platforms present in only one
+ * snapshot keep null for the other side.
+ * @param {Array} rows - Snapshot being viewed
+ * @param {Array} compareRows - Snapshot to compare against
+ * @returns {Array<{platform: string, isTotal: boolean, current: number|null, compareCurrent: number|null,
+ *   change: number|null, deltaYtd: number|null, compareDeltaYtd: number|null,
+ *   vsChrome: number|null, compareVsChrome: number|null}>} change is the % change in the Fx
+ *   value from the compared snapshot to the viewed one (negative = faster)
+ */
+export function compareSnapshots(rows, compareRows) {
+  const byPlatform = new Map(compareRows.map(row => [row.platform_label, row]))
+  const paired = rows.map(row => [row, byPlatform.get(row.platform_label)])
+  const seen = new Set(rows.map(row => row.platform_label))
+  compareRows.filter(row => !seen.has(row.platform_label)).forEach(row => paired.push([null, row]))
+
+  return paired.map(([row, other]) => ({
+    platform: (row || other).platform_label,
+    isTotal: isBlendedRow(row || other),
+    current: row?.current_value ?? null,
+    compareCurrent: other?.current_value ?? null,
+    change: percentChange(other?.current_value, row?.current_value),
+    deltaYtd: row?.delta_ytd ?? null,
+    compareDeltaYtd: other?.delta_ytd ?? null,
+    vsChrome: row?.delta_to_chrome_ytd ?? null,
+    compareVsChrome: other?.delta_to_chrome_ytd ?? null,
+  }))
+}
+
+/**
+ * Whether a snapshot's Start values and deltas need restating for the
+ * baseline, i.e. the baseline is not Jan 1 of the snapshot year.
+ * @param {string} snapshotDate - YYYY-MM-DD
+ * @param {string} baselineDate - YYYY-MM-DD
+ */
+export function needsBaselineSnapshot(snapshotDate, baselineDate) {
+  return baselineDate !== `${snapshotDate.slice(0, 4)}-01-01`
+}
+
+/**
+ * A snapshot's rows with Start values and deltas measured from the baseline.
+ * When the baseline is not the query's own Jan 1 start, the Fx and Chrome
+ * values of the snapshot taken on the baseline date become the Start values
+ * and delta_ytd / delta_ytd_chrome are recomputed from them; until that
+ * snapshot has loaded (or for platforms missing from it) they are null.
+ * @param {Array} rows - Snapshot rows
+ * @param {string} snapshotDate - YYYY-MM-DD
+ * @param {string} baselineDate - YYYY-MM-DD
+ * @param {Array|null} baselineRows - Rows of the snapshot taken on baselineDate
+ * @returns {Array}
+ */
+export function againstBaseline(rows, snapshotDate, baselineDate, baselineRows) {
+  if (!needsBaselineSnapshot(snapshotDate, baselineDate)) return rows
+  const byPlatform = new Map((baselineRows || []).map(row => [row.platform_label, row]))
+  return rows.map(row => {
+    const start = byPlatform.get(row.platform_label)
+    return {
+      ...row,
+      start_value: start?.current_value ?? null,
+      start_value_chrome: start?.current_value_chrome ?? null,
+      delta_ytd: percentChange(start?.current_value, row.current_value),
+      delta_ytd_chrome: start?.delta_to_chrome_ytd ?? null,
+    }
+  })
+}
+
+function toIsoDate(date) {
+  return date.toISOString().split('T')[0]
+}
+
+/**
+ * Snapshot dates for a history series ending at endDate, oldest first.
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {number} count - Number of dates
+ * @param {'week'|'month'} step - Spacing between dates
+ * @returns {Array<string>}
+ */
+export function snapshotDates(endDate, count, step = 'week') {
+  const end = new Date(`${endDate}T00:00:00Z`)
+  const dates = []
+  for (let i = count - 1; i >= 0; i--) {
+    const date = new Date(end)
+    if (step === 'month') {
+      date.setUTCDate(1)
+      date.setUTCMonth(date.getUTCMonth() - i)
+      // Clamp to the end of shorter months
+      const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate()
+      date.setUTCDate(Math.min(end.getUTCDate(), lastDay))
+    } else {
+      date.setUTCDate(date.getUTCDate() - 7 * i)
+    }
+    dates.push(toIsoDate(date))
+  }
+  return dates
+}
+
+/**
+ * The blended Fx delta YTD and delta to Chrome for each loaded snapshot.
+ * @param {Array<{snapshotDate: string, rows: Array|null}>} snapshots
+ * @returns {Array<{snapshotDate: string, deltaYtd: number|null, vsChrome: number|null}>}
+ */
+export function blendedSeries(snapshots) {
+  return snapshots
+    .filter(snapshot => snapshot.rows)
+    .map(({ snapshotDate, rows }) => {
+      const total = blendedRow(rows)
+      return { snapshotDate, deltaYtd: total?.delta_ytd ?? null, vsChrome: total?.delta_to_chrome_ytd ?? null }
+    })
+}
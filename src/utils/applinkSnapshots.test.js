@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import { isBlendedRow, blendedRow, compareSnapshots, snapshotDates, blendedSeries, needsBaselineSnapshot, againstBaseline } from './applinkSnapshots'
+
+const row = (platform_label, current_value, delta_ytd = null, delta_to_chrome_ytd = null) =>
+  ({ platform_label, current_value, delta_ytd, delta_to_chrome_ytd })
+
+// ---------------------------------------------------------------------------
+// isBlendedRow / blendedRow
+// ---------------------------------------------------------------------------
+describe('blendedRow', () => {
+  it('finds the weighted total row regardless of case', () => {
+    const rows = [row('Pixel 6', 300), row('Blended (weighted)', 280)]
+    expect(isBlendedRow(rows[0])).toBe(false)
+    expect(blendedRow(rows).current_value).toBe(280)
+    expect(blendedRow([row('Pixel 6', 300)])).toBeNull()
+  })
+})
+
+// ---------------------------------------------------------------------------
+// compareSnapshots
+// ---------------------------------------------------------------------------
+describe('compareSnapshots', () => {
+  it('pairs platforms and computes the change from the compared snapshot', () => {
+    const current = [row('Pixel 6', 270, -10, 5), row('BLENDED', 250, -8, 3)]
+    const earlier = [row('Pixel 6', 300, -2, 9), row('BLENDED', 250, -1, 4)]
+    const [pixel, total] = compareSnapshots(current, earlier)
+    expect(pixel).toMatchObject({ platform: 'Pixel 6', isTotal: false, current: 270, compareCurrent: 300, deltaYtd: -10, compareDeltaYtd: -2, vsChrome: 5, compareVsChrome: 9 })
+    expect(pixel.change).toBeCloseTo(-10)
+    expect(total).toMatchObject({ isTotal: true, change: 0 })
+  })
+
+  it('keeps platforms that appear in only one snapshot', () => {
+    const result = compareSnapshots([row('New device', 200)], [row('Old device', 400)])
+    expect(result).toEqual([
+      expect.objectContaining({ platform: 'New device', current: 200, compareCurrent: null, change: null }),
+      expect.objectContaining({ platform: 'Old device', current: null, compareCurrent: 400, change: null }),
+    ])
+  })
+})
+
+// ---------------------------------------------------------------------------
+// needsBaselineSnapshot / againstBaseline
+// ---------------------------------------------------------------------------
+describe('againstBaseline', () => {
+  const rows = [{ platform_label: 'Pixel 6', start_value: 300, current_value: 270, delta_ytd: -10, current_value_chrome: 250, delta_ytd_chrome: 20, delta_to_chrome_ytd: 8 }]
+
+  it('keeps the query values when the baseline is Jan 1 of the snapshot year', () => {
+    expect(needsBaselineSnapshot('2026-10-19', '2026-01-01')).toBe(false)
+    expect(needsBaselineSnapshot('2026-10-19', '2026-10-01')).toBe(true)
+    expect(needsBaselineSnapshot('2025-12-01', '2026-01-01')).toBe(true)
+    expect(againstBaseline(rows, '2026-10-19', '2026-01-01', null)).toBe(rows)
+  })
+
+  it('takes Start values and deltas from the baseline snapshot', () => {
+    const baselineRows = [{ platform_label: 'Pixel 6', current_value: 290, current_value_chrome: 260, delta_to_chrome_ytd: 11.5 }]
+    const [pixel] = againstBaseline(rows, '2026-10-19', '2026-10-01', baselineRows)
+    expect(pixel).toMatchObject({ start_value: 290, current_value: 270, start_value_chrome: 260, current_value_chrome: 250, delta_ytd_chrome: 11.5, delta_to_chrome_ytd: 8 })
+    expect(pixel.delta_ytd).toBeCloseTo(-6.897, 3)
+  })
+
+  it('leaves deltas empty until the baseline snapshot has loaded', () => {
+    const [pixel] = againstBaseline(rows, '2026-10-19', '2026-10-01', null)
+    expect(pixel).toMatchObject({ start_value: null, delta_ytd: null, delta_ytd_chrome: null, current_value: 270 })
+  })
+})
+
+// ---------------------------------------------------------------------------
+// snapshotDates
+// ---------------------------------------------------------------------------
+describe('snapshotDates', () => {
+  it('steps back weekly, oldest first', () => {
+    expect(snapshotDates('2026-03-15', 3)).toEqual(['2026-03-01', '2026-03-08', '2026-03-15'])
+  })
+
+  it('steps back monthly, clamping to short months', () => {
+    expect(snapshotDates('2026-05-31', 4, 'month')).toEqual(['2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31'])
+  })
+
+  it('crosses year boundaries', () => {
+    expect(snapshotDates('2026-01-10', 2, 'month')).toEqual(['2025-12-10', '2026-01-10'])
+  })
+})
+
+// ---------------------------------------------------------------------------
+// blendedSeries
+// ---------------------------------------------------------------------------
+describe('blendedSeries', () => {
+  it('takes the blended deltas of each loaded snapshot and skips failed ones', () => {
+    const series = blendedSeries([
+      { snapshotDate: '2026-03-01', rows: [row('BLENDED', 250, -1, 4)] },
+      { snapshotDate: '2026-03-08', rows: null },
+      { snapshotDate: '2026-03-15', rows: [row('Pixel 6', 300)] },
+    ])
+    expect(series).toEqual([
+      { snapshotDate: '2026-03-01', deltaYtd: -1, vsChrome: 4 },
+      { snapshotDate: '2026-03-15', deltaYtd: null, vsChrome: null },
+    ])
+  })
+})
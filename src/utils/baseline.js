@@ -0,0 +1,208 @@
+/**
+ * Benchmark baseline — the date the "Start" columns and KPI tiles compare
+ * against. Shared by every benchmark table and Overview tile and persisted
+ * to localStorage.
+ *
+ * A setting is one of
+ *   { kind: 'year' }                       — Jan 1 of the current year
+ *   { kind: 'quarter' }                    — first day of the current fiscal quarter
+ *   { kind: 'release', version: 147 }      — a Firefox release date
+ *   { kind: 'custom', date: 'YYYY-MM-DD' } — any date
+ */
+
+import { useSyncExternalStore } from 'react'
+
+const STORAGE_KEY = 'benchmark_baseline'
+
+export const BASELINE_KINDS = {
+  year: 'Calendar year',
+  quarter: 'Fiscal quarter',
+  release: 'Firefox release',
+  custom: 'Custom date',
+}
+
+// Month (0-based) the fiscal year starts in; Mozilla's follows the calendar year
+export const FISCAL_YEAR_START_MONTH = 0
+
+// Firefox release dates from the release calendar (whattrainisitnow.com).
+// Add new versions at the end as they ship.
+export const FIREFOX_RELEASES = [
+  { version: 134, date: '2025-01-07' },
+  { version: 135, date: '2025-02-04' },
+  { version: 136, date: '2025-03-04' },
+  { version: 137, date: '2025-04-01' },
+  { version: 138, date: '2025-04-29' },
+  { version: 139, date: '2025-05-27' },
+  { version: 140, date: '2025-06-24' },
+  { version: 141, date: '2025-07-22' },
+  { version: 142, date: '2025-08-19' },
+  { version: 143, date: '2025-09-16' },
+  { version: 144, date: '2025-10-14' },
+  { version: 145, date: '2025-11-11' },
+  { version: 146, date: '2025-12-09' },
+  { version: 147, date: '2026-01-13' },
+  { version: 148, date: '2026-02-24' },
+  { version: 149, date: '2026-03-24' },
+  { version: 150, date: '2026-04-21' },
+  { version: 151, date: '2026-05-19' },
+  { version: 152, date: '2026-06-23' },
+  { version: 153, date: '2026-07-21' },
+  { version: 154, date: '2026-08-18' },
+  { version: 155, date: '2026-09-15' },
+  { version: 156, date: '2026-10-13' },
+]
+
+export const DEFAULT_BASELINE = { kind: 'year' }
+
+let setting = null
+const listeners = new Set()
+
+function isoDate(year, month, day) {
+  return new Date(Date.UTC(year, month, day)).toISOString().split('T')[0]
+}
+
+function formatDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC',
+  })
+}
+
+/**
+ * Firefox releases that have shipped by a date, newest first.
+ * @param {Date} [today]
+ */
+export function shippedReleases(today = new Date()) {
+  const todayIso = today.toISOString().split('T')[0]
+  return FIREFOX_RELEASES.filter(r => r.date <= todayIso).reverse()
+}
+
+/**
+ * Check a baseline setting.
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateBaseline(value) {
+  if (!value || !BASELINE_KINDS[value.kind]) return [`Unknown baseline kind: ${value?.kind}`]
+  if (value.kind === 'release' && !FIREFOX_RELEASES.some(r => r.version === Number(value.version))) {
+    return [`Unknown Firefox release: ${value.version}`]
+  }
+  if (value.kind === 'custom' && (!/^\d{4}-\d{2}-\d{2}$/.test(value.date || '') || isNaN(Date.parse(value.date)))) {
+    return ['Custom baseline needs a YYYY-MM-DD date']
+  }
+  return []
+}
+
+/**
+ * Turn a setting into the date it stands for.
+ * @param {Object} value - A baseline setting
+ * @param {Date} [today] - Reference date for the year and quarter kinds
+ * @returns {{date: string, label: string, short: string}} YYYY-MM-DD date, a
+ *   label for subtitles ("Jan 1, 2026") and a short form for column headers ("YTD")
+ */
+export function resolveBaseline(value, today = new Date()) {
+  const year = today.getUTCFullYear()
+  switch (value.kind) {
+    case 'quarter': {
+      const monthsIn = (today.getUTCMonth() - FISCAL_YEAR_START_MONTH + 12) % 12
+      const startMonth = today.getUTCMonth() - (monthsIn % 3)
+      const date = isoDate(year, startMonth, 1)
+      return { date, label: `Q${Math.floor(monthsIn / 3) + 1} start (${formatDate(date)})`, short: 'QTD' }
+    }
+    case 'release': {
+      const release = FIREFOX_RELEASES.find(r => r.version === Number(value.version))
+      return { date: release.date, label: `Firefox ${release.version} release (${formatDate(release.date)})`, short: `since Fx${release.version}` }
+    }
+    case 'custom':
+      return { date: value.date, label: formatDate(value.date), short: 'since Start' }
+    default: {
+      const date = isoDate(year, 0, 1)
+      return { date, label: formatDate(date), short: 'YTD' }
+    }
+  }
+}
+
+/**
+ * The item whose date is closest to the baseline. Ties go to the later item,
+ * so a baseline between two data points prefers the one on or after it.
+ * @param {Array} items - Rows or points, in any order
+ * @param {string} date - YYYY-MM-DD baseline
+ * @param {Function} getDate - Returns an item's YYYY-MM-DD date
+ * @returns {*} The nearest item, or null when there are none
+ */
+export function nearestRow(items, date, getDate) {
+  const target = Date.parse(date)
+  let best = null
+  let bestDistance = Infinity
+  for (const item of items) {
+    const itemDate = getDate(item)
+    if (!itemDate) continue
+    const time = Date.parse(itemDate)
+    const distance = Math.abs(time - target)
+    if (distance < bestDistance || (distance === bestDistance && time > target)) {
+      best = item
+      bestDistance = distance
+    }
+  }
+  return best
+}
+
+function loadBaseline() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (stored && validateBaseline(stored).length === 0) return stored
+  } catch { /* fall back to the default */ }
+  return DEFAULT_BASELINE
+}
+
+/**
+ * Current baseline setting.
+ */
+export function getBaseline() {
+  if (setting === null) setting = loadBaseline()
+  return setting
+}
+
+/**
+ * Replace the baseline setting. Throws if it is invalid.
+ */
+export function saveBaseline(next) {
+  const errors = validateBaseline(next)
+  if (errors.length > 0) throw new Error(errors.join('; '))
+  setting = next.kind === 'release' ? { kind: 'release', version: Number(next.version) }
+    : next.kind === 'custom' ? { kind: 'custom', date: next.date }
+    : { kind: next.kind }
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(setting)) } catch { /* storage unavailable */ }
+  listeners.forEach(fn => fn())
+}
+
+/**
+ * Go back to the calendar year baseline.
+ */
+export function resetBaseline() {
+  try { localStorage.removeItem(STORAGE_KEY) } catch { /* storage unavailable */ }
+  setting = DEFAULT_BASELINE
+  listeners.forEach(fn => fn())
+}
+
+/**
+ * Subscribe to baseline changes.
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeBaseline(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * React hook returning the current setting and re-rendering when it changes.
+ */
+export function useBaselineSetting() {
+  return useSyncExternalStore(subscribeBaseline, getBaseline)
+}
+
+/**
+ * React hook returning the resolved baseline for today.
+ * @returns {{date: string, label: string, short: string}}
+ */
+export function useBaseline() {
+  return resolveBaseline(useBaselineSetting())
+}
@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  DEFAULT_BASELINE, FIREFOX_RELEASES, resolveBaseline, nearestRow, validateBaseline, shippedReleases,
+  getBaseline, saveBaseline, resetBaseline, subscribeBaseline,
+} from './baseline'
+import { fakeStorage } from '../test/helpers'
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+const TODAY = new Date('2026-10-19T12:00:00Z')
+
+beforeEach(() => {
+  vi.stubGlobal('localStorage', fakeStorage())
+  resetBaseline()
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+// ---------------------------------------------------------------------------
+// resolveBaseline
+// ---------------------------------------------------------------------------
+describe('resolveBaseline', () => {
+  it('starts the calendar year on Jan 1', () => {
+    expect(resolveBaseline({ kind: 'year' }, TODAY)).toEqual({ date: '2026-01-01', label: 'Jan 1, 2026', short: 'YTD' })
+  })
+
+  it('starts the fiscal quarter on the first day of its first month', () => {
+    expect(resolveBaseline({ kind: 'quarter' }, TODAY)).toEqual({ date: '2026-10-01', label: 'Q4 start (Oct 1, 2026)', short: 'QTD' })
+    expect(resolveBaseline({ kind: 'quarter' }, new Date('2026-02-28T00:00:00Z')).date).toBe('2026-01-01')
+    expect(resolveBaseline({ kind: 'quarter' }, new Date('2026-06-30T00:00:00Z')).date).toBe('2026-04-01')
+  })
+
+  it('uses the release date for a Firefox version', () => {
+    expect(resolveBaseline({ kind: 'release', version: 147 }, TODAY)).toEqual({
+      date: '2026-01-13', label: 'Firefox 147 release (Jan 13, 2026)', short: 'since Fx147',
+    })
+  })
+
+  it('passes custom dates through', () => {
+    expect(resolveBaseline({ kind: 'custom', date: '2026-03-05' }, TODAY)).toEqual({ date: '2026-03-05', label: 'Mar 5, 2026', short: 'since Start' })
+  })
+})
+
+// ---------------------------------------------------------------------------
+// nearestRow
+// ---------------------------------------------------------------------------
+describe('nearestRow', () => {
+  const rows = [{ push_date: '2025-12-30' }, { push_date: '2026-01-02' }, { push_date: '2026-01-05' }]
+  const getDate = r => r.push_date
+
+  it('returns the exact match when there is one', () => {
+    expect(nearestRow(rows, '2026-01-02', getDate)).toBe(rows[1])
+  })
+
+  it('falls back to the closest row on either side', () => {
+    expect(nearestRow(rows, '2026-01-01', getDate)).toBe(rows[1])
+    expect(nearestRow(rows, '2025-12-31', getDate)).toBe(rows[0])
+    expect(nearestRow(rows, '2027-01-01', getDate)).toBe(rows[2])
+  })
+
+  it('prefers the later row on a tie', () => {
+    expect(nearestRow([{ push_date: '2026-01-01' }, { push_date: '2026-01-03' }], '2026-01-02', getDate).push_date).toBe('2026-01-03')
+  })
+
+  it('skips undated items and returns null when nothing is left', () => {
+    expect(nearestRow([{ push_date: null }], '2026-01-01', getDate)).toBeNull()
+    expect(nearestRow([], '2026-01-01', getDate)).toBeNull()
+  })
+})
+
+// ---------------------------------------------------------------------------
+// validateBaseline / shippedReleases
+// ---------------------------------------------------------------------------
+describe('validateBaseline', () => {
+  it('accepts every well-formed kind', () => {
+    expect(validateBaseline({ kind: 'year' })).toEqual([])
+    expect(validateBaseline({ kind: 'quarter' })).toEqual([])
+    expect(validateBaseline({ kind: 'release', version: '147' })).toEqual([])
+    expect(validateBaseline({ kind: 'custom', date: '2026-03-05' })).toEqual([])
+  })
+
+  it('rejects unknown kinds, releases and malformed dates', () => {
+    expect(validateBaseline({ kind: 'decade' })).toHaveLength(1)
+    expect(validateBaseline({ kind: 'release', version: 12 })).toHaveLength(1)
+    expect(validateBaseline({ kind: 'custom', date: '03/05/2026' })).toHaveLength(1)
+    expect(validateBaseline(null)).toHaveLength(1)
+  })
+})
+
+describe('shippedReleases', () => {
+  it('lists releases up to the date, newest first', () => {
+    const releases = shippedReleases(new Date('2026-02-01T00:00:00Z'))
+    expect(releases[0].version).toBe(147)
+    expect(releases[releases.length - 1]).toEqual(FIREFOX_RELEASES[0])
+  })
+})
+
+describe('FIREFOX_RELEASES', () => {
+  it('is in version order', () => {
+    FIREFOX_RELEASES.slice(1).forEach((r, i) => {
+      expect(r.version).toBe(FIREFOX_RELEASES[i].version + 1)
+      expect(r.date > FIREFOX_RELEASES[i].date).toBe(true)
+    })
+  })
+})
+
+// ---------------------------------------------------------------------------
+// Persistence
+// ---------------------------------------------------------------------------
+describe('baseline setting', () => {
+  it('defaults to the calendar year', () => {
+    expect(getBaseline()).toEqual(DEFAULT_BASELINE)
+  })
+
+  it('saves a normalized setting and notifies subscribers', () => {
+    const listener = vi.fn()
+    const unsubscribe = subscribeBaseline(listener)
+    saveBaseline({ kind: 'release', version: '150', date: 'ignored' })
+    expect(getBaseline()).toEqual({ kind: 'release', version: 150 })
+    expect(JSON.parse(localStorage.getItem('benchmark_baseline'))).toEqual({ kind: 'release', version: 150 })
+    expect(listener).toHaveBeenCalledTimes(1)
+    unsubscribe()
+  })
+
+  it('throws on an invalid setting without changing the current one', () => {
+    expect(() => saveBaseline({ kind: 'custom', date: '' })).toThrow(/YYYY-MM-DD/)
+    expect(getBaseline()).toEqual(DEFAULT_BASELINE)
+  })
+
+  it('resets back to the default', () => {
+    saveBaseline({ kind: 'quarter' })
+    resetBaseline()
+    expect(getBaseline()).toEqual(DEFAULT_BASELINE)
+    expect(localStorage.getItem('benchmark_baseline')).toBeNull()
+  })
+})
@@ -0,0 +1,88 @@
+/**
+ * Start-vs-current summary of Treeherder benchmark series, one row per
+ * platform (see services/treeherderService.js for the input shape).
+ */
+
+import { nearestRow } from './baseline'
+
+const pointDate = point => point.date.toISOString().split('T')[0]
+
+function pctChange(current, start) {
+  return current && start ? 100 * (current / start - 1) : null
+}
+
+/**
+ * Baseline and latest values per platform.
+ * @param {Array} platforms - { osKey, label, competitorApp, fxPoints, competitorPoints }[]
+ * @param {string} baselineDate - YYYY-MM-DD; the nearest point on each series is the start
+ * @returns {Array} { osKey, label, competitorApp, fxStart, fxCurrent, fxDelta, compStart,
+ *   compCurrent, deltaVsCompStart, deltaVsCompCurrent, startDate, latestDate } per platform,
+ *   values null when a series is empty
+ */
+export function summarizePlatforms(platforms, baselineDate) {
+  return platforms.map(({ osKey, label, competitorApp, fxPoints, competitorPoints }) => {
+    const fxStart = nearestRow(fxPoints, baselineDate, pointDate)?.value ?? null
+    const fxLatest = fxPoints[fxPoints.length - 1] || null
+    const fxCurrent = fxLatest?.value ?? null
+    const compStartPoint = nearestRow(competitorPoints, baselineDate, pointDate)
+    const compStart = compStartPoint?.value ?? null
+    const compCurrent = competitorPoints[competitorPoints.length - 1]?.value ?? null
+    return {
+      osKey,
+      label,
+      competitorApp,
+      fxStart,
+      fxCurrent,
+      fxDelta: pctChange(fxCurrent, fxStart),
+      compStart,
+      compCurrent,
+      deltaVsCompStart: pctChange(fxCurrent, compStart),
+      deltaVsCompCurrent: pctChange(fxCurrent, compCurrent),
+      startDate: compStartPoint ? pointDate(compStartPoint) : null,
+      latestDate: fxLatest ? pointDate(fxLatest) : null,
+    }
+  })
+}
+
+/**
+ * Display name of the competitor, preferring the Mac series, e.g. 'Chrome'.
+ */
+export function competitorLabel(platforms) {
+  const osx = platforms.find(p => p.osKey === 'osx')
+  const app = osx?.competitorApp ?? platforms.find(p => p.competitorApp)?.competitorApp
+  return app ? app.charAt(0).toUpperCase() + app.slice(1) : 'Competitor'
+}
+
+/**
+ * Whether a percentage change is an improvement, a regression or neither.
+ * @param {number|null} value - Percentage change
+ * @param {boolean} higherIsBetter - The benchmark's direction
+ * @returns {'good'|'bad'|null}
+ */
+export function deltaDirection(value, higherIsBetter) {
+  if (value == null || value === 0) return null
+  return (value > 0) === higherIsBetter ? 'good' : 'bad'
+}
+
+/**
+ * Time span covered by every platform's series, for a shared time axis.
+ * @param {Array} platforms - As for summarizePlatforms
+ * @returns {{min: number, max: number}|null} Epoch ms, null when there are no points
+ */
+export function sharedTimeRange(platforms) {
+  const times = platforms.flatMap(p => [...p.fxPoints, ...p.competitorPoints]).map(point => point.date.getTime())
+  if (times.length === 0) return null
+  return { min: Math.min(...times), max: Math.max(...times) }
+}
+
+/**
+ * Where to mark the baseline on a time axis. A baseline outside the range is
+ * pinned to the nearer edge, where the nearest-point start values come from.
+ * @param {{min: number, max: number}} range - Epoch ms
+ * @param {string} baselineDate - YYYY-MM-DD
+ * @returns {{value: number, inRange: boolean}}
+ */
+export function baselinePosition(range, baselineDate) {
+  const time = Date.parse(baselineDate)
+  return { value: Math.min(Math.max(time, range.min), range.max), inRange: time >= range.min && time <= range.max }
+}
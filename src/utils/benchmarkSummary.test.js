@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest'
+import { summarizePlatforms, competitorLabel, deltaDirection, sharedTimeRange, baselinePosition } from './benchmarkSummary'
+
+const point = (date, value) => ({ date: new Date(`${date}T00:00:00Z`), value })
+
+// ---------------------------------------------------------------------------
+// summarizePlatforms
+// ---------------------------------------------------------------------------
+describe('summarizePlatforms', () => {
+  const platforms = [
+    {
+      osKey: 'osx',
+      label: 'Mac OSX (M4)',
+      competitorApp: 'chrome',
+      fxPoints: [point('2025-12-30', 100), point('2026-01-02', 110), point('2026-03-01', 121)],
+      competitorPoints: [point('2026-01-03', 200), point('2026-03-01', 220)],
+    },
+    { osKey: 'linux', label: 'Linux', competitorApp: null, fxPoints: [], competitorPoints: [] },
+  ]
+
+  it('compares the latest values with the points nearest the baseline', () => {
+    const [osx] = summarizePlatforms(platforms, '2026-01-01')
+    expect(osx).toMatchObject({
+      fxStart: 110,
+      fxCurrent: 121,
+      compStart: 200,
+      compCurrent: 220,
+      startDate: '2026-01-03',
+      latestDate: '2026-03-01',
+    })
+    expect(osx.fxDelta).toBeCloseTo(10)
+    expect(osx.deltaVsCompStart).toBeCloseTo(-39.5)
+    expect(osx.deltaVsCompCurrent).toBeCloseTo(-45)
+  })
+
+  it('leaves values empty for platforms without data', () => {
+    const [, linux] = summarizePlatforms(platforms, '2026-01-01')
+    expect(linux).toMatchObject({ fxStart: null, fxCurrent: null, fxDelta: null, deltaVsCompStart: null, startDate: null, latestDate: null })
+  })
+})
+
+// ---------------------------------------------------------------------------
+// competitorLabel / deltaDirection
+// ---------------------------------------------------------------------------
+describe('competitorLabel', () => {
+  it('prefers the Mac competitor and capitalizes it', () => {
+    expect(competitorLabel([{ osKey: 'windows', competitorApp: 'edge' }, { osKey: 'osx', competitorApp: 'safari' }])).toBe('Safari')
+    expect(competitorLabel([{ osKey: 'windows', competitorApp: 'chrome' }])).toBe('Chrome')
+    expect(competitorLabel([])).toBe('Competitor')
+  })
+})
+
+describe('deltaDirection', () => {
+  it('follows the benchmark direction', () => {
+    expect(deltaDirection(5, true)).toBe('good')
+    expect(deltaDirection(5, false)).toBe('bad')
+    expect(deltaDirection(-5, false)).toBe('good')
+    expect(deltaDirection(0, true)).toBeNull()
+    expect(deltaDirection(null, true)).toBeNull()
+  })
+})
+
+// ---------------------------------------------------------------------------
+// sharedTimeRange / baselinePosition
+// ---------------------------------------------------------------------------
+describe('sharedTimeRange', () => {
+  it('spans every series on every platform', () => {
+    const range = sharedTimeRange([
+      { fxPoints: [point('2026-08-01', 1)], competitorPoints: [point('2026-07-20', 1)] },
+      { fxPoints: [point('2026-10-18', 1)], competitorPoints: [] },
+    ])
+    expect(range).toEqual({ min: Date.parse('2026-07-20'), max: Date.parse('2026-10-18') })
+  })
+
+  it('returns null without points', () => {
+    expect(sharedTimeRange([{ fxPoints: [], competitorPoints: [] }])).toBeNull()
+  })
+})
+
+describe('baselinePosition', () => {
+  const range = { min: Date.parse('2026-07-20'), max: Date.parse('2026-10-18') }
+
+  it('marks a baseline inside the range where it is', () => {
+    expect(baselinePosition(range, '2026-10-01')).toEqual({ value: Date.parse('2026-10-01'), inRange: true })
+  })
+
+  it('pins a baseline outside the range to the nearer edge', () => {
+    expect(baselinePosition(range, '2026-01-01')).toEqual({ value: range.min, inRange: false })
+    expect(baselinePosition(range, '2027-01-01')).toEqual({ value: range.max, inRange: false })
+  })
+})
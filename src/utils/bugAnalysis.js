@@ -86,6 +86,62 @@ export function scoreBug(bug) {
   return score
 }
 
+const CLOSED_STATUSES = new Set(['RESOLVED', 'VERIFIED', 'CLOSED'])
+
+// Attachment stubs that stand for a code review rather than a file
+const REVIEW_STUB_TYPES = new Set([
+  'text/x-phabricator-request',
+  'text/x-github-pull-request',
+  'text/x-review-board-request',
+])
+
+// A raw patch or a link to a review (Phabricator revision, GitHub PR)
+export function isPatchAttachment(attachment) {
+  return !!attachment.is_patch || REVIEW_STUB_TYPES.has(attachment.content_type)
+}
+
+/**
+ * Patch and review state derived from bug.attachments (only present once the
+ * attachments have been fetched). Obsolete patches — including abandoned
+ * Phabricator revisions — are ignored. Patches on a bug closed as FIXED count
+ * as landed; on a bug closed any other way they no longer count.
+ * @returns {{state: 'none'|'open'|'landed', review: 'requested'|'rejected'|'approved'|null, count: number}|null}
+ *   null if attachments are not loaded
+ */
+export function getPatchStatus(bug) {
+  if (!Array.isArray(bug.attachments)) return null
+  const patches = bug.attachments.filter(a => !a.is_obsolete && isPatchAttachment(a))
+  const closed = CLOSED_STATUSES.has(bug.status)
+  const fixed = closed && (!bug.resolution || bug.resolution === 'FIXED')
+  if (patches.length === 0 || (closed && !fixed)) return { state: 'none', review: null, count: 0 }
+
+  const reviews = patches.flatMap(a => (a.flags || []).filter(f => f.name === 'review').map(f => f.status))
+  const review = reviews.includes('?') ? 'requested'
+    : reviews.includes('-') ? 'rejected'
+    : reviews.includes('+') ? 'approved'
+    : null
+  return { state: fixed ? 'landed' : 'open', review, count: patches.length }
+}
+
+export function patchStatusText(status) {
+  if (!status) return 'Loading…'
+  if (status.state === 'none') return 'No patch'
+  if (status.state === 'landed') return 'Landed'
+  return {
+    requested: 'In review',
+    rejected: 'Changes requested',
+    approved: 'Approved',
+  }[status.review] || 'Open'
+}
+
+// Flags getBugFlags can raise, with their labels and definitions
+export const FLAG_DEFS = [
+  { flag: 'underappreciated', label: '⚠ Underappreciated', title: 'cf_performance_impact is high/medium but severity and priority are both unset' },
+  { flag: 'needs-triage',     label: 'Needs Triage',       title: 'No cf_performance_impact, severity, priority, or assignee' },
+  { flag: 'stale',            label: 'Stale',              title: 'No activity in over 6 months' },
+  { flag: 'patch-in-review',  label: 'Patch in Review',    title: 'Has a patch or Phabricator revision that has not landed, whoever is assigned' },
+]
+
 export function getBugFlags(bug) {
   const flags = []
   const isUnassigned = !bug.assigned_to || bug.assigned_to.includes('nobody@mozilla.org')
@@ -101,13 +157,18 @@ export function getBugFlags(bug) {
   if (hasPerfSignal && hasNoSev && hasNoPri) flags.push('underappreciated')
   if (noImpactField && isUnassigned && hasNoSev && hasNoPri) flags.push('needs-triage')
   if (isStale) flags.push('stale')
+  // Someone is fixing it, even if the bug is unassigned or looks stale
+  if (getPatchStatus(bug)?.state === 'open') flags.push('patch-in-review')
   return flags
 }
 
 export function flagText(flag) {
-  return {
-    underappreciated: '⚠ Underappreciated',
-    'needs-triage': 'Needs Triage',
-    stale: 'Stale',
-  }[flag] || flag
+  return FLAG_DEFS.find(d => d.flag === flag)?.label || flag
+}
+
+// Outstanding needinfo requests on a bug (flags with status '?')
+export function getNeedinfoRequests(bug) {
+  return (bug.flags || [])
+    .filter(f => f.name === 'needinfo' && f.status === '?')
+    .map(f => ({ requestee: f.requestee || null, setter: f.setter || null, since: f.creation_date || null }))
 }
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
-import { scoreBug, getBugFlags, getAreaTags, flagText, AREA_DEFS, ALL_AREA_TAGS, AREA_COLORS } from './bugAnalysis'
+import { scoreBug, getBugFlags, getAreaTags, flagText, getNeedinfoRequests, getPatchStatus, patchStatusText, AREA_DEFS, ALL_AREA_TAGS, AREA_COLORS, FLAG_DEFS } from './bugAnalysis'
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -202,6 +202,82 @@ describe('getBugFlags', () => {
     expect(flags).toContain('needs-triage')
     expect(flags).toContain('stale')
   })
+  it('flags "patch-in-review" when an unassigned bug has an open patch', () => {
+    const bug = makeBug({
+      assigned_to: 'nobody@mozilla.org',
+      attachments: [{ content_type: 'text/x-phabricator-request', is_obsolete: 0, flags: [] }],
+    })
+    expect(getBugFlags(bug)).toContain('patch-in-review')
+  })
+
+  it('does NOT flag patch-in-review before attachments are loaded', () => {
+    expect(getBugFlags(makeBug())).not.toContain('patch-in-review')
+  })
+})
+
+// ---------------------------------------------------------------------------
+// getPatchStatus
+// ---------------------------------------------------------------------------
+describe('getPatchStatus', () => {
+  const phab = (overrides = {}) => ({ content_type: 'text/x-phabricator-request', is_patch: 0, is_obsolete: 0, flags: [], ...overrides })
+
+  it('returns null when attachments are not loaded', () => {
+    expect(getPatchStatus(makeBug())).toBeNull()
+  })
+
+  it('reports none when there are only non-patch or obsolete attachments', () => {
+    const bug = makeBug({
+      attachments: [
+        { content_type: 'image/png', is_patch: 0, is_obsolete: 0 },
+        phab({ is_obsolete: 1 }),
+      ],
+    })
+    expect(getPatchStatus(bug)).toEqual({ state: 'none', review: null, count: 0 })
+  })
+
+  it('treats raw patches and review stubs as patches', () => {
+    const bug = makeBug({
+      status: 'ASSIGNED',
+      attachments: [
+        { content_type: 'text/plain', is_patch: 1, is_obsolete: 0 },
+        phab(),
+        { content_type: 'text/x-github-pull-request', is_obsolete: 0 },
+      ],
+    })
+    expect(getPatchStatus(bug)).toEqual({ state: 'open', review: null, count: 3 })
+  })
+
+  it('prefers a pending review over granted and denied ones', () => {
+    const bug = makeBug({
+      attachments: [
+        phab({ flags: [{ name: 'review', status: '+' }] }),
+        phab({ flags: [{ name: 'review', status: '?' }] }),
+      ],
+    })
+    expect(getPatchStatus(bug).review).toBe('requested')
+    expect(getPatchStatus(makeBug({ attachments: [phab({ flags: [{ name: 'review', status: '-' }] })] })).review).toBe('rejected')
+    expect(getPatchStatus(makeBug({ attachments: [phab({ flags: [{ name: 'review', status: '+' }, { name: 'feedback', status: '?' }] })] })).review).toBe('approved')
+  })
+
+  it('reports landed for a bug closed as FIXED', () => {
+    const bug = makeBug({ status: 'RESOLVED', resolution: 'FIXED', attachments: [phab()] })
+    expect(getPatchStatus(bug).state).toBe('landed')
+  })
+
+  it('ignores patches on a bug closed without a fix', () => {
+    const bug = makeBug({ status: 'RESOLVED', resolution: 'WONTFIX', attachments: [phab()] })
+    expect(getPatchStatus(bug).state).toBe('none')
+  })
+})
+
+describe('patchStatusText', () => {
+  it('describes each state', () => {
+    expect(patchStatusText(null)).toBe('Loading…')
+    expect(patchStatusText({ state: 'none' })).toBe('No patch')
+    expect(patchStatusText({ state: 'landed', review: 'approved' })).toBe('Landed')
+    expect(patchStatusText({ state: 'open', review: 'requested' })).toBe('In review')
+    expect(patchStatusText({ state: 'open', review: null })).toBe('Open')
+  })
 })
 
 // ---------------------------------------------------------------------------
@@ -305,7 +381,47 @@ describe('flagText', () => {
     expect(flagText('stale')).toBe('Stale')
   })
 
+  it('returns human-readable label for "patch-in-review"', () => {
+    expect(flagText('patch-in-review')).toBe('Patch in Review')
+  })
+
   it('returns the raw flag string for unknown flags', () => {
     expect(flagText('some-unknown-flag')).toBe('some-unknown-flag')
   })
+
+  it('has a definition for every flag getBugFlags raises', () => {
+    const old = new Date(); old.setFullYear(old.getFullYear() - 2)
+    const raised = [
+      makeBug({ cf_performance_impact: 'high', severity: '--', priority: '--' }),
+      makeBug({ cf_performance_impact: '---', assigned_to: 'nobody@mozilla.org', severity: '--', priority: '--', last_change_time: old.toISOString() }),
+      makeBug({ attachments: [{ content_type: 'text/x-phabricator-request', is_obsolete: 0, flags: [] }] }),
+    ].flatMap(getBugFlags)
+    expect(new Set(raised)).toEqual(new Set(FLAG_DEFS.map(d => d.flag)))
+  })
+})
+
+// ---------------------------------------------------------------------------
+// getNeedinfoRequests
+// ---------------------------------------------------------------------------
+describe('getNeedinfoRequests', () => {
+  it('returns an empty array when the bug has no flags', () => {
+    expect(getNeedinfoRequests(makeBug())).toEqual([])
+  })
+
+  it('returns outstanding needinfo requests', () => {
+    const bug = makeBug({ flags: [
+      { name: 'needinfo', status: '?', requestee: 'dev@mozilla.com', setter: 'triager@mozilla.com', creation_date: '2025-01-01T00:00:00Z' },
+    ] })
+    expect(getNeedinfoRequests(bug)).toEqual([
+      { requestee: 'dev@mozilla.com', setter: 'triager@mozilla.com', since: '2025-01-01T00:00:00Z' },
+    ])
+  })
+
+  it('ignores other flag types and granted flags', () => {
+    const bug = makeBug({ flags: [
+      { name: 'needinfo', status: '+', requestee: 'dev@mozilla.com' },
+      { name: 'qe-verify', status: '?', requestee: 'qa@mozilla.com' },
+    ] })
+    expect(getNeedinfoRequests(bug)).toEqual([])
+  })
 })
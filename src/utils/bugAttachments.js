@@ -0,0 +1,30 @@
+/**
+ * Attachment loading for bug tables — fetches attachment metadata for the
+ * listed bugs so getPatchStatus / getBugFlags can see patches and reviews.
+ */
+
+import { useState, useEffect } from 'react'
+import { fetchBugAttachments } from '../services/bugzillaService'
+import { isAbortError } from '../services/httpClient'
+
+/**
+ * React hook that loads attachments for the given bugs in the background.
+ * Returns withAttachments(bugs), which sets bug.attachments on every bug whose
+ * attachments have loaded; the rest are returned unchanged.
+ * @param {Array} bugs - Bugs currently shown
+ */
+export function useBugAttachments(bugs) {
+  const [attachments, setAttachments] = useState({})
+  const idsKey = [...new Set(bugs.map(bug => bug.id))].sort((a, b) => a - b).join(',')
+
+  useEffect(() => {
+    if (!idsKey) return
+    const controller = new AbortController()
+    fetchBugAttachments(idsKey.split(','), true, { signal: controller.signal })
+      .then(byBug => { if (!controller.signal.aborted) setAttachments(prev => ({ ...prev, ...byBug })) })
+      .catch(err => { if (!isAbortError(err)) console.error('Failed to fetch attachments:', err) })
+    return () => controller.abort()
+  }, [idsKey])
+
+  return (list) => list.map(bug => attachments[bug.id] ? { ...bug, attachments: attachments[bug.id] } : bug)
+}
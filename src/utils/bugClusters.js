@@ -0,0 +1,115 @@
+/**
+ * Near-duplicate bug clustering — links bugs whose summaries share most of
+ * their words, or share fewer words but also an area tag, and returns the
+ * linked groups. Surfaces themes like "gigabit download throughput" without
+ * hand-written observations.
+ */
+
+import { getAreaTags } from './bugAnalysis'
+
+// Jaccard similarity needed to link two summaries on their own…
+export const SIMILARITY_THRESHOLD = 0.4
+// …or together with a shared area tag
+export const AREA_SIMILARITY_THRESHOLD = 0.25
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'when', 'from', 'into', 'that', 'this', 'are', 'was', 'but', 'not', 'can',
+  'has', 'have', 'its', 'than', 'then', 'too', 'very', 'more', 'much', 'some', 'due', 'after', 'before',
+  'during', 'while', 'using', 'use', 'used', 'via', 'about', 'over', 'under', 'on', 'in', 'of', 'to', 'is',
+  'bug', 'firefox', 'perf', 'performance', 'slow', 'slower', 'slowness', 'issue', 'issues', 'page', 'site',
+])
+
+/**
+ * Normalized summary words: lowercased, stopwords and short words dropped,
+ * simple plurals folded.
+ * @returns {Set<string>}
+ */
+export function summaryTokens(summary) {
+  const words = (summary || '').toLowerCase().split(/[^a-z0-9]+/)
+  const tokens = new Set()
+  words.forEach(word => {
+    if (word.length < 3 || STOPWORDS.has(word) || /^\d+$/.test(word)) return
+    tokens.add(word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word)
+  })
+  return tokens
+}
+
+/**
+ * Jaccard similarity of two token sets (0 when either is empty).
+ */
+export function tokenSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0
+  let shared = 0
+  a.forEach(token => { if (b.has(token)) shared++ })
+  return shared / (a.size + b.size - shared)
+}
+
+function find(parent, i) {
+  while (parent[i] !== i) {
+    parent[i] = parent[parent[i]]
+    i = parent[i]
+  }
+  return i
+}
+
+/**
+ * Group bugs into clusters of near-duplicates. Linking is transitive, so a
+ * cluster can hold bugs that are each similar to a neighbour.
+ * @param {Array} bugs
+ * @param {Object} options
+ * @param {number} options.threshold - Similarity that links two bugs (default: SIMILARITY_THRESHOLD)
+ * @param {number} options.areaThreshold - Similarity that links two bugs sharing an area tag
+ *   (default: AREA_SIMILARITY_THRESHOLD)
+ * @returns {{clusters: Array<{id: string, terms: Array<string>, areas: Array<string>, bugs: Array}>, unclustered: Array}}
+ *   Clusters of two or more bugs, largest first; bugs keep their input order.
+ */
+export function clusterBugs(bugs, { threshold = SIMILARITY_THRESHOLD, areaThreshold = AREA_SIMILARITY_THRESHOLD } = {}) {
+  const tokens = bugs.map(bug => summaryTokens(bug.summary))
+  const areas = bugs.map(bug => bug.areas || getAreaTags(bug))
+  const parent = bugs.map((_, i) => i)
+
+  for (let i = 0; i < bugs.length; i++) {
+    for (let j = i + 1; j < bugs.length; j++) {
+      const similarity = tokenSimilarity(tokens[i], tokens[j])
+      const linked = similarity >= threshold ||
+        (similarity >= areaThreshold && areas[i].some(area => areas[j].includes(area)))
+      if (linked) parent[find(parent, j)] = find(parent, i)
+    }
+  }
+
+  const members = new Map()
+  bugs.forEach((_, i) => {
+    const root = find(parent, i)
+    if (!members.has(root)) members.set(root, [])
+    members.get(root).push(i)
+  })
+
+  const clusters = []
+  const unclustered = []
+  members.forEach(indexes => {
+    if (indexes.length < 2) {
+      unclustered.push(bugs[indexes[0]])
+      return
+    }
+    // Terms that appear in at least half the summaries, most common first
+    const counts = new Map()
+    indexes.forEach(i => tokens[i].forEach(t => counts.set(t, (counts.get(t) || 0) + 1)))
+    const terms = [...counts.entries()]
+      .filter(([, count]) => count >= indexes.length / 2)
+      .sort((a, b) => b[1] - a[1])
+      .map(([term]) => term)
+    const sharedAreas = areas[indexes[0]].filter(area => indexes.every(i => areas[i].includes(area)))
+    clusters.push({
+      id: `cluster-${bugs[indexes[0]].id}`,
+      terms,
+      areas: sharedAreas,
+      bugs: indexes.map(i => bugs[i]),
+    })
+  })
+
+  // Keep unclustered bugs in input order
+  const order = new Map(bugs.map((bug, i) => [bug, i]))
+  unclustered.sort((a, b) => order.get(a) - order.get(b))
+  clusters.sort((a, b) => b.bugs.length - a.bugs.length)
+  return { clusters, unclustered }
+}
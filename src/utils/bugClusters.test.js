@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest'
+import { summaryTokens, tokenSimilarity, clusterBugs } from './bugClusters'
+
+// ---------------------------------------------------------------------------
+// summaryTokens
+// ---------------------------------------------------------------------------
+describe('summaryTokens', () => {
+  it('lowercases, drops stopwords, numbers and short words, and folds plurals', () => {
+    expect([...summaryTokens('Slow downloads on Gigabit connections in Firefox 128')]).toEqual(['download', 'gigabit', 'connection'])
+  })
+
+  it('keeps words ending in "ss"', () => {
+    expect(summaryTokens('Process access')).toEqual(new Set(['process', 'access']))
+  })
+
+  it('handles a missing summary', () => {
+    expect(summaryTokens(undefined).size).toBe(0)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// tokenSimilarity
+// ---------------------------------------------------------------------------
+describe('tokenSimilarity', () => {
+  it('computes Jaccard similarity', () => {
+    expect(tokenSimilarity(new Set(['a', 'b', 'c']), new Set(['b', 'c', 'd']))).toBe(0.5)
+    expect(tokenSimilarity(new Set(), new Set(['a']))).toBe(0)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// clusterBugs
+// ---------------------------------------------------------------------------
+describe('clusterBugs', () => {
+  const bug = (id, summary, extra = {}) => ({ id, summary, component: 'General', product: 'Core', ...extra })
+
+  it('groups near-duplicate summaries and leaves the rest unclustered', () => {
+    const bugs = [
+      bug(1, 'Gigabit download throughput capped at 300 Mbps'),
+      bug(2, 'CSS grid relayout is quadratic'),
+      bug(3, 'Download throughput on gigabit fiber is capped'),
+      bug(4, 'Crash in font shaping'),
+    ]
+    const { clusters, unclustered } = clusterBugs(bugs)
+    expect(clusters).toHaveLength(1)
+    expect(clusters[0].bugs.map(b => b.id)).toEqual([1, 3])
+    expect(clusters[0].terms).toEqual(expect.arrayContaining(['gigabit', 'download', 'throughput', 'capped']))
+    expect(unclustered.map(b => b.id)).toEqual([2, 4])
+  })
+
+  it('links weaker matches only when they share an area tag', () => {
+    const weak = [
+      bug(1, 'Video decoding stutters on 4k streams with hardware acceleration'),
+      bug(2, 'Video frames dropped on 4k streams'),
+    ]
+    const withArea = clusterBugs(weak.map(b => ({ ...b, areas: ['Video'] })))
+    expect(withArea.clusters).toHaveLength(1)
+    expect(withArea.clusters[0].areas).toEqual(['Video'])
+
+    const withoutArea = clusterBugs(weak.map(b => ({ ...b, areas: [] })))
+    expect(withoutArea.clusters).toHaveLength(0)
+  })
+
+  it('links transitively and sorts the largest cluster first', () => {
+    const bugs = [
+      bug(1, 'Layout flush in scroll handler'),
+      bug(2, 'Memory leak in worker pool shutdown'),
+      bug(3, 'Memory leak in worker pool'),
+      bug(4, 'Layout flush in scroll handler on twitter'),
+      bug(5, 'Forced layout flush in scroll handler on twitter feed'),
+    ]
+    const { clusters } = clusterBugs(bugs, { areaThreshold: 1 })
+    expect(clusters.map(c => c.bugs.map(b => b.id))).toEqual([[1, 4, 5], [2, 3]])
+  })
+})
@@ -0,0 +1,72 @@
+/**
+ * Bug history helpers — turn the raw /rest/bug/{id}/history payload into a
+ * triage timeline of the fields we care about in triage meetings.
+ */
+
+// Bugzilla reports REST field names (severity, status) for most fields, but
+// older entries can carry the internal column names, so both are accepted.
+export const HISTORY_FIELDS = [
+  { key: 'severity',              label: 'Severity',    names: ['severity', 'bug_severity'] },
+  { key: 'priority',              label: 'Priority',    names: ['priority'] },
+  { key: 'cf_performance_impact', label: 'Perf Impact', names: ['cf_performance_impact'] },
+  { key: 'assigned_to',           label: 'Assignee',    names: ['assigned_to'] },
+  { key: 'status',                label: 'Status',      names: ['status', 'bug_status'] },
+]
+
+const FIELD_BY_NAME = Object.fromEntries(
+  HISTORY_FIELDS.flatMap(f => f.names.map(name => [name, f]))
+)
+
+/**
+ * Normalise a history value for display: empty and placeholder values become
+ * null, and the nobody@ default assignee is reported as unassigned.
+ */
+export function formatHistoryValue(fieldKey, value) {
+  if (value == null || value === '' || value === '--' || value === '---') return null
+  if (fieldKey === 'assigned_to' && value.includes('nobody@mozilla.org')) return null
+  return value
+}
+
+/**
+ * Build a chronological timeline of triage-relevant changes.
+ * @param {Array} history - Entries from fetchBugHistory
+ * @param {Array<string>} fieldKeys - HISTORY_FIELDS keys to keep (default: all)
+ * @returns {Array} [{ when, who, changes: [{ field, label, removed, added }] }] oldest first;
+ *   entries with no tracked changes are dropped.
+ */
+export function getTriageTimeline(history, fieldKeys = HISTORY_FIELDS.map(f => f.key)) {
+  return (history || [])
+    .map(entry => ({
+      when: entry.when,
+      who: entry.who,
+      changes: (entry.changes || [])
+        .map(change => {
+          const def = FIELD_BY_NAME[change.field_name]
+          if (!def || !fieldKeys.includes(def.key)) return null
+          return {
+            field: def.key,
+            label: def.label,
+            removed: formatHistoryValue(def.key, change.removed),
+            added: formatHistoryValue(def.key, change.added),
+          }
+        })
+        .filter(Boolean),
+    }))
+    .filter(entry => entry.changes.length > 0)
+    .sort((a, b) => new Date(a.when) - new Date(b.when))
+}
+
+/**
+ * Find the most recent change of a field, optionally to a specific value —
+ * answers "when did this become P2?" or "when did it lose its owner?" (value null).
+ * @returns {Object|null} { when, who, removed, added } or null if never changed
+ */
+export function findLastChange(timeline, fieldKey, value) {
+  for (let i = timeline.length - 1; i >= 0; i--) {
+    const change = timeline[i].changes.find(c =>
+      c.field === fieldKey && (value === undefined || c.added === value)
+    )
+    if (change) return { when: timeline[i].when, who: timeline[i].who, removed: change.removed, added: change.added }
+  }
+  return null
+}
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest'
+import { getTriageTimeline, findLastChange, formatHistoryValue, HISTORY_FIELDS } from './bugHistory'
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function makeEntry(when, changes, who = 'triager@mozilla.com') {
+  return {
+    when,
+    who,
+    changes: changes.map(([field_name, removed, added]) => ({ field_name, removed, added })),
+  }
+}
+
+// ---------------------------------------------------------------------------
+// formatHistoryValue
+// ---------------------------------------------------------------------------
+describe('formatHistoryValue', () => {
+  it('maps empty and placeholder values to null', () => {
+    expect(formatHistoryValue('priority', '')).toBeNull()
+    expect(formatHistoryValue('priority', '--')).toBeNull()
+    expect(formatHistoryValue('cf_performance_impact', '---')).toBeNull()
+    expect(formatHistoryValue('severity', undefined)).toBeNull()
+  })
+
+  it('treats nobody@mozilla.org as no assignee', () => {
+    expect(formatHistoryValue('assigned_to', 'nobody@mozilla.org')).toBeNull()
+  })
+
+  it('passes real values through unchanged', () => {
+    expect(formatHistoryValue('priority', 'P2')).toBe('P2')
+    expect(formatHistoryValue('assigned_to', 'dev@mozilla.com')).toBe('dev@mozilla.com')
+  })
+})
+
+// ---------------------------------------------------------------------------
+// getTriageTimeline
+// ---------------------------------------------------------------------------
+describe('getTriageTimeline', () => {
+  it('returns an empty array for missing history', () => {
+    expect(getTriageTimeline(undefined)).toEqual([])
+    expect(getTriageTimeline([])).toEqual([])
+  })
+
+  it('keeps only tracked fields and drops entries with nothing tracked', () => {
+    const history = [
+      makeEntry('2025-01-01T00:00:00Z', [['cc', '', 'someone@mozilla.com']]),
+      makeEntry('2025-02-01T00:00:00Z', [['priority', '--', 'P2'], ['keywords', '', 'perf']]),
+    ]
+    const timeline = getTriageTimeline(history)
+    expect(timeline).toHaveLength(1)
+    expect(timeline[0].changes).toEqual([{ field: 'priority', label: 'Priority', removed: null, added: 'P2' }])
+  })
+
+  it('accepts internal column names for severity and status', () => {
+    const history = [makeEntry('2025-01-01T00:00:00Z', [['bug_severity', 'S3', 'S2'], ['bug_status', 'NEW', 'ASSIGNED']])]
+    const fields = getTriageTimeline(history)[0].changes.map(c => c.field)
+    expect(fields).toEqual(['severity', 'status'])
+  })
+
+  it('sorts entries oldest first', () => {
+    const history = [
+      makeEntry('2025-03-01T00:00:00Z', [['priority', 'P3', 'P2']]),
+      makeEntry('2025-01-01T00:00:00Z', [['priority', '--', 'P3']]),
+    ]
+    expect(getTriageTimeline(history).map(e => e.when)).toEqual(['2025-01-01T00:00:00Z', '2025-03-01T00:00:00Z'])
+  })
+
+  it('restricts to the requested field keys', () => {
+    const history = [makeEntry('2025-01-01T00:00:00Z', [['priority', '--', 'P3'], ['status', 'NEW', 'ASSIGNED']])]
+    const timeline = getTriageTimeline(history, ['status'])
+    expect(timeline[0].changes.map(c => c.field)).toEqual(['status'])
+  })
+
+  it('tracks every field in HISTORY_FIELDS by default', () => {
+    const history = [makeEntry('2025-01-01T00:00:00Z', HISTORY_FIELDS.map(f => [f.names[0], 'a', 'b']))]
+    expect(getTriageTimeline(history)[0].changes).toHaveLength(HISTORY_FIELDS.length)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// findLastChange
+// ---------------------------------------------------------------------------
+describe('findLastChange', () => {
+  const timeline = getTriageTimeline([
+    makeEntry('2025-01-01T00:00:00Z', [['priority', '--', 'P2'], ['assigned_to', 'nobody@mozilla.org', 'dev@mozilla.com']], 'a@mozilla.com'),
+    makeEntry('2025-02-01T00:00:00Z', [['priority', 'P2', 'P3']], 'b@mozilla.com'),
+    makeEntry('2025-03-01T00:00:00Z', [['assigned_to', 'dev@mozilla.com', 'nobody@mozilla.org']], 'c@mozilla.com'),
+  ])
+
+  it('finds the latest change to a field', () => {
+    expect(findLastChange(timeline, 'priority')).toMatchObject({ when: '2025-02-01T00:00:00Z', added: 'P3' })
+  })
+
+  it('finds when a field became a specific value', () => {
+    expect(findLastChange(timeline, 'priority', 'P2')).toMatchObject({ who: 'a@mozilla.com', added: 'P2' })
+  })
+
+  it('finds when the bug lost its owner', () => {
+    expect(findLastChange(timeline, 'assigned_to', null)).toMatchObject({ who: 'c@mozilla.com', removed: 'dev@mozilla.com' })
+  })
+
+  it('returns null when the field never changed', () => {
+    expect(findLastChange(timeline, 'severity')).toBeNull()
+  })
+})
@@ -0,0 +1,186 @@
+/**
+ * Translate a Bugzilla buglist.cgi / query.cgi (advanced search) URL into
+ * REST search params for fetchBugs.
+ *
+ * The REST search accepts the same field names as buglist.cgi, so most
+ * parameters pass through unchanged. The translation:
+ *   - drops UI-only parameters (column lists, saved-list IDs, output format, …)
+ *   - drops empty values and no-op boolean charts
+ *   - renumbers f/o/v custom search charts (with their j/n modifiers) so they are contiguous
+ *   - converts legacy fieldA-B-C / typeA-B-C / valueA-B-C charts into f/o/v syntax,
+ *     ANDed with the custom search charts whatever j_top joins those with
+ *   - collects repeated parameters into arrays (bug_status=NEW&bug_status=ASSIGNED)
+ */
+
+export const BUGZILLA_HOST = 'bugzilla.mozilla.org'
+
+const SUPPORTED_PATHS = ['/buglist.cgi', '/query.cgi', '/rest/bug']
+
+// Parameters that only affect the Bugzilla UI, never which bugs match
+const UI_ONLY_PARAMS = new Set([
+  'query_format', 'format', 'ctype', 'list_id', 'columnlist', 'query_based_on', 'known_name',
+  'remaction', 'remtype', 'regetlastlist', 'token', 'api_key', 'include_fields', 'exclude_fields',
+  'offset', 'action', 'saved_report_id', 'chart_format', 'x_axis_field', 'y_axis_field', 'z_axis_field',
+])
+
+const CUSTOM_FIELD_RE = /^([fovnj])(\d+)$/
+const LEGACY_CHART_RE = /^(field|type|value)(\d+)-(\d+)-(\d+)$/
+const LEGACY_NEGATE_RE = /^negate(\d+)$/
+
+function addParam(params, key, value) {
+  if (key in params) {
+    params[key] = [].concat(params[key], value)
+  } else {
+    params[key] = value
+  }
+}
+
+// Renumber f/o/v/n/j charts contiguously from 1, dropping no-op and empty charts
+function renumberCustomSearch(custom) {
+  const out = []
+  const indexes = Object.keys(custom).map(Number).sort((a, b) => a - b)
+  for (const index of indexes) {
+    const chart = custom[index]
+    if (!chart.f || chart.f === 'noop' || chart.o === 'noop') continue
+    out.push(chart)
+  }
+  return out
+}
+
+// Convert legacy charts: charts (A) are ANDed, rows (B) within a chart are
+// ANDed, columns (C) within a row are ORed; negateA negates a whole chart.
+function convertLegacyCharts(legacy, negated) {
+  const out = []
+  const chartIds = Object.keys(legacy).map(Number).sort((a, b) => a - b)
+  for (const chartId of chartIds) {
+    const rows = Object.keys(legacy[chartId]).map(Number).sort((a, b) => a - b)
+      .map(rowId => {
+        const cols = legacy[chartId][rowId]
+        return Object.keys(cols).map(Number).sort((a, b) => a - b)
+          .map(colId => cols[colId])
+          .filter(term => term.field && term.field !== 'noop' && term.type !== 'noop')
+          .map(term => ({ f: term.field, o: term.type || 'equals', v: term.value ?? '' }))
+      })
+      .filter(terms => terms.length > 0)
+    if (rows.length === 0) continue
+
+    const charts = []
+    rows.forEach(terms => {
+      if (terms.length === 1) charts.push(terms[0])
+      else charts.push({ f: 'OP', j: 'OR' }, ...terms, { f: 'CP' })
+    })
+    if (negated.has(chartId)) out.push({ f: 'OP', n: '1' }, ...charts, { f: 'CP' })
+    else out.push(...charts)
+  }
+  return out
+}
+
+/**
+ * Parse a buglist.cgi or advanced-search URL into REST params.
+ * @param {string} input - Full Bugzilla URL
+ * @returns {{params: Object, warnings: Array<string>}} params map names to a
+ *   string, or an array of strings for repeated parameters
+ * @throws {Error} If the URL is not a supported Bugzilla search
+ */
+export function parseBuglistUrl(input) {
+  let url
+  try {
+    url = new URL((input || '').trim())
+  } catch {
+    throw new Error('Not a valid URL')
+  }
+  if (url.hostname !== BUGZILLA_HOST) throw new Error(`Only ${BUGZILLA_HOST} URLs are supported`)
+  if (!SUPPORTED_PATHS.some(path => url.pathname.endsWith(path))) {
+    throw new Error('Expected a buglist.cgi, query.cgi or /rest/bug search URL')
+  }
+
+  const search = url.searchParams
+  if (search.get('cmdtype') === 'runnamed' || search.has('namedcmd')) {
+    throw new Error('Saved searches cannot be imported — run the search in Bugzilla and copy the resulting buglist URL')
+  }
+
+  const params = {}
+  const warnings = []
+  const custom = {}
+  const legacy = {}
+  const negated = new Set()
+  let hasCriteria = false
+
+  for (const [key, rawValue] of search) {
+    const value = rawValue.trim()
+    if (UI_ONLY_PARAMS.has(key) || key === 'cmdtype') continue
+
+    const customMatch = key.match(CUSTOM_FIELD_RE)
+    if (customMatch) {
+      const [, part, index] = customMatch
+      custom[index] = { ...custom[index], [part]: rawValue }
+      continue
+    }
+
+    const legacyMatch = key.match(LEGACY_CHART_RE)
+    if (legacyMatch) {
+      const [, part, chart, row, col] = legacyMatch
+      legacy[chart] ??= {}
+      legacy[chart][row] ??= {}
+      legacy[chart][row][col] = { ...legacy[chart][row][col], [part]: rawValue }
+      continue
+    }
+
+    const negateMatch = key.match(LEGACY_NEGATE_RE)
+    if (negateMatch) {
+      if (value === '1') negated.add(Number(negateMatch[1]))
+      continue
+    }
+
+    if (value === '') continue
+    if (key === 'limit') {
+      // buglist.cgi uses limit=0 for "no limit"
+      if (value !== '0') addParam(params, 'limit', value)
+      continue
+    }
+    if (key === 'j_top' || key === 'order') {
+      params[key] = value
+      continue
+    }
+    addParam(params, key, value)
+    hasCriteria = true
+  }
+
+  let customCharts = renumberCustomSearch(custom)
+  const legacyCharts = convertLegacyCharts(legacy, negated)
+  // j_top joins every top-level chart, but legacy charts are always ANDed:
+  // move it onto a group around the custom charts so it joins only those
+  if (legacyCharts.length > 0 && params.j_top) {
+    if (params.j_top !== 'AND' && customCharts.length > 0) {
+      customCharts = [{ f: 'OP', j: params.j_top }, ...customCharts, { f: 'CP' }]
+    }
+    delete params.j_top
+  }
+  const charts = [...customCharts, ...legacyCharts]
+  charts.forEach((chart, i) => {
+    const n = i + 1
+    params[`f${n}`] = chart.f
+    if (chart.o) params[`o${n}`] = chart.o
+    if (chart.v !== undefined && chart.o) params[`v${n}`] = chart.v
+    if (chart.n === '1') params[`n${n}`] = '1'
+    if (chart.j) params[`j${n}`] = chart.j
+    if (chart.f !== 'OP' && chart.f !== 'CP') hasCriteria = true
+  })
+
+  if (!hasCriteria) warnings.push('The URL has no search criteria — this would match every bug')
+  if (search.get('format') === 'advanced' && url.pathname.endsWith('/query.cgi')) {
+    warnings.push('This is the search form URL; run the search and copy the buglist URL if results differ')
+  }
+
+  return { params, warnings }
+}
+
+/**
+ * Flatten REST params into display rows, e.g. for previewing an import.
+ * @returns {Array<[string, string]>}
+ */
+export function describeBuglistParams(params) {
+  return Object.entries(params).flatMap(([key, value]) =>
+    [].concat(value).map(v => [key, v])
+  )
+}
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest'
+import { parseBuglistUrl, describeBuglistParams } from './buglistQuery'
+
+const BUGLIST = 'https://bugzilla.mozilla.org/buglist.cgi'
+
+// ---------------------------------------------------------------------------
+// parseBuglistUrl — validation
+// ---------------------------------------------------------------------------
+describe('parseBuglistUrl validation', () => {
+  it('rejects malformed URLs', () => {
+    expect(() => parseBuglistUrl('not a url')).toThrow('Not a valid URL')
+  })
+
+  it('rejects other hosts', () => {
+    expect(() => parseBuglistUrl('https://bugs.example.com/buglist.cgi?product=Core')).toThrow('bugzilla.mozilla.org')
+  })
+
+  it('rejects non-search pages', () => {
+    expect(() => parseBuglistUrl('https://bugzilla.mozilla.org/show_bug.cgi?id=1')).toThrow('buglist.cgi')
+  })
+
+  it('rejects saved searches', () => {
+    expect(() => parseBuglistUrl(`${BUGLIST}?cmdtype=runnamed&namedcmd=My%20Bugs`)).toThrow('Saved searches')
+  })
+})
+
+// ---------------------------------------------------------------------------
+// parseBuglistUrl — translation
+// ---------------------------------------------------------------------------
+describe('parseBuglistUrl translation', () => {
+  it('passes simple fields through and collects repeated ones into arrays', () => {
+    const { params, warnings } = parseBuglistUrl(
+      `${BUGLIST}?product=Core&component=DOM%3A%20Core%20%26%20HTML&bug_status=NEW&bug_status=ASSIGNED&resolution=---`
+    )
+    expect(params).toEqual({
+      product: 'Core',
+      component: 'DOM: Core & HTML',
+      bug_status: ['NEW', 'ASSIGNED'],
+      resolution: '---',
+    })
+    expect(warnings).toEqual([])
+  })
+
+  it('drops UI-only params, empty values and limit=0', () => {
+    const { params } = parseBuglistUrl(
+      `${BUGLIST}?query_format=advanced&columnlist=bug_id,short_desc&list_id=123&short_desc=&short_desc_type=allwordssubstr&keywords=perf&limit=0&order=priority`
+    )
+    expect(params).toEqual({ short_desc_type: 'allwordssubstr', keywords: 'perf', order: 'priority' })
+  })
+
+  it('renumbers custom search charts and drops no-ops', () => {
+    const { params } = parseBuglistUrl(
+      `${BUGLIST}?f1=noop&f2=OP&j2=OR&f3=status_whiteboard&o3=substring&v3=perf-prio%5D`
+      + '&f5=cf_performance_impact&o5=anyexact&v5=high%2Cmedium&f6=CP&f8=keywords&o8=notsubstring&v8=meta&n8=1'
+    )
+    expect(params).toEqual({
+      f1: 'OP', j1: 'OR',
+      f2: 'status_whiteboard', o2: 'substring', v2: 'perf-prio]',
+      f3: 'cf_performance_impact', o3: 'anyexact', v3: 'high,medium',
+      f4: 'CP',
+      f5: 'keywords', o5: 'notsubstring', v5: 'meta', n5: '1',
+    })
+  })
+
+  it('converts legacy boolean charts after the custom search charts', () => {
+    const { params } = parseBuglistUrl(
+      `${BUGLIST}?f1=product&o1=equals&v1=Core`
+      + '&field0-0-0=component&type0-0-0=substring&value0-0-0=Graphics'
+      + '&field0-0-1=component&type0-0-1=substring&value0-0-1=Layout'
+      + '&field1-0-0=keywords&type1-0-0=substring&value1-0-0=meta&negate1=1'
+      + '&field2-0-0=noop&type2-0-0=noop&value2-0-0='
+    )
+    expect(params).toEqual({
+      f1: 'product', o1: 'equals', v1: 'Core',
+      f2: 'OP', j2: 'OR',
+      f3: 'component', o3: 'substring', v3: 'Graphics',
+      f4: 'component', o4: 'substring', v4: 'Layout',
+      f5: 'CP',
+      f6: 'OP', n6: '1',
+      f7: 'keywords', o7: 'substring', v7: 'meta',
+      f8: 'CP',
+    })
+  })
+
+  it('keeps legacy charts ANDed when j_top joins the custom charts with OR', () => {
+    const { params } = parseBuglistUrl(
+      `${BUGLIST}?j_top=OR&f1=keywords&o1=substring&v1=perf&f2=status_whiteboard&o2=substring&v2=%5Bperf`
+      + '&field0-0-0=product&type0-0-0=equals&value0-0-0=Core'
+    )
+    expect(params).toEqual({
+      f1: 'OP', j1: 'OR',
+      f2: 'keywords', o2: 'substring', v2: 'perf',
+      f3: 'status_whiteboard', o3: 'substring', v3: '[perf',
+      f4: 'CP',
+      f5: 'product', o5: 'equals', v5: 'Core',
+    })
+  })
+
+  it('keeps j_top when there are no legacy charts', () => {
+    const { params } = parseBuglistUrl(`${BUGLIST}?j_top=OR&f1=keywords&o1=substring&v1=perf&f2=status_whiteboard&o2=substring&v2=perf`)
+    expect(params.j_top).toBe('OR')
+    expect(params.f1).toBe('keywords')
+  })
+
+  it('accepts advanced-search and REST URLs', () => {
+    expect(parseBuglistUrl('https://bugzilla.mozilla.org/query.cgi?product=Core').params).toEqual({ product: 'Core' })
+    expect(parseBuglistUrl('https://bugzilla.mozilla.org/rest/bug?quicksearch=perf').params).toEqual({ quicksearch: 'perf' })
+  })
+
+  it('warns when there are no search criteria', () => {
+    const { warnings } = parseBuglistUrl(`${BUGLIST}?query_format=advanced&order=bug_id`)
+    expect(warnings).toHaveLength(1)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// describeBuglistParams
+// ---------------------------------------------------------------------------
+describe('describeBuglistParams', () => {
+  it('flattens repeated params into rows', () => {
+    expect(describeBuglistParams({ product: 'Core', bug_status: ['NEW', 'ASSIGNED'] })).toEqual([
+      ['product', 'Core'], ['bug_status', 'NEW'], ['bug_status', 'ASSIGNED'],
+    ])
+  })
+})
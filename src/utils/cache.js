@@ -1,13 +1,74 @@
 /**
- * Simple in-memory cache with TTL (time-to-live)
+ * Simple in-memory cache with TTL (time-to-live), persisted to IndexedDB.
+ *
+ * Each entry belongs to a namespace (the upstream service it came from) that
+ * sets its default TTL. The cache is bounded: once it holds more than
+ * maxEntries entries or maxBytes of data, the least recently used entries are
+ * evicted. Both the limits and the namespace TTLs can be changed at runtime
+ * with configureCache.
+ *
+ * Entries restored from IndexedDB on page load are "stale": cachedFetch
+ * returns them straight away and revalidates in the background, whatever
+ * their TTL. Components find out via getCacheInfo / subscribeCache (see
+ * utils/cacheFreshness.js).
  */
 
+import { loadEntries, saveEntry, deleteEntries, clearEntries } from './cacheStore';
+
 const cache = new Map();
 
 /**
  * Cache configuration
  */
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes in milliseconds
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes in milliseconds, for entries without a namespace
+const MAX_STALE_AGE = 7 * 24 * 60 * 60 * 1000; // restored entries older than a week are dropped
+
+const DEFAULT_CONFIG = {
+  maxEntries: 500,
+  maxBytes: 50 * 1024 * 1024, // approximate, see estimateSize
+  namespaceTtls: {
+    bugzilla: 5 * 60 * 1000,
+    // Perfherder series only gain a few points a day
+    treeherder: 30 * 60 * 1000,
+    // STMO queries are only re-run upstream once a day (max_age)
+    stmo: 60 * 60 * 1000
+  }
+};
+
+let config = defaultConfig();
+let totalBytes = 0;
+
+// Requests running for a key: { promise, controller, waiters, pinned }
+const inFlight = new Map();
+
+// Values handed out by cachedFetch → the cache entry they came from
+const servedFrom = new WeakMap();
+
+// cachedFetch hit / miss counts per key, for the cache inspector
+const counters = new Map();
+
+function count(key, field) {
+  const counts = counters.get(key) || { hits: 0, misses: 0 };
+  counts[field]++;
+  counters.set(key, counts);
+}
+
+// Approximate size in bytes: the length of the JSON the entry would serialize to
+function estimateSize(data) {
+  try {
+    return JSON.stringify(data)?.length ?? 0;
+  } catch {
+    return 0;
+  }
+}
+
+const listeners = new Set();
+let version = 0;
+
+function notify() {
+  version++;
+  listeners.forEach(listener => listener());
+}
 
 /**
  * Generate a cache key from parameters
@@ -20,6 +81,89 @@ function generateCacheKey(prefix, params) {
   return `${prefix}:${sortedParams}`;
 }
 
+/**
+ * Change the cache limits or namespace TTLs. Omitted settings keep their
+ * current value; new TTLs apply to entries cached from now on.
+ * @param {Object} options
+ * @param {number} options.maxEntries - Most entries held before LRU eviction
+ * @param {number} options.maxBytes - Most (approximate) bytes held before LRU eviction
+ * @param {Object<string, number>} options.namespaceTtls - TTL in ms per namespace,
+ *   merged into the current table
+ */
+export function configureCache({ maxEntries, maxBytes, namespaceTtls } = {}) {
+  config = {
+    maxEntries: maxEntries ?? config.maxEntries,
+    maxBytes: maxBytes ?? config.maxBytes,
+    namespaceTtls: { ...config.namespaceTtls, ...namespaceTtls }
+  };
+  evictOverflow();
+}
+
+/**
+ * Restore the default limits and namespace TTLs.
+ */
+export function resetCacheConfig() {
+  config = defaultConfig();
+  evictOverflow();
+}
+
+function defaultConfig() {
+  return { ...DEFAULT_CONFIG, namespaceTtls: { ...DEFAULT_CONFIG.namespaceTtls } };
+}
+
+/**
+ * Current limits, namespace TTLs and usage.
+ * @returns {{maxEntries: number, maxBytes: number, namespaceTtls: Object<string, number>,
+ *   entries: number, bytes: number}}
+ */
+export function getCacheConfig() {
+  return { ...config, namespaceTtls: { ...config.namespaceTtls }, entries: cache.size, bytes: totalBytes };
+}
+
+// TTL for an entry: an explicit ttl wins, then the namespace's, then the default
+function resolveTtl(ttl, namespace) {
+  return ttl ?? config.namespaceTtls[namespace] ?? CACHE_TTL;
+}
+
+function parseOptions(options) {
+  return typeof options === 'number' ? { ttl: options } : options;
+}
+
+function put(key, entry) {
+  remove(key);
+  cache.set(key, entry);
+  totalBytes += entry.size;
+}
+
+function remove(key) {
+  const entry = cache.get(key);
+  if (!entry) return false;
+  cache.delete(key);
+  totalBytes -= entry.size;
+  return true;
+}
+
+// Move a key to the most recently used end of the Map
+function touch(key, entry) {
+  cache.delete(key);
+  cache.set(key, entry);
+}
+
+// Evict least recently used entries until the cache is within its limits.
+// The most recent entry is kept even if it alone exceeds maxBytes.
+function evictOverflow() {
+  const evicted = [];
+  for (const key of cache.keys()) {
+    if (cache.size <= 1 || (cache.size <= config.maxEntries && totalBytes <= config.maxBytes)) break;
+    remove(key);
+    evicted.push(key);
+  }
+  if (evicted.length > 0) {
+    deleteEntries(evicted);
+    notify();
+  }
+}
+
 /**
  * Get cached data if it exists and is not expired
  */
@@ -33,29 +177,70 @@ export function getCached(key) {
   const now = Date.now();
   if (now > cached.expiry) {
     // Cache expired, remove it
-    cache.delete(key);
+    remove(key);
     return null;
   }
 
+  touch(key, cached);
   return cached.data;
 }
 
 /**
  * Set data in cache with TTL
+ * @param {number|Object} options - TTL in ms, or { ttl, namespace } where the
+ *   namespace's TTL applies when ttl is omitted
  */
-export function setCache(key, data, ttl = CACHE_TTL) {
-  cache.set(key, {
+export function setCache(key, data, options = {}) {
+  const { ttl, namespace } = parseOptions(options);
+  const entry = {
     data,
-    expiry: Date.now() + ttl,
-    cachedAt: Date.now()
-  });
+    expiry: Date.now() + resolveTtl(ttl, namespace),
+    cachedAt: Date.now(),
+    namespace
+  };
+  saveEntry({ key, ...entry });
+  entry.size = estimateSize(data);
+  put(key, entry);
+  evictOverflow();
 }
 
 /**
- * Clear specific cache entry
+ * Clear a specific cache entry, or every entry whose key starts with the
+ * given prefix
+ * @param {string} key - Key, or key prefix when options.prefix is set
+ * @param {Object} options
+ * @param {boolean} options.prefix - Treat key as a prefix
+ * @returns {number} Number of entries cleared
  */
-export function clearCache(key) {
-  cache.delete(key);
+export function clearCache(key, { prefix = false } = {}) {
+  const matches = k => prefix ? k.startsWith(key) : k === key;
+  const keys = [...cache.keys()].filter(matches);
+  keys.forEach(remove);
+  // A request still running for the key must not repopulate it
+  [...inFlight.keys()].filter(matches).forEach(k => inFlight.delete(k));
+  deleteEntries(prefix ? keys : [key]);
+  notify();
+  return keys.length;
+}
+
+/**
+ * Clear every cache entry for which predicate(key, data) returns true
+ * @returns {number} Number of entries cleared
+ */
+export function clearCacheWhere(predicate) {
+  const keys = [];
+  for (const [key, entry] of cache) {
+    if (predicate(key, entry.data)) keys.push(key);
+  }
+  keys.forEach(remove);
+  // A request still running must not write back data the predicate matches;
+  // its data is only known once it resolves, so the check happens then
+  for (const pending of inFlight.values()) pending.invalidations.push(predicate);
+  if (keys.length > 0) {
+    deleteEntries(keys);
+    notify();
+  }
+  return keys.length;
 }
 
 /**
@@ -63,6 +248,167 @@ export function clearCache(key) {
  */
 export function clearAllCache() {
   cache.clear();
+  totalBytes = 0;
+  inFlight.clear();
+  clearEntries();
+  notify();
+}
+
+/**
+ * Load the entries persisted by earlier page loads into memory, marked stale.
+ * Call once before the first render so cached data shows immediately.
+ * Entries already in memory win over persisted ones.
+ * @returns {Promise<number>} Number of entries restored
+ */
+export async function hydrateCache() {
+  const cutoff = Date.now() - MAX_STALE_AGE;
+  const dropped = [];
+  let restored = 0;
+  // Oldest first, so LRU eviction drops the oldest restored entries
+  const entries = (await loadEntries()).sort((a, b) => a.cachedAt - b.cachedAt);
+  for (const { key, data, expiry, cachedAt, namespace } of entries) {
+    if (cachedAt < cutoff) {
+      dropped.push(key);
+    } else if (!cache.has(key)) {
+      put(key, { data, expiry, cachedAt, namespace, size: estimateSize(data), stale: true });
+      restored++;
+    }
+  }
+  deleteEntries(dropped);
+  evictOverflow();
+  if (restored > 0) notify();
+  return restored;
+}
+
+/**
+ * Subscribe to revalidation and clear events.
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeCache(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Changes on every event subscribeCache listeners receive.
+ */
+export function getCacheVersion() {
+  return version;
+}
+
+/**
+ * Where a value returned by cachedFetch came from. Objects and arrays held
+ * directly by the cached value (e.g. the `bugs` of `{bugs, total}`) resolve
+ * to the same entry.
+ * @returns {{key: string, cachedAt: number, stale: boolean, revalidating: boolean, superseded: boolean}|null}
+ *   null for values that did not come from cachedFetch. `stale` values were
+ *   restored from a previous page load; `superseded` means the cache now holds
+ *   newer fresh data for the key.
+ */
+export function getCacheInfo(value) {
+  const source = isObject(value) ? servedFrom.get(value) : undefined;
+  if (!source) return null;
+  const { key, entry } = source;
+  const current = cache.get(key);
+  return {
+    key,
+    cachedAt: entry.cachedAt,
+    stale: !!entry.stale,
+    revalidating: !!entry.stale && inFlight.has(key),
+    superseded: !!current && current !== entry && !current.stale
+  };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function track(key, entry) {
+  if (!isObject(entry.data)) return;
+  const source = { key, entry };
+  servedFrom.set(entry.data, source);
+  if (!Array.isArray(entry.data)) {
+    Object.values(entry.data).forEach(value => {
+      if (isObject(value)) servedFrom.set(value, source);
+    });
+  }
+}
+
+// Start the shared request for a key. Its result is cached unless the key
+// was cleared (or restarted) meanwhile; failures are never cached.
+function startFetch(key, fetchFunction, cacheOptions) {
+  const controller = new AbortController();
+  const pending = { controller, waiters: 0, pinned: false, invalidations: [], progressListeners: new Set(), progress: null };
+  const reportProgress = progress => {
+    pending.progress = progress;
+    pending.progressListeners.forEach(listener => listener(progress));
+  };
+  pending.promise = Promise.resolve()
+    .then(() => fetchFunction(controller.signal, reportProgress))
+    .then(data => {
+      if (inFlight.get(key) !== pending) return data;
+      if (pending.invalidations.some(predicate => predicate(key, data))) inFlight.delete(key);
+      else setCache(key, data, cacheOptions);
+      return data;
+    })
+    .finally(() => {
+      if (inFlight.get(key) === pending) inFlight.delete(key);
+    });
+  inFlight.set(key, pending);
+  return pending;
+}
+
+// Wait for a shared request on behalf of one caller. Aborting the caller's
+// signal rejects only that caller; the request itself is aborted once every
+// waiter has gone, and never while a waiter without a signal remains.
+function waitFor(pending, signal, onProgress) {
+  if (signal?.aborted) return Promise.reject(abortError());
+  const stopProgress = followProgress(pending, onProgress);
+  if (!signal) {
+    pending.pinned = true;
+    pending.promise.then(stopProgress, stopProgress);
+    return pending.promise;
+  }
+  pending.waiters++;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      stopProgress();
+      pending.waiters--;
+      if (pending.waiters === 0 && !pending.pinned) pending.controller.abort();
+      reject(abortError());
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    pending.promise
+      .then(resolve, reject)
+      .finally(() => {
+        stopProgress();
+        signal.removeEventListener('abort', onAbort);
+      });
+  });
+}
+
+// Forward a request's progress to one waiter, starting with the latest report
+// so a caller joining midway does not wait for the next one
+function followProgress(pending, onProgress) {
+  if (!onProgress) return () => {};
+  pending.progressListeners.add(onProgress);
+  if (pending.progress !== null) onProgress(pending.progress);
+  return () => pending.progressListeners.delete(onProgress);
+}
+
+function abortError() {
+  return new DOMException('The operation was aborted', 'AbortError');
+}
+
+function revalidate(key, fetchFunction, cacheOptions) {
+  if (inFlight.has(key)) return;
+  const pending = startFetch(key, fetchFunction, cacheOptions);
+  // Nobody waits on a background refresh, so no caller can cancel it
+  pending.pinned = true;
+  notify();
+  pending.promise
+    .catch(error => console.warn(`Revalidation failed for ${key}:`, error))
+    .finally(notify);
 }
 
 /**
@@ -76,23 +422,84 @@ export function getCacheStats() {
 }
 
 /**
- * Cached fetch wrapper
+ * Every entry with its timing, approximate size and cachedFetch hit / miss
+ * counts, sorted by key. A cachedFetch that joins a request already running
+ * counts as a hit.
+ * @returns {Array<{key: string, cachedAt: number, expiry: number, ttlRemaining: number, namespace: string|null, size: number,
+ *   stale: boolean, pending: boolean, hits: number, misses: number}>}
+ */
+export function getCacheEntries() {
+  const now = Date.now();
+  return Array.from(cache, ([key, entry]) => ({
+    key,
+    cachedAt: entry.cachedAt,
+    expiry: entry.expiry,
+    ttlRemaining: Math.max(0, entry.expiry - now),
+    namespace: entry.namespace ?? null,
+    size: entry.size,
+    stale: !!entry.stale,
+    pending: inFlight.has(key),
+    ...(counters.get(key) || { hits: 0, misses: 0 })
+  })).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Reset every key's hit / miss counts.
  */
-export async function cachedFetch(cacheKey, fetchFunction, ttl = CACHE_TTL) {
+export function resetCacheCounters() {
+  counters.clear();
+}
+
+/**
+ * Cached fetch wrapper. Concurrent calls for the same key share one request;
+ * if it fails, every waiter gets the error and nothing is cached.
+ *
+ * fetchFunction receives the shared request's AbortSignal and must use it
+ * rather than any single caller's signal, so one caller cancelling does not
+ * cancel the request for the others. Likewise it reports progress through the
+ * callback it is given, which passes each report on to every waiter's
+ * onProgress; a caller's own callback captured in fetchFunction would only
+ * ever reach the caller that started the request.
+ * @param {string} cacheKey
+ * @param {Function} fetchFunction - (signal, reportProgress) => Promise
+ * @param {number|Object} options - TTL in ms, or { ttl, namespace, signal, onProgress }
+ *   where the namespace's TTL applies when ttl is omitted, signal cancels
+ *   this caller's wait and onProgress receives the shared request's progress
+ */
+export async function cachedFetch(cacheKey, fetchFunction, options = {}) {
+  const { ttl, namespace, signal, onProgress } = parseOptions(options);
+  const cacheOptions = { ttl, namespace };
+
+  // Restored from a previous page load: serve it now, refresh in the background
+  const restored = cache.get(cacheKey);
+  if (restored?.stale) {
+    count(cacheKey, 'hits');
+    revalidate(cacheKey, fetchFunction, cacheOptions);
+    touch(cacheKey, restored);
+    track(cacheKey, restored);
+    return restored.data;
+  }
+
   // Check cache first
   const cached = getCached(cacheKey);
   if (cached !== null) {
-    console.log(`Cache HIT for ${cacheKey}`);
+    count(cacheKey, 'hits');
+    track(cacheKey, cache.get(cacheKey));
     return cached;
   }
 
-  // Cache miss, fetch data
-  console.log(`Cache MISS for ${cacheKey}`);
-  const data = await fetchFunction();
-
-  // Store in cache
-  setCache(cacheKey, data, ttl);
+  // Join the request already running for this key, or start one
+  let pending = inFlight.get(cacheKey);
+  if (pending) {
+    count(cacheKey, 'hits');
+  } else {
+    count(cacheKey, 'misses');
+    pending = startFetch(cacheKey, fetchFunction, cacheOptions);
+  }
+  const data = await waitFor(pending, signal, onProgress);
 
+  const entry = cache.get(cacheKey);
+  if (entry?.data === data) track(cacheKey, entry);
   return data;
 }
 
@@ -1,9 +1,18 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
-import { getCached, setCache, clearCache, clearAllCache, cachedFetch, getCacheStats } from './cache'
+import { getCached, setCache, clearCache, clearCacheWhere, clearAllCache, cachedFetch, getCacheStats, hydrateCache, getCacheInfo, subscribeCache, getCacheEntries, resetCacheCounters, configureCache, resetCacheConfig, getCacheConfig } from './cache'
+import { loadEntries, saveEntry, deleteEntries, clearEntries } from './cacheStore'
+
+vi.mock('./cacheStore', () => ({
+  loadEntries: vi.fn(async () => []),
+  saveEntry: vi.fn(async () => null),
+  deleteEntries: vi.fn(async () => null),
+  clearEntries: vi.fn(async () => null),
+}))
 
 // The cache module uses a module-level Map, so we reset between tests via clearAllCache()
 beforeEach(() => {
   clearAllCache()
+  resetCacheConfig()
   vi.restoreAllMocks()
 })
 
@@ -79,6 +88,47 @@ describe('clearCache', () => {
   it('is a no-op for a key that does not exist', () => {
     expect(() => clearCache('nonexistent')).not.toThrow()
   })
+
+  it('clears every key with a prefix and returns the count', () => {
+    setCache('perf-impact:impactLevel=high', 1)
+    setCache('perf-impact:all=true', 2)
+    setCache('perf-throughput:since=x', 3)
+    expect(clearCache('perf-impact:', { prefix: true })).toBe(2)
+    expect(getCacheStats().keys).toEqual(['perf-throughput:since=x'])
+  })
+
+  it('stops requests in flight under a prefix from caching their result', async () => {
+    let resolveFetch
+    const pending = cachedFetch('prefix:a', () => new Promise(resolve => { resolveFetch = resolve }))
+    await vi.waitFor(() => expect(resolveFetch).toBeDefined())
+    clearCache('prefix:', { prefix: true })
+    resolveFetch('late')
+    expect(await pending).toBe('late')
+    expect(getCached('prefix:a')).toBeNull()
+  })
+})
+
+// ---------------------------------------------------------------------------
+// clearCacheWhere
+// ---------------------------------------------------------------------------
+describe('clearCacheWhere', () => {
+  it('removes only entries matching the predicate and returns the count', () => {
+    setCache('list-a', [{ id: 1 }, { id: 2 }])
+    setCache('list-b', [{ id: 3 }])
+    setCache('detail-2', { id: 2 })
+    const cleared = clearCacheWhere((key, data) => Array.isArray(data) && data.some(b => b.id === 2))
+    expect(cleared).toBe(1)
+    expect(getCached('list-a')).toBeNull()
+    expect(getCached('list-b')).toEqual([{ id: 3 }])
+    expect(getCached('detail-2')).toEqual({ id: 2 })
+  })
+
+  it('passes the key to the predicate', () => {
+    setCache('bug-detail-5', {})
+    setCache('other', {})
+    clearCacheWhere(key => key.startsWith('bug-detail-'))
+    expect(getCacheStats().keys).toEqual(['other'])
+  })
 })
 
 // ---------------------------------------------------------------------------
@@ -111,6 +161,94 @@ describe('getCacheStats', () => {
   })
 })
 
+// ---------------------------------------------------------------------------
+// LRU eviction
+// ---------------------------------------------------------------------------
+describe('LRU eviction', () => {
+  it('evicts the least recently used entries beyond maxEntries', () => {
+    configureCache({ maxEntries: 3 })
+    setCache('a', 1)
+    setCache('b', 2)
+    setCache('c', 3)
+    getCached('a') // a is now more recent than b
+    setCache('d', 4)
+    expect(getCacheStats().keys.sort()).toEqual(['a', 'c', 'd'])
+  })
+
+  it('evicts by approximate size beyond maxBytes', () => {
+    configureCache({ maxBytes: 25 })
+    setCache('first', 'x'.repeat(8)) // 10 bytes as JSON
+    setCache('second', 'y'.repeat(8))
+    expect(getCacheConfig().bytes).toBe(20)
+    setCache('third', 'z'.repeat(8))
+    expect(getCacheStats().keys).toEqual(['second', 'third'])
+    expect(getCacheConfig().bytes).toBe(20)
+  })
+
+  it('keeps a single entry larger than maxBytes', () => {
+    configureCache({ maxBytes: 5 })
+    setCache('big', 'x'.repeat(100))
+    expect(getCached('big')).toBe('x'.repeat(100))
+  })
+
+  it('counts a cachedFetch hit as a use', async () => {
+    configureCache({ maxEntries: 2 })
+    await cachedFetch('used', async () => 'u')
+    setCache('other', 'o')
+    await cachedFetch('used', async () => 'never')
+    setCache('newest', 'n')
+    expect(getCacheStats().keys.sort()).toEqual(['newest', 'used'])
+  })
+
+  it('applies lowered limits immediately and removes evicted entries from storage', () => {
+    vi.mocked(deleteEntries).mockClear()
+    setCache('a', 1)
+    setCache('b', 2)
+    setCache('c', 3)
+    configureCache({ maxEntries: 1 })
+    expect(getCacheStats().keys).toEqual(['c'])
+    expect(deleteEntries).toHaveBeenCalledWith(['a', 'b'])
+  })
+})
+
+// ---------------------------------------------------------------------------
+// Namespace TTLs
+// ---------------------------------------------------------------------------
+describe('namespace TTLs', () => {
+  it('uses the namespace TTL when no ttl is given', () => {
+    vi.useFakeTimers()
+    setCache('th', 'data', { namespace: 'treeherder' })
+    setCache('plain', 'data')
+    vi.advanceTimersByTime(10 * 60 * 1000)
+    expect(getCached('th')).toBe('data')
+    expect(getCached('plain')).toBeNull()
+    vi.useRealTimers()
+  })
+
+  it('lets an explicit ttl override the namespace TTL', () => {
+    vi.useFakeTimers()
+    setCache('short', 'data', { ttl: 1000, namespace: 'stmo' })
+    vi.advanceTimersByTime(1001)
+    expect(getCached('short')).toBeNull()
+    vi.useRealTimers()
+  })
+
+  it('can be reconfigured at runtime', async () => {
+    vi.useFakeTimers()
+    configureCache({ namespaceTtls: { bugzilla: 1000 } })
+    expect(getCacheConfig().namespaceTtls).toMatchObject({ bugzilla: 1000, stmo: 60 * 60 * 1000 })
+    await cachedFetch('bz', async () => 'data', { namespace: 'bugzilla' })
+    vi.advanceTimersByTime(1001)
+    expect(getCached('bz')).toBeNull()
+    vi.useRealTimers()
+  })
+
+  it('records the namespace on the entry', () => {
+    setCache('ns', 1, { namespace: 'stmo' })
+    expect(getCacheEntries()[0].namespace).toBe('stmo')
+  })
+})
+
 // ---------------------------------------------------------------------------
 // cachedFetch
 // ---------------------------------------------------------------------------
@@ -155,3 +293,313 @@ describe('cachedFetch', () => {
     expect(fetchFn).toHaveBeenCalledTimes(2)
   })
 })
+
+// ---------------------------------------------------------------------------
+// getCacheEntries
+// ---------------------------------------------------------------------------
+describe('getCacheEntries', () => {
+  beforeEach(() => resetCacheCounters())
+
+  it('lists entries by key with timing and approximate size', () => {
+    vi.useFakeTimers()
+    setCache('b-key', { value: 'abc' }, 10000)
+    setCache('a-key', [1, 2, 3], 10000)
+    vi.advanceTimersByTime(4000)
+    const entries = getCacheEntries()
+    expect(entries.map(e => e.key)).toEqual(['a-key', 'b-key'])
+    expect(entries[0]).toMatchObject({ ttlRemaining: 6000, size: '[1,2,3]'.length, stale: false, pending: false, hits: 0, misses: 0 })
+    expect(entries[1].size).toBe('{"value":"abc"}'.length)
+    vi.advanceTimersByTime(7000)
+    expect(getCacheEntries()[0].ttlRemaining).toBe(0)
+    vi.useRealTimers()
+  })
+
+  it('counts cachedFetch hits, misses and joined requests', async () => {
+    const fetchFn = vi.fn().mockResolvedValue('v')
+    await Promise.all([cachedFetch('counted', fetchFn), cachedFetch('counted', fetchFn)])
+    await cachedFetch('counted', fetchFn)
+    expect(getCacheEntries().find(e => e.key === 'counted')).toMatchObject({ hits: 2, misses: 1 })
+
+    resetCacheCounters()
+    expect(getCacheEntries().find(e => e.key === 'counted')).toMatchObject({ hits: 0, misses: 0 })
+  })
+})
+
+// ---------------------------------------------------------------------------
+// cachedFetch — in-flight deduplication
+// ---------------------------------------------------------------------------
+describe('cachedFetch in-flight deduplication', () => {
+  // A fetchFunction whose result the test settles by hand
+  function deferredFetch() {
+    const fn = vi.fn((signal, reportProgress) => new Promise((resolve, reject) => {
+      fn.resolve = resolve
+      fn.reject = reject
+      fn.signal = signal
+      fn.reportProgress = reportProgress
+    }))
+    return fn
+  }
+
+  it('shares one request between concurrent callers', async () => {
+    const fetchFn = deferredFetch()
+    const first = cachedFetch('shared', fetchFn)
+    const second = cachedFetch('shared', fetchFn)
+    await vi.waitFor(() => expect(fetchFn).toHaveBeenCalled())
+    fetchFn.resolve(['data'])
+    const [a, b] = await Promise.all([first, second])
+    expect(a).toEqual(['data'])
+    expect(b).toBe(a)
+    expect(fetchFn).toHaveBeenCalledTimes(1)
+    expect(getCached('shared')).toBe(a)
+  })
+
+  it('rejects every waiter on failure and caches nothing', async () => {
+    const fetchFn = deferredFetch()
+    const first = cachedFetch('shared-fail', fetchFn)
+    const second = cachedFetch('shared-fail', fetchFn)
+    await vi.waitFor(() => expect(fetchFn).toHaveBeenCalled())
+    fetchFn.reject(new Error('boom'))
+    await expect(first).rejects.toThrow('boom')
+    await expect(second).rejects.toThrow('boom')
+    expect(getCached('shared-fail')).toBeNull()
+
+    // The next call starts a new request
+    const retry = vi.fn().mockResolvedValue('ok')
+    expect(await cachedFetch('shared-fail', retry)).toBe('ok')
+    expect(retry).toHaveBeenCalledTimes(1)
+  })
+
+  it('passes a signal of its own, so one caller aborting leaves the request running for others', async () => {
+    const fetchFn = deferredFetch()
+    const controllerA = new AbortController()
+    const controllerB = new AbortController()
+    const a = cachedFetch('abort-one', fetchFn, { signal: controllerA.signal })
+    const b = cachedFetch('abort-one', fetchFn, { signal: controllerB.signal })
+    await vi.waitFor(() => expect(fetchFn).toHaveBeenCalled())
+    expect(fetchFn.signal).not.toBe(controllerA.signal)
+
+    controllerA.abort()
+    await expect(a).rejects.toMatchObject({ name: 'AbortError' })
+    expect(fetchFn.signal.aborted).toBe(false)
+
+    fetchFn.resolve('still wanted')
+    expect(await b).toBe('still wanted')
+    expect(getCached('abort-one')).toBe('still wanted')
+  })
+
+  it('aborts the request once every waiter has aborted', async () => {
+    const fetchFn = deferredFetch()
+    const controllerA = new AbortController()
+    const controllerB = new AbortController()
+    const a = cachedFetch('abort-all', fetchFn, { signal: controllerA.signal })
+    const b = cachedFetch('abort-all', fetchFn, { signal: controllerB.signal })
+    await vi.waitFor(() => expect(fetchFn).toHaveBeenCalled())
+
+    controllerA.abort()
+    controllerB.abort()
+    await expect(a).rejects.toMatchObject({ name: 'AbortError' })
+    await expect(b).rejects.toMatchObject({ name: 'AbortError' })
+    expect(fetchFn.signal.aborted).toBe(true)
+  })
+
+  it('keeps the request running while a caller without a signal waits', async () => {
+    const fetchFn = deferredFetch()
+    const controller = new AbortController()
+    const withSignal = cachedFetch('pinned', fetchFn, { signal: controller.signal })
+    const withoutSignal = cachedFetch('pinned', fetchFn)
+    await vi.waitFor(() => expect(fetchFn).toHaveBeenCalled())
+
+    controller.abort()
+    await expect(withSignal).rejects.toMatchObject({ name: 'AbortError' })
+    expect(fetchFn.signal.aborted).toBe(false)
+    fetchFn.resolve(1)
+    expect(await withoutSignal).toBe(1)
+  })
+
+  it('reports the shared request\'s progress to every waiter', async () => {
+    const fetchFn = deferredFetch()
+    const first = vi.fn()
+    const second = vi.fn()
+    const controller = new AbortController()
+    const a = cachedFetch('progress', fetchFn, { onProgress: first })
+    await vi.waitFor(() => expect(fetchFn).toHaveBeenCalled())
+    fetchFn.reportProgress({ loaded: 100, total: 300 })
+
+    // A late joiner is caught up with the latest report straight away
+    const b = cachedFetch('progress', fetchFn, { onProgress: second, signal: controller.signal })
+    await vi.waitFor(() => expect(second).toHaveBeenCalledWith({ loaded: 100, total: 300 }))
+    fetchFn.reportProgress({ loaded: 200, total: 300 })
+    expect(first).toHaveBeenLastCalledWith({ loaded: 200, total: 300 })
+    expect(second).toHaveBeenLastCalledWith({ loaded: 200, total: 300 })
+
+    // A waiter that gave up hears nothing more
+    controller.abort()
+    await expect(b).rejects.toMatchObject({ name: 'AbortError' })
+    fetchFn.reportProgress({ loaded: 300, total: 300 })
+    expect(second).toHaveBeenCalledTimes(2)
+    expect(first).toHaveBeenCalledTimes(3)
+    fetchFn.resolve('done')
+    expect(await a).toBe('done')
+  })
+
+  it('rejects immediately for an already-aborted signal', async () => {
+    const fetchFn = vi.fn().mockResolvedValue('x')
+    const controller = new AbortController()
+    controller.abort()
+    await expect(cachedFetch('pre-aborted', fetchFn, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' })
+  })
+
+  it('does not cache the result of a request whose key was cleared meanwhile', async () => {
+    const fetchFn = deferredFetch()
+    const pending = cachedFetch('cleared-mid-flight', fetchFn)
+    await vi.waitFor(() => expect(fetchFn).toHaveBeenCalled())
+    clearCache('cleared-mid-flight')
+    fetchFn.resolve('outdated')
+    expect(await pending).toBe('outdated')
+    expect(getCached('cleared-mid-flight')).toBeNull()
+  })
+
+  it('does not cache the result of a request that clearCacheWhere matched meanwhile', async () => {
+    const listFetch = deferredFetch()
+    const otherFetch = deferredFetch()
+    const list = cachedFetch('list-mid-flight', listFetch)
+    const other = cachedFetch('other-mid-flight', otherFetch)
+    await vi.waitFor(() => expect(otherFetch).toHaveBeenCalled())
+    clearCacheWhere((key, data) => Array.isArray(data) && data.some(b => b.id === 7))
+    listFetch.resolve([{ id: 7, severity: 'S3' }])
+    otherFetch.resolve([{ id: 8 }])
+    expect(await list).toEqual([{ id: 7, severity: 'S3' }])
+    await other
+    expect(getCached('list-mid-flight')).toBeNull()
+    expect(getCached('other-mid-flight')).toEqual([{ id: 8 }])
+  })
+
+  it('accepts the TTL as a number or in the options', async () => {
+    vi.useFakeTimers()
+    await cachedFetch('ttl-number', async () => 'a', 1000)
+    await cachedFetch('ttl-option', async () => 'b', { ttl: 1000 })
+    vi.advanceTimersByTime(1001)
+    expect(getCached('ttl-number')).toBeNull()
+    expect(getCached('ttl-option')).toBeNull()
+    vi.useRealTimers()
+  })
+})
+
+// ---------------------------------------------------------------------------
+// Persistence
+// ---------------------------------------------------------------------------
+describe('persistence', () => {
+  beforeEach(() => {
+    vi.mocked(saveEntry).mockClear()
+    vi.mocked(deleteEntries).mockClear()
+    vi.mocked(clearEntries).mockClear()
+  })
+
+  it('persists entries on set and removes them on clear', () => {
+    setCache('persist-me', { a: 1 }, 1000)
+    expect(saveEntry).toHaveBeenCalledWith(expect.objectContaining({ key: 'persist-me', data: { a: 1 } }))
+
+    clearCache('persist-me')
+    expect(deleteEntries).toHaveBeenCalledWith(['persist-me'])
+
+    setCache('list-1', 1)
+    setCache('other', 2)
+    clearCacheWhere(key => key.startsWith('list-'))
+    expect(deleteEntries).toHaveBeenLastCalledWith(['list-1'])
+
+    clearAllCache()
+    expect(clearEntries).toHaveBeenCalled()
+  })
+})
+
+// ---------------------------------------------------------------------------
+// hydrateCache / stale-while-revalidate
+// ---------------------------------------------------------------------------
+describe('hydrateCache', () => {
+  const HOUR = 60 * 60 * 1000
+  const restoredEntry = (key, data, ageMs) => ({ key, data, cachedAt: Date.now() - ageMs, expiry: Date.now() - ageMs + 5 * 60 * 1000 })
+
+  it('restores recent entries and drops ones older than a week', async () => {
+    vi.mocked(loadEntries).mockResolvedValueOnce([
+      restoredEntry('recent', { bugs: [1] }, HOUR),
+      restoredEntry('ancient', { bugs: [2] }, 8 * 24 * HOUR),
+    ])
+    expect(await hydrateCache()).toBe(1)
+    expect(getCacheStats().keys).toEqual(['recent'])
+    expect(deleteEntries).toHaveBeenCalledWith(['ancient'])
+  })
+
+  it('evicts the oldest restored entries beyond the cache limits', async () => {
+    configureCache({ maxEntries: 2 })
+    vi.mocked(loadEntries).mockResolvedValueOnce([
+      restoredEntry('newer', 1, HOUR),
+      restoredEntry('oldest', 2, 3 * HOUR),
+      restoredEntry('older', 3, 2 * HOUR),
+    ])
+    await hydrateCache()
+    expect(getCacheStats().keys).toEqual(['older', 'newer'])
+  })
+
+  it('keeps entries already in memory', async () => {
+    setCache('live', 'new')
+    vi.mocked(loadEntries).mockResolvedValueOnce([restoredEntry('live', 'old', HOUR)])
+    expect(await hydrateCache()).toBe(0)
+    expect(getCached('live')).toBe('new')
+  })
+
+  it('serves restored data immediately and revalidates it in the background', async () => {
+    vi.mocked(loadEntries).mockResolvedValueOnce([restoredEntry('swr', { bugs: ['old'], total: 1 }, 2 * HOUR)])
+    await hydrateCache()
+    const listener = vi.fn()
+    const unsubscribe = subscribeCache(listener)
+
+    let resolveFetch
+    const fetchFn = vi.fn(() => new Promise(resolve => { resolveFetch = resolve }))
+    const stale = await cachedFetch('swr', fetchFn)
+    expect(stale).toEqual({ bugs: ['old'], total: 1 })
+
+    await vi.waitFor(() => expect(fetchFn).toHaveBeenCalledTimes(1))
+    expect(getCacheInfo(stale)).toMatchObject({ key: 'swr', stale: true, revalidating: true, superseded: false })
+    // Nested values resolve to the same entry
+    expect(getCacheInfo(stale.bugs)).toMatchObject({ key: 'swr', stale: true })
+
+    // A second caller during revalidation gets the stale data without another fetch
+    expect(await cachedFetch('swr', fetchFn)).toBe(stale)
+    expect(fetchFn).toHaveBeenCalledTimes(1)
+
+    resolveFetch({ bugs: ['new'], total: 1 })
+    await vi.waitFor(() => expect(getCacheInfo(stale).superseded).toBe(true))
+    expect(getCacheInfo(stale).revalidating).toBe(false)
+    expect(listener).toHaveBeenCalled()
+
+    const fresh = await cachedFetch('swr', fetchFn)
+    expect(fresh).toEqual({ bugs: ['new'], total: 1 })
+    expect(getCacheInfo(fresh)).toMatchObject({ stale: false, superseded: false })
+    expect(fetchFn).toHaveBeenCalledTimes(1)
+    unsubscribe()
+  })
+
+  it('keeps the restored data when revalidation fails and retries on the next call', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    vi.mocked(loadEntries).mockResolvedValueOnce([restoredEntry('offline', ['old'], HOUR)])
+    await hydrateCache()
+    const fetchFn = vi.fn()
+      .mockRejectedValueOnce(new Error('offline'))
+      .mockResolvedValueOnce(['new'])
+
+    const stale = await cachedFetch('offline', fetchFn)
+    await vi.waitFor(() => expect(getCacheInfo(stale).revalidating).toBe(false))
+    expect(getCacheInfo(stale)).toMatchObject({ stale: true, superseded: false })
+
+    expect(await cachedFetch('offline', fetchFn)).toEqual(['old'])
+    await vi.waitFor(() => expect(getCacheInfo(stale).superseded).toBe(true))
+    expect(fetchFn).toHaveBeenCalledTimes(2)
+  })
+
+  it('returns null info for values that did not come from cachedFetch', async () => {
+    expect(getCacheInfo(['x'])).toBeNull()
+    expect(getCacheInfo(null)).toBeNull()
+    const fresh = await cachedFetch('fresh-info', async () => ['y'])
+    expect(getCacheInfo(fresh)).toMatchObject({ key: 'fresh-info', stale: false, revalidating: false })
+  })
+})
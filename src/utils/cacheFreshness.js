@@ -0,0 +1,37 @@
+/**
+ * Stale-while-revalidate support for views — tells a card whether it is
+ * showing data restored from a previous page load, and when the background
+ * refresh of that data has landed.
+ */
+
+import { useEffect, useRef, useSyncExternalStore } from 'react'
+import { getCacheInfo, subscribeCache, getCacheVersion } from './cache'
+
+/**
+ * React hook reporting how fresh the given cached values are.
+ * @param {Array} sources - Values returned by cached service calls (empty or
+ *   non-cached values are ignored)
+ * @param {Function} onRevalidated - Called when newer data for a source has
+ *   been cached; re-run the service call to pick it up
+ * @returns {{since: number, refreshing: boolean}|null} Time the oldest restored
+ *   source was cached, and whether its refresh is still running; null when
+ *   every source is fresh
+ */
+export function useCacheFreshness(sources, onRevalidated) {
+  useSyncExternalStore(subscribeCache, getCacheVersion)
+  const infos = sources.map(getCacheInfo).filter(Boolean)
+
+  const callbackRef = useRef(onRevalidated)
+  callbackRef.current = onRevalidated
+  const superseded = infos.some(info => info.superseded)
+  useEffect(() => {
+    if (superseded) callbackRef.current?.()
+  }, [superseded])
+
+  const stale = infos.filter(info => info.stale && !info.superseded)
+  if (stale.length === 0) return null
+  return {
+    since: Math.min(...stale.map(info => info.cachedAt)),
+    refreshing: stale.some(info => info.revalidating),
+  }
+}
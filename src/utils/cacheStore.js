@@ -0,0 +1,78 @@
+/**
+ * IndexedDB persistence for utils/cache.js — one record per cache key, so
+ * responses survive a page reload. Every function is a no-op where IndexedDB
+ * is unavailable (tests, private windows that block it); failures are logged
+ * and swallowed since the in-memory cache keeps working without them.
+ */
+
+const DB_NAME = 'perf-dashboard-cache'
+const DB_VERSION = 1
+const STORE = 'entries'
+
+let dbPromise = null
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'key' })
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+    }).catch(err => {
+      console.warn('Persistent cache unavailable:', err)
+      return null
+    })
+  }
+  return dbPromise
+}
+
+// Run fn(store) in a transaction; resolves with the request result once the
+// transaction completes
+async function withStore(mode, fn) {
+  const db = await openDb()
+  if (!db) return null
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode)
+    const req = fn(tx.objectStore(STORE))
+    tx.oncomplete = () => resolve(req?.result ?? null)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  }).catch(err => {
+    console.warn('Persistent cache operation failed:', err)
+    return null
+  })
+}
+
+/**
+ * All persisted entries.
+ * @returns {Promise<Array<{key: string, data: *, expiry: number, cachedAt: number}>>}
+ */
+export async function loadEntries() {
+  return (await withStore('readonly', store => store.getAll())) || []
+}
+
+/**
+ * Persist one entry, replacing any previous record for its key.
+ */
+export function saveEntry(entry) {
+  return withStore('readwrite', store => store.put(entry))
+}
+
+/**
+ * Delete the records for the given keys.
+ * @param {Array<string>} keys
+ */
+export function deleteEntries(keys) {
+  if (keys.length === 0) return Promise.resolve(null)
+  return withStore('readwrite', store => {
+    keys.forEach(key => store.delete(key))
+  })
+}
+
+/**
+ * Delete every record.
+ */
+export function clearEntries() {
+  return withStore('readwrite', store => store.clear())
+}
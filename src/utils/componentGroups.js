@@ -0,0 +1,216 @@
+/**
+ * Component group registry — the single source of truth for the component
+ * groups shown in Perf Priorities, the Overview tiles, cache clearing and
+ * exports. Groups are user-editable and persisted to localStorage.
+ *
+ * A group is:
+ *   { key, label, queries, whiteboardTag, impactLevels }
+ * where each query is one of
+ *   { componentSubstring, product? }  — components containing the substring (optionally within a product)
+ *   { product }                       — a whole product, no component filter
+ *   { metaBugId }                     — every bug below a meta bug (signal filters not applied)
+ * and a bug matches a component/product query when its whiteboard contains
+ * whiteboardTag OR its cf_performance_impact is one of impactLevels.
+ */
+
+import { useSyncExternalStore } from 'react'
+
+const STORAGE_KEY = 'component_groups'
+
+export const IMPACT_LEVELS = ['high', 'medium', 'low']
+
+const PERF_PRIO = { whiteboardTag: 'perf-prio]', impactLevels: ['high', 'medium'] }
+
+export const DEFAULT_COMPONENT_GROUPS = [
+  { key: 'sp3',        label: 'SP3 Prio',                  queries: [{ metaBugId: 2026188 }], ...PERF_PRIO },
+  { key: 'css',        label: 'CSS Parsing & Transitions', queries: [{ componentSubstring: 'CSS Parsing' }, { componentSubstring: 'CSS Transitions' }], ...PERF_PRIO },
+  { key: 'dom',        label: 'DOM',                       queries: [{ componentSubstring: 'DOM' }], ...PERF_PRIO },
+  { key: 'graphics',   label: 'Graphics',                  queries: [{ componentSubstring: 'Graphics' }], ...PERF_PRIO },
+  { key: 'javascript', label: 'JavaScript Engine',         queries: [{ componentSubstring: 'JavaScript' }], ...PERF_PRIO },
+  { key: 'layout',     label: 'Layout',                    queries: [{ componentSubstring: 'Layout' }], ...PERF_PRIO },
+  { key: 'memory',     label: 'Memory Allocator',          queries: [{ componentSubstring: 'Memory Allocator' }, { componentSubstring: 'Cycle Collector' }], ...PERF_PRIO },
+  { key: 'necko',      label: 'Necko / Networking',        queries: [{ componentSubstring: 'Networking' }, { product: 'Firefox for Android' }], ...PERF_PRIO },
+  { key: 'painting',   label: 'Web Painting',              queries: [{ componentSubstring: 'Web Painting' }], ...PERF_PRIO },
+  { key: 'storage',    label: 'Storage',                   queries: [{ componentSubstring: 'Storage' }], ...PERF_PRIO },
+]
+
+let groups = null
+const listeners = new Set()
+
+/**
+ * Derive a group key from its label, e.g. 'Web Painting' → 'web-painting'.
+ */
+export function slugifyGroupKey(label) {
+  return (label || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+}
+
+/**
+ * Whether a group is made up only of meta bug queries (e.g. SP3).
+ */
+export function isMetaBugGroup(group) {
+  return group.queries.length > 0 && group.queries.every(q => q.metaBugId)
+}
+
+/**
+ * The first group with a meta bug query (SP3 by default), which drives the
+ * Overview SP3 tiles and the default Meta Bug Tree root.
+ * @returns {Object|undefined}
+ */
+export function findMetaBugGroup(groups) {
+  return groups.find(g => g.queries.some(q => q.metaBugId != null))
+}
+
+/**
+ * Meta bug ID of the first group with a meta bug query.
+ * @returns {number|null}
+ */
+export function defaultMetaBugId(groups) {
+  return findMetaBugGroup(groups)?.queries.find(q => q.metaBugId != null).metaBugId ?? null
+}
+
+/**
+ * Human-readable summary of a single query, for settings lists and reports.
+ */
+export function describeQuery(query) {
+  if (query.metaBugId != null) return `meta bug ${query.metaBugId}`
+  if (query.componentSubstring != null) {
+    return `component contains "${query.componentSubstring}"${query.product ? ` in ${query.product}` : ''}`
+  }
+  return `product ${query.product}`
+}
+
+/**
+ * Whether an already-fetched bug would be returned by a group's component or
+ * product queries (component substring match is case-insensitive, like
+ * Bugzilla's). Meta bug queries never match, since that needs the dependency
+ * graph; whiteboard is only checked when the bug carries it.
+ */
+export function bugMatchesGroup(bug, group) {
+  const hasSignal = (group.impactLevels || []).includes(bug.cf_performance_impact)
+    || (!!group.whiteboardTag && (bug.whiteboard || '').toLowerCase().includes(group.whiteboardTag.toLowerCase()))
+  if (!hasSignal) return false
+  return group.queries.some(q => {
+    if (q.metaBugId != null) return false
+    if (q.product && bug.product !== q.product) return false
+    if (q.componentSubstring && !(bug.component || '').toLowerCase().includes(q.componentSubstring.toLowerCase())) return false
+    return true
+  })
+}
+
+/**
+ * Validate a group against the rest of the registry.
+ * @param {Object} group
+ * @param {Array} otherGroups - Every other group in the registry
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateComponentGroup(group, otherGroups = []) {
+  const errors = []
+  const queries = group.queries || []
+  const impactLevels = group.impactLevels || []
+  if (!group.label?.trim()) errors.push('Label is required')
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(group.key || '')) errors.push('Key must be lowercase letters, digits and dashes')
+  else if (otherGroups.some(g => g.key === group.key)) errors.push(`Key "${group.key}" is already used`)
+  if (queries.length === 0) errors.push('At least one query is required')
+  queries.forEach((q, i) => {
+    if (q.metaBugId != null && q.metaBugId !== '') {
+      if (!/^\d+$/.test(String(q.metaBugId))) errors.push(`Query ${i + 1}: meta bug ID must be a number`)
+    } else if (!q.componentSubstring?.trim() && !q.product?.trim()) {
+      errors.push(`Query ${i + 1}: needs a component substring, product or meta bug ID`)
+    }
+  })
+  const hasSearchQuery = queries.some(q => !q.metaBugId)
+  if (hasSearchQuery && !group.whiteboardTag?.trim() && impactLevels.length === 0) {
+    errors.push('Set a whiteboard tag or at least one impact level')
+  }
+  impactLevels.forEach(level => {
+    if (!IMPACT_LEVELS.includes(level)) errors.push(`Unknown impact level: ${level}`)
+  })
+  return errors
+}
+
+// Trim strings and drop empty query fields so stored groups stay canonical
+function normalizeGroup(group) {
+  return {
+    key: group.key.trim(),
+    label: group.label.trim(),
+    queries: group.queries.map(q => {
+      if (q.metaBugId != null && q.metaBugId !== '') return { metaBugId: Number(q.metaBugId) }
+      const query = {}
+      if (q.componentSubstring?.trim()) query.componentSubstring = q.componentSubstring.trim()
+      if (q.product?.trim()) query.product = q.product.trim()
+      return query
+    }),
+    whiteboardTag: (group.whiteboardTag || '').trim(),
+    impactLevels: IMPACT_LEVELS.filter(level => (group.impactLevels || []).includes(level)),
+  }
+}
+
+function loadComponentGroups() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (Array.isArray(stored) && stored.length > 0) {
+      const valid = stored.filter((g, i) => validateComponentGroup(g, stored.slice(0, i)).length === 0)
+      if (valid.length > 0) return valid.map(normalizeGroup)
+    }
+  } catch { /* fall back to defaults */ }
+  return DEFAULT_COMPONENT_GROUPS
+}
+
+function persist(next) {
+  groups = next
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(next)) } catch { /* storage unavailable */ }
+  listeners.forEach(fn => fn())
+}
+
+/**
+ * Current component groups, in display order.
+ */
+export function getComponentGroups() {
+  if (groups === null) groups = loadComponentGroups()
+  return groups
+}
+
+/**
+ * Look up a single group by key.
+ * @returns {Object|undefined}
+ */
+export function getComponentGroup(key) {
+  return getComponentGroups().find(g => g.key === key)
+}
+
+/**
+ * Replace the whole registry. Throws if any group is invalid.
+ * @param {Array} next - Groups in display order
+ */
+export function saveComponentGroups(next) {
+  next.forEach((group, i) => {
+    const errors = validateComponentGroup(group, next.slice(0, i))
+    if (errors.length > 0) throw new Error(`${group.label || group.key}: ${errors.join('; ')}`)
+  })
+  persist(next.map(normalizeGroup))
+}
+
+/**
+ * Restore the built-in groups.
+ */
+export function resetComponentGroups() {
+  try { localStorage.removeItem(STORAGE_KEY) } catch { /* storage unavailable */ }
+  groups = DEFAULT_COMPONENT_GROUPS
+  listeners.forEach(fn => fn())
+}
+
+/**
+ * Subscribe to registry changes.
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeComponentGroups(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * React hook returning the current groups and re-rendering when they change.
+ */
+export function useComponentGroups() {
+  return useSyncExternalStore(subscribeComponentGroups, getComponentGroups)
+}
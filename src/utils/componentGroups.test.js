@@ -0,0 +1,201 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  DEFAULT_COMPONENT_GROUPS, getComponentGroups, getComponentGroup, saveComponentGroups,
+  resetComponentGroups, subscribeComponentGroups, validateComponentGroup, slugifyGroupKey, isMetaBugGroup,
+  findMetaBugGroup, defaultMetaBugId,
+  describeQuery, bugMatchesGroup,
+} from './componentGroups'
+import { fakeStorage } from '../test/helpers'
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function makeGroup(overrides = {}) {
+  return {
+    key: 'webgpu',
+    label: 'WebGPU',
+    queries: [{ componentSubstring: 'WebGPU' }],
+    whiteboardTag: 'perf-prio]',
+    impactLevels: ['high', 'medium'],
+    ...overrides,
+  }
+}
+
+beforeEach(() => {
+  vi.stubGlobal('localStorage', fakeStorage())
+  resetComponentGroups()
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+// ---------------------------------------------------------------------------
+// Defaults
+// ---------------------------------------------------------------------------
+describe('DEFAULT_COMPONENT_GROUPS', () => {
+  it('has the ten built-in groups', () => {
+    expect(DEFAULT_COMPONENT_GROUPS.map(g => g.key)).toEqual(
+      ['sp3', 'css', 'dom', 'graphics', 'javascript', 'layout', 'memory', 'necko', 'painting', 'storage']
+    )
+  })
+
+  it('every default group is valid', () => {
+    DEFAULT_COMPONENT_GROUPS.forEach((g, i) => {
+      expect(validateComponentGroup(g, DEFAULT_COMPONENT_GROUPS.slice(0, i))).toEqual([])
+    })
+  })
+
+  it('getComponentGroups returns the defaults when nothing is stored', () => {
+    expect(getComponentGroups()).toBe(DEFAULT_COMPONENT_GROUPS)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// validateComponentGroup
+// ---------------------------------------------------------------------------
+describe('validateComponentGroup', () => {
+  it('accepts a well-formed group', () => {
+    expect(validateComponentGroup(makeGroup())).toEqual([])
+  })
+
+  it('rejects a duplicate key', () => {
+    const errors = validateComponentGroup(makeGroup({ key: 'dom' }), DEFAULT_COMPONENT_GROUPS)
+    expect(errors).toContain('Key "dom" is already used')
+  })
+
+  it('rejects a malformed key and missing label', () => {
+    const errors = validateComponentGroup(makeGroup({ key: 'Web GPU', label: ' ' }))
+    expect(errors).toHaveLength(2)
+  })
+
+  it('rejects a group with no queries', () => {
+    expect(validateComponentGroup(makeGroup({ queries: [] }))).toContain('At least one query is required')
+  })
+
+  it('rejects an empty query and a non-numeric meta bug ID', () => {
+    const errors = validateComponentGroup(makeGroup({ queries: [{}, { metaBugId: 'abc' }] }))
+    expect(errors).toEqual([
+      'Query 1: needs a component substring, product or meta bug ID',
+      'Query 2: meta bug ID must be a number',
+    ])
+  })
+
+  it('requires a signal for component queries but not for meta bug groups', () => {
+    const noSignal = { whiteboardTag: '', impactLevels: [] }
+    expect(validateComponentGroup(makeGroup(noSignal))).toContain('Set a whiteboard tag or at least one impact level')
+    expect(validateComponentGroup(makeGroup({ ...noSignal, queries: [{ metaBugId: 123 }] }))).toEqual([])
+  })
+
+  it('rejects unknown impact levels', () => {
+    expect(validateComponentGroup(makeGroup({ impactLevels: ['urgent'] }))).toContain('Unknown impact level: urgent')
+  })
+})
+
+// ---------------------------------------------------------------------------
+// Registry persistence
+// ---------------------------------------------------------------------------
+describe('saveComponentGroups / resetComponentGroups', () => {
+  it('persists groups and reloads them after a reset of the in-memory copy', () => {
+    saveComponentGroups([...DEFAULT_COMPONENT_GROUPS, makeGroup()])
+    expect(getComponentGroup('webgpu')).toMatchObject({ label: 'WebGPU' })
+    expect(JSON.parse(localStorage.getItem('component_groups'))).toHaveLength(11)
+  })
+
+  it('normalizes whitespace and drops empty query fields', () => {
+    saveComponentGroups([makeGroup({ label: ' WebGPU ', queries: [{ componentSubstring: ' WebGPU ', product: '' }] })])
+    expect(getComponentGroups()[0]).toMatchObject({ label: 'WebGPU', queries: [{ componentSubstring: 'WebGPU' }] })
+  })
+
+  it('throws and leaves the registry untouched when a group is invalid', () => {
+    expect(() => saveComponentGroups([makeGroup(), makeGroup()])).toThrow('already used')
+    expect(getComponentGroups()).toBe(DEFAULT_COMPONENT_GROUPS)
+  })
+
+  it('notifies subscribers on save and reset', () => {
+    const listener = vi.fn()
+    const unsubscribe = subscribeComponentGroups(listener)
+    saveComponentGroups([makeGroup()])
+    resetComponentGroups()
+    unsubscribe()
+    saveComponentGroups([makeGroup()])
+    expect(listener).toHaveBeenCalledTimes(2)
+  })
+
+  it('resetComponentGroups restores the defaults', () => {
+    saveComponentGroups([makeGroup()])
+    resetComponentGroups()
+    expect(getComponentGroups()).toBe(DEFAULT_COMPONENT_GROUPS)
+    expect(localStorage.getItem('component_groups')).toBeNull()
+  })
+})
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+describe('slugifyGroupKey', () => {
+  it('lowercases and dash-separates a label', () => {
+    expect(slugifyGroupKey('Necko / Networking')).toBe('necko-networking')
+  })
+})
+
+describe('isMetaBugGroup', () => {
+  it('is true only when every query is a meta bug query', () => {
+    expect(isMetaBugGroup(getComponentGroup('sp3'))).toBe(true)
+    expect(isMetaBugGroup(getComponentGroup('necko'))).toBe(false)
+  })
+})
+
+describe('findMetaBugGroup / defaultMetaBugId', () => {
+  it('finds the first group with a meta bug query', () => {
+    expect(findMetaBugGroup(getComponentGroups()).key).toBe('sp3')
+    expect(defaultMetaBugId(getComponentGroups())).toBe(2026188)
+  })
+
+  it('follows edits to the registry', () => {
+    const groups = getComponentGroups().filter(g => g.key !== 'sp3')
+    saveComponentGroups([...groups, makeGroup({ key: 'sp4', label: 'SP4', queries: [{ metaBugId: 123 }] })])
+    expect(findMetaBugGroup(getComponentGroups()).key).toBe('sp4')
+    expect(defaultMetaBugId(getComponentGroups())).toBe(123)
+  })
+
+  it('returns nothing when no group has a meta bug query', () => {
+    const groups = getComponentGroups().filter(g => !isMetaBugGroup(g))
+    expect(findMetaBugGroup(groups)).toBeUndefined()
+    expect(defaultMetaBugId(groups)).toBeNull()
+  })
+})
+
+describe('describeQuery', () => {
+  it('describes each query shape', () => {
+    expect(describeQuery({ metaBugId: 2026188 })).toBe('meta bug 2026188')
+    expect(describeQuery({ componentSubstring: 'DOM' })).toBe('component contains "DOM"')
+    expect(describeQuery({ componentSubstring: 'Networking', product: 'Core' })).toBe('component contains "Networking" in Core')
+    expect(describeQuery({ product: 'Firefox for Android' })).toBe('product Firefox for Android')
+  })
+})
+
+describe('bugMatchesGroup', () => {
+  const bug = (overrides = {}) => ({ product: 'Core', component: 'Networking: HTTP', cf_performance_impact: 'high', whiteboard: '', ...overrides })
+
+  it('matches component substrings case-insensitively when the bug has a signal', () => {
+    const necko = getComponentGroup('necko')
+    expect(bugMatchesGroup(bug(), necko)).toBe(true)
+    expect(bugMatchesGroup(bug({ component: 'networking: dns' }), necko)).toBe(true)
+    expect(bugMatchesGroup(bug({ component: 'DOM: Core & HTML' }), necko)).toBe(false)
+  })
+
+  it('matches product queries', () => {
+    expect(bugMatchesGroup(bug({ product: 'Firefox for Android', component: 'Toolbar' }), getComponentGroup('necko'))).toBe(true)
+  })
+
+  it('requires the impact level or whiteboard tag', () => {
+    const necko = getComponentGroup('necko')
+    expect(bugMatchesGroup(bug({ cf_performance_impact: 'low' }), necko)).toBe(false)
+    expect(bugMatchesGroup(bug({ cf_performance_impact: 'low', whiteboard: '[Perf-Prio]' }), necko)).toBe(true)
+  })
+
+  it('never matches meta bug groups', () => {
+    expect(bugMatchesGroup(bug(), getComponentGroup('sp3'))).toBe(false)
+  })
+})
@@ -0,0 +1,85 @@
+/**
+ * Meta-bug dependency tree helpers — walk a depends_on graph of arbitrary
+ * depth with cycle detection and compute open/closed rollups per subtree.
+ */
+
+const CLOSED_STATUSES = ['RESOLVED', 'VERIFIED', 'CLOSED']
+
+export function isClosedBug(bug) {
+  return CLOSED_STATUSES.includes(bug?.status)
+}
+
+/**
+ * Collect every bug reachable from rootId through depends_on, excluding the
+ * root itself. Cycle-safe: each bug is visited once.
+ * @param {number} rootId
+ * @param {Object} bugsById - { [id]: bug } where each bug carries depends_on
+ * @returns {Set<number>}
+ */
+export function getDescendantIds(rootId, bugsById) {
+  const seen = new Set()
+  const stack = [...(bugsById[rootId]?.depends_on || [])]
+  while (stack.length > 0) {
+    const id = stack.pop()
+    if (seen.has(id) || id === rootId) continue
+    seen.add(id)
+    stack.push(...(bugsById[id]?.depends_on || []))
+  }
+  return seen
+}
+
+/**
+ * Count open and closed bugs among a set of IDs. Bugs that were not fetched
+ * (e.g. security-restricted) are reported as hidden.
+ */
+export function summarizeBugIds(ids, bugsById) {
+  const rollup = { total: 0, open: 0, closed: 0, hidden: 0 }
+  ids.forEach(id => {
+    const bug = bugsById[id]
+    rollup.total++
+    if (!bug) rollup.hidden++
+    else if (isClosedBug(bug)) rollup.closed++
+    else rollup.open++
+  })
+  return rollup
+}
+
+/**
+ * Build a nested tree rooted at rootId. Each bug is expanded once; a bug that
+ * appears again under another parent is a `repeated` leaf, and a bug that
+ * depends on one of its own ancestors is a `cycle` leaf.
+ * @param {number} rootId
+ * @param {Object} bugsById - { [id]: bug } where each bug carries depends_on
+ * @returns {Object} { id, bug, children, cycle, repeated, rollup }
+ */
+export function buildDependencyTree(rootId, bugsById) {
+  const expanded = new Set()
+  const rollups = new Map()
+
+  const rollupFor = (id) => {
+    if (!rollups.has(id)) rollups.set(id, summarizeBugIds(getDescendantIds(id, bugsById), bugsById))
+    return rollups.get(id)
+  }
+
+  const visit = (id, path) => {
+    const bug = bugsById[id] || null
+    const node = { id, bug, children: [], cycle: false, repeated: false, rollup: rollupFor(id) }
+    if (path.has(id)) {
+      node.cycle = true
+      return node
+    }
+    if (expanded.has(id)) {
+      node.repeated = true
+      return node
+    }
+    expanded.add(id)
+    const childPath = new Set(path).add(id)
+    node.children = (bug?.depends_on || [])
+      .map(childId => visit(childId, childPath))
+      // Open work first, then by bug number
+      .sort((a, b) => (isClosedBug(a.bug) - isClosedBug(b.bug)) || a.id - b.id)
+    return node
+  }
+
+  return visit(Number(rootId), new Set())
+}
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest'
+import { getDescendantIds, summarizeBugIds, buildDependencyTree, isClosedBug } from './dependencyTree'
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function makeGraph(edges, closed = []) {
+  const bugs = {}
+  Object.entries(edges).forEach(([id, deps]) => {
+    bugs[id] = { id: Number(id), status: closed.includes(Number(id)) ? 'RESOLVED' : 'NEW', depends_on: deps }
+  })
+  return bugs
+}
+
+// ---------------------------------------------------------------------------
+// isClosedBug
+// ---------------------------------------------------------------------------
+describe('isClosedBug', () => {
+  it('treats RESOLVED, VERIFIED and CLOSED as closed', () => {
+    expect(isClosedBug({ status: 'RESOLVED' })).toBe(true)
+    expect(isClosedBug({ status: 'VERIFIED' })).toBe(true)
+    expect(isClosedBug({ status: 'CLOSED' })).toBe(true)
+  })
+
+  it('treats other statuses and missing bugs as not closed', () => {
+    expect(isClosedBug({ status: 'NEW' })).toBe(false)
+    expect(isClosedBug(null)).toBe(false)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// getDescendantIds
+// ---------------------------------------------------------------------------
+describe('getDescendantIds', () => {
+  it('walks depends_on to arbitrary depth', () => {
+    const bugs = makeGraph({ 1: [2], 2: [3], 3: [4], 4: [] })
+    expect([...getDescendantIds(1, bugs)].sort()).toEqual([2, 3, 4])
+  })
+
+  it('terminates on cycles and excludes the root', () => {
+    const bugs = makeGraph({ 1: [2], 2: [3], 3: [1, 2] })
+    expect([...getDescendantIds(1, bugs)].sort()).toEqual([2, 3])
+  })
+
+  it('includes IDs that were not fetched', () => {
+    const bugs = makeGraph({ 1: [2, 99], 2: [] })
+    expect(getDescendantIds(1, bugs).has(99)).toBe(true)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// summarizeBugIds
+// ---------------------------------------------------------------------------
+describe('summarizeBugIds', () => {
+  it('counts open, closed and hidden bugs', () => {
+    const bugs = makeGraph({ 1: [], 2: [] }, [2])
+    expect(summarizeBugIds([1, 2, 3], bugs)).toEqual({ total: 3, open: 1, closed: 1, hidden: 1 })
+  })
+})
+
+// ---------------------------------------------------------------------------
+// buildDependencyTree
+// ---------------------------------------------------------------------------
+describe('buildDependencyTree', () => {
+  it('nests sub-meta bug children under their parent', () => {
+    const bugs = makeGraph({ 1: [2], 2: [3, 4], 3: [], 4: [] })
+    const tree = buildDependencyTree(1, bugs)
+    expect(tree.children.map(c => c.id)).toEqual([2])
+    expect(tree.children[0].children.map(c => c.id)).toEqual([3, 4])
+  })
+
+  it('computes rollups over the whole subtree', () => {
+    const bugs = makeGraph({ 1: [2, 5], 2: [3, 4], 3: [], 4: [], 5: [] }, [3, 5])
+    const tree = buildDependencyTree(1, bugs)
+    expect(tree.rollup).toMatchObject({ total: 4, open: 2, closed: 2 })
+    expect(tree.children.find(c => c.id === 2).rollup).toMatchObject({ total: 2, open: 1, closed: 1 })
+  })
+
+  it('marks a dependency on an ancestor as a cycle leaf', () => {
+    const bugs = makeGraph({ 1: [2], 2: [1] })
+    const tree = buildDependencyTree(1, bugs)
+    const back = tree.children[0].children[0]
+    expect(back.id).toBe(1)
+    expect(back.cycle).toBe(true)
+    expect(back.children).toEqual([])
+  })
+
+  it('expands a shared dependency once and marks later occurrences as repeated', () => {
+    const bugs = makeGraph({ 1: [2, 3], 2: [4], 3: [4], 4: [5], 5: [] })
+    const tree = buildDependencyTree(1, bugs)
+    const [two, three] = tree.children
+    expect(two.children[0].repeated).toBe(false)
+    expect(two.children[0].children).toHaveLength(1)
+    expect(three.children[0].repeated).toBe(true)
+    expect(three.children[0].rollup.total).toBe(1)
+  })
+
+  it('sorts open children before closed ones', () => {
+    const bugs = makeGraph({ 1: [2, 3], 2: [], 3: [] }, [2])
+    expect(buildDependencyTree(1, bugs).children.map(c => c.id)).toEqual([3, 2])
+  })
+
+  it('keeps unfetched children as nodes with no bug', () => {
+    const bugs = makeGraph({ 1: [42] })
+    const tree = buildDependencyTree('1', bugs)
+    expect(tree.children[0]).toMatchObject({ id: 42, bug: null })
+  })
+})
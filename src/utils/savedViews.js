@@ -0,0 +1,91 @@
+/**
+ * Saved bug views — named Bugzilla searches imported from buglist.cgi URLs,
+ * persisted to localStorage. Only the URL is stored; it is translated with
+ * parseBuglistUrl when the view is loaded.
+ *
+ * A view is { id, name, url, createdAt }.
+ */
+
+import { useSyncExternalStore } from 'react'
+import { parseBuglistUrl } from './buglistQuery'
+
+const STORAGE_KEY = 'saved_bug_views'
+
+let views = null
+const listeners = new Set()
+
+function loadSavedViews() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (Array.isArray(stored)) return stored.filter(v => v && v.id && v.name && v.url)
+  } catch { /* fall back to no views */ }
+  return []
+}
+
+function persist(next) {
+  views = next
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(next)) } catch { /* storage unavailable */ }
+  listeners.forEach(fn => fn())
+}
+
+/**
+ * Saved views, oldest first.
+ */
+export function getSavedViews() {
+  if (views === null) views = loadSavedViews()
+  return views
+}
+
+/**
+ * Save a new view. Throws if the name is empty or already used, or the URL
+ * cannot be translated.
+ * @param {string} name
+ * @param {string} url - buglist.cgi or advanced-search URL
+ * @returns {Object} The saved view
+ */
+export function addSavedView(name, url) {
+  const trimmed = (name || '').trim()
+  if (!trimmed) throw new Error('Name is required')
+  if (getSavedViews().some(v => v.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A view named "${trimmed}" already exists`)
+  }
+  parseBuglistUrl(url)
+  const view = { id: `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, name: trimmed, url: url.trim(), createdAt: new Date().toISOString() }
+  persist([...getSavedViews(), view])
+  return view
+}
+
+/**
+ * Rename a saved view. Throws if the name is empty or already used.
+ */
+export function renameSavedView(id, name) {
+  const trimmed = (name || '').trim()
+  if (!trimmed) throw new Error('Name is required')
+  if (getSavedViews().some(v => v.id !== id && v.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A view named "${trimmed}" already exists`)
+  }
+  persist(getSavedViews().map(v => v.id === id ? { ...v, name: trimmed } : v))
+}
+
+/**
+ * Delete a saved view.
+ */
+export function removeSavedView(id) {
+  persist(getSavedViews().filter(v => v.id !== id))
+}
+
+/**
+ * Subscribe to saved view changes.
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeSavedViews(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * React hook returning the saved views and re-rendering when they change.
+ */
+export function useSavedViews() {
+  return useSyncExternalStore(subscribeSavedViews, getSavedViews)
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { getSavedViews, addSavedView, renameSavedView, removeSavedView, subscribeSavedViews } from './savedViews'
+import { fakeStorage } from '../test/helpers'
+
+const URL_A = 'https://bugzilla.mozilla.org/buglist.cgi?product=Core&component=Graphics'
+const URL_B = 'https://bugzilla.mozilla.org/buglist.cgi?keywords=perf'
+
+let storage
+
+beforeEach(() => {
+  storage = fakeStorage()
+  vi.stubGlobal('localStorage', storage)
+  getSavedViews().forEach(v => removeSavedView(v.id))
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+describe('saved views', () => {
+  it('adds views and persists them', () => {
+    const view = addSavedView('  Graphics  ', URL_A)
+    expect(view.name).toBe('Graphics')
+    expect(getSavedViews()).toEqual([view])
+    expect(JSON.parse(storage.store.get('saved_bug_views'))).toEqual([view])
+  })
+
+  it('rejects empty and duplicate names', () => {
+    addSavedView('Graphics', URL_A)
+    expect(() => addSavedView(' ', URL_B)).toThrow('Name is required')
+    expect(() => addSavedView('graphics', URL_B)).toThrow('already exists')
+  })
+
+  it('rejects URLs that cannot be translated', () => {
+    expect(() => addSavedView('Bad', 'https://example.com/buglist.cgi')).toThrow('bugzilla.mozilla.org')
+    expect(getSavedViews()).toEqual([])
+  })
+
+  it('renames and removes views', () => {
+    const a = addSavedView('A', URL_A)
+    const b = addSavedView('B', URL_B)
+    expect(a.id).not.toBe(b.id)
+    expect(() => renameSavedView(a.id, 'b')).toThrow('already exists')
+    renameSavedView(a.id, 'Graphics')
+    removeSavedView(b.id)
+    expect(getSavedViews().map(v => v.name)).toEqual(['Graphics'])
+  })
+
+  it('notifies subscribers on change', () => {
+    const listener = vi.fn()
+    const unsubscribe = subscribeSavedViews(listener)
+    addSavedView('A', URL_A)
+    unsubscribe()
+    addSavedView('B', URL_B)
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,64 @@
+/**
+ * Speedometer 3 chart series from the rows of STMO query #96742.
+ *
+ * Each row is one push_date with moving averages per platform
+ * (firefox_value_ma_desktop, chrome_value_ma_android, …), the Firefox vs
+ * Chrome gap of those averages (pct_delta_ma_desktop, …) and the raw daily
+ * values, which use the same names without "_ma".
+ */
+
+export const SPEEDOMETER_PLATFORMS = {
+  desktop: 'Desktop',
+  android: 'Android',
+}
+
+export const RANGE_PRESETS = {
+  '30d': { label: '30 days', days: 30 },
+  '90d': { label: '90 days', days: 90 },
+  ytd: { label: 'YTD' },
+  all: { label: 'All' },
+}
+
+function column(rows, name) {
+  return rows.map(row => row[name] ?? null)
+}
+
+/**
+ * The chart series for one platform, in row order.
+ * @param {Array} rows - Query rows, oldest push_date first
+ * @param {'desktop'|'android'} platform
+ * @returns {{dates: Array<string>, firefoxMa: Array<number|null>, chromeMa: Array<number|null>,
+ *   firefoxRaw: Array<number|null>|null, chromeRaw: Array<number|null>|null, gap: Array<number|null>}}
+ *   Raw series are null when the rows have no raw columns for the platform.
+ */
+export function speedometerSeries(rows, platform) {
+  const hasRaw = rows.some(row => row[`firefox_value_${platform}`] != null || row[`chrome_value_${platform}`] != null)
+  return {
+    dates: rows.map(row => row.push_date),
+    firefoxMa: column(rows, `firefox_value_ma_${platform}`),
+    chromeMa: column(rows, `chrome_value_ma_${platform}`),
+    firefoxRaw: hasRaw ? column(rows, `firefox_value_${platform}`) : null,
+    chromeRaw: hasRaw ? column(rows, `chrome_value_${platform}`) : null,
+    gap: column(rows, `pct_delta_ma_${platform}`),
+  }
+}
+
+/**
+ * Index of the first date inside a range preset ending at the last date.
+ * @param {Array<string>} dates - YYYY-MM-DD, ascending
+ * @param {string} preset - A RANGE_PRESETS key
+ * @returns {number} 0 when every date is in range
+ */
+export function rangeStartIndex(dates, preset) {
+  if (dates.length === 0 || preset === 'all') return 0
+  const last = new Date(`${dates[dates.length - 1]}T00:00:00Z`)
+  let start
+  if (preset === 'ytd') {
+    start = `${last.getUTCFullYear()}-01-01`
+  } else {
+    last.setUTCDate(last.getUTCDate() - RANGE_PRESETS[preset].days + 1)
+    start = last.toISOString().split('T')[0]
+  }
+  const index = dates.findIndex(date => date >= start)
+  return index === -1 ? 0 : index
+}
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest'
+import { speedometerSeries, rangeStartIndex } from './speedometerSeries'
+
+// ---------------------------------------------------------------------------
+// speedometerSeries
+// ---------------------------------------------------------------------------
+describe('speedometerSeries', () => {
+  const rows = [
+    { push_date: '2026-01-01', firefox_value_ma_desktop: 30, chrome_value_ma_desktop: 32, pct_delta_ma_desktop: -6.25, firefox_value_desktop: 29.5, chrome_value_desktop: 32.4 },
+    { push_date: '2026-01-02', firefox_value_ma_desktop: 31, chrome_value_ma_desktop: 32, pct_delta_ma_desktop: -3.1, firefox_value_desktop: null, chrome_value_desktop: 31.8 },
+  ]
+
+  it('extracts the moving averages, raw values and gap for a platform', () => {
+    expect(speedometerSeries(rows, 'desktop')).toEqual({
+      dates: ['2026-01-01', '2026-01-02'],
+      firefoxMa: [30, 31],
+      chromeMa: [32, 32],
+      firefoxRaw: [29.5, null],
+      chromeRaw: [32.4, 31.8],
+      gap: [-6.25, -3.1],
+    })
+  })
+
+  it('returns null raw series when the rows have none for the platform', () => {
+    const series = speedometerSeries(rows, 'android')
+    expect(series.firefoxRaw).toBeNull()
+    expect(series.chromeRaw).toBeNull()
+    expect(series.firefoxMa).toEqual([null, null])
+  })
+})
+
+// ---------------------------------------------------------------------------
+// rangeStartIndex
+// ---------------------------------------------------------------------------
+describe('rangeStartIndex', () => {
+  const dates = ['2025-11-20', '2025-12-31', '2026-01-01', '2026-02-15', '2026-03-01', '2026-03-10']
+
+  it('finds the first date of the trailing window', () => {
+    expect(rangeStartIndex(dates, '30d')).toBe(3)
+    expect(rangeStartIndex(dates, '90d')).toBe(1)
+  })
+
+  it('starts YTD at the first date of the latest year', () => {
+    expect(rangeStartIndex(dates, 'ytd')).toBe(2)
+  })
+
+  it('covers everything for "all", short series and empty input', () => {
+    expect(rangeStartIndex(dates, 'all')).toBe(0)
+    expect(rangeStartIndex(['2026-03-09', '2026-03-10'], '90d')).toBe(0)
+    expect(rangeStartIndex([], 'ytd')).toBe(0)
+  })
+})
@@ -0,0 +1,126 @@
+/**
+ * Throughput metrics for performance bugs — weekly opened vs fixed counts,
+ * time-to-fix (creation_time → cf_last_resolved) and a reconstructed backlog.
+ * Weeks start on Monday (UTC) and are keyed by their YYYY-MM-DD start date.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const WEEK_MS = 7 * DAY_MS
+
+const CLOSED_STATUSES = new Set(['RESOLVED', 'VERIFIED', 'CLOSED'])
+
+function toKey(date) {
+  return date.toISOString().split('T')[0]
+}
+
+/**
+ * The Monday (UTC) starting the week that contains date.
+ * @returns {Date}
+ */
+export function startOfWeek(date) {
+  const d = new Date(date)
+  d.setUTCHours(0, 0, 0, 0)
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7))
+  return d
+}
+
+/**
+ * Week keys for the last `count` weeks, oldest first; the last is the current week.
+ * @returns {Array<string>}
+ */
+export function weekStarts(count, now = new Date()) {
+  const current = startOfWeek(now).getTime()
+  return Array.from({ length: count }, (_, i) => toKey(new Date(current - (count - 1 - i) * WEEK_MS)))
+}
+
+function weekOf(iso) {
+  return toKey(startOfWeek(new Date(iso)))
+}
+
+/**
+ * Days from creation to the last resolution, or null if the bug has no
+ * cf_last_resolved.
+ */
+export function timeToFixDays(bug) {
+  if (!bug.cf_last_resolved || !bug.creation_time) return null
+  return Math.max(0, (new Date(bug.cf_last_resolved) - new Date(bug.creation_time)) / DAY_MS)
+}
+
+/**
+ * @returns {number|null} null for an empty list
+ */
+export function median(values) {
+  if (values.length === 0) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+/**
+ * Opened and resolved counts per week. `fixed` counts FIXED resolutions only;
+ * `closed` counts every resolution (duplicates, wontfix, …).
+ * @param {Array} opened - Bugs created in the range (creation_time)
+ * @param {Array} resolved - Bugs resolved in the range (cf_last_resolved)
+ * @param {Array<string>} weeks - From weekStarts()
+ * @returns {Array<{week: string, opened: number, fixed: number, closed: number}>}
+ */
+export function weeklyThroughput(opened, resolved, weeks) {
+  const rows = new Map(weeks.map(week => [week, { week, opened: 0, fixed: 0, closed: 0 }]))
+  opened.forEach(bug => {
+    const row = rows.get(weekOf(bug.creation_time))
+    if (row) row.opened++
+  })
+  resolved.forEach(bug => {
+    if (!bug.cf_last_resolved) return
+    const row = rows.get(weekOf(bug.cf_last_resolved))
+    if (!row) return
+    row.closed++
+    if (bug.resolution === 'FIXED') row.fixed++
+  })
+  return [...rows.values()]
+}
+
+/**
+ * Median time-to-fix of FIXED bugs, grouped by keysOf(bug). A bug may belong
+ * to several groups (keysOf returns an array) or none.
+ * @param {Array} bugs - Resolved bugs
+ * @param {Function} keysOf - bug => Array<string>
+ * @returns {Array<{key: string, count: number, medianDays: number}>} Groups in first-seen order
+ */
+export function medianTimeToFix(bugs, keysOf) {
+  const days = new Map()
+  bugs.forEach(bug => {
+    if (bug.resolution !== 'FIXED') return
+    const ttf = timeToFixDays(bug)
+    if (ttf === null) return
+    keysOf(bug).forEach(key => {
+      if (!days.has(key)) days.set(key, [])
+      days.get(key).push(ttf)
+    })
+  })
+  return [...days.entries()].map(([key, values]) => ({ key, count: values.length, medianDays: median(values) }))
+}
+
+/**
+ * Reconstruct the open backlog at the end of each week by walking back from
+ * today's open count: bugs opened since then are removed, bugs resolved since
+ * then are added back. Bugs that gained a performance impact later, or were
+ * reopened, are not accounted for.
+ * @param {number} openNow - Open bugs today
+ * @param {Array} opened - Bugs created in the range
+ * @param {Array} resolved - Bugs resolved in the range
+ * @param {Array<string>} weeks - From weekStarts()
+ * @returns {Array<{week: string, open: number}>}
+ */
+export function backlogSeries(openNow, opened, resolved, weeks, now = new Date()) {
+  return weeks.map(week => {
+    const end = Math.min(new Date(week).getTime() + WEEK_MS, now.getTime())
+    const openedLater = opened.filter(bug =>
+      !CLOSED_STATUSES.has(bug.status) && new Date(bug.creation_time).getTime() >= end
+    ).length
+    const resolvedLater = resolved.filter(bug =>
+      bug.cf_last_resolved && new Date(bug.cf_last_resolved).getTime() >= end && new Date(bug.creation_time).getTime() < end
+    ).length
+    return { week, open: openNow - openedLater + resolvedLater }
+  })
+}
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest'
+import { startOfWeek, weekStarts, timeToFixDays, median, weeklyThroughput, medianTimeToFix, backlogSeries } from './throughput'
+
+// Wednesday
+const NOW = new Date('2026-03-18T12:00:00Z')
+
+// ---------------------------------------------------------------------------
+// Weeks
+// ---------------------------------------------------------------------------
+describe('startOfWeek / weekStarts', () => {
+  it('starts weeks on Monday UTC', () => {
+    expect(startOfWeek(NOW).toISOString()).toBe('2026-03-16T00:00:00.000Z')
+    expect(startOfWeek(new Date('2026-03-22T23:59:00Z')).toISOString()).toBe('2026-03-16T00:00:00.000Z')
+    expect(startOfWeek(new Date('2026-03-16T00:00:00Z')).toISOString()).toBe('2026-03-16T00:00:00.000Z')
+  })
+
+  it('lists weeks oldest first ending with the current week', () => {
+    expect(weekStarts(3, NOW)).toEqual(['2026-03-02', '2026-03-09', '2026-03-16'])
+  })
+})
+
+// ---------------------------------------------------------------------------
+// timeToFixDays / median
+// ---------------------------------------------------------------------------
+describe('timeToFixDays', () => {
+  it('measures creation to last resolution in days', () => {
+    expect(timeToFixDays({ creation_time: '2026-03-01T00:00:00Z', cf_last_resolved: '2026-03-11T12:00:00Z' })).toBe(10.5)
+  })
+
+  it('returns null without a resolution date', () => {
+    expect(timeToFixDays({ creation_time: '2026-03-01T00:00:00Z' })).toBeNull()
+  })
+})
+
+describe('median', () => {
+  it('handles odd, even and empty lists', () => {
+    expect(median([5, 1, 3])).toBe(3)
+    expect(median([4, 1, 3, 2])).toBe(2.5)
+    expect(median([])).toBeNull()
+  })
+})
+
+// ---------------------------------------------------------------------------
+// weeklyThroughput
+// ---------------------------------------------------------------------------
+describe('weeklyThroughput', () => {
+  it('buckets opened and resolved bugs by week', () => {
+    const weeks = weekStarts(2, NOW)
+    const opened = [
+      { creation_time: '2026-03-10T10:00:00Z' },
+      { creation_time: '2026-03-17T10:00:00Z' },
+      { creation_time: '2026-01-01T10:00:00Z' }, // before the range
+    ]
+    const resolved = [
+      { cf_last_resolved: '2026-03-16T01:00:00Z', resolution: 'FIXED' },
+      { cf_last_resolved: '2026-03-17T01:00:00Z', resolution: 'DUPLICATE' },
+    ]
+    expect(weeklyThroughput(opened, resolved, weeks)).toEqual([
+      { week: '2026-03-09', opened: 1, fixed: 0, closed: 0 },
+      { week: '2026-03-16', opened: 1, fixed: 1, closed: 2 },
+    ])
+  })
+})
+
+// ---------------------------------------------------------------------------
+// medianTimeToFix
+// ---------------------------------------------------------------------------
+describe('medianTimeToFix', () => {
+  const fixed = (impact, days, extra = {}) => ({
+    cf_performance_impact: impact,
+    resolution: 'FIXED',
+    creation_time: '2026-01-01T00:00:00Z',
+    cf_last_resolved: new Date(Date.parse('2026-01-01T00:00:00Z') + days * 86400000).toISOString(),
+    ...extra,
+  })
+
+  it('takes the median per group of FIXED bugs only', () => {
+    const rows = medianTimeToFix([
+      fixed('high', 2),
+      fixed('high', 10),
+      fixed('high', 4),
+      fixed('low', 30),
+      fixed('low', 1, { resolution: 'WONTFIX' }),
+    ], bug => [bug.cf_performance_impact])
+    expect(rows).toEqual([
+      { key: 'high', count: 3, medianDays: 4 },
+      { key: 'low', count: 1, medianDays: 30 },
+    ])
+  })
+
+  it('counts a bug in every group it belongs to', () => {
+    const rows = medianTimeToFix([fixed('high', 2)], () => ['a', 'b'])
+    expect(rows.map(r => r.key)).toEqual(['a', 'b'])
+  })
+})
+
+// ---------------------------------------------------------------------------
+// backlogSeries
+// ---------------------------------------------------------------------------
+describe('backlogSeries', () => {
+  it('walks back from the current open count', () => {
+    const weeks = weekStarts(3, NOW) // 03-02, 03-09, 03-16
+    const opened = [
+      // Opened in the week of 03-09, still open: not in the backlog at the end of 03-02's week
+      { status: 'NEW', creation_time: '2026-03-10T00:00:00Z' },
+      // Opened and fixed within the week of 03-16: never counted
+      { status: 'RESOLVED', creation_time: '2026-03-16T00:00:00Z', cf_last_resolved: '2026-03-17T00:00:00Z' },
+    ]
+    const resolved = [
+      opened[1],
+      // Older bug fixed in the week of 03-09: was open at the end of 03-02's week
+      { status: 'RESOLVED', creation_time: '2025-12-01T00:00:00Z', cf_last_resolved: '2026-03-11T00:00:00Z' },
+    ]
+    expect(backlogSeries(10, opened, resolved, weeks, NOW)).toEqual([
+      { week: '2026-03-02', open: 10 },
+      { week: '2026-03-09', open: 10 },
+      { week: '2026-03-16', open: 10 },
+    ])
+  })
+
+  it('adds back bugs resolved after each week', () => {
+    const weeks = weekStarts(2, NOW)
+    const resolved = [{ status: 'RESOLVED', creation_time: '2025-01-01T00:00:00Z', cf_last_resolved: '2026-03-17T00:00:00Z' }]
+    expect(backlogSeries(5, [], resolved, weeks, NOW).map(r => r.open)).toEqual([6, 5])
+  })
+})
@@ -0,0 +1,183 @@
+/**
+ * Triage write-back helpers — turn a triage form into a Bugzilla update and
+ * apply it optimistically, rolling back if Bugzilla rejects it.
+ */
+
+import { useState, useRef } from 'react'
+import { updateBug } from '../services/bugzillaService'
+
+export const PERF_PRIO_TAG = '[perf-prio]'
+
+export const PERFORMANCE_IMPACT_VALUES = ['---', 'pending-needinfo', 'none', 'low', 'medium', 'high']
+export const SEVERITY_VALUES = ['--', 'S1', 'S2', 'S3', 'S4', 'N/A']
+export const PRIORITY_VALUES = ['--', 'P1', 'P2', 'P3', 'P4', 'P5']
+
+/**
+ * Whether a whiteboard contains a tag (case-insensitive).
+ */
+export function hasWhiteboardTag(whiteboard, tag) {
+  return (whiteboard || '').toLowerCase().includes(tag.toLowerCase())
+}
+
+/**
+ * Append a tag to a whiteboard unless it is already present.
+ */
+export function addWhiteboardTag(whiteboard, tag) {
+  const current = (whiteboard || '').trim()
+  if (hasWhiteboardTag(current, tag)) return current
+  return current ? `${current} ${tag}` : tag
+}
+
+/**
+ * Remove every occurrence of a tag from a whiteboard, tidying whitespace.
+ */
+export function removeWhiteboardTag(whiteboard, tag) {
+  const escaped = tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  return (whiteboard || '').replace(new RegExp(escaped, 'gi'), '').replace(/\s{2,}/g, ' ').trim()
+}
+
+/**
+ * Initial triage form values for a bug.
+ */
+export function getTriageForm(bug) {
+  return {
+    performanceImpact: bug.cf_performance_impact || '---',
+    severity: bug.severity || '--',
+    priority: bug.priority || '--',
+    perfPrio: hasWhiteboardTag(bug.whiteboard, PERF_PRIO_TAG),
+    needinfo: '',
+    comment: '',
+  }
+}
+
+/**
+ * Build a Bugzilla update from a triage form. Only fields that differ from the
+ * bug are included.
+ * @param {Object} bug - Current bug; must carry whiteboard for perf-prio changes
+ * @param {Object} form - { performanceImpact, severity, priority, perfPrio, needinfo, comment }
+ * @returns {{changes: Object, patch: Object, summary: Array<{label: string, from: string, to: string}>}}
+ *   changes is the PUT body, patch the fields to apply to the bug optimistically,
+ *   summary the human-readable list of changes for the confirmation step
+ */
+export function buildTriageUpdate(bug, form) {
+  const changes = {}
+  const patch = {}
+  const summary = []
+  const current = getTriageForm(bug)
+
+  const setField = (field, label, from, to) => {
+    if (from === to) return
+    changes[field] = to
+    patch[field] = to
+    summary.push({ label, from, to })
+  }
+  setField('cf_performance_impact', 'Performance impact', current.performanceImpact, form.performanceImpact)
+  setField('severity', 'Severity', current.severity, form.severity)
+  setField('priority', 'Priority', current.priority, form.priority)
+
+  if (form.perfPrio !== current.perfPrio) {
+    const whiteboard = form.perfPrio
+      ? addWhiteboardTag(bug.whiteboard, PERF_PRIO_TAG)
+      : removeWhiteboardTag(bug.whiteboard, PERF_PRIO_TAG)
+    changes.whiteboard = whiteboard
+    patch.whiteboard = whiteboard
+    summary.push({ label: 'Whiteboard', from: bug.whiteboard || '(empty)', to: whiteboard || '(empty)' })
+  }
+
+  const requestee = (form.needinfo || '').trim()
+  if (requestee) {
+    changes.flags = [{ name: 'needinfo', status: '?', requestee, new: true }]
+    patch.flags = [...(bug.flags || []), { name: 'needinfo', status: '?', requestee }]
+    summary.push({ label: 'Needinfo', from: '', to: requestee })
+  }
+
+  const comment = (form.comment || '').trim()
+  if (comment) {
+    changes.comment = { body: comment }
+    if (bug.comment_count != null) patch.comment_count = bug.comment_count + 1
+    summary.push({ label: 'Comment', from: '', to: comment })
+  }
+
+  return { changes, patch, summary }
+}
+
+/**
+ * Apply pending triage overrides to a bug list. An override is
+ *   { fields, source, pending }
+ * where fields are the optimistic values, source the bug object they were
+ * made against and pending the number of updates still in flight. Once no
+ * update is pending, an override only applies until the list is refetched
+ * (the bug object changes), so it never masks newer server data.
+ */
+export function applyTriageOverrides(bugs, overrides) {
+  return bugs.map(bug => {
+    const override = overrides[bug.id]
+    if (!override || (override.pending === 0 && override.source !== bug)) return bug
+    return { ...bug, ...override.fields }
+  })
+}
+
+/**
+ * Take back the fields a failed patch set, leaving any a later patch has
+ * changed since.
+ * @returns {Object|undefined} The remaining override, or undefined when none is left
+ */
+export function revertTriagePatch(override, patch) {
+  if (!override) return undefined
+  const fields = { ...override.fields }
+  Object.entries(patch).forEach(([field, value]) => {
+    if (fields[field] === value) delete fields[field]
+  })
+  const pending = Math.max(override.pending - 1, 0)
+  if (Object.keys(fields).length === 0 && pending === 0) return undefined
+  return { ...override, fields, pending }
+}
+
+/**
+ * React hook for optimistic triage. Submitted updates are applied to the
+ * rendered bugs immediately and rolled back if Bugzilla rejects them. After a
+ * successful update the override stays only until the list is refetched.
+ * @returns {{withTriage: Function, submitTriage: Function, triageError: string|null, clearTriageError: Function}}
+ */
+export function useBugTriage() {
+  const [overrides, setOverrides] = useState({})
+  const [triageError, setTriageError] = useState(null)
+  // Rendered bug → the source bug it was built from
+  const sourcesRef = useRef(new WeakMap())
+
+  const withTriage = (bugs) => {
+    const rendered = applyTriageOverrides(bugs, overrides)
+    rendered.forEach((bug, i) => sourcesRef.current.set(bug, bugs[i]))
+    return rendered
+  }
+
+  const submitTriage = async (bug, update) => {
+    const source = sourcesRef.current.get(bug) || bug
+    setTriageError(null)
+    setOverrides(prev => ({
+      ...prev,
+      [bug.id]: {
+        fields: { ...prev[bug.id]?.fields, ...update.patch },
+        source,
+        pending: (prev[bug.id]?.pending || 0) + 1,
+      },
+    }))
+    try {
+      await updateBug(bug.id, update.changes)
+      setOverrides(prev => prev[bug.id] ? { ...prev, [bug.id]: { ...prev[bug.id], pending: prev[bug.id].pending - 1 } } : prev)
+      return true
+    } catch (err) {
+      setOverrides(prev => {
+        const next = { ...prev }
+        const remaining = revertTriagePatch(prev[bug.id], update.patch)
+        if (remaining) next[bug.id] = remaining
+        else delete next[bug.id]
+        return next
+      })
+      setTriageError(`Bug ${bug.id} was not updated: ${err.message}`)
+      return false
+    }
+  }
+
+  return { withTriage, submitTriage, triageError, clearTriageError: () => setTriageError(null) }
+}
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest'
+import {
+  PERF_PRIO_TAG, hasWhiteboardTag, addWhiteboardTag, removeWhiteboardTag, getTriageForm, buildTriageUpdate,
+  applyTriageOverrides, revertTriagePatch,
+} from './triageActions'
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function makeBug(overrides = {}) {
+  return {
+    id: 1,
+    severity: 'S3',
+    priority: '--',
+    cf_performance_impact: 'medium',
+    whiteboard: '[sp3]',
+    flags: [],
+    comment_count: 4,
+    ...overrides,
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Whiteboard tags
+// ---------------------------------------------------------------------------
+describe('whiteboard tags', () => {
+  it('detects a tag case-insensitively', () => {
+    expect(hasWhiteboardTag('[Perf-Prio] [sp3]', PERF_PRIO_TAG)).toBe(true)
+    expect(hasWhiteboardTag('', PERF_PRIO_TAG)).toBe(false)
+    expect(hasWhiteboardTag(undefined, PERF_PRIO_TAG)).toBe(false)
+  })
+
+  it('appends a tag once', () => {
+    expect(addWhiteboardTag('[sp3]', PERF_PRIO_TAG)).toBe('[sp3] [perf-prio]')
+    expect(addWhiteboardTag('', PERF_PRIO_TAG)).toBe('[perf-prio]')
+    expect(addWhiteboardTag('[perf-prio]', PERF_PRIO_TAG)).toBe('[perf-prio]')
+  })
+
+  it('removes every occurrence and tidies whitespace', () => {
+    expect(removeWhiteboardTag('[sp3] [perf-prio] [qf]', PERF_PRIO_TAG)).toBe('[sp3] [qf]')
+    expect(removeWhiteboardTag('[PERF-PRIO]', PERF_PRIO_TAG)).toBe('')
+    expect(removeWhiteboardTag(null, PERF_PRIO_TAG)).toBe('')
+  })
+})
+
+// ---------------------------------------------------------------------------
+// getTriageForm
+// ---------------------------------------------------------------------------
+describe('getTriageForm', () => {
+  it('fills defaults for unset fields', () => {
+    expect(getTriageForm({ id: 2 })).toEqual({
+      performanceImpact: '---', severity: '--', priority: '--', perfPrio: false, needinfo: '', comment: '',
+    })
+  })
+})
+
+// ---------------------------------------------------------------------------
+// buildTriageUpdate
+// ---------------------------------------------------------------------------
+describe('buildTriageUpdate', () => {
+  it('returns no changes for an untouched form', () => {
+    const bug = makeBug()
+    const update = buildTriageUpdate(bug, getTriageForm(bug))
+    expect(update.changes).toEqual({})
+    expect(update.summary).toEqual([])
+  })
+
+  it('includes only the fields that changed', () => {
+    const bug = makeBug()
+    const update = buildTriageUpdate(bug, { ...getTriageForm(bug), severity: 'S2', performanceImpact: 'high' })
+    expect(update.changes).toEqual({ severity: 'S2', cf_performance_impact: 'high' })
+    expect(update.patch).toEqual({ severity: 'S2', cf_performance_impact: 'high' })
+    expect(update.summary.map(s => s.label)).toEqual(['Performance impact', 'Severity'])
+  })
+
+  it('adds and removes the perf-prio whiteboard tag', () => {
+    const bug = makeBug()
+    expect(buildTriageUpdate(bug, { ...getTriageForm(bug), perfPrio: true }).changes)
+      .toEqual({ whiteboard: '[sp3] [perf-prio]' })
+
+    const tagged = makeBug({ whiteboard: '[perf-prio] [sp3]' })
+    expect(buildTriageUpdate(tagged, { ...getTriageForm(tagged), perfPrio: false }).changes)
+      .toEqual({ whiteboard: '[sp3]' })
+  })
+
+  it('requests needinfo and appends the flag optimistically', () => {
+    const bug = makeBug({ flags: [{ name: 'needinfo', status: '?', requestee: 'a@example.com' }] })
+    const update = buildTriageUpdate(bug, { ...getTriageForm(bug), needinfo: ' b@example.com ' })
+    expect(update.changes.flags).toEqual([{ name: 'needinfo', status: '?', requestee: 'b@example.com', new: true }])
+    expect(update.patch.flags.map(f => f.requestee)).toEqual(['a@example.com', 'b@example.com'])
+  })
+
+  it('adds a comment and bumps comment_count', () => {
+    const bug = makeBug()
+    const update = buildTriageUpdate(bug, { ...getTriageForm(bug), comment: 'Raising priority for SP3.' })
+    expect(update.changes.comment).toEqual({ body: 'Raising priority for SP3.' })
+    expect(update.patch.comment_count).toBe(5)
+  })
+})
+
+// ---------------------------------------------------------------------------
+// applyTriageOverrides / revertTriagePatch
+// ---------------------------------------------------------------------------
+describe('applyTriageOverrides', () => {
+  it('applies overrides while an update is pending', () => {
+    const bug = makeBug()
+    const [rendered] = applyTriageOverrides([bug], { 1: { fields: { severity: 'S1' }, source: bug, pending: 1 } })
+    expect(rendered.severity).toBe('S1')
+  })
+
+  it('keeps a settled override until the list is refetched', () => {
+    const bug = makeBug()
+    const overrides = { 1: { fields: { severity: 'S1' }, source: bug, pending: 0 } }
+    expect(applyTriageOverrides([bug], overrides)[0].severity).toBe('S1')
+    const refetched = makeBug({ severity: 'S2' })
+    expect(applyTriageOverrides([refetched], overrides)[0]).toBe(refetched)
+  })
+
+  it('leaves bugs without overrides untouched', () => {
+    const bug = makeBug({ id: 2 })
+    expect(applyTriageOverrides([bug], {})[0]).toBe(bug)
+  })
+})
+
+describe('revertTriagePatch', () => {
+  it('removes only the fields the failed patch set', () => {
+    const override = { fields: { severity: 'S1', priority: 'P1' }, source: null, pending: 2 }
+    expect(revertTriagePatch(override, { severity: 'S1' })).toEqual({ fields: { priority: 'P1' }, source: null, pending: 1 })
+  })
+
+  it('keeps fields a later patch changed since', () => {
+    const override = { fields: { severity: 'S2' }, source: null, pending: 2 }
+    expect(revertTriagePatch(override, { severity: 'S1' }).fields).toEqual({ severity: 'S2' })
+  })
+
+  it('drops the override once nothing is left', () => {
+    expect(revertTriagePatch({ fields: { severity: 'S1' }, source: null, pending: 1 }, { severity: 'S1' })).toBeUndefined()
+    expect(revertTriagePatch(undefined, { severity: 'S1' })).toBeUndefined()
+  })
+})
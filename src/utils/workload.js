@@ -0,0 +1,77 @@
+/**
+ * Assignee workload — groups bugs by assigned_to so overloaded engineers and
+ * unowned hot spots stand out.
+ */
+
+import { scoreBug, getBugFlags } from './bugAnalysis'
+
+export const UNASSIGNED_KEY = 'nobody@mozilla.org'
+
+export const IMPACT_LEVELS = ['high', 'medium', 'low']
+
+const CLOSED_STATUSES = new Set(['RESOLVED', 'VERIFIED', 'CLOSED'])
+
+/**
+ * The assignee a bug counts against; unassigned bugs share UNASSIGNED_KEY.
+ */
+export function getAssigneeKey(bug) {
+  if (!bug.assigned_to || bug.assigned_to.includes(UNASSIGNED_KEY)) return UNASSIGNED_KEY
+  return bug.assigned_to
+}
+
+/**
+ * Merge bug lists fetched from different queries into one list without
+ * duplicates. Fields from later lists win, so pass the richest list last.
+ * @param {...Array} lists
+ * @returns {Array}
+ */
+export function mergeBugLists(...lists) {
+  const byId = new Map()
+  lists.flat().forEach(bug => byId.set(bug.id, { ...byId.get(bug.id), ...bug }))
+  return [...byId.values()]
+}
+
+/**
+ * Summarize open bugs per assignee; closed bugs (e.g. from meta bug walks)
+ * are skipped.
+ * @param {Array} bugs - Bugs carrying assigned_to / assigned_to_detail
+ * @returns {Array<Object>} One row per assignee, most bugs first:
+ *   { key, name, email, unassigned, total, impact: { high, medium, low, other },
+ *     avgScore, staleCount, oldest (least recently changed bug), bugs }
+ */
+export function summarizeWorkload(bugs) {
+  const rows = new Map()
+
+  bugs.filter(bug => !CLOSED_STATUSES.has(bug.status)).forEach(bug => {
+    const key = getAssigneeKey(bug)
+    if (!rows.has(key)) {
+      const unassigned = key === UNASSIGNED_KEY
+      const detail = bug.assigned_to_detail || {}
+      rows.set(key, {
+        key,
+        name: unassigned ? 'Unassigned' : detail.real_name || detail.nick || key,
+        email: unassigned ? null : key,
+        unassigned,
+        total: 0,
+        impact: { high: 0, medium: 0, low: 0, other: 0 },
+        scoreSum: 0,
+        staleCount: 0,
+        oldest: null,
+        bugs: [],
+      })
+    }
+    const row = rows.get(key)
+    row.total++
+    row.bugs.push(bug)
+    row.impact[IMPACT_LEVELS.includes(bug.cf_performance_impact) ? bug.cf_performance_impact : 'other']++
+    row.scoreSum += scoreBug(bug)
+    if (getBugFlags(bug).includes('stale')) row.staleCount++
+    if (bug.last_change_time && (!row.oldest || bug.last_change_time < row.oldest.last_change_time)) {
+      row.oldest = bug
+    }
+  })
+
+  return [...rows.values()]
+    .map(({ scoreSum, ...row }) => ({ ...row, avgScore: scoreSum / row.total }))
+    .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name))
+}
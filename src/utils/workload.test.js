@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest'
+import { getAssigneeKey, mergeBugLists, summarizeWorkload, UNASSIGNED_KEY } from './workload'
+
+function makeBug(overrides = {}) {
+  return {
+    id: 1,
+    summary: 'Slow thing',
+    severity: 'S3',
+    priority: 'P3',
+    cf_performance_impact: 'medium',
+    comment_count: 0,
+    assigned_to: 'dev@mozilla.com',
+    assigned_to_detail: { real_name: 'Dev One', email: 'dev@mozilla.com' },
+    last_change_time: new Date().toISOString(),
+    ...overrides,
+  }
+}
+
+function monthsAgo(n) {
+  const d = new Date()
+  d.setMonth(d.getMonth() - n)
+  return d.toISOString()
+}
+
+// ---------------------------------------------------------------------------
+// getAssigneeKey
+// ---------------------------------------------------------------------------
+describe('getAssigneeKey', () => {
+  it('groups nobody@ and missing assignees as unassigned', () => {
+    expect(getAssigneeKey(makeBug({ assigned_to: 'nobody@mozilla.org' }))).toBe(UNASSIGNED_KEY)
+    expect(getAssigneeKey(makeBug({ assigned_to: undefined }))).toBe(UNASSIGNED_KEY)
+    expect(getAssigneeKey(makeBug())).toBe('dev@mozilla.com')
+  })
+})
+
+// ---------------------------------------------------------------------------
+// mergeBugLists
+// ---------------------------------------------------------------------------
+describe('mergeBugLists', () => {
+  it('drops duplicates and lets later lists add fields', () => {
+    const merged = mergeBugLists(
+      [{ id: 1, cf_performance_impact: 'high' }, { id: 2 }],
+      [{ id: 1, comment_count: 12 }]
+    )
+    expect(merged).toEqual([{ id: 1, cf_performance_impact: 'high', comment_count: 12 }, { id: 2 }])
+  })
+})
+
+// ---------------------------------------------------------------------------
+// summarizeWorkload
+// ---------------------------------------------------------------------------
+describe('summarizeWorkload', () => {
+  it('counts bugs per impact level and sorts by total', () => {
+    const rows = summarizeWorkload([
+      makeBug({ id: 1, cf_performance_impact: 'high' }),
+      makeBug({ id: 2, cf_performance_impact: 'low' }),
+      makeBug({ id: 3, cf_performance_impact: '---' }),
+      makeBug({ id: 4, assigned_to: 'other@mozilla.com', assigned_to_detail: { real_name: 'Other' } }),
+    ])
+    expect(rows.map(r => r.name)).toEqual(['Dev One', 'Other'])
+    expect(rows[0]).toMatchObject({ total: 3, impact: { high: 1, medium: 0, low: 1, other: 1 } })
+    expect(rows[0].bugs.map(b => b.id)).toEqual([1, 2, 3])
+  })
+
+  it('puts unassigned bugs in one row', () => {
+    const rows = summarizeWorkload([
+      makeBug({ id: 1, assigned_to: 'nobody@mozilla.org', assigned_to_detail: { real_name: 'Nobody; OK to take it and work on it' } }),
+      makeBug({ id: 2, assigned_to: null }),
+    ])
+    expect(rows).toHaveLength(1)
+    expect(rows[0]).toMatchObject({ name: 'Unassigned', email: null, unassigned: true, total: 2 })
+  })
+
+  it('averages the priority score', () => {
+    const rows = summarizeWorkload([
+      makeBug({ id: 1, cf_performance_impact: 'high', severity: 'S2', priority: 'P2' }), // 3 + 3 + 3 + 1
+      makeBug({ id: 2, cf_performance_impact: 'low', severity: 'S4', priority: 'P4' }), // 1 + 1 + 1 + 1
+    ])
+    expect(rows[0].avgScore).toBe(7)
+  })
+
+  it('tracks stale bugs and the least recently changed bug', () => {
+    const rows = summarizeWorkload([
+      makeBug({ id: 1, last_change_time: monthsAgo(1) }),
+      makeBug({ id: 2, last_change_time: monthsAgo(12) }),
+      makeBug({ id: 3, last_change_time: monthsAgo(8) }),
+    ])
+    expect(rows[0].staleCount).toBe(2)
+    expect(rows[0].oldest.id).toBe(2)
+  })
+
+  it('skips closed bugs', () => {
+    const rows = summarizeWorkload([makeBug({ id: 1 }), makeBug({ id: 2, status: 'RESOLVED' })])
+    expect(rows[0].total).toBe(1)
+  })
+
+  it('falls back to the nick or email when there is no real name', () => {
+    const rows = summarizeWorkload([
+      makeBug({ id: 1, assigned_to: 'a@mozilla.com', assigned_to_detail: { nick: 'anick' } }),
+      makeBug({ id: 2, assigned_to: 'b@mozilla.com', assigned_to_detail: undefined }),
+    ])
+    expect(rows.map(r => r.name).sort()).toEqual(['anick', 'b@mozilla.com'])
+  })
+})
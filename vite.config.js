@@ -1,24 +1,43 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fixturesPlugin, FIXTURE_MODES } from './dev/fixtures.js'
+import { loadStmoKeys, stmoKeysPlugin } from './dev/stmoKeys.js'
 
-export default defineConfig({
-  plugins: [react()],
-  test: {
-    environment: 'node',
-    globals: true,
-  },
-  server: {
-    port: 3000,
-    open: true,
-    watch: {
-      usePolling: true,
-      interval: 300,
+export default defineConfig(({ mode }) => {
+  // VITE_FIXTURES=replay|record switches the dev server to offline fixtures (see dev/fixtures.js)
+  const fixtureMode = loadEnv(mode, process.cwd(), 'VITE_').VITE_FIXTURES
+  if (fixtureMode && !FIXTURE_MODES.includes(fixtureMode)) {
+    throw new Error(`VITE_FIXTURES must be one of ${FIXTURE_MODES.join(', ')} (got "${fixtureMode}")`)
+  }
+
+  // STMO API keys stay on the server (see dev/stmoKeys.js); replay needs none
+  const stmoKeys = fixtureMode === 'replay' ? null : loadStmoKeys(loadEnv(mode, process.cwd(), 'STMO_'))
+
+  return {
+    plugins: [
+      react(),
+      ...(stmoKeys ? [stmoKeysPlugin(stmoKeys)] : []),
+      ...(fixtureMode ? [fixturesPlugin({ mode: fixtureMode, dir: 'fixtures' })] : []),
+    ],
+    test: {
+      environment: 'node',
+      globals: true,
     },
-    proxy: {
-      '/stmo': {
-        target: 'https://sql.telemetry.mozilla.org',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/stmo/, '')
+    server: {
+      port: 3000,
+      open: true,
+      watch: {
+        usePolling: true,
+        interval: 300,
+        // Recording writes here; don't reload the page for every new fixture
+        ignored: ['**/fixtures/**'],
+      },
+      proxy: {
+        '/stmo': {
+          target: 'https://sql.telemetry.mozilla.org',
+          changeOrigin: true,
+          rewrite: (path) => path.replace(/^\/stmo/, '')
+        }
       }
     }
   }